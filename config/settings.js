@@ -3,6 +3,8 @@ module.exports = {
   browser: {
     headless: false, // Set to true for production
     defaultViewport: { width: 1920, height: 1080 },
+    mobileViewport: { width: 375, height: 667 },
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
     args: [
       '--no-sandbox',
       '--disable-setuid-sandbox',
@@ -14,33 +16,222 @@ module.exports = {
     ]
   },
 
+  // Device profiles to capture. null captures desktop (browser.defaultViewport)
+  // and mobile (browser.mobileViewport). Each profile takes a name plus a
+  // Puppeteer preset and/or viewport and userAgent, e.g.
+  // { name: 'tablet', preset: 'iPad Pro' } or
+  // { name: '4k', viewport: { width: 3840, height: 2160, deviceScaleFactor: 1 } }
+  devices: null,
+
   // Audit settings
   audit: {
     navigationTimeout: 30000,
     pageLoadDelay: 2000,
     popupDetectionDelay: 5000,
     maxProductPages: 3,
-    delayBetweenAudits: 2000
+    maxConcurrent: 1, // Number of sites audited in parallel
+    checks: null, // null runs every check, or list e.g. ['seo', 'performance']
+    delayBetweenAudits: 2000, // Applied between audits of the same host
+    // Failed audits are retried when the failure looks transient. Kinds are
+    // 'dns', 'timeout', 'tls', 'connection', 'bot-wall', 'browser' and 'other'
+    retry: {
+      attempts: 2, // Retries after the first attempt; 0 turns retrying off
+      delay: 5000, // ms before the first retry
+      backoff: 2, // Each retry waits this many times longer than the last
+      maxDelay: 60000, // ms; longest wait between attempts
+      on: ['timeout', 'connection', 'browser', 'bot-wall'] // DNS and TLS failures rarely fix themselves
+    }
+  },
+
+  // Site crawl: pages found here get the automated checks, and product
+  // pages found here are preferred over homepage links
+  crawl: {
+    enabled: true,
+    maxPages: 10, // Page budget per site
+    maxDepth: 2, // Link hops from the homepage
+    useSitemap: true, // Seed from sitemap.xml / robots.txt Sitemap lines
+    maxSitemapUrls: 500,
+    respectRobots: true, // Honor Disallow rules and Crawl-delay
+    requestTimeout: 15000,
+    exclude: [] // Regular expressions for URLs to skip, e.g. ['/account', '\\?page=']
+  },
+
+  // Accessibility rules
+  accessibility: {
+    maxFindingsPerRule: 20, // Elements reported per rule and page
+    minTapTargetSize: 24, // px, WCAG 2.5.8; checked on touch devices only
+    contrastSampleLimit: 1000 // Text elements checked for contrast per page
   },
 
-  // Screenshot settings - CLEAN VERSION (no quality setting)
+  // Screenshot settings
   screenshot: {
-    fullPage: true
-    // PNG format is default and doesn't support quality
-    // For JPEG with quality: { format: 'jpeg', quality: 85, fullPage: true }
+    fullPage: true,
+    format: 'png' // 'png', 'jpeg' or 'webp'; quality (0-100) applies to jpeg/webp only
+  },
+
+  // Annotated screenshots: elements that issues point at (missing alt text,
+  // low contrast, a second H1, popups) outlined with numbered markers
+  annotations: {
+    enabled: true,
+    maxPerPage: 10, // Issues per page that get a marker, most severe first
+    closeUps: true, // Also save a cropped close-up of each element
+    color: '#e0115f' // Outline and marker colour
   },
 
   // Performance thresholds
   performance: {
     slowLoadTime: 3000, // ms
     maxImageCount: 50,
-    maxScriptCount: 20
+    maxScriptCount: 20,
+    webVitals: true, // Measure LCP, CLS, FCP, TBT/INP and TTFB on each device
+    settleTime: 3000, // ms to keep observing after load for late LCP/layout shifts
+    // Throttling per device name ('default' covers unlisted devices). network is
+    // a preset ('Slow 3G', 'Fast 3G', 'Slow 4G', '4G', 'Cable'), null for none,
+    // or { downloadKbps, uploadKbps, latencyMs }; cpu is a slowdown multiplier
+    throttling: {
+      desktop: { network: null, cpu: 1 },
+      mobile: { network: 'Slow 4G', cpu: 4 }
+    }
+  },
+
+  // SEO checks (the 'seo' check)
+  seo: {
+    titleLength: { min: 30, max: 60 }, // characters
+    descriptionLength: { min: 70, max: 160 }, // characters
+    minWordCount: 300, // Below this a page is flagged as thin content
+    thinContentPageTypes: ['home', 'product', 'collection', 'blog', 'other']
+  },
+
+  // Structured data validation (the 'structured-data' check)
+  structuredData: {
+    priceTolerance: 0.01 // Largest difference between schema and on-page price that still counts as a match
+  },
+
+  // Link checking (the 'links' check)
+  links: {
+    concurrency: 8, // Requests in flight across all audits
+    timeout: 10000, // ms per request
+    maxLinks: 500, // Unique URLs checked per site; internal links go first
+    checkExternal: true
+  },
+
+  // Network waterfall and page weight (the 'network' check)
+  network: {
+    har: true, // Write a HAR file per checked page to <output>/har/
+    uncompressedMinBytes: 1024, // Flag text responses at least this big served without compression
+    oversizedImageRatio: 1.5, // Flag images this many times larger than their rendered size
+    oversizedImageMinBytes: 10240, // ...but only when the download is at least this big
+    maxFindingsPerType: 20 // Findings reported per problem type and page
+  },
+
+  // Third-party tool inventory (the 'third-party' check). Vendors are recognized
+  // from config/thirdParties.json; signatureFiles adds or overrides vendors
+  thirdParty: {
+    signatureFiles: [], // Extra JSON files in the same format, relative to the working directory
+    maxMainThreadMs: 250, // Flag vendors whose scripts block the main thread this long
+    maxBytes: 512000 // Flag vendors downloading this many bytes across checked pages
+  },
+
+  // Shopify stores (the 'shopify' check): theme, apps and catalogue from the
+  // public /products.json, /collections.json and /cart.js endpoints
+  shopify: {
+    maxCatalogPages: 4, // Pages of 250 products fetched from /products.json
+    minDescriptionLength: 50, // Characters of text below which a description counts as missing
+    maxOutOfStockRatio: 0.25 // Flag catalogues with a larger share of sold-out products
+  },
+
+  // Visual regression (the 'visual' check): diffs each screenshot against the
+  // same page in the previous run or in a pinned baseline
+  visualRegression: {
+    enabled: false,
+    compareTo: 'previous', // 'previous' run of the site, or the pinned 'baseline'
+    baselineDir: null, // Pinned baselines, one folder per site; defaults to <output.baseDir>/baselines
+    updateBaseline: false, // Pin this run's screenshots as the new baseline
+    threshold: 0.05, // Share of changed pixels that raises an issue
+    pixelTolerance: 0.1 // Per-channel difference (0-1) ignored as compression or anti-aliasing noise
+  },
+
+  // Popup testing (the 'popups' check): when the popup appears, how it
+  // closes and how much of a phone screen it covers
+  popups: {
+    maxMobileCoverage: 0.3, // Share of the mobile viewport; larger popups are reported as intrusive
+    testDismissal: true, // Try Escape, an overlay click and the close button (reloads the homepage)
+    dismissBeforeScreenshots: true // Close popups before every page screenshot
+  },
+
+  // Purchase funnel walkthrough (the 'funnel' check): product page, variant,
+  // add to cart, cart and checkout entry. Nothing is submitted at checkout
+  funnel: {
+    maxStepTime: 5000, // ms; slower steps are reported
+    stepTimeout: 15000, // ms to wait for the cart to update or checkout to load
+    // CSS selectors (and cart path) for themes the built-in detection misses
+    selectors: {
+      addToCart: null,
+      cartCount: null,
+      cartDrawer: null,
+      checkout: null,
+      cartUrl: null // e.g. '/basket'
+    }
+  },
+
+  // Scoring: each rule that fired deducts its severity weight from its category's
+  // 100 points, growing with repeats up to 3x. The overall score is the
+  // weighted average of the categories whose checks ran
+  scoring: {
+    severityWeights: { critical: 25, serious: 10, moderate: 4, minor: 1 },
+    categoryWeights: { seo: 1, performance: 1, accessibility: 1, security: 1, links: 1, 'structured-data': 1, visual: 1, conversion: 1, custom: 1 },
+    ruleWeights: {} // Per rule ID multipliers, e.g. { 'seo.og-missing': 0 } to stop it counting
+  },
+
+  // Plugins with custom checks, lifecycle hooks and report sections (the
+  // 'plugins' check). See the README for the plugin interface
+  plugins: {
+    directory: null, // Load every .js file and package folder in this directory
+    packages: [], // npm package names, resolved from the working directory
+    options: {} // Options per plugin name, passed to its checks and hooks
+  },
+
+  // Audit history: every run's scores, metrics and issue IDs are appended
+  // to a JSONL file that --trends reads
+  history: {
+    enabled: true,
+    file: null // Defaults to <output.baseDir>/history.jsonl
+  },
+
+  // Look of the HTML reports
+  report: {
+    theme: 'light', // light or dark
+    branding: {
+      name: null, // Agency name shown above the report title
+      logo: null, // Image file (inlined into the report) or URL (inlined in the standalone and pdf formats)
+      url: null, // Where the name and logo link to
+      primaryColor: null, // Accent colour for headings, links and the header, e.g. '#0a7d5a'
+      footer: null // Text at the bottom of the report, e.g. contact details
+    },
+    // The standalone and pdf formats: screenshots are inlined, scaled down
+    // and re-encoded as JPEG
+    standalone: {
+      maxImageWidth: 1200, // Screenshots are scaled down to this width...
+      imageQuality: 0.7 // ...and re-encoded as JPEG at this quality (0-1)
+    },
+    // The pdf format: a client deliverable printed by the browser
+    pdf: {
+      format: 'A4', // A3, A4, A5, Letter, Legal or Tabloid
+      landscape: false,
+      margin: '20mm', // CSS length on every side
+      sections: ['cover', 'summary', 'findings', 'appendix'], // Which to include, in this order
+      minSeverity: 'minor', // Leave out findings less severe than this
+      maxIssuesPerCategory: 20, // The rest are counted, with a pointer to the HTML report
+      screenshotsPerCategory: 2 // Screenshots of the pages with the most findings
+    }
   },
 
   // Output settings
   output: {
     baseDir: './audits',
-    includeRawData: true,
-    generateHTML: true
+    formats: ['html', 'json', 'dashboard'], // Any of html, standalone, pdf, json, markdown (per site) and dashboard, csv, junit, sarif (whole run)
+    includeRawData: true, // Check details beyond scores, issues and pages in audit_data.json
+    generateHTML: true, // false skips the HTML report even when formats lists it
+    failOn: null // Severity ('critical', 'serious', ...) at which the run exits non-zero and JUnit cases fail (those default to serious)
   }
 };
\ No newline at end of file
@@ -1,23 +1,76 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { PagePool, HostThrottle } = require('./utils/pagePool');
+const { AuditError, classifyError, detectBotWall, retryDelay } = require('./utils/failures');
+const { SiteCrawler } = require('./crawler/siteCrawler');
+const { canonicalizeUrl, pageSlug } = require('./crawler/pageTypes');
+const { runAccessibilityAudit, runTapTargetAudit } = require('./checks/accessibility');
+const { measureWebVitals, WEB_VITAL_THRESHOLDS } = require('./checks/performance');
+const { NetworkRecorder, collectRenderData, analyzeNetwork, networkIssues, toHar, formatBytes } = require('./checks/network');
+const { runSeoAudit, summarizeSeo } = require('./checks/seo');
+const { runStructuredDataAudit } = require('./checks/structuredData');
+const { LinkChecker, collectPageReferences, checkPageLinks, linkIssues } = require('./checks/links');
+const { loadSignatures, detectThirdParties, attributeThirdParties } = require('./checks/thirdParty');
+const { createIssue } = require('./checks/rules');
+const { scoreAudit, sortIssues } = require('./checks/scoring');
+const { runFunnel, funnelIssues, FUNNEL_STEPS } = require('./checks/funnel');
+const { collectShopifyStorefront, analyzeShopifyStore, shopifyIssues } = require('./checks/shopify');
+const { resolveBaseline, compareWithBaseline, pinBaseline, visualIssues } = require('./checks/visual');
+const { watchForPopups, observePopups, testPopup, resetSiteState, dismissPopups, popupIssues } = require('./checks/popups');
+const { annotatePage, saveAnnotation } = require('./checks/annotations');
+const { PluginManager } = require('./plugins/pluginManager');
+const { HistoryStore, historyFile } = require('./history/historyStore');
+const { REPORT_FORMATS, writeReports } = require('./reporters/reporters');
+
+// Names accepted by audit.checks (and the --only CLI option)
+const AUDIT_CHECKS = ['seo', 'accessibility', 'security', 'performance', 'popups', 'ecommerce', 'mobile', 'network', 'third-party', 'structured-data', 'links', 'funnel', 'shopify', 'visual', 'plugins'];
+
+
+// Fallbacks for when settings don't provide their own
+const DEFAULT_RETRY_ON = ['timeout', 'connection', 'browser', 'bot-wall'];
+const DEFAULT_VIEWPORT = { width: 1920, height: 1080 };
+const MOBILE_VIEWPORT = { width: 375, height: 667 };
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const MOBILE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+// Names a site's output folders and history records: shop.example.com
+// becomes shop_example_com. Throws for a malformed URL.
+function siteNameFor(url) {
+    return new URL(url).hostname.replace(/\./g, '_');
+}
 
 class WebsiteAuditor {
     constructor(settings = {}) {
         this.browser = null;
-        this.page = null;
+        this.pagePool = null;
+        this.hostThrottle = null;
+        this.tracingQueue = null;
+        this.linkChecker = null;
+        this.thirdPartySignatures = null;
+        this.plugins = null;
+        this.history = null;
         this.settings = settings;
-        this.defaultViewport = { width: 1920, height: 1080 };
-        this.mobileViewport = { width: 375, height: 667 };
+        // Set by stop(); cuts retry waits short
+        this.stopping = false;
+        this.stopController = new AbortController();
     }
 
     async initialize() {
+        // Load plugins first, so a broken one stops the run before the browser starts
+        const plugins = this.getPlugins();
+        if (plugins.names.length > 0) {
+            console.log(`🔌 Loaded ${plugins.names.length} plugin(s): ${plugins.names.join(', ')}`);
+        }
+
         console.log('🚀 Launching browser...');
         const puppeteer = require('puppeteer');
         
-        const browserSettings = this.settings.browser || {
-            headless: false,
-            defaultViewport: this.defaultViewport,
-            args: [
+        const browser = this.settings.browser || {};
+        const browserSettings = {
+            headless: browser.headless ?? false,
+            defaultViewport: browser.defaultViewport || DEFAULT_VIEWPORT,
+            args: browser.args || [
                 '--no-sandbox',
                 '--disable-setuid-sandbox',
                 '--disable-dev-shm-usage',
@@ -29,132 +82,974 @@ class WebsiteAuditor {
         };
 
         this.browser = await puppeteer.launch(browserSettings);
-        this.page = await this.browser.newPage();
-        
-        // Set user agent to avoid bot detection
-        await this.page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        
+
+        const maxConcurrent = this.settings.audit?.maxConcurrent || 1;
+        this.pagePool = new PagePool(this.browser, { size: maxConcurrent });
+        this.hostThrottle = new HostThrottle(this.settings.audit?.delayBetweenAudits || 0);
+        // Chrome allows one trace per browser, so traced loads take turns
+        this.tracingQueue = new HostThrottle(0);
+        // One checker for the run, so links shared between sites are checked once
+        this.linkChecker = new LinkChecker({
+            concurrency: this.settings.links?.concurrency,
+            timeout: this.settings.links?.timeout,
+            userAgent: this.settings.browser?.userAgent || DEFAULT_USER_AGENT
+        });
+        console.log(`⚙️ Running up to ${maxConcurrent} audit(s) in parallel`);
+    }
+
+    isCheckEnabled(check) {
+        const checks = this.settings.audit?.checks;
+        return !Array.isArray(checks) || checks.includes(check);
+    }
+
+    get outputBaseDir() {
+        return this.settings.output?.baseDir || './audits';
+    }
+
+    get baselineDir() {
+        return this.settings.visualRegression?.baselineDir || path.join(this.outputBaseDir, 'baselines');
+    }
+
+    // Visual regression is opt-in: most runs have nothing to compare against
+    isVisualRegressionEnabled() {
+        return this.isCheckEnabled('visual') && !!this.settings.visualRegression?.enabled;
+    }
+
+    get navigationTimeout() {
+        return this.settings.audit?.navigationTimeout ?? 30000;
+    }
+
+    async setupPage(page) {
         // Set timeouts
-        const timeout = this.settings.audit?.navigationTimeout || 30000;
-        this.page.setDefaultNavigationTimeout(timeout);
-        this.page.setDefaultTimeout(timeout);
+        page.setDefaultNavigationTimeout(this.navigationTimeout);
+        page.setDefaultTimeout(this.navigationTimeout);
     }
 
-    async auditWebsite(url) {
+    getPlugins() {
+        if (!this.plugins) {
+            this.plugins = this.isCheckEnabled('plugins') ? PluginManager.load(this.settings.plugins) : new PluginManager();
+        }
+        return this.plugins;
+    }
+
+    // null when history.enabled is off
+    getHistory() {
+        if (this.history === null && this.settings.history?.enabled !== false) {
+            this.history = new HistoryStore(historyFile(this.settings));
+        }
+        return this.history;
+    }
+
+    // A history failure is reported but never fails the audit
+    async recordHistory(result) {
+        const history = this.getHistory();
+        if (!history) return;
+        try {
+            await history.record(result);
+        } catch (error) {
+            console.log(`⚠️ Could not record audit history: ${error.message}`);
+        }
+    }
+
+    async navigate(page, url) {
+        await this.plugins?.emit('beforeNavigation', page, { url });
+        const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: this.navigationTimeout });
+        await this.plugins?.emit('afterLoad', page, { url, response });
+        return response;
+    }
+
+    // Device profiles come from settings.devices; without that list we fall
+    // back to a desktop profile (browser.defaultViewport) and a mobile one
+    // (browser.mobileViewport). The first profile is the primary one: it's
+    // used for detection and metrics and captures product pages by default.
+    getDeviceProfiles() {
+        const browser = this.settings.browser || {};
+        const devices = this.settings.devices || [
+            { name: 'desktop', viewport: browser.defaultViewport || DEFAULT_VIEWPORT },
+            {
+                name: 'mobile',
+                viewport: { ...(browser.mobileViewport || MOBILE_VIEWPORT), isMobile: true, hasTouch: true },
+                userAgent: MOBILE_USER_AGENT
+            }
+        ];
+
+        const names = devices.map(device => device.name);
+        const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+        if (duplicate) {
+            throw new Error(`Device name "${duplicate}" is used more than once`);
+        }
+
+        return devices.map((device, index) => {
+            let preset = {};
+            if (device.preset) {
+                const { KnownDevices } = require('puppeteer');
+                preset = KnownDevices[device.preset];
+                if (!preset) {
+                    throw new Error(`Unknown preset "${device.preset}" for device "${device.name}"`);
+                }
+            }
+
+            const viewport = { ...preset.viewport, ...device.viewport };
+            if (!viewport.width || !viewport.height) {
+                throw new Error(`Device "${device.name}" needs a viewport with width and height, or a preset`);
+            }
+
+            return {
+                name: device.name,
+                viewport,
+                // Set user agent to avoid bot detection
+                userAgent: device.userAgent || preset.userAgent ||
+                    (viewport.isMobile ? MOBILE_USER_AGENT : browser.userAgent || DEFAULT_USER_AGENT),
+                pages: device.pages || (index === 0 ? 'all' : 'homepage')
+            };
+        });
+    }
+
+    async emulateDevice(page, device) {
+        await page.emulate({ viewport: device.viewport, userAgent: device.userAgent });
+    }
+
+    // Returns an auditor sharing this one's browser and pools but using the
+    // given settings, so a single site can have its own timeouts or viewports.
+    // Plugins and third-party signatures are loaded once for the run unless
+    // the site changes where they come from.
+    forSite(settings) {
+        const siteAuditor = new WebsiteAuditor(settings);
+        siteAuditor.browser = this.browser;
+        siteAuditor.pagePool = this.pagePool;
+        siteAuditor.hostThrottle = this.hostThrottle;
+        siteAuditor.tracingQueue = this.tracingQueue;
+        siteAuditor.linkChecker = this.linkChecker;
+        siteAuditor.history = this.getHistory();
+
+        const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+        if (siteAuditor.isCheckEnabled('plugins') && this.isCheckEnabled('plugins') &&
+            same(settings.plugins?.directory, this.settings.plugins?.directory) &&
+            same(settings.plugins?.packages, this.settings.plugins?.packages)) {
+            const plugins = this.getPlugins();
+            siteAuditor.plugins = same(settings.plugins?.options, this.settings.plugins?.options)
+                ? plugins
+                : new PluginManager(plugins.plugins, settings.plugins?.options || {});
+        }
+        if (same(settings.thirdParty?.signatureFiles, this.settings.thirdParty?.signatureFiles)) {
+            siteAuditor.thirdPartySignatures = this.getThirdPartySignatures();
+        }
+        return siteAuditor;
+    }
+
+    // Accepts URL strings or { url, name, tags, settings } site entries. A
+    // run manifest, when given, is checkpointed as each site starts and ends.
+    async auditWebsites(sites, { manifest = null } = {}) {
+        // Every site is queued at once; the page pool caps how many run together
+        // and the host throttle spaces out repeat visits to the same host.
+        return Promise.all(sites.map(site => {
+            const url = typeof site === 'string' ? site : site.url;
+            let host;
+            try {
+                host = new URL(url).hostname;
+            } catch (error) {
+                return this.auditWebsite(site, { manifest });
+            }
+            return this.hostThrottle.schedule(host, () => this.auditWebsite(site, { manifest }));
+        }));
+    }
+
+    // Failures of a kind in audit.retry.on are retried up to audit.retry.attempts
+    // times, waiting longer before each retry. After stop() nothing new starts
+    // and the site comes back marked as interrupted.
+    async auditWebsite(site, { manifest = null } = {}) {
+        const { url, name = null, tags = [], settings } = typeof site === 'string' ? { url: site } : site;
+        const auditor = settings ? this.forSite(settings) : this;
+        const retry = auditor.settings.audit?.retry || {};
+        const retryOn = retry.on || DEFAULT_RETRY_ON;
+        const attempts = 1 + (retry.attempts ?? 0);
+
+        let result = null;
+        for (let attempt = 1; attempt <= attempts && !this.stopping; attempt++) {
+            if (attempt > 1) {
+                const wait = retryDelay(attempt - 1, retry);
+                console.log(`🔁 Retrying ${url} in ${wait / 1000}s after a ${result.errorKind} failure (attempt ${attempt} of ${attempts})`);
+                await sleep(wait, null, { signal: this.stopController.signal }).catch(() => {});
+                if (this.stopping) break;
+            }
+
+            result = await this.attemptAudit(auditor, url, { name, tags, manifest });
+            if (result.success !== false || this.stopping || !retryOn.includes(result.errorKind)) break;
+        }
+
+        if (this.stopping && (!result || result.success === false)) {
+            result = { ...this.failedResult(url, { name, tags }, 'Interrupted before the audit finished'), interrupted: true };
+        } else if (result.success === false) {
+            await auditor.recordHistory(result);
+        }
+        await manifest?.finish(url, result).catch(error => console.log(`⚠️ Could not update the run manifest: ${error.message}`));
+        return result;
+    }
+
+    async attemptAudit(auditor, url, { name, tags, manifest }) {
+        try {
+            return await this.pagePool.use(async page => {
+                await manifest?.start(url).catch(error => console.log(`⚠️ Could not update the run manifest: ${error.message}`));
+                return auditor.runAudit(url, page, { name, tags });
+            });
+        } catch (error) {
+            if (!this.stopping) console.error(`❌ Could not open a page for ${url}:`, error.message);
+            return this.failedResult(url, { name, tags }, error);
+        }
+    }
+
+    failedResult(url, { name = null, tags = [] } = {}, error) {
+        let siteName = url;
+        try {
+            siteName = siteNameFor(url);
+        } catch (parseError) {
+            // Keep the URL as given
+        }
+        return {
+            url,
+            siteName,
+            name,
+            tags,
+            timestamp: new Date().toISOString(),
+            error: error.message || String(error),
+            errorKind: typeof error === 'string' ? null : classifyError(error),
+            success: false
+        };
+    }
+
+    // Graceful shutdown: queued sites don't start, retries stop waiting and
+    // closing the browser ends the audits in progress
+    async stop() {
+        if (this.stopping) return;
+        this.stopping = true;
+        this.stopController.abort();
+        this.hostThrottle?.close();
+        if (this.pagePool) await this.pagePool.close();
+        if (this.browser) await this.browser.close().catch(() => {});
+    }
+
+    async runAudit(url, page, { name = null, tags = [] } = {}) {
         console.log(`\n📊 Starting audit for: ${url}`);
         
-        // Extract siteName at the top for error handling
-        const siteName = new URL(url).hostname.replace(/\./g, '_');
+        let siteName = url;
         const timestamp = Date.now();
+        let tempOutputDir = null;
+        let finalOutputDir = null;
         
         try {
-            // Reset to desktop viewport at start of each audit
-            await this.page.setViewport(this.defaultViewport);
+            await this.setupPage(page);
+
+            // Fails here for a malformed URL, before anything is written
+            siteName = siteNameFor(url);
+
+            // Start every audit on the primary device profile
+            const devices = this.getDeviceProfiles();
+            const [primaryDevice] = devices;
+            await this.emulateDevice(page, primaryDevice);
             
             // Create temporary output directory
-            const tempOutputDir = `./audits/temp_${siteName}_${timestamp}`;
+            tempOutputDir = path.join(this.outputBaseDir, `temp_${siteName}_${timestamp}`);
             await fs.mkdir(tempOutputDir, { recursive: true });
 
             const auditData = {
                 url,
                 siteName,
+                name,
+                tags,
                 timestamp: new Date().toISOString(),
+                devices: devices.map(device => device.name),
                 pages: [],
                 metrics: {},
                 issues: [],
                 popups: null,
                 classification: null
             };
+            this.getPlugins().begin(page, auditData);
+
+            // The popup observer has to be in place before the homepage's own
+            // scripts run to see when (and why) a popup opens
+            const popupWatcher = this.isCheckEnabled('popups') ? await watchForPopups(page) : null;
 
             // Navigate to main page
-            console.log('🏠 Capturing homepage...');
-            await this.page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+            console.log(`🏠 Capturing homepage (${url})...`);
+            const homepageResponse = await this.navigate(page, url);
+            const botWall = await detectBotWall(page, homepageResponse);
+            if (botWall) {
+                throw new AuditError(`Blocked by a bot wall (${botWall})`, 'bot-wall');
+            }
+            // Where the homepage settles after redirects is the site's canonical origin
+            auditData.finalUrl = page.url();
             
             // Check if it's a Shopify store
-            const isShopify = await this.detectShopify();
+            const isShopify = await this.detectShopify(page);
             auditData.isShopify = isShopify;
 
+            // Theme, apps and catalogue from the storefront's public endpoints
+            if (isShopify && this.isCheckEnabled('shopify')) {
+                auditData.shopify = await this.analyzeShopify(page, auditData.finalUrl);
+            }
+
             // Detect popups and email platforms FIRST (before any other captures)
-            console.log('🔍 Checking for popups and email platforms...');
-            const popupData = await this.detectPopupsAndEmailPlatforms();
+            let popupFolder = 'popups_not_checked';
+            let popupData = null;
+            if (this.isCheckEnabled('popups')) {
+                console.log('🔍 Checking for popups and email platforms...');
+                popupData = await this.detectPopupsAndEmailPlatforms(page, url, devices);
+                popupFolder = popupData.hasPopup ? 'popup_detected' : 'no_popup';
+                await page.removeScriptToEvaluateOnNewDocument(popupWatcher).catch(() => {});
+            }
             auditData.popups = popupData;
 
+            // Vendors that leave globals or tags on the homepage; their cost is
+            // attributed once the network and trace data are in
+            let thirdPartyDetections = [];
+            if (this.isCheckEnabled('third-party')) {
+                console.log('🧩 Detecting third-party tools...');
+                thirdPartyDetections = await detectThirdParties(page, this.getThirdPartySignatures()).catch(() => []);
+            }
+
             // Determine classification and create final output directory
-            const popupFolder = popupData.hasPopup ? 'popup_detected' : 'no_popup';
-            const finalOutputDir = `./audits/${popupFolder}/${siteName}_${timestamp}`;
+            finalOutputDir = path.join(this.outputBaseDir, popupFolder, `${siteName}_${timestamp}`);
             await fs.mkdir(finalOutputDir, { recursive: true });
             auditData.classification = popupFolder;
             auditData.outputDirectory = finalOutputDir;
+            if (popupData?.screenshots || popupData?.annotation) {
+                await this.savePopupScreenshots(popupData, finalOutputDir);
+            }
 
-            // Capture homepage (desktop view)
-            console.log('🖥️ Capturing desktop homepage...');
-            const homepageData = await this.capturePage('homepage_desktop', finalOutputDir);
-            auditData.pages.push(homepageData);
+            let productLinks = [];
+            const deviceIssues = [];
+            const structuredDataPages = [];
+            for (const [index, device] of devices.entries()) {
+                // The page belongs to this audit alone, so switching devices
+                // can't affect audits running alongside
+                if (index > 0) {
+                    if (!this.isCheckEnabled('mobile')) break;
+                    console.log(`📱 Switching to ${device.name} view...`);
+                    await this.emulateDevice(page, device);
+                    await this.navigate(page, url);
+                }
 
-            // Get performance metrics
-            const performanceMetrics = await this.getPerformanceMetrics();
-            auditData.metrics.performance = performanceMetrics;
+                console.log(`🖥️ Capturing ${device.name} homepage...`);
+                const homepageData = await this.capturePage(page, `homepage_${device.name}`, finalOutputDir);
+                auditData.pages.push({ ...homepageData, device: device.name });
 
-            // Find and capture product pages (for e-commerce)
-            if (isShopify || await this.detectEcommerce()) {
-                console.log('🛍️ E-commerce detected, finding product pages...');
-                const productLinks = await this.findProductPages();
-                
-                // Capture up to 3 product pages (desktop)
-                for (let i = 0; i < Math.min(3, productLinks.length); i++) {
-                    const productUrl = productLinks[i];
-                    console.log(`📦 Capturing product page: ${productUrl}`);
-                    
-                    await this.page.goto(productUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-                    const productData = await this.capturePage(`product_${i + 1}_desktop`, finalOutputDir);
-                    auditData.pages.push(productData);
+                if (device.viewport.hasTouch && this.isCheckEnabled('accessibility')) {
+                    const tapTargetIssues = await this.runTapTargetChecks(page);
+                    deviceIssues.push(...tapTargetIssues.map(issue => ({ ...issue, url, device: device.name })));
                 }
+
+                if (index === 0) {
+                    // Get performance metrics
+                    if (this.isCheckEnabled('performance')) {
+                        const performanceMetrics = await this.getPerformanceMetrics(page);
+                        auditData.metrics.performance = performanceMetrics;
+                    }
+
+                    // Discover the rest of the site
+                    if (this.settings.crawl?.enabled) {
+                        auditData.crawl = await this.crawlSite(page, url, primaryDevice);
+                    }
+
+                    // Find product pages (for e-commerce), preferring a sample of the
+                    // Shopify catalogue, then pages the crawl classified
+                    const wantsProducts = this.isCheckEnabled('ecommerce') || this.isCheckEnabled('funnel');
+                    if (wantsProducts && (isShopify || await this.detectEcommerce(page))) {
+                        console.log('🛍️ E-commerce detected, finding product pages...');
+                        const crawledProducts = (auditData.crawl?.pages || [])
+                            .filter(crawledPage => crawledPage.type === 'product')
+                            .map(crawledPage => crawledPage.url);
+                        const catalogProducts = (auditData.shopify?.sampledProducts || [])
+                            .filter(product => product.status === 200)
+                            .map(product => product.url);
+                        if (catalogProducts.length > 0) {
+                            productLinks = catalogProducts;
+                        } else {
+                            productLinks = crawledProducts.length > 0 ? crawledProducts : await this.findProductPages(page);
+                        }
+                    }
+                }
+
+                // Core Web Vitals under this device's throttling profile
+                if (this.isCheckEnabled('performance') && this.settings.performance?.webVitals !== false) {
+                    console.log(`⏱️ Measuring Core Web Vitals (${device.name})...`);
+                    const vitals = await this.measureVitals(page, url, device);
+                    auditData.metrics.webVitals = { ...auditData.metrics.webVitals, [device.name]: vitals };
+                    deviceIssues.push(...this.webVitalsIssues(vitals).map(issue => ({ ...issue, url, device: device.name })));
+                }
+
+                if (device.pages === 'all' && productLinks.length > 0 && this.isCheckEnabled('ecommerce')) {
+                    // Product schema is validated once, on the primary device
+                    const productPages = await this.captureProductPages(page, productLinks, device, finalOutputDir, {
+                        structuredDataPages: index === 0 && this.isCheckEnabled('structured-data') ? structuredDataPages : null
+                    });
+                    auditData.pages.push(...productPages);
+                }
+            }
+
+            // Run automated checks on every crawled page (or just the homepage)
+            await this.emulateDevice(page, primaryDevice);
+            const pagesToCheck = auditData.crawl?.pages.length > 0 ? auditData.crawl.pages : [{ url, type: 'home' }];
+            const networkPages = [];
+            const seoPages = [];
+            const linkPages = [];
+            auditData.issues = await this.runChecksOnPages(page, pagesToCheck, {
+                crawlDelay: auditData.crawl?.crawlDelay || 0,
+                outputDir: finalOutputDir,
+                networkPages,
+                seoPages,
+                structuredDataPages,
+                linkPages
+            });
+            if (this.isCheckEnabled('network')) {
+                auditData.network = { pages: networkPages };
+            }
+            if (this.isCheckEnabled('seo')) {
+                auditData.seo = this.summarizeSeo(seoPages, auditData.crawl);
+                auditData.issues.push(...auditData.seo.summary.siteFindings.map(finding => this.seoIssue(finding)));
+            }
+            auditData.issues.push(...deviceIssues);
+            if (popupData?.hasPopup) {
+                auditData.issues.push(...popupIssues(popupData, this.settings.popups).map(issue => ({ ...issue, url })));
+            }
+            if (auditData.shopify) {
+                auditData.issues.push(...shopifyIssues(auditData.shopify, this.settings.shopify).map(issue => ({ ...issue, url })));
             }
 
-            // Switch to mobile view and capture
-            console.log('📱 Switching to mobile view...');
-            await this.page.setViewport(this.mobileViewport);
-            await this.page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-            const mobileData = await this.capturePage('homepage_mobile', finalOutputDir);
-            auditData.pages.push(mobileData);
+            // Runs after the page checks, so the item it adds to the cart
+            // doesn't show up in them
+            if (this.isCheckEnabled('funnel') && productLinks.length > 0) {
+                auditData.funnel = await this.walkFunnel(page, productLinks, finalOutputDir, isShopify);
+                auditData.issues.push(...funnelIssues(auditData.funnel, this.settings.funnel));
+            }
 
-            // Reset to desktop view for next audit
-            console.log('🖥️ Resetting to desktop view...');
-            await this.page.setViewport(this.defaultViewport);
+            if (this.isCheckEnabled('links')) {
+                auditData.links = await this.checkLinks(linkPages, auditData.finalUrl);
+                auditData.issues.push(...linkIssues(auditData.links));
+            }
 
-            // Run automated checks
-            auditData.issues = await this.runAutomatedChecks();
+            if (this.isCheckEnabled('structured-data')) {
+                auditData.structuredData = this.summarizeStructuredData(structuredDataPages);
+                auditData.issues.push(...this.structuredDataIssues(structuredDataPages));
+            }
+
+            if (this.isCheckEnabled('third-party')) {
+                auditData.thirdParties = this.attributeThirdParties(url, thirdPartyDetections, networkPages, auditData.metrics.webVitals?.[primaryDevice.name]);
+                auditData.issues.push(...this.thirdPartyIssues(auditData.thirdParties).map(issue => ({ ...issue, url })));
+            }
+
+            if (this.isVisualRegressionEnabled()) {
+                auditData.visual = await this.compareScreenshots(page, auditData, finalOutputDir, timestamp);
+                if (auditData.visual) {
+                    auditData.issues.push(...visualIssues(auditData.visual, this.settings.visualRegression));
+                }
+            }
+            if (this.settings.visualRegression?.updateBaseline) {
+                const pinned = await pinBaseline(auditData.pages, { baselineDir: this.baselineDir, siteName, url });
+                console.log(`📌 Pinned ${pinned.pages} screenshot(s) as the baseline in ${pinned.directory}`);
+            }
+
+            await this.plugins.emit('afterAudit', page, { url, outputDir: finalOutputDir });
+            auditData.issues.push(...this.plugins.end(page));
+
+            // Most severe first, then turn the findings into category scores
+            auditData.issues = sortIssues(auditData.issues);
+            auditData.scores = this.scoreIssues(auditData.issues);
 
             // Generate audit report
             await this.generateReport(auditData, finalOutputDir);
 
             // Clean up temp directory (more robust cleanup)
             await this.cleanupSingleTempDirectory(tempOutputDir);
+            await this.recordHistory(auditData);
 
             console.log(`✅ Audit complete! Results saved to: ${finalOutputDir}`);
-            if (popupData.hasPopup) {
+            if (auditData.scores.overall !== null) {
+                console.log(`📊 Overall score: ${auditData.scores.overall}/100`);
+            }
+            if (popupData?.hasPopup) {
                 console.log(`📧 Popup detected: ${popupData.popupType} (Platform: ${popupData.emailPlatform || 'Unknown'})`);
             }
             
             return auditData;
 
         } catch (error) {
-            console.error('❌ Error during audit:', error.message);
+            console.error(`❌ Error during audit of ${url}:`, error.message);
+            this.plugins?.end(page);
             
             // Try to clean up temp directory if it exists
-            await this.cleanupSingleTempDirectory(tempOutputDir);
+            if (tempOutputDir) {
+                await this.cleanupSingleTempDirectory(tempOutputDir);
+            }
+            // A half-written site folder would look like a finished audit; a
+            // retry or resume writes a new one
+            if (finalOutputDir) {
+                await fs.rm(finalOutputDir, { recursive: true, force: true }).catch(() => {});
+            }
             
             // Return error info instead of throwing (so other audits can continue)
-            return {
-                url,
-                siteName,
-                timestamp: new Date().toISOString(),
-                error: error.message,
-                success: false
-            };
+            return this.failedResult(url, { name, tags }, error);
+        }
+    }
+
+    async crawlSite(page, url, device) {
+        console.log('🕸️ Crawling site...');
+        const seedLinks = await page.$$eval('a[href]', links => links.map(link => link.href)).catch(() => []);
+        const crawler = new SiteCrawler(this.settings.crawl, { userAgent: device.userAgent });
+        const crawl = await crawler.crawl(url, { seedLinks });
+
+        const counts = {};
+        crawl.pages.forEach(crawledPage => {
+            counts[crawledPage.type] = (counts[crawledPage.type] || 0) + 1;
+        });
+        crawl.pageTypeCounts = counts;
+
+        const summary = Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ');
+        console.log(`🕸️ Crawled ${crawl.pages.length} page(s)${summary ? ` (${summary})` : ''}, ${crawl.disallowed.length} blocked by robots.txt`);
+        return crawl;
+    }
+
+    async measureVitals(page, url, device) {
+        const performanceSettings = this.settings.performance || {};
+        const throttling = performanceSettings.throttling || {};
+        try {
+            return await measureWebVitals(page, url, {
+                throttling: throttling[device.name] || throttling.default || {},
+                settleTime: performanceSettings.settleTime ?? 3000,
+                navigate: (targetPage, targetUrl) => this.navigate(targetPage, targetUrl),
+                withTracing: task => this.tracingQueue.schedule('tracing', task)
+            });
+        } catch (error) {
+            console.log(`⚠️ Could not measure Core Web Vitals: ${error.message}`);
+            return { error: error.message };
+        }
+    }
+
+    webVitalsIssues(vitals) {
+        const issues = [];
+        if (!vitals.ratings) return issues;
+
+        for (const [metric, rating] of Object.entries(vitals.ratings)) {
+            if (!rating || rating === 'good') continue;
+            const { label, unit } = WEB_VITAL_THRESHOLDS[metric];
+            const lcpElement = metric === 'lcp' && vitals.lcpElement?.selector ? ` (LCP element: ${vitals.lcpElement.selector})` : '';
+            issues.push(createIssue(`performance.${metric}`, {
+                message: `${label} is ${vitals[metric]}${unit}, ${rating === 'poor' ? 'poor' : 'needs improvement'}${lcpElement}`,
+                severity: rating === 'poor' ? 'serious' : 'moderate',
+                selector: metric === 'lcp' ? vitals.lcpElement?.selector : null,
+                metric,
+                rating
+            }));
+        }
+
+        // Name the scripts responsible for most of the main-thread blocking
+        for (const script of (vitals.scriptAttribution || []).slice(0, 3)) {
+            if (script.ms < 100) continue;
+            issues.push(createIssue('performance.long-task-script', {
+                message: `Script ran ${script.ms}ms inside ${script.tasks} long task(s): ${script.url}`,
+                severity: script.ms >= 500 ? 'serious' : 'moderate',
+                resource: script.url,
+                metric: 'long-tasks'
+            }));
+        }
+
+        return issues;
+    }
+
+    // Per-page network, SEO, structured data and link results are appended to
+    // `networkPages`, `seoPages`, `structuredDataPages` and `linkPages` when given
+    async runChecksOnPages(page, pagesToCheck, { crawlDelay = 0, outputDir = null, networkPages = [], seoPages = [], structuredDataPages = [], linkPages = [] } = {}) {
+        const issues = [];
+        const recorder = this.isCheckEnabled('network') ? await NetworkRecorder.attach(page) : null;
+
+        try {
+            for (const [index, checkedPage] of pagesToCheck.entries()) {
+                if (index > 0 && crawlDelay > 0) {
+                    await new Promise(resolve => setTimeout(resolve, crawlDelay));
+                }
+
+                recorder?.reset();
+                let response;
+                try {
+                    response = await this.navigate(page, checkedPage.url);
+                } catch (error) {
+                    issues.push(createIssue('error.page-load', { message: `Could not load page for checks: ${error.message}`, url: checkedPage.url }));
+                    continue;
+                }
+
+                const pageIssues = await this.runAutomatedChecks(page);
+                if (this.isCheckEnabled('seo')) {
+                    const seoPage = await this.runSeoChecks(page, checkedPage, response);
+                    if (seoPage) {
+                        seoPages.push(seoPage);
+                        pageIssues.unshift(...seoPage.findings.map(finding => this.seoIssue(finding)));
+                    }
+                }
+                if (this.isCheckEnabled('links')) {
+                    const references = await page.evaluate(collectPageReferences).catch(() => []);
+                    linkPages.push({ url: checkedPage.url, references });
+                }
+                if (this.isCheckEnabled('structured-data') && !this.hasStructuredData(structuredDataPages, checkedPage.url)) {
+                    const structuredDataPage = await this.runStructuredDataChecks(page, checkedPage.url, checkedPage.type);
+                    if (structuredDataPage) structuredDataPages.push(structuredDataPage);
+                }
+                if (recorder) {
+                    const network = await this.runNetworkChecks(page, recorder, checkedPage, outputDir);
+                    pageIssues.push(...network.issues);
+                    if (network.summary) networkPages.push(network.summary);
+                }
+                if (this.isCheckEnabled('plugins')) {
+                    await this.plugins.emit('onPage', page, { url: checkedPage.url, pageType: checkedPage.type });
+                    pageIssues.push(...await this.plugins.runChecks(page, { url: checkedPage.url, pageType: checkedPage.type }));
+                }
+                if (outputDir) {
+                    await this.annotateIssues(page, checkedPage, pageIssues, outputDir);
+                }
+                checkedPage.issueCount = pageIssues.length;
+                issues.push(...pageIssues.map(issue => ({ ...issue, url: checkedPage.url, pageType: checkedPage.type })));
+            }
+        } finally {
+            await recorder?.detach();
+        }
+
+        return issues;
+    }
+
+    // Outlines the elements behind the page's issues on an annotated
+    // screenshot; each issue gets its marker's number, the screenshot and a
+    // close-up of the element
+    async annotateIssues(page, checkedPage, pageIssues, outputDir) {
+        const annotationSettings = this.settings.annotations || {};
+        if (annotationSettings.enabled === false) return;
+        // Most severe first, so they get the low numbers and survive the limit
+        const targets = sortIssues(pageIssues.filter(issue => issue.selector)).slice(0, annotationSettings.maxPerPage ?? 10);
+        if (targets.length === 0) return;
+
+        const screenshotOptions = this.getScreenshotOptions();
+        try {
+            const annotation = await annotatePage(page, targets.map(issue => issue.selector), {
+                screenshotOptions,
+                fullPage: screenshotOptions.fullPage,
+                closeUps: annotationSettings.closeUps !== false,
+                color: annotationSettings.color
+            });
+            if (!annotation) return;
+            const references = await saveAnnotation(annotation, {
+                outputDir,
+                name: pageSlug(checkedPage.url),
+                extension: screenshotOptions.type === 'jpeg' ? 'jpg' : screenshotOptions.type
+            });
+            targets.forEach((issue, index) => {
+                if (references[index]) issue.annotation = references[index];
+            });
+            console.log(`🖍️ Annotated ${new Set(annotation.numbers.filter(Boolean)).size} element(s) on ${checkedPage.url}`);
+        } catch (error) {
+            console.log(`⚠️ Could not annotate ${checkedPage.url}: ${error.message}`);
+        }
+    }
+
+    // Rolls the requests recorded for the current page up into page weight and
+    // findings, and writes them out as a HAR file unless network.har is off
+    async runNetworkChecks(page, recorder, checkedPage, outputDir) {
+        const networkSettings = this.settings.network || {};
+        try {
+            const entries = recorder.getEntries();
+            const renderData = await page.evaluate(collectRenderData);
+            const analysis = analyzeNetwork(entries, checkedPage.url, renderData, networkSettings);
+            const summary = { url: checkedPage.url, pageType: checkedPage.type, ...analysis.summary, findings: analysis.findings };
+
+            if (networkSettings.har !== false && outputDir) {
+                const harDir = path.join(outputDir, 'har');
+                await fs.mkdir(harDir, { recursive: true });
+                const harPath = path.join(harDir, `${pageSlug(checkedPage.url)}.har`);
+                const har = toHar(entries, { pageUrl: checkedPage.url, title: await page.title().catch(() => '') });
+                await fs.writeFile(harPath, JSON.stringify(har, null, 2));
+                summary.harFile = path.relative(outputDir, harPath);
+            }
+
+            const { requestCount, totalBytes, thirdPartyBytes } = analysis.summary;
+            console.log(`🌐 ${checkedPage.url}: ${requestCount} requests, ${formatBytes(totalBytes)} (${formatBytes(thirdPartyBytes)} third-party)`);
+            return { issues: networkIssues(analysis), summary };
+        } catch (error) {
+            console.log(`⚠️ Could not analyze network for ${checkedPage.url}: ${error.message}`);
+            return { issues: [], summary: null };
         }
     }
 
+    async runSeoChecks(page, checkedPage, response) {
+        try {
+            return await runSeoAudit(page, {
+                url: checkedPage.url,
+                headers: response ? response.headers() : {},
+                pageType: checkedPage.type,
+                settings: this.settings.seo
+            });
+        } catch (error) {
+            console.log(`⚠️ Could not analyze SEO for ${checkedPage.url}: ${error.message}`);
+            return null;
+        }
+    }
+
+    summarizeSeo(seoPages, crawl) {
+        const summary = summarizeSeo(seoPages, { sitemapUrls: crawl?.sitemapUrls || [] });
+        console.log(`🔎 SEO: ${summary.pagesWithFindings}/${summary.pagesAnalyzed} page(s) with findings, ${summary.duplicateTitles.length} duplicate title(s), ${summary.noindexPages.length} noindex page(s)`);
+        // Link lists are only needed for the site-level comparison
+        return { summary, pages: seoPages.map(({ internalUrls, ...seoPage }) => seoPage) };
+    }
+
+    seoIssue(finding) {
+        return createIssue(`seo.${finding.rule}`, {
+            message: finding.issue,
+            severity: finding.severity,
+            selector: finding.selector,
+            check: finding.check,
+            ...(finding.urls ? { urls: finding.urls } : {})
+        });
+    }
+
+    async analyzeShopify(page, siteUrl) {
+        console.log('🛍️ Analyzing Shopify theme, apps and catalogue...');
+        const storefront = await page.evaluate(collectShopifyStorefront)
+            .catch(() => ({ shop: null, currency: null, locale: null, theme: null, appScripts: [] }));
+        const shopifySettings = this.settings.shopify || {};
+        const shopify = await analyzeShopifyStore(siteUrl, storefront, {
+            maxCatalogPages: shopifySettings.maxCatalogPages,
+            minDescriptionLength: shopifySettings.minDescriptionLength,
+            // Spares in case some product pages fail to load
+            sampleSize: (this.settings.audit?.maxProductPages ?? 3) * 2,
+            signatures: this.getThirdPartySignatures(),
+            userAgent: this.settings.browser?.userAgent || DEFAULT_USER_AGENT,
+            timeout: this.settings.crawl?.requestTimeout
+        });
+
+        const theme = shopify.theme ? `${shopify.theme.schemaName || shopify.theme.name} ${shopify.theme.schemaVersion || ''}`.trim() : 'unknown theme';
+        const catalog = shopify.catalog
+            ? `${shopify.catalog.productCount}${shopify.catalog.complete ? '' : '+'} product(s)`
+            : `catalogue unavailable (${shopify.endpoints.products})`;
+        console.log(`🛍️ Shopify: ${theme}, ${shopify.apps.length} app script(s), ${catalog}`);
+        return shopify;
+    }
+
+    // Starts from the first product page that loads
+    async walkFunnel(page, productLinks, outputDir, isShopify) {
+        const funnelDir = path.join(outputDir, 'funnel');
+        await fs.mkdir(funnelDir, { recursive: true });
+        const screenshotOptions = this.getScreenshotOptions();
+        const extension = screenshotOptions.type === 'jpeg' ? 'jpg' : screenshotOptions.type;
+
+        let funnel = null;
+        for (const productUrl of productLinks.slice(0, 3)) {
+            console.log(`🛒 Walking the purchase funnel from ${productUrl}...`);
+            funnel = await runFunnel(page, productUrl, {
+                navigate: url => this.navigate(page, url),
+                // The viewport shows drawers and notifications as a shopper sees them
+                screenshot: async step => {
+                    const file = path.join(funnelDir, `${FUNNEL_STEPS.indexOf(step) + 1}_${step}.${extension}`);
+                    await page.screenshot({ ...screenshotOptions, fullPage: false, path: file });
+                    return path.relative(outputDir, file);
+                },
+                isShopify,
+                settings: this.settings.funnel
+            });
+            if (funnel.steps[0].status !== 'failed') break;
+        }
+
+        const failed = funnel.steps.find(step => step.status === 'failed');
+        console.log(funnel.completed
+            ? `🛒 Reached checkout in ${(funnel.totalMs / 1000).toFixed(1)}s`
+            : `⚠️ Funnel stopped at "${failed.name}": ${failed.detail}`);
+        return funnel;
+    }
+
+    // Diffs this run's screenshots against the previous run or the pinned
+    // baseline; null when there is nothing to compare with yet
+    async compareScreenshots(page, auditData, outputDir, timestamp) {
+        const visualSettings = this.settings.visualRegression || {};
+        const baseline = await resolveBaseline({
+            compareTo: visualSettings.compareTo,
+            baselineDir: this.baselineDir,
+            baseDir: this.outputBaseDir,
+            siteName: auditData.siteName,
+            timestamp
+        });
+        if (!baseline) {
+            console.log(`🖼️ No ${visualSettings.compareTo === 'baseline' ? 'pinned baseline' : 'earlier run'} to compare screenshots with`);
+            return null;
+        }
+
+        console.log(`🖼️ Comparing screenshots with ${path.relative(process.cwd(), baseline.directory) || baseline.directory}...`);
+        const pages = await compareWithBaseline(page, auditData.pages, baseline, {
+            outputDir,
+            tolerance: visualSettings.pixelTolerance
+        });
+        const changed = pages.filter(result => result.changedRatio > (visualSettings.threshold ?? 0.05));
+        console.log(`🖼️ ${pages.filter(result => result.diff).length} screenshot(s) compared, ${changed.length} over the change threshold`);
+        return { ...baseline, directory: path.relative(outputDir, baseline.directory), pages };
+    }
+
+    async checkLinks(linkPages, siteUrl) {
+        const linkSettings = this.settings.links || {};
+        console.log('🔗 Checking links...');
+        const result = await checkPageLinks(this.linkChecker, linkPages, {
+            canonicalOrigin: new URL(siteUrl).origin,
+            checkExternal: linkSettings.checkExternal !== false,
+            maxLinks: linkSettings.maxLinks ?? 500
+        });
+        const { broken, loops, redirects } = result.findings;
+        console.log(`🔗 Checked ${result.checked} of ${result.referencesFound} link(s): ${broken.length} broken, ${loops.length} redirect loop(s), ${redirects.length} redirected`);
+        return result;
+    }
+
+    hasStructuredData(structuredDataPages, url) {
+        const canonical = canonicalizeUrl(url);
+        return structuredDataPages.some(structuredDataPage => canonicalizeUrl(structuredDataPage.url) === canonical);
+    }
+
+    async runStructuredDataChecks(page, url, pageType) {
+        try {
+            const result = await runStructuredDataAudit(page, this.settings.structuredData);
+            return { url, pageType, ...result };
+        } catch (error) {
+            console.log(`⚠️ Could not extract structured data from ${url}: ${error.message}`);
+            return null;
+        }
+    }
+
+    summarizeStructuredData(structuredDataPages) {
+        const productPages = structuredDataPages.filter(structuredDataPage => structuredDataPage.pageType === 'product');
+        const summary = {
+            pagesChecked: structuredDataPages.length,
+            productPagesChecked: productPages.length,
+            productPagesWithSchema: productPages.filter(structuredDataPage => structuredDataPage.products.length > 0).length,
+            priceMismatches: structuredDataPages.flatMap(structuredDataPage => structuredDataPage.products).filter(product => product.priceMatches === false).length,
+            findingsBySeverity: {},
+            types: {}
+        };
+        for (const structuredDataPage of structuredDataPages) {
+            structuredDataPage.findings.forEach(finding => {
+                summary.findingsBySeverity[finding.severity] = (summary.findingsBySeverity[finding.severity] || 0) + 1;
+            });
+            Object.entries(structuredDataPage.types).forEach(([type, count]) => {
+                summary.types[type] = (summary.types[type] || 0) + count;
+            });
+        }
+
+        console.log(`🏷️ Structured data: ${summary.productPagesWithSchema}/${summary.productPagesChecked} product page(s) with Product schema, ${summary.priceMismatches} price mismatch(es)`);
+        return { summary, pages: structuredDataPages };
+    }
+
+    structuredDataIssues(structuredDataPages) {
+        const issues = [];
+        for (const structuredDataPage of structuredDataPages) {
+            if (structuredDataPage.pageType === 'product' && structuredDataPage.products.length === 0) {
+                issues.push(createIssue('structured-data.missing-product-schema', {
+                    message: 'Product page has no Product structured data',
+                    url: structuredDataPage.url,
+                    pageType: structuredDataPage.pageType
+                }));
+            }
+            issues.push(...structuredDataPage.findings.map(finding => createIssue(`structured-data.${finding.rule}`, {
+                message: finding.schemaType ? `${finding.schemaType} (${finding.format}): ${finding.issue}` : finding.issue,
+                severity: finding.severity,
+                url: structuredDataPage.url,
+                evidence: finding.snippet,
+                property: finding.property,
+                pageType: structuredDataPage.pageType
+            })));
+        }
+        return issues;
+    }
+
+    getThirdPartySignatures() {
+        if (!this.thirdPartySignatures) {
+            this.thirdPartySignatures = loadSignatures(this.settings.thirdParty?.signatureFiles || []);
+        }
+        return this.thirdPartySignatures;
+    }
+
+    // Bytes and requests are summed over every page the network check saw;
+    // main-thread time comes from the primary device's homepage trace
+    attributeThirdParties(url, detected, networkPages, vitals) {
+        const hosts = {};
+        for (const networkPage of networkPages) {
+            for (const [hostname, totals] of Object.entries(networkPage.thirdPartyHosts || {})) {
+                hosts[hostname] = hosts[hostname] || { count: 0, bytes: 0 };
+                hosts[hostname].count += totals.count;
+                hosts[hostname].bytes += totals.bytes;
+            }
+        }
+
+        const thirdParties = attributeThirdParties(this.getThirdPartySignatures(), url, {
+            detected,
+            hosts,
+            scriptAttribution: vitals?.scriptAttribution || [],
+            pageCount: networkPages.length
+        });
+        thirdParties.measured = {
+            network: networkPages.length > 0,
+            mainThread: !!vitals?.traced
+        };
+
+        const recognized = thirdParties.vendors.filter(vendor => vendor.category !== 'unrecognized');
+        console.log(`🧩 ${recognized.length} third-party tool(s) recognized${recognized.length > 0 ? `: ${recognized.slice(0, 5).map(vendor => vendor.name).join(', ')}${recognized.length > 5 ? ', ...' : ''}` : ''}`);
+        return thirdParties;
+    }
+
+    thirdPartyIssues(thirdParties) {
+        const maxMainThreadMs = this.settings.thirdParty?.maxMainThreadMs ?? 250;
+        const maxBytes = this.settings.thirdParty?.maxBytes ?? 500 * 1024;
+        const issues = [];
+
+        for (const vendor of thirdParties.vendors) {
+            if (vendor.mainThreadMs >= maxMainThreadMs) {
+                issues.push(createIssue('third-party.main-thread', {
+                    message: `${vendor.name} (${vendor.categoryLabel}) kept the main thread busy for ${vendor.mainThreadMs}ms`,
+                    severity: vendor.mainThreadMs >= maxMainThreadMs * 2 ? 'serious' : 'moderate',
+                    evidence: vendor.evidence.length > 0 ? vendor.evidence.join(', ') : null,
+                    vendor: vendor.name
+                }));
+            }
+            if (vendor.bytes >= maxBytes) {
+                issues.push(createIssue('third-party.bytes', {
+                    message: `${vendor.name} (${vendor.categoryLabel}) downloaded ${formatBytes(vendor.bytes)} in ${vendor.requests} request(s)`,
+                    evidence: vendor.hosts.length > 0 ? vendor.hosts.join(', ') : null,
+                    vendor: vendor.name
+                }));
+            }
+        }
+
+        return issues;
+    }
+
+    // Captures up to audit.maxProductPages product pages, moving on to the
+    // next candidate link when one fails to load
+    async captureProductPages(page, productLinks, device, outputDir, { structuredDataPages = null } = {}) {
+        const maxPages = this.settings.audit?.maxProductPages ?? 3;
+        const captured = [];
+
+        for (const productUrl of productLinks) {
+            if (captured.length >= maxPages) break;
+
+            console.log(`📦 Capturing product page (${device.name}): ${productUrl}`);
+            try {
+                await this.navigate(page, productUrl);
+            } catch (error) {
+                console.log(`⚠️ Skipping product page ${productUrl}: ${error.message}`);
+                continue;
+            }
+
+            const productData = await this.capturePage(page, `product_${captured.length + 1}_${device.name}`, outputDir);
+            captured.push({ ...productData, device: device.name });
+
+            if (structuredDataPages && !this.hasStructuredData(structuredDataPages, productUrl)) {
+                const structuredDataPage = await this.runStructuredDataChecks(page, productUrl, 'product');
+                if (structuredDataPage) structuredDataPages.push(structuredDataPage);
+            }
+        }
+
+        return captured;
+    }
+
     async cleanupSingleTempDirectory(tempDirPath) {
         try {
             // Check if directory exists before trying to remove it
@@ -169,7 +1064,7 @@ class WebsiteAuditor {
         }
     }
 
-    async detectPopupsAndEmailPlatforms() {
+    async detectPopupsAndEmailPlatforms(page, url, devices) {
         const popupData = {
             hasPopup: false,
             popupType: null,
@@ -177,128 +1072,37 @@ class WebsiteAuditor {
             popupDetails: [],
             emailPlatformDetails: []
         };
+        const popupSettings = this.settings.popups || {};
 
         try {
-            // Wait a bit for popups to potentially appear
+            // Wait a bit for popups to potentially appear, then scroll and
+            // move towards the tab bar for scroll and exit-intent popups
             const popupDelay = this.settings.audit?.popupDetectionDelay || 5000;
-            await new Promise(resolve => setTimeout(resolve, popupDelay));
+            const { open, events } = await observePopups(page, { delay: popupDelay });
 
             // Detect email platforms first (they often load before popups)
-            const emailPlatforms = await this.page.evaluate(() => {
-                const platforms = [];
-                
-                // Klaviyo detection
-                if (window.klaviyo || window._learnq || document.querySelector('script[src*="klaviyo"]')) {
-                    platforms.push('Klaviyo');
-                }
-                
-                // Mailchimp detection
-                if (window.mc4wp || document.querySelector('script[src*="mailchimp"]') || 
-                    document.querySelector('[class*="mailchimp"], [id*="mailchimp"]')) {
-                    platforms.push('Mailchimp');
-                }
-                
-                // Omnisend detection
-                if (window.omnisend || document.querySelector('script[src*="omnisend"]')) {
-                    platforms.push('Omnisend');
-                }
-                
-                // Privy detection
-                if (window.privy || document.querySelector('script[src*="privy"]')) {
-                    platforms.push('Privy');
-                }
-                
-                // Justuno detection
-                if (window.ju || document.querySelector('script[src*="justuno"]')) {
-                    platforms.push('Justuno');
-                }
-                
-                // OptinMonster detection
-                if (window.om || document.querySelector('script[src*="optinmonster"]')) {
-                    platforms.push('OptinMonster');
-                }
-                
-                // Wisepops detection
-                if (window.wisepops || document.querySelector('script[src*="wisepops"]')) {
-                    platforms.push('Wisepops');
-                }
-                
-                // Sumo detection
-                if (window.sumo || document.querySelector('script[src*="sumo.com"]')) {
-                    platforms.push('Sumo');
-                }
-                
-                return platforms;
-            });
+            const signatures = this.getThirdPartySignatures();
+            const emailVendors = { ...signatures, vendors: signatures.vendors.filter(vendor => vendor.category === 'email') };
+            const emailPlatforms = (await detectThirdParties(page, emailVendors)).map(detection => detection.name);
 
             popupData.emailPlatformDetails = emailPlatforms;
             popupData.emailPlatform = emailPlatforms.length > 0 ? emailPlatforms[0] : null;
 
-            // Detect popups/modals
-            const popupElements = await this.page.evaluate(() => {
-                const popups = [];
-                
-                // Common popup/modal selectors
-                const popupSelectors = [
-                    '[class*="popup"]',
-                    '[class*="modal"]',
-                    '[class*="overlay"]',
-                    '[class*="lightbox"]',
-                    '[id*="popup"]',
-                    '[id*="modal"]',
-                    '[class*="newsletter"]',
-                    '[class*="email-signup"]',
-                    '[class*="subscription"]',
-                    '[data-testid*="popup"]',
-                    '[data-testid*="modal"]',
-                    // Klaviyo specific
-                    '.klaviyo-form',
-                    '[class*="klaviyo"]',
-                    // Privy specific
-                    '.privy-popup',
-                    // Common exit intent/overlay patterns
-                    '[style*="position: fixed"]',
-                    '[style*="z-index: 999"]',
-                    '[style*="z-index: 9999"]'
-                ];
-                
-                popupSelectors.forEach(selector => {
-                    try {
-                        const elements = document.querySelectorAll(selector);
-                        elements.forEach(element => {
-                            const rect = element.getBoundingClientRect();
-                            const isVisible = rect.width > 0 && rect.height > 0 && 
-                                            window.getComputedStyle(element).display !== 'none' &&
-                                            window.getComputedStyle(element).visibility !== 'hidden';
-                            
-                            const hasEmailInput = element.querySelector('input[type="email"]');
-                            const text = element.textContent || '';
-                            const hasSubscribeText = text.toLowerCase().includes('subscribe') ||
-                                                   text.toLowerCase().includes('newsletter') ||
-                                                   text.toLowerCase().includes('email') ||
-                                                   text.toLowerCase().includes('discount') ||
-                                                   text.toLowerCase().includes('offer') ||
-                                                   text.toLowerCase().includes('save');
-                            
-                            if (isVisible && (hasEmailInput || hasSubscribeText) && text.length > 10) {
-                                popups.push({
-                                    selector: selector,
-                                    hasEmailInput: !!hasEmailInput,
-                                    text: text.substring(0, 200),
-                                    classes: element.className,
-                                    id: element.id,
-                                    width: Math.round(rect.width),
-                                    height: Math.round(rect.height)
-                                });
-                            }
-                        });
-                    } catch (error) {
-                        // Continue with other selectors if one fails
-                    }
-                });
-                
-                return popups;
-            });
+            const opened = events.filter(event => event.type === 'opened');
+            popupData.timeline = events.map(({ id, type, time, trigger, element }) => ({ id, type, time, trigger, element }));
+            const openEvents = opened
+                .filter(event => open.includes(event.id))
+                .filter((event, index, list) => list.findIndex(other => other.id === event.id) === index);
+            const popupElements = openEvents
+                .map(event => ({
+                    selector: event.element,
+                    hasEmailInput: event.hasEmailInput,
+                    text: event.text,
+                    classes: event.classes,
+                    id: event.elementId,
+                    width: event.width,
+                    height: event.height
+                }));
 
             if (popupElements.length > 0) {
                 popupData.hasPopup = true;
@@ -323,18 +1127,101 @@ class WebsiteAuditor {
                 } else {
                     popupData.popupType = 'General Popup';
                 }
+
+                // When and why the (first) popup showed; times are from the
+                // start of navigation
+                const first = opened.find(event => event.id === open[0]);
+                popupData.element = first.element;
+                popupData.appearedAfterMs = first.time;
+                popupData.trigger = first.trigger;
+                console.log(`📧 Popup opened after ${(first.time / 1000).toFixed(1)}s (${first.trigger})`);
+
+                // Outlined while they're still open; saved with the other
+                // popup screenshots once the output directory exists
+                if (this.settings.annotations?.enabled !== false) {
+                    popupData.annotation = await annotatePage(page, openEvents.map(event => `[data-audit-popup="${event.id}"]`), {
+                        screenshotOptions: this.getScreenshotOptions(),
+                        fullPage: false,
+                        closeUps: this.settings.annotations?.closeUps !== false,
+                        color: this.settings.annotations?.color
+                    }).catch(() => null);
+                }
+
+                await this.testPopupBehaviour(page, url, open[0], popupData, devices);
             }
 
         } catch (error) {
             console.log('⚠️ Error during popup detection:', error.message);
         }
 
+        if (popupSettings.dismissBeforeScreenshots === false) return popupData;
+        // Nothing should cover the homepage captures that follow
+        await dismissPopups(page).catch(() => {});
         return popupData;
     }
 
-    async detectShopify() {
+    // Measures the popup on a phone-sized viewport and tries closing it with
+    // Escape, an overlay click and its close button, reloading the page with
+    // fresh cookies in between so it shows again
+    async testPopupBehaviour(page, url, popupId, popupData, devices) {
+        const popupSettings = this.settings.popups || {};
+        const popupDelay = this.settings.audit?.popupDetectionDelay || 5000;
+        const mobileDevice = devices.find(device => device.viewport.isMobile) || { viewport: MOBILE_VIEWPORT };
+        const screenshotOptions = this.getScreenshotOptions();
+
+        console.log('🧪 Testing popup behaviour...');
+        const result = await testPopup(page, {
+            id: popupId,
+            mobileViewport: mobileDevice.viewport,
+            testDismissal: popupSettings.testDismissal !== false,
+            screenshot: () => page.screenshot({ ...screenshotOptions, fullPage: false }),
+            reopen: async () => {
+                await resetSiteState(page);
+                await this.navigate(page, url);
+                const { open } = await observePopups(page, { delay: popupDelay });
+                return open[0] || null;
+            }
+        });
+
+        popupData.coverage = result.coverage;
+        popupData.dismissal = result.dismissal;
+        popupData.forcedClosed = result.forcedClosed;
+        // Written out once the output directory exists
+        popupData.screenshots = result.screenshots;
+
+        const mobile = result.coverage.mobile;
+        popupData.intrusive = !!mobile && (mobile.blocksPage || mobile.coverage > (popupSettings.maxMobileCoverage ?? 0.3));
+        const working = Object.keys(result.dismissal).filter(method => result.dismissal[method] === 'works');
+        console.log(`🧪 Popup closes with: ${working.length > 0 ? working.join(', ') : 'nothing tested worked'}${mobile ? `; covers ${Math.round(mobile.coverage * 100)}% of the mobile screen` : ''}`);
+    }
+
+    async savePopupScreenshots(popupData, outputDir) {
+        const screenshotOptions = this.getScreenshotOptions();
+        const extension = screenshotOptions.type === 'jpeg' ? 'jpg' : screenshotOptions.type;
+        const saved = {};
+        for (const [state, image] of Object.entries(popupData.screenshots || {})) {
+            if (!image) continue;
+            const file = path.join(outputDir, `popup_${state}.${extension}`);
+            await fs.writeFile(file, image);
+            saved[state] = path.basename(file);
+        }
+        popupData.screenshots = saved;
+
+        // Each popup's marker goes on its details; the first popup's is the
+        // one popup issues point at
+        if (popupData.annotation) {
+            // Page slugs always end in a hash, so 'popup' can't clash with a page's files
+            const references = await saveAnnotation(popupData.annotation, { outputDir, name: 'popup', extension });
+            popupData.popupDetails.forEach((popup, index) => {
+                if (references[index]) popup.annotation = references[index];
+            });
+            popupData.annotation = references.find(Boolean) || null;
+        }
+    }
+
+    async detectShopify(page) {
         try {
-            const shopifyIndicators = await this.page.evaluate(() => {
+            const shopifyIndicators = await page.evaluate(() => {
                 return {
                     hasShopifyScript: !!document.querySelector('script[src*="shopify"]'),
                     hasShopifyMeta: !!document.querySelector('meta[name="generator"][content*="Shopify"]'),
@@ -349,9 +1236,9 @@ class WebsiteAuditor {
         }
     }
 
-    async detectEcommerce() {
+    async detectEcommerce(page) {
         try {
-            const ecommerceIndicators = await this.page.evaluate(() => {
+            const ecommerceIndicators = await page.evaluate(() => {
                 const text = document.body.textContent.toLowerCase();
                 const hasAddToCart = text.includes('add to cart') || document.querySelector('[class*="add-to-cart"], [id*="add-to-cart"]');
                 const hasPrice = document.querySelector('[class*="price"], [id*="price"]') || /\$\d+/.test(text);
@@ -366,10 +1253,10 @@ class WebsiteAuditor {
         }
     }
 
-    async findProductPages() {
+    async findProductPages(page) {
         try {
-            const maxPages = this.settings.audit?.maxProductPages || 3;
-            const productLinks = await this.page.evaluate((maxPages) => {
+            const maxPages = this.settings.audit?.maxProductPages ?? 3;
+            const productLinks = await page.evaluate((maxPages) => {
                 const links = Array.from(document.querySelectorAll('a[href]'));
                 return links
                     .map(link => link.href)
@@ -391,25 +1278,39 @@ class WebsiteAuditor {
         }
     }
 
-    async capturePage(pageName, outputDir) {
-        const screenshotPath = path.join(outputDir, `${pageName}.png`);
+    getScreenshotOptions() {
+        const screenshot = this.settings.screenshot || {};
+        const type = screenshot.format || 'png';
+        const options = { type, fullPage: screenshot.fullPage ?? true };
+
+        // PNG is lossless and Puppeteer rejects a quality setting for it
+        if (type !== 'png' && screenshot.quality !== undefined) {
+            options.quality = screenshot.quality;
+        }
+
+        return options;
+    }
+
+    async capturePage(page, pageName, outputDir) {
+        const screenshotOptions = this.getScreenshotOptions();
+        const extension = screenshotOptions.type === 'jpeg' ? 'jpg' : screenshotOptions.type;
+        const screenshotPath = path.join(outputDir, `${pageName}.${extension}`);
         
         try {
             // Wait for page to be fully loaded
-            const pageLoadDelay = this.settings.audit?.pageLoadDelay || 2000;
+            const pageLoadDelay = this.settings.audit?.pageLoadDelay ?? 2000;
             await new Promise(resolve => setTimeout(resolve, pageLoadDelay));
+
+            // Screenshots show the page, not the newsletter popup over it
+            if (this.settings.popups?.dismissBeforeScreenshots !== false) {
+                const dismissed = await dismissPopups(page).catch(() => 0);
+                if (dismissed > 0) console.log(`🙈 Closed ${dismissed} popup(s) before capturing ${pageName}`);
+            }
             
-            // Take full page screenshot with PNG-compatible settings only
-            const screenshotSettings = {
-                path: screenshotPath,
-                fullPage: true
-                // Explicitly don't include any other settings that might cause issues
-            };
-            
-            await this.page.screenshot(screenshotSettings);
+            await page.screenshot({ ...screenshotOptions, path: screenshotPath });
 
             // Get page info
-            const pageInfo = await this.page.evaluate(() => {
+            const pageInfo = await page.evaluate(() => {
                 return {
                     title: document.title,
                     url: window.location.href,
@@ -429,7 +1330,7 @@ class WebsiteAuditor {
             
             // Return basic info even if screenshot fails
             try {
-                const pageInfo = await this.page.evaluate(() => {
+                const pageInfo = await page.evaluate(() => {
                     return {
                         title: document.title,
                         url: window.location.href,
@@ -457,9 +1358,9 @@ class WebsiteAuditor {
         }
     }
 
-    async getPerformanceMetrics() {
+    async getPerformanceMetrics(page) {
         try {
-            const metrics = await this.page.evaluate(() => {
+            const metrics = await page.evaluate(() => {
                 const navigation = performance.getEntriesByType('navigation')[0];
                 return {
                     loadTime: Math.round(navigation.loadEventEnd - navigation.fetchStart),
@@ -476,174 +1377,97 @@ class WebsiteAuditor {
         }
     }
 
-    async runAutomatedChecks() {
+    async runAutomatedChecks(page) {
         const issues = [];
 
         try {
-            // Check for missing meta description
-            const hasMetaDescription = await this.page.$('meta[name="description"]');
-            if (!hasMetaDescription) {
-                issues.push({ type: 'SEO', issue: 'Missing meta description' });
+            if (this.isCheckEnabled('accessibility')) {
+                const { findings } = await runAccessibilityAudit(page, this.settings.accessibility);
+                issues.push(...findings.map(finding => this.accessibilityIssue(finding)));
             }
 
-            // Check for missing alt tags
-            const imagesWithoutAlt = await this.page.$$eval('img:not([alt])', imgs => imgs.length);
-            if (imagesWithoutAlt > 0) {
-                issues.push({ type: 'Accessibility', issue: `${imagesWithoutAlt} images missing alt text` });
+            if (this.isCheckEnabled('security')) {
+                // Check for HTTPS
+                const isHTTPS = await page.evaluate(() => location.protocol === 'https:');
+                if (!isHTTPS) {
+                    issues.push(createIssue('security.no-https', { message: 'Site not using HTTPS' }));
+                }
             }
 
-            // Check for h1 tag
-            const h1Count = await this.page.$$eval('h1', h1s => h1s.length);
-            if (h1Count === 0) {
-                issues.push({ type: 'SEO', issue: 'No H1 tag found' });
-            } else if (h1Count > 1) {
-                issues.push({ type: 'SEO', issue: 'Multiple H1 tags found' });
+            if (this.isCheckEnabled('performance')) {
+                // Check page load time
+                const loadTime = await page.evaluate(() => {
+                    const navigation = performance.getEntriesByType('navigation')[0];
+                    return navigation.loadEventEnd - navigation.fetchStart;
+                });
+                
+                const slowThreshold = this.settings.performance?.slowLoadTime || 3000;
+                if (loadTime > slowThreshold) {
+                    issues.push(createIssue('performance.slow-load', {
+                        message: `Slow page load time: ${Math.round(loadTime)}ms`,
+                        evidence: `Threshold: ${slowThreshold}ms`
+                    }));
+                }
             }
 
-            // Check for HTTPS
-            const isHTTPS = await this.page.evaluate(() => location.protocol === 'https:');
-            if (!isHTTPS) {
-                issues.push({ type: 'Security', issue: 'Site not using HTTPS' });
-            }
+        } catch (error) {
+            issues.push(createIssue('error.checks-incomplete', { message: `Could not complete all checks: ${error.message}` }));
+        }
 
-            // Check page load time
-            const loadTime = await this.page.evaluate(() => {
-                const navigation = performance.getEntriesByType('navigation')[0];
-                return navigation.loadEventEnd - navigation.fetchStart;
-            });
-            
-            const slowThreshold = this.settings.performance?.slowLoadTime || 3000;
-            if (loadTime > slowThreshold) {
-                issues.push({ type: 'Performance', issue: `Slow page load time: ${Math.round(loadTime)}ms` });
-            }
+        return issues;
+    }
 
+    accessibilityIssue(finding) {
+        return createIssue(`accessibility.${finding.rule}`, {
+            message: `${finding.message} (WCAG ${finding.wcag})`,
+            severity: finding.severity,
+            selector: finding.selector,
+            evidence: finding.snippet,
+            wcag: finding.wcag
+        });
+    }
+
+    async runTapTargetChecks(page) {
+        try {
+            const { findings } = await runTapTargetAudit(page, this.settings.accessibility);
+            return findings.map(finding => this.accessibilityIssue(finding));
         } catch (error) {
-            issues.push({ type: 'Error', issue: `Could not complete all checks: ${error.message}` });
+            return [createIssue('error.checks-incomplete', { message: `Could not check tap targets: ${error.message}` })];
         }
+    }
 
-        return issues;
+    scoreIssues(issues) {
+        const scores = scoreAudit(issues, {
+            // Custom rules only get a score when some plugin has checks
+            isCheckEnabled: check => this.isCheckEnabled(check) &&
+                (check !== 'plugins' || this.getPlugins().checkCount > 0) &&
+                (check !== 'visual' || this.isVisualRegressionEnabled()),
+            ...this.settings.scoring
+        });
+        const scored = Object.values(scores.categories).filter(category => category.score !== null);
+        console.log(`📊 Scores: ${scored.map(category => `${category.label} ${category.score}`).join(', ')}`);
+        return scores;
     }
 
+    // Per-site reports in the formats output.formats selects
     async generateReport(auditData, outputDir) {
-        const reportPath = path.join(outputDir, 'audit_report.html');
-        
-        const html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>Website Audit Report - ${auditData.siteName}</title>
-    <style>
-        body { font-family: Arial, sans-serif; max-width: 1200px; margin: 0 auto; padding: 20px; }
-        .header { background: #f4f4f4; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
-        .section { margin-bottom: 30px; }
-        .screenshot { max-width: 100%; border: 1px solid #ddd; margin: 10px 0; }
-        .issue { background: #fff3cd; padding: 10px; margin: 5px 0; border-left: 4px solid #ffc107; }
-        .issue.SEO { border-left-color: #007bff; background: #d1ecf1; }
-        .issue.Performance { border-left-color: #dc3545; background: #f8d7da; }
-        .issue.Security { border-left-color: #fd7e14; background: #ffeaa7; }
-        .metrics { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; }
-        .metric { background: #f8f9fa; padding: 15px; border-radius: 5px; text-align: center; }
-        .popup-info { background: #e7f3ff; padding: 15px; border-radius: 5px; border-left: 4px solid #007bff; }
-        .popup-detail { background: #f8f9fa; padding: 10px; margin: 10px 0; border-radius: 3px; }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>Website Audit Report</h1>
-        <p><strong>Site:</strong> ${auditData.url}</p>
-        <p><strong>Generated:</strong> ${new Date(auditData.timestamp).toLocaleString()}</p>
-        <p><strong>Platform:</strong> ${auditData.isShopify ? 'Shopify' : 'Unknown/Custom'}</p>
-        <p><strong>Classification:</strong> ${auditData.classification || 'Unknown'}</p>
-        ${auditData.popups ? `
-        <p><strong>Popup Detected:</strong> ${auditData.popups.hasPopup ? `Yes (${auditData.popups.popupType})` : 'No'}</p>
-        ${auditData.popups.emailPlatform ? `<p><strong>Email Platform:</strong> ${auditData.popups.emailPlatform}</p>` : ''}
-        ` : ''}
-    </div>
-
-    ${auditData.popups && auditData.popups.hasPopup ? `
-    <div class="section">
-        <h2>Popup Analysis</h2>
-        <div class="popup-info">
-            <p><strong>Type:</strong> ${auditData.popups.popupType}</p>
-            <p><strong>Email Platform:</strong> ${auditData.popups.emailPlatform || 'Unknown'}</p>
-            ${auditData.popups.emailPlatformDetails.length > 1 ? `<p><strong>Additional Platforms:</strong> ${auditData.popups.emailPlatformDetails.slice(1).join(', ')}</p>` : ''}
-            <div class="popup-details">
-                <h3>Popup Details:</h3>
-                ${auditData.popups.popupDetails.map(popup => `
-                    <div class="popup-detail">
-                        <p><strong>Email Input:</strong> ${popup.hasEmailInput ? 'Yes' : 'No'}</p>
-                        <p><strong>Size:</strong> ${popup.width}x${popup.height}px</p>
-                        <p><strong>Preview:</strong> ${popup.text.substring(0, 100)}...</p>
-                    </div>
-                `).join('')}
-            </div>
-        </div>
-    </div>
-    ` : ''}
-
-    <div class="section">
-        <h2>Performance Metrics</h2>
-        <div class="metrics">
-            <div class="metric">
-                <h3>${auditData.metrics.performance?.loadTime || 'N/A'}ms</h3>
-                <p>Page Load Time</p>
-            </div>
-            <div class="metric">
-                <h3>${auditData.metrics.performance?.imageCount || 0}</h3>
-                <p>Images</p>
-            </div>
-            <div class="metric">
-                <h3>${auditData.pages.length}</h3>
-                <p>Pages Captured</p>
-            </div>
-            <div class="metric">
-                <h3>${auditData.issues.length}</h3>
-                <p>Issues Found</p>
-            </div>
-            <div class="metric">
-                <h3>${auditData.popups ? (auditData.popups.hasPopup ? 'Yes' : 'No') : 'Unknown'}</h3>
-                <p>Popup Detected</p>
-            </div>
-            <div class="metric">
-                <h3>${auditData.popups?.emailPlatform || 'None'}</h3>
-                <p>Email Platform</p>
-            </div>
-        </div>
-    </div>
-
-    <div class="section">
-        <h2>Issues Found</h2>
-        ${auditData.issues.map(issue => `
-            <div class="issue ${issue.type}">
-                <strong>${issue.type}:</strong> ${issue.issue}
-            </div>
-        `).join('')}
-    </div>
-
-    <div class="section">
-        <h2>Screenshots</h2>
-        ${auditData.pages.map(page => `
-            <div>
-                <h3>${page.name.replace(/_/g, ' ').toUpperCase()} - ${page.title}</h3>
-                <img src="${path.basename(page.screenshot)}" alt="${page.name}" class="screenshot">
-            </div>
-        `).join('')}
-    </div>
-</body>
-</html>`;
-
-        await fs.writeFile(reportPath, html);
-        
-        // Also create a JSON report for programmatic use
-        const jsonPath = path.join(outputDir, 'audit_data.json');
-        await fs.writeFile(jsonPath, JSON.stringify(auditData, null, 2));
+        await writeReports(auditData, { scope: 'site', outputDir, settings: this.settings, auditor: this });
+    }
+
+    // Reports covering every site in the run (CSV, JUnit, SARIF), written to
+    // the output directory itself
+    async generateRunReports(results) {
+        await fs.mkdir(this.outputBaseDir, { recursive: true });
+        const written = await writeReports(results, { scope: 'run', outputDir: this.outputBaseDir, settings: this.settings });
+        written.forEach(file => console.log(`📄 Wrote ${file}`));
+        return written;
     }
 
     async cleanupTempDirectories() {
         console.log('🧹 Cleaning up temporary directories...');
         
         try {
-            const auditsDir = './audits';
+            const auditsDir = this.outputBaseDir;
             
             // Check if audits directory exists
             try {
@@ -688,10 +1512,15 @@ class WebsiteAuditor {
         // Clean up temporary directories before closing
         await this.cleanupTempDirectories();
         
-        if (this.browser) {
+        if (this.pagePool) {
+            await this.pagePool.close();
+        }
+
+        // stop() may have closed it already
+        if (this.browser?.isConnected()) {
             await this.browser.close();
         }
     }
 }
 
-module.exports = { WebsiteAuditor };
\ No newline at end of file
+module.exports = { WebsiteAuditor, AUDIT_CHECKS, REPORT_FORMATS };
\ No newline at end of file
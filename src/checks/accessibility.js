@@ -0,0 +1,379 @@
+// Accessibility rules that run inside the page. Each finding names the WCAG
+// success criterion it maps to, a severity (critical, serious, moderate,
+// minor), a CSS selector for the offending element and a snippet of its HTML.
+
+const { installUniqueSelector } = require('./selectors');
+
+const RULES = {
+    'html-lang': {
+        wcag: '3.1.1', severity: 'serious', category: 'Language',
+        title: 'Page language not set',
+        remediation: 'Add a valid lang attribute to the <html> element, e.g. <html lang="en">.'
+    },
+    'image-alt': {
+        wcag: '1.1.1', severity: 'critical', category: 'Text alternatives',
+        title: 'Image without alt text',
+        remediation: 'Describe informative images in alt; give decorative images alt="".'
+    },
+    'label': {
+        wcag: '4.1.2', severity: 'critical', category: 'Forms',
+        title: 'Form field without a label',
+        remediation: 'Associate a <label> with the field, or name it with aria-label or aria-labelledby.'
+    },
+    'color-contrast': {
+        wcag: '1.4.3', severity: 'serious', category: 'Colour',
+        title: 'Insufficient colour contrast',
+        remediation: 'Raise text contrast to at least 4.5:1 (3:1 for large text).'
+    },
+    'heading-order': {
+        wcag: '1.3.1', severity: 'moderate', category: 'Structure',
+        title: 'Heading levels skipped',
+        remediation: 'Nest headings in order (H2 after H1, H3 after H2) and style them with CSS instead.'
+    },
+    'link-name': {
+        wcag: '2.4.4', severity: 'serious', category: 'Names',
+        title: 'Link without an accessible name',
+        remediation: 'Give the link text, or an aria-label for icon-only links.'
+    },
+    'button-name': {
+        wcag: '4.1.2', severity: 'critical', category: 'Names',
+        title: 'Button without an accessible name',
+        remediation: 'Give the button text, or an aria-label for icon-only buttons.'
+    },
+    'aria-valid-role': {
+        wcag: '4.1.2', severity: 'serious', category: 'ARIA',
+        title: 'Invalid ARIA role',
+        remediation: 'Use a role defined in WAI-ARIA, or remove the role attribute.'
+    },
+    'aria-valid-attr': {
+        wcag: '4.1.2', severity: 'serious', category: 'ARIA',
+        title: 'Invalid ARIA attribute',
+        remediation: 'Fix the misspelled or non-existent aria-* attribute.'
+    },
+    'aria-required-attr': {
+        wcag: '4.1.2', severity: 'serious', category: 'ARIA',
+        title: 'ARIA role missing required attributes',
+        remediation: 'Add the attributes the role requires, e.g. aria-checked on role="checkbox".'
+    },
+    'aria-broken-reference': {
+        wcag: '1.3.1', severity: 'moderate', category: 'ARIA',
+        title: 'ARIA reference to a missing element',
+        remediation: 'Point aria-labelledby, aria-describedby and aria-controls at IDs that exist.'
+    },
+    'aria-hidden-body': {
+        wcag: '4.1.2', severity: 'critical', category: 'ARIA',
+        title: 'Whole page hidden from assistive technology',
+        remediation: 'Remove aria-hidden="true" from <body>; modals often leave it behind.'
+    },
+    'aria-hidden-focus': {
+        wcag: '4.1.2', severity: 'serious', category: 'ARIA',
+        title: 'Focusable element inside aria-hidden',
+        remediation: 'Make the content unfocusable (tabindex="-1" or inert) or stop hiding it.'
+    },
+    'target-size': {
+        wcag: '2.5.8', severity: 'moderate', category: 'Mobile',
+        title: 'Tap target too small',
+        remediation: 'Make touch targets at least 24x24 CSS pixels or space them further apart.'
+    }
+};
+
+// Serialized into the page by Puppeteer, so it must not reference anything
+// outside its own body except the selector helper installUniqueSelector adds.
+function collectAccessibilityFindings(options) {
+    const { rules, only, maxFindingsPerRule, minTargetSize, contrastSampleLimit } = options;
+    const findings = [];
+    const perRule = {};
+    const enabled = (...names) => !only || names.some(name => only.includes(name));
+
+    const cssEscape = value => (window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/[^\w-]/g, '\\$&'));
+
+    const selectorFor = window.__auditUniqueSelector;
+
+    const snippetFor = element => {
+        const html = element.outerHTML || '';
+        return html.length > 250 ? `${html.slice(0, 250)}…` : html;
+    };
+
+    const report = (rule, element, message, extra = {}) => {
+        perRule[rule] = (perRule[rule] || 0) + 1;
+        if (perRule[rule] > maxFindingsPerRule) return;
+        findings.push({
+            rule,
+            ...rules[rule],
+            message,
+            selector: element ? selectorFor(element) : null,
+            snippet: element ? snippetFor(element) : null,
+            ...extra
+        });
+    };
+
+    const isVisible = element => {
+        const style = window.getComputedStyle(element);
+        if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0) return false;
+        const rect = element.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0;
+    };
+
+    const isHiddenFromTree = element => !!element.closest('[aria-hidden="true"], [hidden]');
+
+    const textOf = element => (element.textContent || '').replace(/\s+/g, ' ').trim();
+
+    const labelledByText = element => (element.getAttribute('aria-labelledby') || '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(id => document.getElementById(id))
+        .filter(Boolean)
+        .map(textOf)
+        .join(' ')
+        .trim();
+
+    const accessibleName = element => {
+        const label = (element.getAttribute('aria-label') || '').trim() || labelledByText(element);
+        if (label) return label;
+        const text = textOf(element);
+        if (text) return text;
+        const imageAlt = Array.from(element.querySelectorAll('img[alt]')).map(img => img.alt.trim()).join(' ').trim();
+        if (imageAlt) return imageAlt;
+        const svgTitle = element.querySelector('svg title');
+        if (svgTitle && textOf(svgTitle)) return textOf(svgTitle);
+        return (element.getAttribute('title') || '').trim();
+    };
+
+    // --- Document language ---
+    if (enabled('html-lang') && !(document.documentElement.getAttribute('lang') || '').trim()) {
+        report('html-lang', null, 'The <html> element has no lang attribute');
+    }
+
+    // --- Images ---
+    if (enabled('image-alt')) document.querySelectorAll('img, input[type="image"], [role="img"]').forEach(element => {
+        if (isHiddenFromTree(element) || ['presentation', 'none'].includes(element.getAttribute('role'))) return;
+        if (element.tagName === 'IMG' || element.tagName === 'INPUT') {
+            if (!element.hasAttribute('alt') && !element.getAttribute('aria-label') && !labelledByText(element)) {
+                report('image-alt', element, 'Image has no alt attribute');
+            }
+        } else if (!accessibleName(element)) {
+            report('image-alt', element, 'Element with role="img" has no accessible name');
+        }
+    });
+
+    // --- Form inputs without labels ---
+    const labelTypesExempt = ['hidden', 'submit', 'button', 'reset', 'image'];
+    if (enabled('label')) document.querySelectorAll('input, select, textarea').forEach(element => {
+        if (element.tagName === 'INPUT' && labelTypesExempt.includes((element.type || '').toLowerCase())) return;
+        if (isHiddenFromTree(element) || !isVisible(element)) return;
+
+        const hasLabelFor = element.id && document.querySelector(`label[for="${cssEscape(element.id)}"]`);
+        const wrappedInLabel = element.closest('label');
+        const named = (element.getAttribute('aria-label') || '').trim() || labelledByText(element) || (element.getAttribute('title') || '').trim();
+        if (!hasLabelFor && !(wrappedInLabel && textOf(wrappedInLabel)) && !named) {
+            const placeholderOnly = element.getAttribute('placeholder') ? ' (a placeholder is not a label)' : '';
+            report('label', element, `Form field has no label${placeholderOnly}`);
+        }
+    });
+
+    // --- Empty links and buttons ---
+    if (enabled('link-name', 'button-name')) document.querySelectorAll('a[href], button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"]').forEach(element => {
+        if (isHiddenFromTree(element) || !isVisible(element)) return;
+        const isButton = element.tagName !== 'A';
+        const name = element.tagName === 'INPUT'
+            ? (element.value || element.getAttribute('aria-label') || '').trim()
+            : accessibleName(element);
+        if (!name) {
+            report(isButton ? 'button-name' : 'link-name', element, isButton ? 'Button has no accessible name' : 'Link has no text or accessible name');
+        }
+    });
+
+    // --- Heading order ---
+    let previousLevel = 0;
+    if (enabled('heading-order')) document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]').forEach(element => {
+        if (isHiddenFromTree(element) || !isVisible(element)) return;
+        const level = element.getAttribute('role') === 'heading'
+            ? parseInt(element.getAttribute('aria-level') || '2', 10)
+            : parseInt(element.tagName.slice(1), 10);
+        if (previousLevel && level > previousLevel + 1) {
+            report('heading-order', element, `Heading level jumps from h${previousLevel} to h${level}`);
+        }
+        previousLevel = level;
+    });
+
+    // --- ARIA misuse ---
+    const validRoles = new Set(('alert alertdialog application article banner blockquote button caption cell checkbox code columnheader ' +
+        'combobox complementary contentinfo definition deletion dialog directory document emphasis feed figure form generic grid ' +
+        'gridcell group heading img insertion link list listbox listitem log main marquee math menu menubar menuitem ' +
+        'menuitemcheckbox menuitemradio meter navigation none note option paragraph presentation progressbar radio radiogroup ' +
+        'region row rowgroup rowheader scrollbar search searchbox separator slider spinbutton status strong subscript ' +
+        'superscript switch tab table tablist tabpanel term textbox time timer toolbar tooltip tree treegrid treeitem').split(' '));
+    const validAttributes = new Set(('activedescendant atomic autocomplete braillelabel brailleroledescription busy checked colcount ' +
+        'colindex colindextext colspan controls current describedby description details disabled dropeffect errormessage expanded ' +
+        'flowto grabbed haspopup hidden invalid keyshortcuts label labelledby level live modal multiline multiselectable ' +
+        'orientation owns placeholder posinset pressed readonly relevant required roledescription rowcount rowindex rowindextext ' +
+        'rowspan selected setsize sort valuemax valuemin valuenow valuetext').split(' '));
+    const requiredAttributes = {
+        checkbox: ['aria-checked'],
+        combobox: ['aria-expanded'],
+        heading: ['aria-level'],
+        menuitemcheckbox: ['aria-checked'],
+        menuitemradio: ['aria-checked'],
+        radio: ['aria-checked'],
+        scrollbar: ['aria-controls', 'aria-valuenow'],
+        slider: ['aria-valuenow'],
+        switch: ['aria-checked']
+    };
+    const nativeStates = { checkbox: 'INPUT', radio: 'INPUT', switch: 'INPUT' };
+
+    if (enabled('aria-valid-role', 'aria-valid-attr', 'aria-required-attr', 'aria-broken-reference')) document.querySelectorAll('*').forEach(element => {
+        const role = (element.getAttribute('role') || '').trim();
+        if (role) {
+            const roles = role.split(/\s+/);
+            if (!roles.some(candidate => validRoles.has(candidate))) {
+                report('aria-valid-role', element, `Invalid ARIA role "${role}"`);
+            } else {
+                const primary = roles.find(candidate => validRoles.has(candidate));
+                const missing = (requiredAttributes[primary] || []).filter(attribute => !element.hasAttribute(attribute));
+                if (missing.length > 0 && nativeStates[primary] !== element.tagName) {
+                    report('aria-required-attr', element, `role="${primary}" requires ${missing.join(', ')}`);
+                }
+            }
+        }
+
+        for (const attribute of element.getAttributeNames()) {
+            if (!attribute.startsWith('aria-')) continue;
+            if (!validAttributes.has(attribute.slice(5))) {
+                report('aria-valid-attr', element, `Unknown ARIA attribute "${attribute}"`);
+            } else if (['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns'].includes(attribute)) {
+                const missingIds = element.getAttribute(attribute).split(/\s+/).filter(id => id && !document.getElementById(id));
+                if (missingIds.length > 0) {
+                    report('aria-broken-reference', element, `${attribute} points to missing id(s): ${missingIds.join(', ')}`);
+                }
+            }
+        }
+    });
+
+    if (enabled('aria-hidden-body') && document.body && document.body.getAttribute('aria-hidden') === 'true') {
+        report('aria-hidden-body', document.body, '<body> has aria-hidden="true", hiding the whole page from assistive technology');
+    }
+
+    // --- Focusable elements hidden from the accessibility tree ---
+    const focusableSelector = 'a[href], button, input:not([type="hidden"]), select, textarea, iframe, [tabindex], [contenteditable="true"]';
+    if (enabled('aria-hidden-focus')) document.querySelectorAll('[aria-hidden="true"]').forEach(container => {
+        if (container === document.body) return;
+        const candidates = [container, ...container.querySelectorAll(focusableSelector)];
+        candidates
+            .filter(element => element.matches(focusableSelector))
+            .filter(element => element.getAttribute('tabindex') !== '-1' && !element.disabled && isVisible(element))
+            .forEach(element => report('aria-hidden-focus', element, 'Focusable element is inside aria-hidden="true" and will be reached by keyboard but not announced'));
+    });
+
+    // --- Colour contrast ---
+    const parseColor = value => {
+        const match = (value || '').match(/rgba?\(([^)]+)\)/);
+        if (!match) return null;
+        const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        return { r: parts[0], g: parts[1], b: parts[2], a: parts.length > 3 ? parts[3] : 1 };
+    };
+    const blend = (top, bottom) => ({
+        r: top.r * top.a + bottom.r * (1 - top.a),
+        g: top.g * top.a + bottom.g * (1 - top.a),
+        b: top.b * top.a + bottom.b * (1 - top.a),
+        a: 1
+    });
+    const luminance = ({ r, g, b }) => {
+        const channel = value => {
+            const scaled = value / 255;
+            return scaled <= 0.03928 ? scaled / 12.92 : Math.pow((scaled + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+    };
+    // Walks up the ancestors compositing background colours; gives up (null)
+    // on background images, where the real backdrop can't be known
+    const backgroundOf = element => {
+        const layers = [];
+        for (let current = element; current; current = current.parentElement) {
+            const style = window.getComputedStyle(current);
+            if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+            const color = parseColor(style.backgroundColor);
+            if (color && color.a > 0) {
+                layers.push(color);
+                if (color.a >= 1) break;
+            }
+        }
+        return layers.reduceRight((below, layer) => blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+    };
+
+    let sampled = 0;
+    const textElements = Array.from(document.body && enabled('color-contrast') ? document.body.querySelectorAll('*') : [])
+        .filter(element => Array.from(element.childNodes).some(node => node.nodeType === 3 && node.textContent.trim().length > 1));
+    for (const element of textElements) {
+        if (sampled >= contrastSampleLimit) break;
+        if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'OPTION'].includes(element.tagName)) continue;
+        if (isHiddenFromTree(element) || !isVisible(element)) continue;
+        sampled++;
+
+        const style = window.getComputedStyle(element);
+        const background = backgroundOf(element);
+        const foreground = parseColor(style.color);
+        if (!background || !foreground) continue;
+
+        const text = blend(foreground, background);
+        const [lighter, darker] = [luminance(text), luminance(background)].sort((a, b) => b - a);
+        const ratio = (lighter + 0.05) / (darker + 0.05);
+
+        const fontSize = parseFloat(style.fontSize);
+        const bold = parseInt(style.fontWeight, 10) >= 700;
+        const largeText = fontSize >= 24 || (bold && fontSize >= 18.66);
+        const required = largeText ? 3 : 4.5;
+
+        if (ratio < required) {
+            report('color-contrast', element,
+                `Text contrast ${ratio.toFixed(2)}:1 is below ${required}:1 (${style.color} on ${`rgb(${Math.round(background.r)}, ${Math.round(background.g)}, ${Math.round(background.b)})`})`,
+                { contrastRatio: Math.round(ratio * 100) / 100 });
+        }
+    }
+
+    // --- Tap targets (mobile pass only) ---
+    if (minTargetSize && enabled('target-size')) {
+        document.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [role="link"], [onclick]').forEach(element => {
+            if (isHiddenFromTree(element) || !isVisible(element)) return;
+            // Links inside running text are exempt from the target size rule
+            if (element.tagName === 'A' && element.parentElement && ['P', 'LI', 'SPAN'].includes(element.parentElement.tagName) &&
+                textOf(element.parentElement).length > textOf(element).length + 20) return;
+            const rect = element.getBoundingClientRect();
+            if (rect.width < minTargetSize || rect.height < minTargetSize) {
+                report('target-size', element,
+                    `Tap target is ${Math.round(rect.width)}x${Math.round(rect.height)}px, smaller than ${minTargetSize}x${minTargetSize}px`);
+            }
+        });
+    }
+
+    return {
+        findings,
+        counts: perRule
+    };
+}
+
+// Runs every rule except the tap-target one on the page currently loaded
+async function runAccessibilityAudit(page, settings = {}) {
+    await installUniqueSelector(page);
+    return page.evaluate(collectAccessibilityFindings, {
+        rules: RULES,
+        only: Object.keys(RULES).filter(rule => rule !== 'target-size'),
+        maxFindingsPerRule: settings.maxFindingsPerRule ?? 20,
+        minTargetSize: 0,
+        contrastSampleLimit: settings.contrastSampleLimit ?? 1000
+    });
+}
+
+// Tap-target sizes only make sense on touch viewports, so this runs on the
+// mobile pass rather than alongside the other rules
+async function runTapTargetAudit(page, settings = {}) {
+    await installUniqueSelector(page);
+    return page.evaluate(collectAccessibilityFindings, {
+        rules: RULES,
+        only: ['target-size'],
+        maxFindingsPerRule: settings.maxFindingsPerRule ?? 20,
+        minTargetSize: settings.minTapTargetSize ?? 24,
+        contrastSampleLimit: 0
+    });
+}
+
+module.exports = { runAccessibilityAudit, runTapTargetAudit, ACCESSIBILITY_RULES: RULES };
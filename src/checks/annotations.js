@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Annotated screenshots: every element an issue points at is outlined on a
+// screenshot of the page with a numbered badge and gets a close-up, so the
+// report can show what an issue is about rather than just its selector.
+// Outlines are drawn into the page itself, on an overlay above everything
+// else, and removed after the screenshots.
+
+const OVERLAY_ID = '__audit-annotations';
+
+// Runs in the page: the first visible match of each selector as a box in
+// document coordinates, or null
+function locateElements(selectors) {
+    return selectors.map(selector => {
+        let elements;
+        try {
+            elements = document.querySelectorAll(selector);
+        } catch (error) {
+            return null;
+        }
+        for (const element of elements) {
+            const rect = element.getBoundingClientRect();
+            const style = getComputedStyle(element);
+            if (rect.width < 1 || rect.height < 1 || style.visibility === 'hidden') continue;
+            return {
+                x: Math.round(rect.left + window.scrollX),
+                y: Math.round(rect.top + window.scrollY),
+                width: Math.round(rect.width),
+                height: Math.round(rect.height)
+            };
+        }
+        return null;
+    });
+}
+
+// Runs in the page
+function drawOverlay({ id, marks, color }) {
+    document.getElementById(id)?.remove();
+    const overlay = document.createElement('div');
+    overlay.id = id;
+    overlay.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647; pointer-events: none;';
+    for (const { number, box } of marks) {
+        const outline = document.createElement('div');
+        outline.style.cssText = `position: absolute; left: ${box.x - 3}px; top: ${box.y - 3}px; width: ${box.width}px; height: ${box.height}px; ` +
+            `border: 3px solid ${color}; border-radius: 3px; box-shadow: 0 0 0 2px #fff;`;
+        const badge = document.createElement('div');
+        badge.textContent = String(number);
+        badge.style.cssText = `position: absolute; left: ${Math.max(0, box.x - 14)}px; top: ${Math.max(0, box.y - 14)}px; min-width: 24px; height: 24px; ` +
+            `padding: 0 4px; box-sizing: border-box; border-radius: 12px; background: ${color}; color: #fff; ` +
+            'font: bold 14px/24px Arial, sans-serif; text-align: center; box-shadow: 0 0 0 2px #fff;';
+        overlay.append(outline, badge);
+    }
+    document.documentElement.appendChild(overlay);
+}
+
+// Outlines the elements `selectors` point at on the loaded page. Several
+// selectors for the same element share a number. Returns the screenshots as
+// buffers, since popups are annotated before the output directory exists:
+// { image, closeUps: Map(number => buffer), numbers: [number or null per selector] }.
+async function annotatePage(page, selectors, { screenshotOptions = {}, fullPage = true, closeUps = true, padding = 40, maxCloseUpHeight = 600, color = '#e0115f' } = {}) {
+    const boxes = await page.evaluate(locateElements, selectors).catch(() => selectors.map(() => null));
+    const byBox = new Map();
+    const marks = [];
+    const numbers = boxes.map(box => {
+        if (!box) return null;
+        const key = `${box.x},${box.y},${box.width},${box.height}`;
+        if (!byBox.has(key)) {
+            marks.push({ number: marks.length + 1, box });
+            byBox.set(key, marks.length);
+        }
+        return byBox.get(key);
+    });
+    if (marks.length === 0) return null;
+
+    const annotation = { image: null, closeUps: new Map(), numbers };
+    try {
+        await page.evaluate(drawOverlay, { id: OVERLAY_ID, marks, color });
+        annotation.image = await page.screenshot({ ...screenshotOptions, fullPage });
+        if (closeUps) {
+            for (const { number, box } of marks) {
+                // Clips are in document coordinates; tall elements are cut
+                // off below the top
+                const x = Math.max(0, box.x - padding);
+                const y = Math.max(0, box.y - padding);
+                const clip = { x, y, width: box.x + box.width + padding - x, height: Math.min(box.y + box.height + padding - y, maxCloseUpHeight) };
+                const closeUp = await page.screenshot({ ...screenshotOptions, fullPage: false, clip }).catch(() => null);
+                if (closeUp) annotation.closeUps.set(number, closeUp);
+            }
+        }
+    } finally {
+        await page.evaluate(id => document.getElementById(id)?.remove(), OVERLAY_ID).catch(() => {});
+    }
+    return annotation;
+}
+
+// Writes an annotatePage() result to <outputDir>/annotated/<name>.<ext> and
+// <name>_<number>.<ext>; returns { number, image, closeUp } per selector
+// (paths relative to outputDir), null where the element wasn't found
+async function saveAnnotation(annotation, { outputDir, name, extension = 'png' }) {
+    const directory = path.join(outputDir, 'annotated');
+    await fs.mkdir(directory, { recursive: true });
+    const file = suffix => path.join(directory, `${name}${suffix}.${extension}`);
+
+    await fs.writeFile(file(''), annotation.image);
+    for (const [number, closeUp] of annotation.closeUps) {
+        await fs.writeFile(file(`_${number}`), closeUp);
+    }
+    return annotation.numbers.map(number => number === null ? null : {
+        number,
+        image: path.relative(outputDir, file('')),
+        closeUp: annotation.closeUps.has(number) ? path.relative(outputDir, file(`_${number}`)) : null
+    });
+}
+
+module.exports = { annotatePage, saveAnnotation, locateElements };
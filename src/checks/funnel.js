@@ -0,0 +1,368 @@
+const { createIssue } = require('./rules');
+
+// Conversion funnel walkthrough: product page -> variant -> add to cart ->
+// cart -> checkout entry. Each step is timed and screenshotted. Nothing is
+// filled in or submitted on the checkout page; the walk stops once it loads.
+
+const FUNNEL_STEPS = ['product', 'variant', 'add-to-cart', 'cart', 'checkout'];
+
+// Built-in selectors; funnel.selectors in the settings go first
+const ADD_TO_CART_SELECTORS = [
+    'form[action*="/cart/add"] [type="submit"]',
+    'form[action*="/cart/add"] button:not([type="button"])',
+    'button[name="add"]',
+    'button.single_add_to_cart_button',
+    '[data-add-to-cart]',
+    '#AddToCart',
+    '.add-to-cart',
+    '.btn-add-to-cart'
+];
+const ADD_TO_CART_TEXT = /^\s*(add to (cart|bag|basket)|buy now|in den warenkorb|ajouter au panier|añadir al carrito)\b/i;
+
+const CART_COUNT_SELECTORS = [
+    '[data-cart-count]',
+    '.cart-count',
+    '.cart-count-bubble',
+    '#CartCount',
+    '.cart-contents-count',
+    '.cart-link__bubble',
+    '.header__cart-count'
+];
+
+const CART_DRAWER_SELECTORS = [
+    'cart-drawer[open]',
+    'cart-drawer.active',
+    'cart-notification.active',
+    '#cart-notification.active',
+    '.cart-drawer.is-open',
+    '.cart-drawer.active',
+    '#CartDrawer[aria-hidden="false"]',
+    '.drawer--cart.is-active',
+    '.mini-cart.is-open',
+    '.widget_shopping_cart_content .mini_cart_item'
+];
+
+const CHECKOUT_SELECTORS = [
+    '[name="checkout"]',
+    'a[href*="/checkout"]',
+    '.checkout-button',
+    'a.checkout-button',
+    '#checkout'
+];
+const CHECKOUT_TEXT = /^\s*(check ?out|proceed to checkout|zur kasse|commander|pagar)\b/i;
+
+const CHECKOUT_URL = /\/(checkouts?|checkout_|pay)\b|[?&]checkout/i;
+
+// Runs in the page: picks the first available option of every variant
+// control. Returns what was chosen, or null when the page has no variants.
+function selectFirstVariant() {
+    const form = document.querySelector('form[action*="/cart/add"]') || document.querySelector('form.cart, form.variations_form') || document;
+    const chosen = [];
+
+    form.querySelectorAll('select').forEach(select => {
+        const name = select.name || select.id || '';
+        if (!/option|variant|attribute|size|colou?r|^id$/i.test(name)) return;
+        const option = Array.from(select.options).find(candidate => candidate.value && !candidate.disabled);
+        if (!option) return;
+        select.value = option.value;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        chosen.push(`${name}=${option.textContent.trim()}`);
+    });
+
+    const groups = new Map();
+    form.querySelectorAll('input[type="radio"]').forEach(radio => {
+        if (!groups.has(radio.name)) groups.set(radio.name, []);
+        groups.get(radio.name).push(radio);
+    });
+    for (const [name, radios] of groups) {
+        if (radios.some(radio => radio.checked)) continue;
+        const radio = radios.find(candidate => !candidate.disabled);
+        if (!radio) continue;
+        radio.click();
+        chosen.push(`${name}=${radio.value}`);
+    }
+
+    return chosen.length > 0 ? chosen : null;
+}
+
+// Runs in the page: finds a visible, enabled control and tags it so
+// Puppeteer can click it. Returns a description of it, or null.
+function markControl({ marker, selectors, textPattern, textFlags }) {
+    const pattern = textPattern ? new RegExp(textPattern, textFlags) : null;
+    const visible = element => {
+        const rect = element.getBoundingClientRect();
+        const style = getComputedStyle(element);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+    const usable = element => visible(element) && !element.disabled && element.getAttribute('aria-disabled') !== 'true';
+
+    let found = null;
+    let disabled = null;
+    for (const selector of selectors) {
+        let candidates;
+        try {
+            candidates = Array.from(document.querySelectorAll(selector));
+        } catch (error) {
+            continue;
+        }
+        found = candidates.find(usable);
+        disabled = disabled || candidates.find(visible) || null;
+        if (found) break;
+    }
+    if (!found && pattern) {
+        const candidates = Array.from(document.querySelectorAll('button, a, input[type="submit"]'))
+            .filter(element => pattern.test(element.textContent || element.value || ''));
+        found = candidates.find(usable);
+        disabled = disabled || candidates.find(visible) || null;
+    }
+
+    document.querySelectorAll(`[data-audit-funnel="${marker}"]`).forEach(element => element.removeAttribute('data-audit-funnel'));
+    const control = found || disabled;
+    if (!control) return null;
+    control.setAttribute('data-audit-funnel', marker);
+    return {
+        selector: `[data-audit-funnel="${marker}"]`,
+        text: (control.textContent || control.value || '').replace(/\s+/g, ' ').trim().slice(0, 60),
+        tag: control.tagName.toLowerCase(),
+        href: control.href || null,
+        disabled: !found
+    };
+}
+
+// Runs in the page: what the page says about the cart right now
+async function readCartState({ countSelectors, drawerSelectors, useCartJs }) {
+    let itemCount = null;
+    if (useCartJs) {
+        try {
+            const response = await fetch('/cart.js', { headers: { accept: 'application/json' }, credentials: 'same-origin' });
+            itemCount = (await response.json()).item_count;
+        } catch (error) {
+            itemCount = null;
+        }
+    }
+
+    let badgeCount = null;
+    for (const selector of countSelectors) {
+        const element = document.querySelector(selector);
+        const match = element && (element.getAttribute('data-cart-count') || element.textContent || '').match(/\d+/);
+        if (match) {
+            badgeCount = Number(match[0]);
+            break;
+        }
+    }
+
+    const drawerOpen = drawerSelectors.some(selector => {
+        try {
+            return !!document.querySelector(selector);
+        } catch (error) {
+            return false;
+        }
+    });
+
+    const emptyText = /your (cart|bag|basket) is (currently )?empty/i.test(document.body?.innerText || '');
+    return { itemCount, badgeCount, drawerOpen, emptyText, url: location.href };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Polls `read` until `done` accepts its result or `timeout` passes. Reads
+// that fail while the page navigates are retried.
+async function waitForState(read, done, timeout) {
+    const deadline = Date.now() + timeout;
+    let last = null;
+    while (Date.now() < deadline) {
+        try {
+            last = await read();
+            if (done(last)) return { state: last, matched: true };
+        } catch (error) {
+            // Execution context destroyed by a navigation; try again
+        }
+        await sleep(250);
+    }
+    return { state: last, matched: false };
+}
+
+function cartChanged(before, after) {
+    if (!after) return false;
+    if (before.itemCount !== null && after.itemCount !== null && after.itemCount > before.itemCount) return true;
+    if (after.badgeCount !== null && after.badgeCount > (before.badgeCount ?? 0)) return true;
+    if (after.drawerOpen && !before.drawerOpen) return true;
+    // Stores without an AJAX cart send the form and land on the cart page
+    return after.url !== before.url && /\/(cart|basket|bag)\b/i.test(after.url) && !after.emptyText;
+}
+
+// Walks the funnel starting at `productUrl`. `navigate(url)` loads a page and
+// `screenshot(step)` captures the viewport, returning the file path.
+async function runFunnel(page, productUrl, { navigate, screenshot, isShopify = false, settings = {} } = {}) {
+    const stepTimeout = settings.stepTimeout ?? 15000;
+    const selectors = settings.selectors || {};
+    const steps = [];
+    let current = null;
+
+    const errorListener = error => current?.jsErrors.push(error.message.split('\n')[0]);
+    page.on('pageerror', errorListener);
+
+    const cartOptions = {
+        countSelectors: [...(selectors.cartCount ? [selectors.cartCount] : []), ...CART_COUNT_SELECTORS],
+        drawerSelectors: [...(selectors.cartDrawer ? [selectors.cartDrawer] : []), ...CART_DRAWER_SELECTORS],
+        useCartJs: isShopify
+    };
+    const readCart = () => page.evaluate(readCartState, cartOptions);
+
+    // Runs one step; `body` returns { status, detail } or throws to fail it
+    const step = async (name, body) => {
+        current = { name, status: 'passed', durationMs: 0, url: null, detail: null, jsErrors: [], screenshot: null };
+        steps.push(current);
+        const started = Date.now();
+        try {
+            Object.assign(current, await body());
+        } catch (error) {
+            current.status = 'failed';
+            current.detail = error.message;
+        }
+        current.durationMs = Date.now() - started;
+        current.url = page.url();
+        if (current.status !== 'skipped') {
+            current.screenshot = await screenshot(name).catch(() => null);
+        }
+        return current.status !== 'failed';
+    };
+
+    try {
+        const reachedProduct = await step('product', async () => {
+            const response = await navigate(productUrl);
+            if (response && response.status() >= 400) {
+                throw new Error(`Product page returned HTTP ${response.status()}`);
+            }
+            return { detail: await page.title() };
+        });
+
+        const completed = reachedProduct
+            && await step('variant', async () => {
+                const chosen = await page.evaluate(selectFirstVariant);
+                if (!chosen) return { status: 'skipped', detail: 'No variant options' };
+                // Themes update price and availability after a change event
+                await sleep(500);
+                return { detail: chosen.join(', ') };
+            })
+            && await step('add-to-cart', async () => {
+                const button = await page.evaluate(markControl, {
+                    marker: 'add-to-cart',
+                    selectors: [...(selectors.addToCart ? [selectors.addToCart] : []), ...ADD_TO_CART_SELECTORS],
+                    textPattern: ADD_TO_CART_TEXT.source,
+                    textFlags: ADD_TO_CART_TEXT.flags
+                });
+                if (!button) {
+                    return { status: 'failed', detail: 'No add-to-cart button found', reason: 'missing-button' };
+                }
+                if (button.disabled) {
+                    return { status: 'failed', detail: `Add-to-cart button "${button.text}" is disabled`, reason: 'disabled-button' };
+                }
+
+                const before = await readCart();
+                await page.click(button.selector);
+                const { state, matched } = await waitForState(readCart, after => cartChanged(before, after), stepTimeout);
+                if (!matched) {
+                    return {
+                        status: 'failed',
+                        detail: `Clicked "${button.text}" but neither the cart count nor a cart drawer changed within ${stepTimeout / 1000}s`,
+                        reason: 'no-cart-update',
+                        cart: state
+                    };
+                }
+                return { detail: `Clicked "${button.text}"`, cart: state };
+            })
+            && await step('cart', async () => {
+                const cartUrl = new URL(selectors.cartUrl || '/cart', page.url()).href;
+                if (!/\/(cart|basket|bag)\b/i.test(page.url())) {
+                    const response = await navigate(cartUrl);
+                    if (response && response.status() >= 400) {
+                        throw new Error(`Cart page returned HTTP ${response.status()}`);
+                    }
+                }
+                const cart = await readCart();
+                if (cart.emptyText || cart.itemCount === 0) {
+                    return { status: 'failed', detail: 'The cart is empty after adding a product', reason: 'empty-cart', cart };
+                }
+                return { detail: page.url(), cart };
+            })
+            && await step('checkout', async () => {
+                const button = await page.evaluate(markControl, {
+                    marker: 'checkout',
+                    selectors: [...(selectors.checkout ? [selectors.checkout] : []), ...CHECKOUT_SELECTORS],
+                    textPattern: CHECKOUT_TEXT.source,
+                    textFlags: CHECKOUT_TEXT.flags
+                });
+                if (!button || button.disabled) {
+                    return {
+                        status: 'failed',
+                        detail: button ? `Checkout button "${button.text}" is disabled` : 'No checkout button on the cart page',
+                        reason: 'missing-checkout'
+                    };
+                }
+
+                // Links are followed; the cart form's checkout button is clicked,
+                // which only hands the cart over to the checkout
+                if (button.tag === 'a' && button.href) {
+                    await navigate(button.href);
+                } else {
+                    await Promise.all([
+                        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: stepTimeout }),
+                        page.click(button.selector)
+                    ]);
+                }
+
+                const reached = CHECKOUT_URL.test(page.url()) || await page.evaluate(() =>
+                    !!document.querySelector('#checkout_email, input[name="checkout[email]"], form[action*="checkout"] input[type="email"]')
+                ).catch(() => false);
+                if (!reached) {
+                    return { status: 'failed', detail: `Checkout did not load; ended on ${page.url()}`, reason: 'checkout-not-reached' };
+                }
+                return { detail: `Reached ${page.url()}` };
+            });
+
+        return {
+            productUrl,
+            completed: !!completed,
+            steps,
+            totalMs: steps.reduce((sum, { durationMs }) => sum + durationMs, 0)
+        };
+    } finally {
+        page.off('pageerror', errorListener);
+    }
+}
+
+// Issues for failed, slow or erroring steps
+function funnelIssues(funnel, { maxStepTime = 5000 } = {}) {
+    const issues = [];
+    const url = funnel.productUrl;
+
+    for (const step of funnel.steps) {
+        const evidence = step.screenshot ? `Screenshot: ${step.screenshot}` : null;
+        if (step.status === 'failed') {
+            const id = {
+                product: 'funnel.product-unreachable',
+                'add-to-cart': step.reason === 'missing-button' ? 'funnel.no-add-to-cart' : 'funnel.add-to-cart-failed',
+                cart: 'funnel.cart-unreachable',
+                checkout: step.reason === 'missing-checkout' ? 'funnel.no-checkout' : 'funnel.checkout-unreachable'
+            }[step.name] || 'funnel.variant-unselectable';
+            issues.push(createIssue(id, { message: `Funnel step "${step.name}" failed: ${step.detail}`, url, evidence, step: step.name }));
+        } else if (step.status === 'passed' && step.durationMs > maxStepTime) {
+            issues.push(createIssue('funnel.slow-step', {
+                message: `Funnel step "${step.name}" took ${(step.durationMs / 1000).toFixed(1)}s (limit ${maxStepTime / 1000}s)`,
+                url,
+                evidence,
+                step: step.name
+            }));
+        }
+        for (const message of [...new Set(step.jsErrors)]) {
+            issues.push(createIssue('funnel.js-error', { message: `JavaScript error during "${step.name}": ${message}`, url, step: step.name }));
+        }
+    }
+
+    return issues;
+}
+
+module.exports = { runFunnel, funnelIssues, FUNNEL_STEPS, selectFirstVariant, markControl, readCartState, cartChanged };
@@ -0,0 +1,226 @@
+const { fetchUrl } = require('../utils/http');
+const { isSameSite } = require('../crawler/pageTypes');
+const { createIssue } = require('./rules');
+
+// Link checking: every anchor, image, script and stylesheet referenced by the
+// audited pages is requested once (HEAD, falling back to GET), with a cap on
+// requests in flight. Results are cached by URL for the whole run, so pages
+// and sites sharing links don't check them twice.
+
+// Servers that reject or mishandle HEAD; these get a GET instead
+const RETRY_WITH_GET = new Set([400, 403, 405, 406, 429, 500, 501, 502, 503]);
+
+// Runs in the page
+function collectPageReferences() {
+    const references = [];
+    const add = (url, kind, text) => {
+        if (url) references.push({ url, kind, text: (text || '').replace(/\s+/g, ' ').trim().slice(0, 80) });
+    };
+
+    document.querySelectorAll('a[href]').forEach(link => add(link.href, 'link', link.textContent || link.getAttribute('aria-label')));
+    document.querySelectorAll('img').forEach(image => {
+        add(image.currentSrc || image.src, 'image', image.alt);
+    });
+    document.querySelectorAll('script[src]').forEach(script => add(script.src, 'script'));
+    document.querySelectorAll('link[rel~="stylesheet" i][href]').forEach(link => add(link.href, 'stylesheet'));
+    document.querySelectorAll('iframe[src]').forEach(frame => add(frame.src, 'iframe'));
+    return references;
+}
+
+// Keeps http(s) references, drops fragments and duplicates
+function normalizeReferences(references) {
+    const seen = new Map();
+    for (const reference of references) {
+        let url;
+        try {
+            url = new URL(reference.url);
+        } catch (error) {
+            continue;
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+        url.hash = '';
+        const key = `${reference.kind} ${url.href}`;
+        if (!seen.has(key)) seen.set(key, { ...reference, url: url.href });
+    }
+    return [...seen.values()];
+}
+
+class LinkChecker {
+    constructor({ concurrency = 8, timeout = 10000, maxRedirects = 10, userAgent = null } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.requestOptions = {
+            timeout,
+            maxRedirects,
+            maxBytes: 2 * 1024 * 1024,
+            headers: userAgent ? { 'user-agent': userAgent } : {}
+        };
+        this.cache = new Map();
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    async acquire() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return;
+        }
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    // Resolves to { url, status, finalUrl, redirects, loop, tooManyRedirects, error }
+    check(url) {
+        if (!this.cache.has(url)) {
+            this.cache.set(url, this.request(url));
+        }
+        return this.cache.get(url);
+    }
+
+    async request(url) {
+        await this.acquire();
+        try {
+            let response = await fetchUrl(url, { ...this.requestOptions, method: 'HEAD' }).catch(error => ({ error }));
+            if (response.error || RETRY_WITH_GET.has(response.status)) {
+                const retry = await fetchUrl(url, this.requestOptions).catch(error => ({ error }));
+                // A GET that fails outright (e.g. a body over maxBytes) says less than a HEAD status
+                if (!retry.error || response.error) response = retry;
+            }
+            if (response.error) {
+                return { url, status: null, finalUrl: null, redirects: [], loop: false, tooManyRedirects: false, error: response.error.message };
+            }
+            return {
+                url,
+                status: response.status,
+                finalUrl: response.url,
+                redirects: response.redirects,
+                loop: response.loop,
+                tooManyRedirects: !!response.tooManyRedirects,
+                error: null
+            };
+        } catch (error) {
+            return { url, status: null, finalUrl: null, redirects: [], loop: false, tooManyRedirects: false, error: error.message };
+        } finally {
+            this.release();
+        }
+    }
+
+    async checkAll(urls) {
+        return Promise.all(urls.map(url => this.check(url)));
+    }
+}
+
+// Checks the references found on each page and groups problems by URL, with
+// every source page that references it. `canonicalOrigin` is where the
+// site's homepage finally resolved (e.g. https://www.example.com).
+async function checkPageLinks(checker, pages, { canonicalOrigin, checkExternal = true, maxLinks = 500 } = {}) {
+    const sources = new Map();
+    for (const { url: pageUrl, references } of pages) {
+        for (const reference of normalizeReferences(references)) {
+            if (!sources.has(reference.url)) {
+                sources.set(reference.url, { kinds: new Set(), pages: new Map() });
+            }
+            const entry = sources.get(reference.url);
+            entry.kinds.add(reference.kind);
+            if (!entry.pages.has(pageUrl)) entry.pages.set(pageUrl, reference.text);
+        }
+    }
+
+    const internal = url => isSameSite(url, canonicalOrigin);
+    const candidates = [...sources.keys()].filter(url => checkExternal || internal(url));
+    // Internal links first, so the budget goes to the site's own pages
+    candidates.sort((a, b) => Number(internal(b)) - Number(internal(a)));
+    const toCheck = candidates.slice(0, maxLinks);
+    const results = await checker.checkAll(toCheck);
+
+    const canonical = new URL(canonicalOrigin);
+    const findings = { broken: [], redirects: [], loops: [], mixedContent: [], nonCanonicalHost: [] };
+    const describe = (url, entry) => ({
+        url,
+        kinds: [...entry.kinds],
+        sourcePages: [...entry.pages.keys()],
+        linkText: [...entry.pages.values()].find(Boolean) || null
+    });
+
+    for (const result of results) {
+        const entry = sources.get(result.url);
+        const base = describe(result.url, entry);
+
+        if (result.loop || result.tooManyRedirects) {
+            findings.loops.push({ ...base, redirects: result.redirects, loop: result.loop });
+        } else if (result.error || result.status >= 400) {
+            findings.broken.push({ ...base, status: result.status, error: result.error });
+        } else if (result.redirects.length > 0 && internal(result.url)) {
+            findings.redirects.push({ ...base, status: result.status, finalUrl: result.finalUrl, redirects: result.redirects });
+        }
+    }
+
+    // These don't need a request: they follow from the URL and where it appears
+    for (const [url, entry] of sources) {
+        const target = new URL(url);
+        const httpsSources = [...entry.pages.keys()].filter(pageUrl => pageUrl.startsWith('https:'));
+        if (target.protocol === 'http:' && httpsSources.length > 0) {
+            findings.mixedContent.push({ ...describe(url, entry), sourcePages: httpsSources });
+        }
+        if (internal(url) && (target.host !== canonical.host || target.protocol !== canonical.protocol)) {
+            findings.nonCanonicalHost.push({ ...describe(url, entry), canonicalOrigin: canonical.origin });
+        }
+    }
+
+    return {
+        referencesFound: sources.size,
+        checked: toCheck.length,
+        skipped: candidates.length - toCheck.length + (sources.size - candidates.length),
+        findings
+    };
+}
+
+// One issue per problem URL, naming the pages that reference it
+function linkIssues({ findings }) {
+    const issues = [];
+    const where = finding => ({ sourcePages: finding.sourcePages, resource: finding.url });
+    const activeKinds = ['script', 'stylesheet', 'iframe'];
+
+    findings.broken.forEach(finding => issues.push(createIssue('links.broken', {
+        message: `Broken ${finding.kinds.join('/')} (${finding.status ? `HTTP ${finding.status}` : finding.error}): ${finding.url}`,
+        severity: finding.kinds.some(kind => activeKinds.includes(kind)) || finding.status >= 500 ? 'serious' : 'moderate',
+        evidence: finding.linkText ? `Link text: "${finding.linkText}"` : null,
+        ...where(finding)
+    })));
+    findings.loops.forEach(finding => issues.push(createIssue('links.redirect-loop', {
+        message: `${finding.loop ? 'Redirect loop' : 'Too many redirects'} (${finding.redirects.map(hop => hop.status).join(' > ')}): ${finding.url}`,
+        evidence: finding.redirects.map(hop => hop.url).join(' > '),
+        ...where(finding)
+    })));
+    findings.redirects.forEach(finding => issues.push(createIssue('links.redirect-chain', {
+        message: `Internal ${finding.kinds.join('/')} redirects ${finding.redirects.length} time(s) (${finding.redirects.map(hop => hop.status).join(' > ')}): ${finding.url} -> ${finding.finalUrl}`,
+        severity: finding.redirects.length > 1 ? 'moderate' : 'minor',
+        ...where(finding)
+    })));
+    findings.mixedContent.forEach(finding => issues.push(finding.kinds.every(kind => kind === 'link')
+        ? createIssue('links.insecure-link', {
+            message: `Insecure http link on an https page: ${finding.url}`,
+            ...where(finding)
+        })
+        : createIssue('links.mixed-content', {
+            message: `Mixed content: ${finding.kinds.join('/')} over http on an https page: ${finding.url}`,
+            // Browsers block active mixed content outright
+            severity: finding.kinds.some(kind => activeKinds.includes(kind)) ? 'serious' : 'moderate',
+            ...where(finding)
+        })));
+    findings.nonCanonicalHost.forEach(finding => issues.push(createIssue('links.non-canonical-host', {
+        message: `Link to non-canonical host (site resolves to ${finding.canonicalOrigin}): ${finding.url}`,
+        ...where(finding)
+    })));
+
+    return issues;
+}
+
+module.exports = { LinkChecker, collectPageReferences, normalizeReferences, checkPageLinks, linkIssues };
@@ -0,0 +1,404 @@
+const { registrableDomain } = require('../crawler/pageTypes');
+const { createIssue } = require('./rules');
+
+// Records every request a page makes through the DevTools protocol, then
+// rolls the log up into page weight, first/third-party bytes and a set of
+// network findings, and can export it as HAR 1.2.
+
+const TEXT_MIME = /^(text\/|application\/(javascript|x-javascript|ecmascript|json|ld\+json|xml|manifest\+json)|image\/svg\+xml)/i;
+
+const RESOURCE_GROUPS = {
+    Document: 'document',
+    Script: 'script',
+    Stylesheet: 'stylesheet',
+    Image: 'image',
+    Font: 'font',
+    Media: 'media',
+    XHR: 'xhr',
+    Fetch: 'xhr'
+};
+
+class NetworkRecorder {
+    constructor(client) {
+        this.client = client;
+        this.requests = new Map();
+        this.entries = [];
+        this.handlers = {
+            'Network.requestWillBeSent': event => this.onRequest(event),
+            'Network.responseReceived': event => this.onResponse(event),
+            'Network.dataReceived': event => this.onData(event),
+            'Network.loadingFinished': event => this.onFinished(event),
+            'Network.loadingFailed': event => this.onFailed(event)
+        };
+    }
+
+    static async attach(page) {
+        const client = await page.target().createCDPSession();
+        const recorder = new NetworkRecorder(client);
+        for (const [event, handler] of Object.entries(recorder.handlers)) {
+            client.on(event, handler);
+        }
+        await client.send('Network.enable');
+        return recorder;
+    }
+
+    async detach() {
+        for (const [event, handler] of Object.entries(this.handlers)) {
+            this.client.off(event, handler);
+        }
+        await this.client.detach().catch(() => {});
+    }
+
+    // Starts a fresh log, e.g. just before navigating to the next page
+    reset() {
+        this.requests.clear();
+        this.entries = [];
+    }
+
+    onRequest(event) {
+        // A redirect reuses the request id: close off the previous hop first
+        if (event.redirectResponse && this.requests.has(event.requestId)) {
+            const previous = this.requests.get(event.requestId);
+            previous.response = this.describeResponse(event.redirectResponse);
+            previous.endTime = event.timestamp;
+            previous.redirectURL = event.request.url;
+            this.entries.push(previous);
+        }
+
+        const entry = {
+            requestId: event.requestId,
+            url: event.request.url,
+            method: event.request.method,
+            requestHeaders: event.request.headers,
+            postDataSize: event.request.postData ? Buffer.byteLength(event.request.postData) : 0,
+            resourceType: event.type || 'Other',
+            initiator: this.describeInitiator(event.initiator),
+            startTime: event.timestamp,
+            wallTime: event.wallTime,
+            response: null,
+            encodedBytes: 0,
+            decodedBytes: 0,
+            endTime: null,
+            failed: null
+        };
+        this.requests.set(event.requestId, entry);
+    }
+
+    describeInitiator(initiator = {}) {
+        const frame = initiator.stack?.callFrames?.[0];
+        return {
+            type: initiator.type,
+            url: initiator.url || frame?.url || null,
+            lineNumber: initiator.lineNumber ?? frame?.lineNumber ?? null
+        };
+    }
+
+    describeResponse(response) {
+        return {
+            status: response.status,
+            statusText: response.statusText,
+            mimeType: response.mimeType,
+            headers: Object.fromEntries(Object.entries(response.headers || {}).map(([name, value]) => [name.toLowerCase(), value])),
+            protocol: response.protocol,
+            fromCache: !!(response.fromDiskCache || response.fromServiceWorker || response.fromPrefetchCache),
+            timing: response.timing || null,
+            encodedDataLength: response.encodedDataLength || 0
+        };
+    }
+
+    onResponse(event) {
+        const entry = this.requests.get(event.requestId);
+        if (entry) {
+            entry.response = this.describeResponse(event.response);
+            entry.resourceType = event.type || entry.resourceType;
+        }
+    }
+
+    onData(event) {
+        const entry = this.requests.get(event.requestId);
+        if (entry) {
+            entry.decodedBytes += event.dataLength;
+        }
+    }
+
+    onFinished(event) {
+        const entry = this.requests.get(event.requestId);
+        if (!entry) return;
+        entry.encodedBytes = event.encodedDataLength;
+        entry.endTime = event.timestamp;
+        this.requests.delete(event.requestId);
+        this.entries.push(entry);
+    }
+
+    onFailed(event) {
+        const entry = this.requests.get(event.requestId);
+        if (!entry) return;
+        entry.failed = event.blockedReason ? `blocked: ${event.blockedReason}` : event.errorText;
+        entry.endTime = event.timestamp;
+        this.requests.delete(event.requestId);
+        this.entries.push(entry);
+    }
+
+    // Finished requests plus any still in flight, in request order
+    getEntries() {
+        return [...this.entries, ...this.requests.values()].sort((a, b) => a.startTime - b.startTime);
+    }
+}
+
+// Collected in the page: rendered vs natural image sizes and which
+// stylesheets/scripts blocked rendering
+function collectRenderData() {
+    const dpr = window.devicePixelRatio || 1;
+    const images = Array.from(document.images)
+        .filter(image => image.complete && image.naturalWidth > 0 && image.currentSrc)
+        .map(image => {
+            const rect = image.getBoundingClientRect();
+            return {
+                url: image.currentSrc,
+                naturalWidth: image.naturalWidth,
+                naturalHeight: image.naturalHeight,
+                renderedWidth: Math.round(rect.width * dpr),
+                renderedHeight: Math.round(rect.height * dpr)
+            };
+        });
+
+    let renderBlocking = performance.getEntriesByType('resource')
+        .filter(entry => entry.renderBlockingStatus === 'blocking')
+        .map(entry => ({ url: entry.name, type: entry.initiatorType === 'script' ? 'script' : 'stylesheet' }));
+
+    // Older Chrome builds don't report renderBlockingStatus; fall back to markup
+    if (!performance.getEntriesByType('resource').some(entry => 'renderBlockingStatus' in entry)) {
+        renderBlocking = [
+            ...Array.from(document.querySelectorAll('head script[src]:not([async]):not([defer]):not([type="module"])'))
+                .map(script => ({ url: script.src, type: 'script' })),
+            ...Array.from(document.querySelectorAll('link[rel="stylesheet"][href]'))
+                .filter(link => !link.media || link.media === 'all' || window.matchMedia(link.media).matches)
+                .filter(link => !link.disabled)
+                .map(link => ({ url: link.href, type: 'stylesheet' }))
+        ];
+    }
+
+    return { images, renderBlocking };
+}
+
+function isCacheable(entry) {
+    return ['Script', 'Stylesheet', 'Image', 'Font', 'Media'].includes(entry.resourceType);
+}
+
+function hasCacheHeaders(headers) {
+    const cacheControl = headers['cache-control'] || '';
+    if (/no-store|no-cache/i.test(cacheControl)) return false;
+    const maxAge = cacheControl.match(/(?:s-)?max-age=(\d+)/i);
+    if (maxAge) return parseInt(maxAge[1], 10) > 0;
+    return !!headers.expires;
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)}KB`;
+    return `${bytes}B`;
+}
+
+// Turns a recorded request log into a page-weight summary and findings.
+// `renderData` comes from collectRenderData() on the same page.
+function analyzeNetwork(entries, pageUrl, renderData, settings = {}) {
+    const siteDomain = registrableDomain(new URL(pageUrl).hostname);
+    const uncompressedMinBytes = settings.uncompressedMinBytes ?? 1024;
+    const oversizedImageRatio = settings.oversizedImageRatio ?? 1.5;
+    const oversizedImageMinBytes = settings.oversizedImageMinBytes ?? 10 * 1024;
+    const maxFindings = settings.maxFindingsPerType ?? 20;
+
+    const summary = {
+        requestCount: 0,
+        totalBytes: 0,
+        byType: {},
+        firstPartyBytes: 0,
+        thirdPartyBytes: 0,
+        thirdPartyRequests: 0,
+        thirdPartyHosts: {},
+        failedRequests: 0
+    };
+    const findings = {
+        uncompressed: [],
+        missingCache: [],
+        oversizedImages: [],
+        renderBlocking: [],
+        errorResponses: []
+    };
+    const add = (list, finding) => {
+        if (list.length < maxFindings) list.push(finding);
+    };
+
+    const bytesByUrl = new Map();
+
+    for (const entry of entries) {
+        if (!/^https?:/.test(entry.url)) continue;
+        const bytes = entry.encodedBytes || entry.response?.encodedDataLength || 0;
+        const group = RESOURCE_GROUPS[entry.resourceType] || 'other';
+        const { hostname } = new URL(entry.url);
+        const thirdParty = registrableDomain(hostname) !== siteDomain;
+
+        summary.requestCount++;
+        summary.totalBytes += bytes;
+        summary.byType[group] = summary.byType[group] || { count: 0, bytes: 0 };
+        summary.byType[group].count++;
+        summary.byType[group].bytes += bytes;
+        if (thirdParty) {
+            summary.thirdPartyBytes += bytes;
+            summary.thirdPartyRequests++;
+            summary.thirdPartyHosts[hostname] = summary.thirdPartyHosts[hostname] || { count: 0, bytes: 0 };
+            summary.thirdPartyHosts[hostname].count++;
+            summary.thirdPartyHosts[hostname].bytes += bytes;
+        } else {
+            summary.firstPartyBytes += bytes;
+        }
+        bytesByUrl.set(entry.url, bytes);
+
+        if (entry.failed) {
+            summary.failedRequests++;
+            continue;
+        }
+
+        const response = entry.response;
+        if (!response || response.fromCache) continue;
+
+        if (response.status >= 400 && entry.resourceType !== 'Document') {
+            add(findings.errorResponses, { url: entry.url, status: response.status, resourceType: entry.resourceType });
+        }
+
+        if (response.status === 200 && TEXT_MIME.test(response.mimeType || '') &&
+            !response.headers['content-encoding'] && entry.decodedBytes >= uncompressedMinBytes) {
+            add(findings.uncompressed, { url: entry.url, bytes: entry.decodedBytes, mimeType: response.mimeType });
+        }
+
+        if (response.status === 200 && isCacheable(entry) && !hasCacheHeaders(response.headers)) {
+            add(findings.missingCache, { url: entry.url, resourceType: entry.resourceType, cacheControl: response.headers['cache-control'] || null });
+        }
+    }
+
+    for (const image of renderData?.images || []) {
+        const bytes = bytesByUrl.get(image.url) || 0;
+        if (!image.renderedWidth || !image.renderedHeight || bytes < oversizedImageMinBytes) continue;
+        const ratio = Math.min(image.naturalWidth / image.renderedWidth, image.naturalHeight / image.renderedHeight);
+        if (ratio >= oversizedImageRatio) {
+            add(findings.oversizedImages, { ...image, bytes, ratio: Math.round(ratio * 10) / 10 });
+        }
+    }
+
+    for (const resource of renderData?.renderBlocking || []) {
+        add(findings.renderBlocking, { ...resource, bytes: bytesByUrl.get(resource.url) || null });
+    }
+
+    return { summary, findings };
+}
+
+// Flattens findings into report issues
+function networkIssues({ summary, findings }) {
+    const issues = [];
+
+    findings.errorResponses.forEach(finding => issues.push(createIssue('network.error-response', {
+        message: `${finding.resourceType} returned HTTP ${finding.status}: ${finding.url}`,
+        severity: finding.status >= 500 ? 'serious' : 'moderate',
+        resource: finding.url
+    })));
+    findings.uncompressed.forEach(finding => issues.push(createIssue('network.uncompressed', {
+        message: `Uncompressed ${finding.mimeType} response (${formatBytes(finding.bytes)}): ${finding.url}`,
+        resource: finding.url
+    })));
+    findings.missingCache.forEach(finding => issues.push(createIssue('network.no-cache', {
+        message: `${finding.resourceType} has no caching headers: ${finding.url}`,
+        evidence: finding.cacheControl ? `Cache-Control: ${finding.cacheControl}` : null,
+        resource: finding.url
+    })));
+    findings.oversizedImages.forEach(finding => issues.push(createIssue('network.oversized-image', {
+        message: `Image is ${finding.naturalWidth}x${finding.naturalHeight} but shown at ${finding.renderedWidth}x${finding.renderedHeight} (${formatBytes(finding.bytes)}): ${finding.url}`,
+        severity: finding.ratio >= 3 ? 'serious' : 'moderate',
+        resource: finding.url
+    })));
+    findings.renderBlocking.forEach(finding => issues.push(createIssue('network.render-blocking', {
+        message: `Render-blocking ${finding.type}${finding.bytes ? ` (${formatBytes(finding.bytes)})` : ''}: ${finding.url}`,
+        resource: finding.url
+    })));
+
+    if (summary.failedRequests > 0) {
+        issues.push(createIssue('network.failed-requests', { message: `${summary.failedRequests} request(s) failed to load` }));
+    }
+
+    return issues;
+}
+
+function harHeaders(headers = {}) {
+    return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+// Builds a HAR 1.2 document for one page load
+function toHar(entries, { pageUrl, title = '', startedDateTime, creatorVersion = '1.0.0' }) {
+    const pageId = 'page_1';
+    const firstWallTime = entries.find(entry => entry.wallTime)?.wallTime;
+    const pageStart = startedDateTime || new Date(firstWallTime ? firstWallTime * 1000 : Date.now()).toISOString();
+
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'automated-website-auditor', version: creatorVersion },
+            pages: [{ startedDateTime: pageStart, id: pageId, title: title || pageUrl, pageTimings: {} }],
+            entries: entries
+                .filter(entry => /^https?:/.test(entry.url))
+                .map(entry => {
+                    const response = entry.response || {};
+                    const timing = response.timing;
+                    const wallStart = entry.wallTime ? entry.wallTime * 1000 : Date.parse(pageStart);
+                    const total = entry.endTime ? (entry.endTime - entry.startTime) * 1000 : -1;
+                    const span = (start, end) => (timing && timing[start] >= 0 && timing[end] >= 0 ? timing[end] - timing[start] : -1);
+                    const wait = span('sendEnd', 'receiveHeadersEnd');
+                    const headersDone = timing && timing.receiveHeadersEnd >= 0
+                        ? (timing.requestTime - entry.startTime) * 1000 + timing.receiveHeadersEnd
+                        : -1;
+                    const receive = headersDone >= 0 && total >= 0 ? Math.max(0, total - headersDone) : -1;
+                    const url = new URL(entry.url);
+
+                    return {
+                        pageref: pageId,
+                        startedDateTime: new Date(wallStart).toISOString(),
+                        time: Math.max(0, total),
+                        request: {
+                            method: entry.method,
+                            url: entry.url,
+                            httpVersion: response.protocol || 'HTTP/1.1',
+                            headers: harHeaders(entry.requestHeaders),
+                            queryString: [...url.searchParams.entries()].map(([name, value]) => ({ name, value })),
+                            cookies: [],
+                            headersSize: -1,
+                            bodySize: entry.postDataSize
+                        },
+                        response: {
+                            status: response.status || 0,
+                            statusText: response.statusText || entry.failed || '',
+                            httpVersion: response.protocol || 'HTTP/1.1',
+                            headers: harHeaders(response.headers),
+                            cookies: [],
+                            content: { size: entry.decodedBytes, mimeType: response.mimeType || 'x-unknown' },
+                            redirectURL: entry.redirectURL || '',
+                            headersSize: -1,
+                            bodySize: entry.encodedBytes || -1
+                        },
+                        cache: {},
+                        timings: {
+                            blocked: timing ? Math.max(-1, timing.dnsStart >= 0 ? timing.dnsStart : timing.connectStart) : -1,
+                            dns: span('dnsStart', 'dnsEnd'),
+                            connect: span('connectStart', 'connectEnd'),
+                            ssl: span('sslStart', 'sslEnd'),
+                            send: span('sendStart', 'sendEnd'),
+                            wait,
+                            receive
+                        },
+                        _resourceType: entry.resourceType,
+                        _initiator: entry.initiator,
+                        ...(entry.failed ? { _error: entry.failed } : {})
+                    };
+                })
+        }
+    };
+}
+
+module.exports = { NetworkRecorder, collectRenderData, analyzeNetwork, networkIssues, toHar, formatBytes };
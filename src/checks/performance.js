@@ -0,0 +1,294 @@
+// Lab Core Web Vitals: PerformanceObservers installed before navigation
+// collect LCP, CLS, FCP, INP and long tasks, while a Chrome trace of the same
+// load attributes main-thread long tasks to the scripts that caused them.
+// Network and CPU throttling are applied through the DevTools protocol.
+
+// Throughput in kbit/s, latency in ms (round-trip)
+const NETWORK_PRESETS = {
+    'Slow 3G': { downloadKbps: 400, uploadKbps: 400, latencyMs: 2000 },
+    'Fast 3G': { downloadKbps: 1600, uploadKbps: 750, latencyMs: 562.5 },
+    'Slow 4G': { downloadKbps: 1638.4, uploadKbps: 750, latencyMs: 150 },
+    '4G': { downloadKbps: 9000, uploadKbps: 9000, latencyMs: 85 },
+    'Cable': { downloadKbps: 5000, uploadKbps: 1000, latencyMs: 28 }
+};
+
+// Good / poor boundaries from web.dev; values in between "need improvement"
+const THRESHOLDS = {
+    lcp: { good: 2500, poor: 4000, label: 'Largest Contentful Paint', unit: 'ms' },
+    fcp: { good: 1800, poor: 3000, label: 'First Contentful Paint', unit: 'ms' },
+    cls: { good: 0.1, poor: 0.25, label: 'Cumulative Layout Shift', unit: '' },
+    tbt: { good: 200, poor: 600, label: 'Total Blocking Time', unit: 'ms' },
+    inp: { good: 200, poor: 500, label: 'Interaction to Next Paint', unit: 'ms' },
+    ttfb: { good: 800, poor: 1800, label: 'Time to First Byte', unit: 'ms' }
+};
+
+const TRACE_CATEGORIES = [
+    '-*',
+    'devtools.timeline',
+    'disabled-by-default-devtools.timeline',
+    'v8.execute',
+    'blink.user_timing',
+    'loading',
+    'toplevel',
+    '__metadata'
+];
+
+const LONG_TASK_MS = 50;
+
+// Runs in the page before any of its own scripts, so buffered entries from
+// the very start of the load are captured.
+function observeWebVitals() {
+    const vitals = {
+        fcp: null,
+        lcp: null,
+        lcpElement: null,
+        cls: 0,
+        longTasks: [],
+        interactions: {}
+    };
+    window.__auditVitals = vitals;
+
+    const describe = element => {
+        if (!element || !element.tagName) return null;
+        const parts = [];
+        for (let current = element; current && current.nodeType === 1 && parts.length < 5; current = current.parentElement) {
+            if (current.id) {
+                parts.unshift(`#${current.id}`);
+                break;
+            }
+            const classes = Array.from(current.classList).slice(0, 2).map(name => `.${name}`).join('');
+            parts.unshift(`${current.tagName.toLowerCase()}${classes}`);
+        }
+        return parts.join(' > ');
+    };
+
+    const observe = (type, callback, options = {}) => {
+        try {
+            new PerformanceObserver(list => list.getEntries().forEach(callback))
+                .observe({ type, buffered: true, ...options });
+        } catch (error) {
+            // Entry type not supported by this browser
+        }
+    };
+
+    observe('paint', entry => {
+        if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+    });
+
+    observe('largest-contentful-paint', entry => {
+        vitals.lcp = entry.startTime;
+        vitals.lcpElement = {
+            selector: describe(entry.element),
+            tagName: entry.element ? entry.element.tagName.toLowerCase() : null,
+            url: entry.url || null,
+            size: entry.size,
+            text: entry.element && !entry.url ? (entry.element.textContent || '').trim().slice(0, 120) : null
+        };
+    });
+
+    // CLS is the largest session window: shifts less than 1s apart, at most 5s long
+    let sessionValue = 0;
+    let sessionStart = 0;
+    let lastShift = 0;
+    observe('layout-shift', entry => {
+        if (entry.hadRecentInput) return;
+        if (sessionValue && (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000)) {
+            sessionValue = 0;
+        }
+        if (!sessionValue) sessionStart = entry.startTime;
+        sessionValue += entry.value;
+        lastShift = entry.startTime;
+        vitals.cls = Math.max(vitals.cls, sessionValue);
+    });
+
+    observe('longtask', entry => {
+        vitals.longTasks.push({ start: entry.startTime, duration: entry.duration });
+    });
+
+    observe('event', entry => {
+        if (!entry.interactionId) return;
+        vitals.interactions[entry.interactionId] = Math.max(vitals.interactions[entry.interactionId] || 0, entry.duration);
+    }, { durationThreshold: 16 });
+}
+
+function resolveNetwork(network) {
+    if (!network) return null;
+    if (typeof network === 'string') {
+        const preset = NETWORK_PRESETS[network];
+        if (!preset) {
+            throw new Error(`Unknown network preset "${network}". Available: ${Object.keys(NETWORK_PRESETS).join(', ')}`);
+        }
+        return { name: network, ...preset };
+    }
+    return { name: 'custom', ...network };
+}
+
+async function applyThrottling(client, throttling) {
+    const network = resolveNetwork(throttling.network);
+    await client.send('Network.enable');
+    await client.send('Network.emulateNetworkConditions', network ? {
+        offline: false,
+        latency: network.latencyMs,
+        downloadThroughput: (network.downloadKbps * 1024) / 8,
+        uploadThroughput: (network.uploadKbps * 1024) / 8
+    } : { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 });
+    await client.send('Emulation.setCPUThrottlingRate', { rate: throttling.cpu || 1 });
+    return network;
+}
+
+// Finds long main-thread tasks in a Chrome trace and credits each one to the
+// script URLs whose evaluation or function calls ran inside it.
+function analyzeTrace(trace) {
+    const events = trace.traceEvents || [];
+    const mainThreads = new Set(events
+        .filter(event => event.ph === 'M' && event.name === 'thread_name' && event.args?.name === 'CrRendererMain')
+        .map(event => `${event.pid}:${event.tid}`));
+
+    // The renderer that navigated is the one with a navigationStart mark
+    const navigationStart = events.find(event => event.name === 'navigationStart' && mainThreads.has(`${event.pid}:${event.tid}`));
+    const threadKey = navigationStart ? `${navigationStart.pid}:${navigationStart.tid}` : [...mainThreads][0];
+    if (!threadKey) {
+        return { longTasks: [], scriptAttribution: [] };
+    }
+
+    const threadEvents = events
+        .filter(event => `${event.pid}:${event.tid}` === threadKey && event.ph === 'X')
+        .sort((a, b) => a.ts - b.ts);
+    const origin = navigationStart ? navigationStart.ts : threadEvents[0]?.ts || 0;
+
+    const scriptEvents = threadEvents.filter(event =>
+        ['EvaluateScript', 'FunctionCall', 'v8.compile', 'TimerFire', 'v8.evaluateModule'].includes(event.name) &&
+        (event.args?.data?.url || event.args?.data?.scriptName || event.args?.fileName));
+
+    const longTasks = threadEvents
+        .filter(event => event.name === 'RunTask' && event.dur / 1000 > LONG_TASK_MS)
+        .map(task => {
+            const byUrl = {};
+            let coveredUntil = 0;
+            for (const script of scriptEvents) {
+                if (script.ts < task.ts || script.ts + script.dur > task.ts + task.dur) continue;
+                // Nested calls are already counted in their outermost script event
+                if (script.ts < coveredUntil) continue;
+                coveredUntil = script.ts + script.dur;
+                const url = script.args.data?.url || script.args.data?.scriptName || script.args.fileName;
+                byUrl[url] = (byUrl[url] || 0) + script.dur / 1000;
+            }
+            const attribution = Object.entries(byUrl)
+                .map(([url, ms]) => ({ url, ms: Math.round(ms) }))
+                .sort((a, b) => b.ms - a.ms);
+            return {
+                start: Math.round((task.ts - origin) / 1000),
+                duration: Math.round(task.dur / 1000),
+                attribution
+            };
+        });
+
+    // Roll long-task time up per script so the worst offenders stand out
+    const totals = {};
+    for (const task of longTasks) {
+        for (const { url, ms } of task.attribution) {
+            totals[url] = totals[url] || { url, ms: 0, tasks: 0 };
+            totals[url].ms += ms;
+            totals[url].tasks++;
+        }
+    }
+    const scriptAttribution = Object.values(totals).sort((a, b) => b.ms - a.ms);
+
+    return { longTasks, scriptAttribution };
+}
+
+function rate(metric, value) {
+    const threshold = THRESHOLDS[metric];
+    if (value === null || value === undefined || !threshold) return null;
+    if (value <= threshold.good) return 'good';
+    return value <= threshold.poor ? 'needs-improvement' : 'poor';
+}
+
+// Loads `url` afresh with observers, tracing and throttling in place.
+// `withTracing` wraps the traced section so callers can serialize it, as
+// Chrome only allows one trace per browser at a time.
+async function measureWebVitals(page, url, { throttling = {}, settleTime = 3000, navigate, withTracing = task => task() } = {}) {
+    const client = await page.target().createCDPSession();
+    const { identifier } = await page.evaluateOnNewDocument(observeWebVitals) || {};
+
+    try {
+        const network = await applyThrottling(client, throttling);
+
+        let trace = null;
+        await withTracing(async () => {
+            let tracing = false;
+            try {
+                await page.tracing.start({ categories: TRACE_CATEGORIES });
+                tracing = true;
+            } catch (error) {
+                // Tracing already in use elsewhere; vitals still come from the observers
+            }
+
+            try {
+                await navigate(page, url);
+                await new Promise(resolve => setTimeout(resolve, settleTime));
+            } finally {
+                if (tracing) {
+                    const buffer = await page.tracing.stop();
+                    trace = buffer ? JSON.parse(buffer.toString('utf8')) : null;
+                }
+            }
+        });
+
+        const observed = await page.evaluate(() => {
+            const navigation = performance.getEntriesByType('navigation')[0];
+            const vitals = window.__auditVitals || {};
+            return {
+                ...vitals,
+                ttfb: navigation ? navigation.responseStart - navigation.startTime : null,
+                interactions: Object.values(vitals.interactions || {})
+            };
+        });
+
+        const traced = trace ? analyzeTrace(trace) : null;
+        const longTasks = traced ? traced.longTasks : observed.longTasks.map(task => ({
+            start: Math.round(task.start),
+            duration: Math.round(task.duration),
+            attribution: []
+        }));
+
+        // TBT: the part of each long task beyond 50ms, counted after FCP
+        const fcp = observed.fcp ?? 0;
+        const tbt = longTasks
+            .filter(task => task.start + task.duration > fcp)
+            .reduce((total, task) => total + Math.max(0, task.duration - LONG_TASK_MS), 0);
+
+        // INP needs real interactions; without any it stays null and TBT is the lab proxy
+        const interactions = observed.interactions.sort((a, b) => b - a);
+        const inp = interactions.length > 0 ? interactions[Math.min(interactions.length - 1, Math.floor(interactions.length / 50))] : null;
+
+        const round = value => (value === null || value === undefined ? null : Math.round(value));
+        const metrics = {
+            ttfb: round(observed.ttfb),
+            fcp: round(observed.fcp),
+            lcp: round(observed.lcp),
+            cls: Math.round((observed.cls || 0) * 1000) / 1000,
+            tbt: Math.round(tbt),
+            inp: round(inp)
+        };
+
+        return {
+            ...metrics,
+            ratings: Object.fromEntries(Object.entries(metrics).map(([metric, value]) => [metric, rate(metric, value)])),
+            lcpElement: observed.lcpElement,
+            longTasks,
+            scriptAttribution: traced ? traced.scriptAttribution : [],
+            throttling: { network: network ? network.name : 'none', cpu: throttling.cpu || 1 },
+            traced: !!traced
+        };
+    } finally {
+        // Leave the page unthrottled and stop observing for whatever comes next
+        await applyThrottling(client, {}).catch(() => {});
+        if (identifier && page.removeScriptToEvaluateOnNewDocument) {
+            await page.removeScriptToEvaluateOnNewDocument(identifier).catch(() => {});
+        }
+        await client.detach().catch(() => {});
+    }
+}
+
+module.exports = { measureWebVitals, analyzeTrace, rate, NETWORK_PRESETS, WEB_VITAL_THRESHOLDS: THRESHOLDS };
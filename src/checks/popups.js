@@ -0,0 +1,442 @@
+const { createIssue } = require('./rules');
+
+// Popup testing: a MutationObserver installed before the page loads records
+// when each popup appears and what triggered it (a timer, scrolling or exit
+// intent). The popup is then measured against the mobile viewport, closed
+// with each of Escape, an overlay click and its close button, and
+// screenshotted open and closed.
+
+const POPUP_SELECTORS = [
+    '[class*="popup"]',
+    '[class*="modal"]',
+    '[class*="overlay"]',
+    '[class*="lightbox"]',
+    '[id*="popup"]',
+    '[id*="modal"]',
+    '[class*="newsletter"]',
+    '[class*="email-signup"]',
+    '[class*="subscription"]',
+    '[data-testid*="popup"]',
+    '[data-testid*="modal"]',
+    '[role="dialog"]',
+    '[aria-modal="true"]',
+    'dialog[open]',
+    // Klaviyo specific
+    '.klaviyo-form',
+    '[class*="klaviyo"]',
+    // Privy specific
+    '.privy-popup',
+    // Common exit intent/overlay patterns
+    '[style*="position: fixed"]',
+    '[style*="z-index: 999"]',
+    '[style*="z-index: 9999"]'
+];
+
+const CLOSE_SELECTORS = [
+    '[aria-label*="close" i]',
+    '[aria-label*="dismiss" i]',
+    '[data-dismiss]',
+    '[data-close]',
+    'button[class*="close" i]',
+    '[class*="close" i][role="button"]',
+    'a[class*="close" i]',
+    '[class*="close" i]'
+];
+const CLOSE_TEXT = /^\s*(×|✕|x|close|no,? thanks|not now|maybe later|dismiss)\s*$/i;
+
+const DISMISS_METHODS = ['escape', 'overlay', 'close-button'];
+
+// How long after an interaction a popup still counts as triggered by it
+const TRIGGER_WINDOW = 1500;
+
+// Runs in the page, before any of the page's own scripts when installed with
+// evaluateOnNewDocument. Everything popup-related in the page goes through
+// window.__auditPopups so the heuristics live in one place.
+function installPopupObserver({ selectors, closeSelectors, closeText, triggerWindow }) {
+    if (window.__auditPopups) return;
+
+    const now = () => Math.round(performance.now());
+    const interactions = { scroll: null, 'exit-intent': null, click: null };
+    const events = [];
+    let nextId = 1;
+
+    const visible = element => {
+        if (!element.isConnected) return false;
+        const rect = element.getBoundingClientRect();
+        const style = getComputedStyle(element);
+        return rect.width > 0 && rect.height > 0 && style.display !== 'none' && style.visibility !== 'hidden' && Number(style.opacity || 1) > 0.05;
+    };
+
+    const looksLikePopup = element => {
+        const text = (element.textContent || '').toLowerCase();
+        const hasEmailInput = !!element.querySelector('input[type="email"]');
+        const hasSubscribeText = ['subscribe', 'newsletter', 'email', 'discount', 'offer', 'save'].some(word => text.includes(word));
+        return visible(element) && (hasEmailInput || hasSubscribeText) && text.length > 10;
+    };
+
+    // The fixed-position container a popup lives in, i.e. what a shopper sees
+    const containerOf = element => {
+        let container = element;
+        for (let current = element; current && current !== document.body; current = current.parentElement) {
+            if (getComputedStyle(current).position === 'fixed') container = current;
+        }
+        return container;
+    };
+
+    const candidates = () => {
+        const found = new Set();
+        for (const selector of selectors) {
+            let elements;
+            try {
+                elements = document.querySelectorAll(selector);
+            } catch (error) {
+                continue;
+            }
+            elements.forEach(element => {
+                if (looksLikePopup(element)) found.add(containerOf(element));
+            });
+        }
+        // Keep the outermost of nested matches
+        return [...found].filter(element => ![...found].some(other => other !== element && other.contains(element)));
+    };
+
+    const describe = element => {
+        const id = element.id ? `#${element.id}` : '';
+        const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/).filter(Boolean).slice(0, 2).map(name => `.${name}`).join('') : '';
+        return `${element.tagName.toLowerCase()}${id}${className}`;
+    };
+
+    const triggerAt = time => {
+        const recent = Object.entries(interactions)
+            .filter(([, at]) => at !== null && time - at >= 0 && time - at <= triggerWindow)
+            .sort((a, b) => b[1] - a[1]);
+        return recent.length > 0 ? recent[0][0] : 'timer';
+    };
+
+    const scan = () => {
+        const time = now();
+        const open = candidates();
+        open.forEach(element => {
+            if (element.dataset.auditPopup) return;
+            element.dataset.auditPopup = String(nextId++);
+            const rect = element.getBoundingClientRect();
+            const text = element.textContent || '';
+            events.push({
+                id: element.dataset.auditPopup,
+                type: 'opened',
+                time,
+                trigger: triggerAt(time),
+                element: describe(element),
+                hasEmailInput: !!element.querySelector('input[type="email"]'),
+                text: text.replace(/\s+/g, ' ').trim().substring(0, 200),
+                classes: typeof element.className === 'string' ? element.className : '',
+                elementId: element.id,
+                width: Math.round(rect.width),
+                height: Math.round(rect.height)
+            });
+        });
+        document.querySelectorAll('[data-audit-popup]').forEach(element => {
+            const opened = [...events].reverse().find(event => event.id === element.dataset.auditPopup);
+            if (opened.type === 'opened' && !visible(element)) {
+                events.push({ id: element.dataset.auditPopup, type: 'closed', time });
+            } else if (opened.type === 'closed' && visible(element)) {
+                events.push({ ...events.find(event => event.id === element.dataset.auditPopup && event.type === 'opened'), type: 'opened', time, trigger: triggerAt(time) });
+            }
+        });
+    };
+
+    let scheduled = false;
+    const schedule = () => {
+        if (scheduled) return;
+        scheduled = true;
+        setTimeout(() => {
+            scheduled = false;
+            scan();
+        }, 100);
+    };
+
+    addEventListener('scroll', () => {
+        interactions.scroll = now();
+    }, { passive: true, capture: true });
+    document.addEventListener('mouseout', event => {
+        if (!event.relatedTarget && event.clientY <= 0) interactions['exit-intent'] = now();
+    }, true);
+    addEventListener('click', event => {
+        if (event.isTrusted) interactions.click = now();
+    }, true);
+
+    new MutationObserver(schedule).observe(document, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['class', 'style', 'hidden', 'open', 'aria-hidden']
+    });
+
+    const element = id => document.querySelector(`[data-audit-popup="${id}"]`);
+    const closePattern = new RegExp(closeText.source, closeText.flags);
+
+    window.__auditPopups = {
+        events,
+        scan,
+        now,
+        isOpen: id => !!element(id) && visible(element(id)),
+        openIds: () => {
+            scan();
+            return [...document.querySelectorAll('[data-audit-popup]')].filter(visible).map(popup => popup.dataset.auditPopup);
+        },
+        // Share of the viewport the popup's box covers, and whether a
+        // backdrop keeps the page behind it out of reach
+        measure: id => {
+            const popup = element(id);
+            const rect = popup.getBoundingClientRect();
+            const width = innerWidth;
+            const height = innerHeight;
+            const corners = [[2, 2], [width - 3, 2], [2, height - 3], [width - 3, height - 3]];
+            const blocked = corners.filter(([x, y]) => {
+                const hit = document.elementFromPoint(x, y);
+                return hit && (popup.contains(hit) || (getComputedStyle(hit).position === 'fixed' && hit.getBoundingClientRect().width >= width * 0.9 && hit.getBoundingClientRect().height >= height * 0.9));
+            });
+            // The dialog itself: the largest visible child when the container is a backdrop
+            let dialog = popup;
+            if (rect.width >= width * 0.9 && rect.height >= height * 0.9) {
+                const children = [...popup.querySelectorAll('*')].filter(child => visible(child) && (child.textContent || '').trim().length > 10);
+                const areas = children.map(child => {
+                    const box = child.getBoundingClientRect();
+                    return { child, area: box.width * box.height };
+                }).filter(({ area }) => area < width * height * 0.9);
+                if (areas.length > 0) dialog = areas.sort((a, b) => b.area - a.area)[0].child;
+            }
+            const box = dialog.getBoundingClientRect();
+            const dialogX = Math.max(0, Math.min(box.right, width) - Math.max(box.left, 0));
+            const dialogY = Math.max(0, Math.min(box.bottom, height) - Math.max(box.top, 0));
+            return {
+                viewport: { width, height },
+                coverage: Math.round((dialogX * dialogY) / (width * height) * 100) / 100,
+                blocksPage: blocked.length === corners.length,
+                overlayPoint: blocked.length > 0 && dialog !== popup ? blocked.find(([x, y]) => !dialog.contains(document.elementFromPoint(x, y))) || null : null
+            };
+        },
+        // Tags the popup's close control so Puppeteer can click it
+        markClose: id => {
+            const popup = element(id);
+            document.querySelectorAll('[data-audit-popup-close]').forEach(control => control.removeAttribute('data-audit-popup-close'));
+            let control = null;
+            for (const selector of closeSelectors) {
+                control = [...popup.querySelectorAll(selector)].find(visible);
+                if (control) break;
+            }
+            if (!control) {
+                control = [...popup.querySelectorAll('button, a, [role="button"], span, div')]
+                    .find(candidate => visible(candidate) && closePattern.test(candidate.textContent || candidate.getAttribute('aria-label') || ''));
+            }
+            if (!control) return null;
+            control.setAttribute('data-audit-popup-close', '');
+            return '[data-audit-popup-close]';
+        },
+        // Last resort before screenshots: hide the popup and undo its scroll lock
+        hide: id => {
+            const popup = element(id);
+            if (!popup) return;
+            popup.style.setProperty('display', 'none', 'important');
+            document.documentElement.style.removeProperty('overflow');
+            document.body.style.removeProperty('overflow');
+        }
+    };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function observerOptions() {
+    return { selectors: POPUP_SELECTORS, closeSelectors: CLOSE_SELECTORS, closeText: { source: CLOSE_TEXT.source, flags: CLOSE_TEXT.flags }, triggerWindow: TRIGGER_WINDOW };
+}
+
+// Installs the observer for every document the page loads from now on;
+// returns the identifier to remove it with
+async function watchForPopups(page) {
+    const { identifier } = await page.evaluateOnNewDocument(installPopupObserver, observerOptions());
+    return identifier;
+}
+
+// For pages loaded before watchForPopups; appearance times are then unknown
+async function ensureObserver(page) {
+    await page.evaluate(installPopupObserver, observerOptions());
+}
+
+// Gives a popup every chance to appear: waits until `delay` ms after
+// navigation, then scrolls, then simulates exit intent. Returns the ids of
+// open popups and the page's popup timeline.
+async function observePopups(page, { delay = 5000, scroll = true, exitIntent = true } = {}) {
+    await ensureObserver(page);
+    const elapsed = await page.evaluate(() => window.__auditPopups.now());
+    await sleep(Math.max(0, delay - elapsed));
+
+    const read = () => page.evaluate(() => window.__auditPopups.openIds());
+    let open = await read();
+
+    if (open.length === 0 && scroll) {
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight / 2));
+        await sleep(2000);
+        open = await read();
+    }
+    if (open.length === 0 && exitIntent) {
+        // Move towards the address bar, then leave the document through the top edge
+        const viewport = page.viewport() || { width: 1280 };
+        await page.mouse.move(viewport.width / 2, 200);
+        await page.mouse.move(viewport.width / 2, 1, { steps: 5 });
+        await page.evaluate(() => {
+            document.dispatchEvent(new MouseEvent('mouseout', { clientX: innerWidth / 2, clientY: -1, bubbles: true, relatedTarget: null }));
+            document.documentElement.dispatchEvent(new MouseEvent('mouseleave', { clientX: innerWidth / 2, clientY: -1, bubbles: false, relatedTarget: null }));
+        });
+        await sleep(2000);
+        open = await read();
+    }
+    await page.evaluate(() => window.scrollTo(0, 0));
+
+    const events = await page.evaluate(() => window.__auditPopups.events);
+    return { open, events };
+}
+
+// Tries one way of closing popup `id`; resolves to 'works', 'fails',
+// 'not-found' (no close button) or 'no-overlay'
+async function tryDismiss(page, id, method) {
+    if (method === 'escape') {
+        await page.keyboard.press('Escape');
+    } else if (method === 'overlay') {
+        const { overlayPoint } = await page.evaluate(popupId => window.__auditPopups.measure(popupId), id);
+        if (!overlayPoint) return 'no-overlay';
+        await page.mouse.click(overlayPoint[0], overlayPoint[1]);
+    } else {
+        const selector = await page.evaluate(popupId => window.__auditPopups.markClose(popupId), id);
+        if (!selector) return 'not-found';
+        await page.click(selector).catch(() => page.evaluate(target => document.querySelector(target)?.click(), selector));
+    }
+    await sleep(800);
+    const open = await page.evaluate(popupId => window.__auditPopups.isOpen(popupId), id).catch(() => false);
+    return open ? 'fails' : 'works';
+}
+
+// Forgets the site's cookies and storage so a popup that remembers being
+// closed shows again
+async function resetSiteState(page) {
+    const cookies = await page.cookies();
+    if (cookies.length > 0) await page.deleteCookie(...cookies);
+    await page.evaluate(() => {
+        try {
+            localStorage.clear();
+            sessionStorage.clear();
+        } catch (error) {
+            // Storage can be blocked; cookies are the usual flag anyway
+        }
+    });
+}
+
+// Runs the whole popup test on an already loaded page. `reopen()` reloads
+// the page (after resetSiteState) and resolves to the open popup id or null;
+// `screenshot()` resolves to an image buffer; `mobileViewport` is the size
+// the popup is measured at for mobile intrusiveness.
+async function testPopup(page, { id, reopen, screenshot, mobileViewport, testDismissal = true }) {
+    const result = { dismissal: {}, coverage: {}, screenshots: {}, forcedClosed: false };
+
+    result.screenshots.open = await screenshot().catch(() => null);
+    result.coverage.desktop = await page.evaluate(popupId => window.__auditPopups.measure(popupId), id).catch(() => null);
+
+    // Resizing (without touch emulation, which reloads the page) lets
+    // responsive popups lay out as they would on a phone
+    const viewport = page.viewport();
+    if (mobileViewport && viewport) {
+        await page.setViewport({ ...viewport, width: mobileViewport.width, height: mobileViewport.height });
+        await sleep(500);
+        result.coverage.mobile = await page.evaluate(popupId => window.__auditPopups.measure(popupId), id).catch(() => null);
+        await page.setViewport(viewport);
+        await sleep(300);
+    }
+
+    let current = id;
+    for (const method of testDismissal ? DISMISS_METHODS : []) {
+        if (!current) {
+            result.dismissal[method] = 'untested';
+            continue;
+        }
+        result.dismissal[method] = await tryDismiss(page, current, method).catch(() => 'fails');
+        const stillOpen = await page.evaluate(popupId => window.__auditPopups.isOpen(popupId), current).catch(() => false);
+        if (!stillOpen && method !== DISMISS_METHODS[DISMISS_METHODS.length - 1]) {
+            current = await reopen().catch(() => null);
+        }
+    }
+
+    // Whatever is still open is closed the best way we found, or hidden
+    const open = await page.evaluate(() => window.__auditPopups.openIds()).catch(() => []);
+    for (const popupId of open) {
+        const working = DISMISS_METHODS.find(method => result.dismissal[method] === 'works') || 'close-button';
+        if (await tryDismiss(page, popupId, working).catch(() => 'fails') !== 'works') {
+            await page.evaluate(target => window.__auditPopups.hide(target), popupId);
+            result.forcedClosed = true;
+        }
+    }
+    result.screenshots.closed = await screenshot().catch(() => null);
+    return result;
+}
+
+// Closes any popup on the current page before a screenshot. Returns how
+// many were closed.
+async function dismissPopups(page) {
+    await ensureObserver(page);
+    const open = await page.evaluate(() => window.__auditPopups.openIds());
+    for (const id of open) {
+        if (await tryDismiss(page, id, 'close-button').catch(() => 'fails') === 'works') continue;
+        if (await tryDismiss(page, id, 'escape').catch(() => 'fails') === 'works') continue;
+        await page.evaluate(popupId => window.__auditPopups.hide(popupId), id);
+    }
+    return open.length;
+}
+
+function popupIssues(popups, { maxMobileCoverage = 0.3 } = {}) {
+    const issues = [];
+    if (!popups?.hasPopup) return issues;
+    const evidence = `Popup: ${popups.element}, shown ${(popups.appearedAfterMs / 1000).toFixed(1)}s after load (${popups.trigger})`;
+    // The annotated screenshot of the popup, when there is one
+    const annotation = popups.annotation ? { annotation: popups.annotation } : {};
+
+    const mobile = popups.coverage?.mobile;
+    if (mobile && (mobile.blocksPage || mobile.coverage > maxMobileCoverage)) {
+        issues.push(createIssue('popups.intrusive-mobile', {
+            message: mobile.blocksPage
+                ? `Popup blocks the whole mobile screen (dialog covers ${Math.round(mobile.coverage * 100)}% of a ${mobile.viewport.width}x${mobile.viewport.height} viewport)`
+                : `Popup covers ${Math.round(mobile.coverage * 100)}% of the mobile screen (limit ${Math.round(maxMobileCoverage * 100)}%)`,
+            evidence,
+            ...annotation
+        }));
+    }
+
+    const results = Object.values(popups.dismissal || {});
+    if (results.length > 0 && !results.includes('works')) {
+        issues.push(createIssue('popups.not-dismissible', {
+            message: `Popup could not be closed (${Object.entries(popups.dismissal).map(([method, outcome]) => `${method}: ${outcome}`).join(', ')})`,
+            evidence,
+            ...annotation
+        }));
+    } else {
+        if (popups.dismissal?.['close-button'] === 'not-found') {
+            issues.push(createIssue('popups.no-close-button', { message: 'Popup has no visible close button', evidence, ...annotation }));
+        }
+        if (popups.dismissal?.escape === 'fails') {
+            issues.push(createIssue('popups.escape-ignored', { message: 'Popup does not close with the Escape key', evidence, ...annotation }));
+        }
+    }
+
+    return issues;
+}
+
+module.exports = {
+    POPUP_SELECTORS,
+    DISMISS_METHODS,
+    installPopupObserver,
+    watchForPopups,
+    observePopups,
+    testPopup,
+    resetSiteState,
+    dismissPopups,
+    popupIssues
+};
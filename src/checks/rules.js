@@ -0,0 +1,183 @@
+const { ACCESSIBILITY_RULES } = require('./accessibility');
+
+// The issue taxonomy: every finding the auditor reports refers to one of these
+// rules by a stable ID ("<check>.<rule>"). A rule names the scoring category it
+// counts against, its default severity, a short title and how to fix it.
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+// Scored categories and the checks that feed them. A category is only scored
+// when at least one of its checks ran.
+const CATEGORIES = {
+    seo: { label: 'SEO', checks: ['seo'] },
+    performance: { label: 'Performance', checks: ['performance', 'network', 'third-party'] },
+    accessibility: { label: 'Accessibility', checks: ['accessibility'] },
+    security: { label: 'Security', checks: ['security', 'links'] },
+    links: { label: 'Links', checks: ['links'] },
+    'structured-data': { label: 'Structured Data', checks: ['structured-data'] },
+    visual: { label: 'Visual', checks: ['visual'] },
+    conversion: { label: 'Conversion', checks: ['funnel', 'shopify', 'popups'] },
+    // Default category for rules contributed by plugins
+    custom: { label: 'Custom', checks: ['plugins'] },
+    // Checks that couldn't run; reported but never scored
+    errors: { label: 'Error', checks: [], scored: false }
+};
+
+const rule = (category, severity, title, remediation) => ({ category, severity, title, remediation });
+
+const RULES = {
+    // SEO, per page
+    'seo.title-missing': rule('seo', 'serious', 'Page has no title', 'Add a unique, descriptive <title> to every page.'),
+    'seo.title-length': rule('seo', 'minor', 'Title too short or too long', 'Keep titles roughly 30-60 characters so they are descriptive without being truncated in results.'),
+    'seo.title-multiple': rule('seo', 'moderate', 'More than one <title>', 'Remove duplicate <title> elements; themes and apps sometimes inject a second one.'),
+    'seo.description-missing': rule('seo', 'moderate', 'No meta description', 'Add a meta description summarizing the page; search engines often use it as the snippet.'),
+    'seo.description-length': rule('seo', 'minor', 'Meta description too short or too long', 'Aim for roughly 70-160 characters.'),
+    'seo.description-multiple': rule('seo', 'moderate', 'More than one meta description', 'Keep a single meta description per page.'),
+    'seo.noindex': rule('seo', 'serious', 'Page excluded from search results', 'Remove noindex from meta robots and X-Robots-Tag unless the page is meant to stay out of search.'),
+    'seo.nofollow': rule('seo', 'moderate', 'Page links are nofollow', 'Remove nofollow from the robots directives so the page passes signals to the pages it links to.'),
+    'seo.canonical-missing': rule('seo', 'moderate', 'No canonical link', 'Add <link rel="canonical"> with the absolute, preferred URL of the page.'),
+    'seo.canonical-multiple': rule('seo', 'serious', 'Several canonical links', 'Keep exactly one canonical link; with several, search engines ignore them all.'),
+    'seo.canonical-relative': rule('seo', 'minor', 'Canonical URL is relative', 'Use an absolute canonical URL including protocol and host.'),
+    'seo.canonical-invalid': rule('seo', 'serious', 'Canonical URL is invalid', 'Point the canonical link at a valid http(s) URL.'),
+    'seo.canonical-cross-site': rule('seo', 'moderate', 'Canonical points to another site', 'Make sure the canonical points to this site unless the content is deliberately syndicated.'),
+    'seo.canonical-noindex-conflict': rule('seo', 'moderate', 'noindex combined with a canonical elsewhere', 'Use either noindex or a canonical to another URL, not both.'),
+    'seo.canonical-http': rule('seo', 'moderate', 'Canonical uses http on an https page', 'Point the canonical at the https URL.'),
+    'seo.hreflang-invalid': rule('seo', 'moderate', 'Invalid hreflang value', 'Use ISO 639-1 language codes with optional ISO 3166-1 region codes, or x-default.'),
+    'seo.hreflang-duplicate': rule('seo', 'moderate', 'Duplicate hreflang value', 'List each language/region once.'),
+    'seo.hreflang-relative': rule('seo', 'moderate', 'hreflang URL is relative', 'Use absolute URLs in hreflang annotations.'),
+    'seo.hreflang-no-self': rule('seo', 'moderate', 'hreflang set omits the page itself', 'Include a self-referencing hreflang entry on every page in the set.'),
+    'seo.og-missing': rule('seo', 'minor', 'Open Graph tags missing', 'Add og:title, og:description, og:image and og:url so shared links render a proper preview.'),
+    'seo.og-image-relative': rule('seo', 'minor', 'og:image is relative', 'Use an absolute URL for og:image; social networks do not resolve relative paths.'),
+    'seo.twitter-card-missing': rule('seo', 'minor', 'No twitter:card', 'Add <meta name="twitter:card" content="summary_large_image"> (or summary).'),
+    'seo.h1-missing': rule('seo', 'moderate', 'No H1 heading', 'Give every page one H1 describing its main topic.'),
+    'seo.h1-multiple': rule('seo', 'minor', 'Several H1 headings', 'Use a single H1 and structure the rest with H2-H6.'),
+    'seo.heading-empty': rule('seo', 'minor', 'Empty heading', 'Remove empty heading elements or give them text.'),
+    'seo.thin-content': rule('seo', 'minor', 'Thin content', 'Add substantive, unique copy; pages with little text rarely rank.'),
+    'seo.no-internal-links': rule('seo', 'moderate', 'No internal links', 'Link to related pages so crawlers and visitors can continue through the site.'),
+    // SEO, across pages
+    'seo.duplicate-title': rule('seo', 'moderate', 'Title shared by several pages', 'Write a unique title for each page.'),
+    'seo.duplicate-description': rule('seo', 'minor', 'Meta description shared by several pages', 'Write a unique description for each page.'),
+    'seo.noindex-in-sitemap': rule('seo', 'serious', 'noindex pages listed in the sitemap', 'Remove noindex pages from the sitemap, or remove the noindex if they should be found.'),
+    'seo.canonicalized-in-sitemap': rule('seo', 'moderate', 'Sitemap lists non-canonical URLs', 'List only canonical URLs in the sitemap.'),
+    'seo.hreflang-no-return': rule('seo', 'moderate', 'hreflang without return link', 'Every page referenced by hreflang must link back to the referencing page.'),
+
+    // Performance
+    'performance.slow-load': rule('performance', 'moderate', 'Slow page load', 'Reduce page weight, defer non-critical scripts and check server response times.'),
+    'performance.lcp': rule('performance', 'serious', 'Slow Largest Contentful Paint', 'Speed up the LCP element: preload it, serve it in a modern format at the right size and avoid lazy-loading it.'),
+    'performance.fcp': rule('performance', 'moderate', 'Slow First Contentful Paint', 'Cut render-blocking CSS/JS and improve server response time.'),
+    'performance.cls': rule('performance', 'serious', 'Layout shifts', 'Reserve space for images, embeds and late-loading banners with explicit dimensions.'),
+    'performance.tbt': rule('performance', 'serious', 'Main thread blocked', 'Split long tasks, defer third-party scripts and remove unused JavaScript.'),
+    'performance.inp': rule('performance', 'serious', 'Slow interaction response', 'Keep event handlers short and yield to the main thread during heavy work.'),
+    'performance.ttfb': rule('performance', 'moderate', 'Slow server response', 'Cache pages at the edge and reduce server-side work before the first byte.'),
+    'performance.long-task-script': rule('performance', 'moderate', 'Script causing long tasks', 'Defer, lazy-load or remove the script, or ask its vendor for a lighter integration.'),
+    'network.error-response': rule('performance', 'moderate', 'Subresource returned an error', 'Fix or remove references to resources that return 4xx/5xx.'),
+    'network.uncompressed': rule('performance', 'moderate', 'Text served uncompressed', 'Enable gzip or Brotli compression for HTML, CSS, JavaScript, JSON and SVG.'),
+    'network.no-cache': rule('performance', 'minor', 'Static asset without caching headers', 'Serve static assets with a long Cache-Control max-age and fingerprinted file names.'),
+    'network.oversized-image': rule('performance', 'moderate', 'Image larger than displayed', 'Serve responsive images (srcset/sizes) close to the rendered size.'),
+    'network.render-blocking': rule('performance', 'moderate', 'Render-blocking resource', 'Inline critical CSS, load the rest asynchronously and add defer or async to scripts.'),
+    'network.failed-requests': rule('performance', 'moderate', 'Requests failed to load', 'Check the failing requests in the HAR file and remove or fix them.'),
+    'third-party.main-thread': rule('performance', 'moderate', 'Third-party tool blocks the main thread', 'Load the tool later (on interaction or idle), or replace it with a lighter alternative.'),
+    'third-party.bytes': rule('performance', 'moderate', 'Heavy third-party tool', 'Review whether the tool is needed on every page and load it only where it is used.'),
+
+    // Security
+    'security.no-https': rule('security', 'critical', 'Site not served over HTTPS', 'Serve the site over HTTPS and redirect http requests to it.'),
+    'links.mixed-content': rule('security', 'serious', 'Mixed content', 'Load every resource over https; browsers block or warn about http subresources on https pages.'),
+
+    // Links
+    'links.broken': rule('links', 'moderate', 'Broken link or resource', 'Update or remove references to URLs that return errors or do not resolve.'),
+    'links.redirect-loop': rule('links', 'serious', 'Redirect loop', 'Fix the redirect rules so the URL resolves to a final page.'),
+    'links.redirect-chain': rule('links', 'minor', 'Link goes through redirects', 'Link straight to the final URL instead of one that redirects.'),
+    'links.insecure-link': rule('links', 'minor', 'Link uses http', 'Link to the https version of the page.'),
+    'links.non-canonical-host': rule('links', 'minor', 'Link to a non-canonical host', "Link to the site's canonical host and protocol to avoid redirects and duplicate URLs."),
+
+    // Structured data
+    'structured-data.invalid-json': rule('structured-data', 'serious', 'JSON-LD does not parse', 'Fix the JSON syntax; invalid blocks are ignored entirely by search engines.'),
+    'structured-data.missing-product-schema': rule('structured-data', 'serious', 'Product page without Product schema', 'Add Product structured data with offers (price, priceCurrency, availability) and image.'),
+    'structured-data.product': rule('structured-data', 'serious', 'Product schema incomplete', 'Add the missing Product properties Google uses for rich results.'),
+    'structured-data.offer': rule('structured-data', 'serious', 'Offer schema incomplete', 'Give every Offer a numeric price, an ISO 4217 priceCurrency and a schema.org availability value.'),
+    'structured-data.rating': rule('structured-data', 'serious', 'AggregateRating schema invalid', 'Provide ratingValue within bestRating/worstRating and a ratingCount or reviewCount.'),
+    'structured-data.breadcrumb': rule('structured-data', 'serious', 'BreadcrumbList schema incomplete', 'Give every ListItem a position and name, and an item URL on all but the last crumb.'),
+    'structured-data.organization': rule('structured-data', 'minor', 'Organization schema incomplete', 'Add the organization name, url and an absolute logo URL.'),
+    'structured-data.name-mismatch': rule('structured-data', 'moderate', 'Schema name differs from the page', 'Make the Product name match the product title shown on the page.'),
+    'structured-data.price-mismatch': rule('structured-data', 'serious', 'Schema price differs from the page', 'Keep structured data prices in sync with the displayed price; mismatches can cost rich results.'),
+
+    // Conversion funnel
+    'funnel.product-unreachable': rule('conversion', 'serious', 'Product page failed to load', 'Check that product URLs linked from the site load without errors.'),
+    'funnel.variant-unselectable': rule('conversion', 'serious', 'Variant could not be selected', 'Make sure variant pickers work and at least one variant is available.'),
+    'funnel.no-add-to-cart': rule('conversion', 'critical', 'No add-to-cart button', 'Show a visible add-to-cart button on product pages (or set funnel.selectors.addToCart if the audit misses it).'),
+    'funnel.add-to-cart-failed': rule('conversion', 'critical', 'Add to cart does not work', 'Fix the add-to-cart action: check for JavaScript errors, sold-out variants and app conflicts, and confirm the cart count or drawer updates.'),
+    'funnel.cart-unreachable': rule('conversion', 'critical', 'Cart page broken or empty', 'Make sure the cart page loads and keeps the items added from product pages.'),
+    'funnel.no-checkout': rule('conversion', 'critical', 'No checkout button on the cart', 'Show an enabled checkout button on the cart page.'),
+    'funnel.checkout-unreachable': rule('conversion', 'critical', 'Checkout could not be reached', 'Follow the checkout button by hand and fix whatever stops it reaching the checkout.'),
+    'funnel.slow-step': rule('conversion', 'serious', 'Funnel step too slow', 'Speed up the step; every extra second between product and checkout loses buyers.'),
+    'funnel.js-error': rule('conversion', 'serious', 'JavaScript error during the funnel', 'Fix the error; scripts failing on product and cart pages often break add to cart.'),
+
+    // Shopify catalogue
+    'shopify.products-without-images': rule('conversion', 'serious', 'Products without images', 'Add at least one image to every published product.'),
+    'shopify.products-without-description': rule('conversion', 'moderate', 'Products without descriptions', 'Write a description for every product; it sells the product and gives search engines text to index.'),
+    'shopify.out-of-stock': rule('conversion', 'moderate', 'Many products sold out', 'Restock, hide sold-out products from collections or offer back-in-stock alerts.'),
+    'shopify.product-json-error': rule('conversion', 'serious', 'Product data endpoint failing', 'Check /products/<handle>.js for these products; themes and apps rely on it for variant and price data.'),
+
+    // Popups
+    'popups.intrusive-mobile': rule('conversion', 'serious', 'Intrusive popup on mobile', 'Use a banner or a small popup on mobile; interstitials that cover the content can be demoted in Google mobile search.'),
+    'popups.not-dismissible': rule('conversion', 'critical', 'Popup cannot be closed', 'Give the popup a visible close button and let Escape and a click outside it close it.'),
+    'popups.no-close-button': rule('conversion', 'moderate', 'Popup has no close button', 'Add a visible close button with an accessible name such as aria-label="Close".'),
+    'popups.escape-ignored': rule('accessibility', 'moderate', 'Popup ignores the Escape key', 'Close the popup on Escape and return focus to the page, as keyboard users expect of dialogs.'),
+
+    // Visual regression
+    'visual.changed': rule('visual', 'serious', 'Page looks different from the baseline', 'Check the diff image; if the change is intended, pin this run as the new baseline (--update-baseline).'),
+
+    // Checks that failed to run
+    'error.page-load': rule('errors', 'serious', 'Page could not be loaded', 'Check that the page loads in a browser and within audit.navigationTimeout.'),
+    'error.audit-failed': rule('errors', 'critical', 'Audit failed', 'Check the error message; the site may be down, blocking automation or slower than audit.navigationTimeout.'),
+    'error.checks-incomplete': rule('errors', 'moderate', 'Checks could not complete', 'Re-run the audit; if it persists, the page may be blocking automation.')
+};
+
+for (const [id, accessibilityRule] of Object.entries(ACCESSIBILITY_RULES)) {
+    RULES[`accessibility.${id}`] = {
+        ...rule('accessibility', accessibilityRule.severity, accessibilityRule.title, accessibilityRule.remediation),
+        wcag: accessibilityRule.wcag
+    };
+}
+
+// Adds a rule contributed by a plugin (`source` is the plugin name)
+function registerRule(id, { category = 'custom', severity = 'moderate', title, remediation = '' } = {}, source) {
+    if (RULES[id]) {
+        throw new Error(`Rule "${id}" is already defined`);
+    }
+    if (!CATEGORIES[category]) {
+        throw new Error(`Rule "${id}" has unknown category "${category}" (expected one of ${Object.keys(CATEGORIES).join(', ')})`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Rule "${id}" has unknown severity "${severity}" (expected one of ${SEVERITIES.join(', ')})`);
+    }
+    if (!title) {
+        throw new Error(`Rule "${id}" needs a title`);
+    }
+    RULES[id] = { ...rule(category, severity, title, remediation), source };
+    return RULES[id];
+}
+
+// Builds an issue for `id`. `message` is the specific finding; the rule
+// supplies category, default severity, title and remediation.
+function createIssue(id, { message, severity, url, selector, evidence, ...details } = {}) {
+    const definition = RULES[id];
+    if (!definition) {
+        throw new Error(`Unknown rule "${id}"`);
+    }
+    return {
+        id,
+        type: CATEGORIES[definition.category].label,
+        category: definition.category,
+        severity: severity || definition.severity,
+        title: definition.title,
+        issue: message || definition.title,
+        ...(url ? { url } : {}),
+        ...(selector ? { selector } : {}),
+        ...(evidence ? { evidence } : {}),
+        remediation: definition.remediation,
+        ...details
+    };
+}
+
+module.exports = { RULES, CATEGORIES, SEVERITIES, createIssue, registerRule };
@@ -0,0 +1,98 @@
+const { RULES, CATEGORIES, SEVERITIES } = require('./rules');
+
+// Turns issues into 0-100 scores per category and an overall score. Each rule
+// that fired deducts its severity weight once, plus a little more for every
+// repeat (log2 of the occurrences), so one missing alt text on 40 images
+// doesn't sink a category on its own.
+
+const DEFAULT_SEVERITY_WEIGHTS = { critical: 25, serious: 10, moderate: 4, minor: 1 };
+
+// A rule never costs more than this many times its severity weight
+const MAX_REPEAT_FACTOR = 3;
+
+const SCORED_CATEGORIES = Object.keys(CATEGORIES).filter(category => CATEGORIES[category].scored !== false);
+
+function severityRank(severity) {
+    const rank = SEVERITIES.indexOf(severity);
+    return rank === -1 ? SEVERITIES.length : rank;
+}
+
+// Most severe first; ties keep their original order
+function sortIssues(issues) {
+    return issues
+        .map((issue, index) => ({ issue, index }))
+        .sort((a, b) => severityRank(a.issue.severity) - severityRank(b.issue.severity) || a.index - b.index)
+        .map(({ issue }) => issue);
+}
+
+// `isCheckEnabled` decides which categories ran; a category none of whose
+// checks ran gets no score rather than a perfect one
+function scoreAudit(issues, { isCheckEnabled = () => true, severityWeights = {}, categoryWeights = {}, ruleWeights = {} } = {}) {
+    const weights = { ...DEFAULT_SEVERITY_WEIGHTS, ...severityWeights };
+    const categories = {};
+
+    for (const category of SCORED_CATEGORIES) {
+        const definition = CATEGORIES[category];
+        const scored = definition.checks.some(check => isCheckEnabled(check));
+        categories[category] = {
+            label: definition.label,
+            score: scored ? 100 : null,
+            weight: categoryWeights[category] ?? 1,
+            issueCount: 0,
+            bySeverity: {},
+            deductions: []
+        };
+    }
+
+    // Occurrences per rule, keeping the worst severity seen
+    const byRule = new Map();
+    for (const issue of issues) {
+        const category = categories[issue.category];
+        if (!category || category.score === null) continue;
+
+        category.issueCount++;
+        category.bySeverity[issue.severity] = (category.bySeverity[issue.severity] || 0) + 1;
+        const entry = byRule.get(issue.id) || { category: issue.category, severity: issue.severity, count: 0 };
+        if (severityRank(issue.severity) < severityRank(entry.severity)) entry.severity = issue.severity;
+        entry.count++;
+        byRule.set(issue.id, entry);
+    }
+
+    for (const [id, entry] of byRule) {
+        const factor = Math.min(1 + Math.log2(entry.count), MAX_REPEAT_FACTOR);
+        const points = (weights[entry.severity] ?? 0) * (ruleWeights[id] ?? 1) * factor;
+        if (points <= 0) continue;
+        categories[entry.category].deductions.push({
+            id,
+            title: RULES[id]?.title || id,
+            severity: entry.severity,
+            count: entry.count,
+            points: Math.round(points * 10) / 10
+        });
+    }
+
+    let weightedTotal = 0;
+    let totalWeight = 0;
+    for (const category of Object.values(categories)) {
+        if (category.score === null) continue;
+        category.deductions.sort((a, b) => b.points - a.points);
+        const deducted = category.deductions.reduce((sum, deduction) => sum + deduction.points, 0);
+        category.score = Math.max(0, Math.round(100 - deducted));
+        weightedTotal += category.score * category.weight;
+        totalWeight += category.weight;
+    }
+
+    return {
+        overall: totalWeight > 0 ? Math.round(weightedTotal / totalWeight) : null,
+        categories
+    };
+}
+
+// Report colour band for a score
+function scoreRating(score) {
+    if (score === null || score === undefined) return 'unscored';
+    if (score >= 90) return 'good';
+    return score >= 50 ? 'needs-improvement' : 'poor';
+}
+
+module.exports = { scoreAudit, sortIssues, scoreRating, DEFAULT_SEVERITY_WEIGHTS, SCORED_CATEGORIES };
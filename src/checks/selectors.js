@@ -0,0 +1,40 @@
+// One way of pointing at an element for every check that reports selectors,
+// so annotations and reports can always find the element again.
+
+// Runs in the page: a selector matching `element` and nothing else. It is a
+// chain of child steps from the root (`html > body > main > h1:nth-of-type(2)`)
+// or from the nearest ancestor with an id no other element shares.
+function uniqueSelector(element) {
+    const idSelector = node => {
+        if (!node.id) return null;
+        const selector = `#${CSS.escape(node.id)}`;
+        return document.querySelectorAll(selector).length === 1 ? selector : null;
+    };
+
+    const parts = [];
+    for (let current = element; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentElement) {
+        const anchor = idSelector(current);
+        if (anchor) {
+            parts.unshift(anchor);
+            break;
+        }
+        let part = CSS.escape(current.localName);
+        const parent = current.parentElement;
+        if (parent) {
+            const sameType = Array.from(parent.children).filter(child => child.localName === current.localName);
+            if (sameType.length > 1) part += `:nth-of-type(${sameType.indexOf(current) + 1})`;
+        } else if (current === document.documentElement) {
+            part = ':root';
+        }
+        parts.unshift(part);
+    }
+    return parts.join(' > ');
+}
+
+// Makes uniqueSelector available to code evaluated in the page afterwards as
+// window.__auditUniqueSelector
+async function installUniqueSelector(page) {
+    await page.evaluate(`window.__auditUniqueSelector = ${uniqueSelector}`);
+}
+
+module.exports = { uniqueSelector, installUniqueSelector };
@@ -0,0 +1,314 @@
+const { canonicalizeUrl, isSameSite } = require('../crawler/pageTypes');
+const { installUniqueSelector } = require('./selectors');
+
+// On-page SEO: each checked page is read once in the browser, checked on its
+// own, and the per-page results are then compared across the site for
+// duplicates, hreflang return links and sitemap/noindex conflicts.
+
+const DEFAULTS = {
+    titleLength: { min: 30, max: 60 },
+    descriptionLength: { min: 70, max: 160 },
+    minWordCount: 300,
+    // Page types expected to carry real content; cart and policy pages are often short
+    thinContentPageTypes: ['home', 'product', 'collection', 'blog', 'other']
+};
+
+const HREFLANG_PATTERN = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+
+// Runs in the page, after installUniqueSelector
+function collectSeoData() {
+    const meta = name => {
+        const element = document.querySelector(`meta[name="${name}" i], meta[property="${name}" i]`);
+        return element ? (element.getAttribute('content') || '').trim() : null;
+    };
+    const text = element => (element.innerText ?? element.textContent ?? '').replace(/\s+/g, ' ').trim();
+
+    // A selector for an H1, so the annotated screenshot can point at it
+    const selectorFor = window.__auditUniqueSelector;
+
+    const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(heading => ({
+        level: parseInt(heading.tagName[1], 10),
+        text: text(heading).slice(0, 120),
+        ...(heading.tagName === 'H1' ? { selector: selectorFor(heading) } : {})
+    }));
+
+    const links = { internal: 0, external: 0, nofollow: 0 };
+    const internalUrls = [];
+    for (const link of document.querySelectorAll('a[href]')) {
+        let target;
+        try {
+            target = new URL(link.getAttribute('href'), location.href);
+        } catch (error) {
+            continue;
+        }
+        if (target.protocol !== 'http:' && target.protocol !== 'https:') continue;
+        const strip = host => host.replace(/^www\./, '');
+        if (strip(target.hostname) === strip(location.hostname)) {
+            links.internal++;
+            internalUrls.push(target.href);
+        } else {
+            links.external++;
+        }
+        if (/\bnofollow\b/i.test(link.getAttribute('rel') || '')) links.nofollow++;
+    }
+
+    // Count words in the content, not in scripts, styles or templates. Text
+    // nodes are joined with spaces because adjacent elements often have none.
+    const chunks = [];
+    if (document.body) {
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.parentElement.closest('script, style, noscript, template, svg')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT)
+        });
+        while (walker.nextNode()) chunks.push(walker.currentNode.nodeValue);
+    }
+    const bodyText = chunks.join(' ').replace(/\s+/g, ' ').trim();
+
+    const openGraph = {};
+    document.querySelectorAll('meta[property^="og:"]').forEach(element => {
+        openGraph[element.getAttribute('property').slice(3)] = element.getAttribute('content') || '';
+    });
+    const twitter = {};
+    document.querySelectorAll('meta[name^="twitter:"]').forEach(element => {
+        twitter[element.getAttribute('name').slice(8)] = element.getAttribute('content') || '';
+    });
+
+    return {
+        url: location.href,
+        title: document.title.trim(),
+        titleCount: document.querySelectorAll('head title').length,
+        description: meta('description'),
+        descriptionCount: document.querySelectorAll('meta[name="description" i]').length,
+        canonicals: Array.from(document.querySelectorAll('link[rel="canonical" i]')).map(link => link.getAttribute('href') || ''),
+        hreflang: Array.from(document.querySelectorAll('link[rel="alternate" i][hreflang]')).map(link => ({
+            lang: link.getAttribute('hreflang'),
+            href: link.getAttribute('href') || ''
+        })),
+        robots: [meta('robots'), meta('googlebot')].filter(Boolean).join(', '),
+        lang: document.documentElement.getAttribute('lang'),
+        headings,
+        wordCount: bodyText ? bodyText.split(' ').length : 0,
+        links,
+        internalUrls: Array.from(new Set(internalUrls)).slice(0, 500),
+        openGraph,
+        twitter
+    };
+}
+
+function parseRobotsDirectives(...values) {
+    const directives = new Set();
+    for (const value of values) {
+        for (const part of (value || '').toLowerCase().split(',')) {
+            // X-Robots-Tag may be scoped to a user agent: "googlebot: noindex"
+            const directive = part.includes(':') && !/^\s*(max-|unavailable_after)/.test(part) ? part.split(':').pop() : part;
+            if (directive.trim()) directives.add(directive.trim());
+        }
+    }
+    return {
+        noindex: directives.has('noindex') || directives.has('none'),
+        nofollow: directives.has('nofollow') || directives.has('none'),
+        directives: [...directives]
+    };
+}
+
+// Checks one page. `headers` are the HTTP response headers of its document.
+function analyzeSeoPage(data, { url, headers = {}, pageType = 'other', settings = {} } = {}) {
+    // Required here: utils/config loads the config schema, which needs this module
+    const { deepMerge } = require('../utils/config');
+    // A partial override such as { titleLength: { max: 70 } } keeps the other defaults
+    const options = deepMerge(DEFAULTS, settings);
+    const findings = [];
+    const add = (check, rule, severity, issue, extra = {}) => findings.push({ check, rule, severity, issue, ...extra });
+
+    // Title and description
+    if (!data.title) {
+        add('title', 'title-missing', 'serious', 'Missing page title');
+    } else if (data.title.length < options.titleLength.min || data.title.length > options.titleLength.max) {
+        add('title', 'title-length', 'minor', `Title is ${data.title.length} characters (aim for ${options.titleLength.min}-${options.titleLength.max}): "${data.title}"`);
+    }
+    if (data.titleCount > 1) add('title', 'title-multiple', 'moderate', `${data.titleCount} <title> elements`);
+
+    if (!data.description) {
+        add('description', 'description-missing', 'moderate', 'Missing meta description');
+    } else if (data.description.length < options.descriptionLength.min || data.description.length > options.descriptionLength.max) {
+        add('description', 'description-length', 'minor', `Meta description is ${data.description.length} characters (aim for ${options.descriptionLength.min}-${options.descriptionLength.max})`);
+    }
+    if (data.descriptionCount > 1) add('description', 'description-multiple', 'moderate', `${data.descriptionCount} meta descriptions`);
+
+    // Robots meta and X-Robots-Tag
+    const robots = parseRobotsDirectives(data.robots, headers['x-robots-tag']);
+    if (robots.noindex) {
+        add('robots', 'noindex', 'serious', `Page is noindex (${[data.robots && `meta robots "${data.robots}"`, headers['x-robots-tag'] && `X-Robots-Tag "${headers['x-robots-tag']}"`].filter(Boolean).join(', ')})`);
+    }
+    if (robots.nofollow) add('robots', 'nofollow', 'moderate', 'Page is nofollow, so its links pass no signals');
+
+    // Canonical
+    let canonical = null;
+    if (data.canonicals.length === 0) {
+        add('canonical', 'canonical-missing', 'moderate', 'Missing canonical link');
+    } else {
+        if (data.canonicals.length > 1) add('canonical', 'canonical-multiple', 'serious', `${data.canonicals.length} canonical links; search engines may ignore all of them`);
+        const href = data.canonicals[0];
+        if (!/^https?:\/\//i.test(href)) add('canonical', 'canonical-relative', 'minor', `Canonical is not an absolute URL: "${href}"`);
+        canonical = canonicalizeUrl(href, url);
+        if (!canonical) {
+            add('canonical', 'canonical-invalid', 'serious', `Canonical is not a valid URL: "${href}"`);
+        } else if (!isSameSite(canonical, url)) {
+            add('canonical', 'canonical-cross-site', 'moderate', `Canonical points to another site: ${canonical}`);
+        } else if (canonical !== canonicalizeUrl(url) && robots.noindex) {
+            add('canonical', 'canonical-noindex-conflict', 'moderate', `noindex page canonicalizes to ${canonical}; the signals conflict`);
+        }
+        if (canonical && new URL(canonical).protocol === 'http:' && new URL(url).protocol === 'https:') {
+            add('canonical', 'canonical-http', 'moderate', `Canonical uses http on an https page: ${canonical}`);
+        }
+    }
+
+    // hreflang
+    const hreflangLangs = new Set();
+    for (const alternate of data.hreflang) {
+        if (!HREFLANG_PATTERN.test(alternate.lang)) add('hreflang', 'hreflang-invalid', 'moderate', `Invalid hreflang value "${alternate.lang}"`);
+        if (hreflangLangs.has(alternate.lang.toLowerCase())) add('hreflang', 'hreflang-duplicate', 'moderate', `Duplicate hreflang "${alternate.lang}"`);
+        hreflangLangs.add(alternate.lang.toLowerCase());
+        if (!/^https?:\/\//i.test(alternate.href)) add('hreflang', 'hreflang-relative', 'moderate', `hreflang "${alternate.lang}" URL is not absolute: "${alternate.href}"`);
+    }
+    if (data.hreflang.length > 0) {
+        const self = canonicalizeUrl(url);
+        const selfReferenced = data.hreflang.some(alternate => canonicalizeUrl(alternate.href, url) === self || canonicalizeUrl(alternate.href, url) === canonical);
+        if (!selfReferenced) add('hreflang', 'hreflang-no-self', 'moderate', 'hreflang set does not include this page itself');
+    }
+
+    // Social cards
+    const missingOg = ['title', 'description', 'image', 'url'].filter(property => !data.openGraph[property]);
+    if (missingOg.length > 0) add('social', 'og-missing', 'minor', `Missing Open Graph ${missingOg.map(property => `og:${property}`).join(', ')}`);
+    if (data.openGraph.image && !/^https?:\/\//i.test(data.openGraph.image)) add('social', 'og-image-relative', 'minor', `og:image is not an absolute URL: "${data.openGraph.image}"`);
+    if (!data.twitter.card) add('social', 'twitter-card-missing', 'minor', 'Missing twitter:card');
+
+    // Heading outline
+    const h1s = data.headings.filter(heading => heading.level === 1);
+    if (h1s.length === 0) {
+        add('headings', 'h1-missing', 'moderate', 'No H1 tag found');
+    } else if (h1s.length > 1) {
+        add('headings', 'h1-multiple', 'minor', `Multiple H1 tags found (${h1s.length})`, { selector: h1s[1].selector });
+    }
+    if (data.headings.some(heading => !heading.text)) add('headings', 'heading-empty', 'minor', 'Empty heading element(s)');
+
+    // Thin content
+    if (options.thinContentPageTypes.includes(pageType) && data.wordCount < options.minWordCount) {
+        add('content', 'thin-content', 'minor', `Thin content: ${data.wordCount} words (under ${options.minWordCount})`);
+    }
+
+    // Links
+    if (data.links.internal === 0) add('links', 'no-internal-links', 'moderate', 'No internal links: a dead end for crawlers');
+
+    return {
+        url,
+        pageType,
+        title: data.title,
+        description: data.description,
+        canonical,
+        hreflang: data.hreflang,
+        robots: robots.directives,
+        noindex: robots.noindex,
+        lang: data.lang,
+        headings: data.headings,
+        wordCount: data.wordCount,
+        links: data.links,
+        internalUrls: data.internalUrls,
+        openGraph: data.openGraph,
+        twitter: data.twitter,
+        findings
+    };
+}
+
+// Site-level view across every analyzed page. `sitemapUrls` are the
+// canonical URLs listed in the sitemap, when the crawl read one.
+function summarizeSeo(pages, { sitemapUrls = [] } = {}) {
+    const siteFindings = [];
+    const add = (check, rule, severity, issue, urls) => siteFindings.push({ check, rule, severity, issue, urls });
+
+    const duplicates = field => {
+        const groups = {};
+        for (const page of pages) {
+            const value = page[field];
+            if (!value) continue;
+            const key = value.trim().toLowerCase();
+            groups[key] = groups[key] || { value, urls: [] };
+            groups[key].urls.push(page.url);
+        }
+        return Object.values(groups).filter(group => group.urls.length > 1);
+    };
+
+    const duplicateTitles = duplicates('title');
+    duplicateTitles.forEach(group => add('title', 'duplicate-title', 'moderate', `Title "${group.value}" is used on ${group.urls.length} pages`, group.urls));
+    const duplicateDescriptions = duplicates('description');
+    duplicateDescriptions.forEach(group => add('description', 'duplicate-description', 'minor', `Meta description "${group.value.slice(0, 80)}" is used on ${group.urls.length} pages`, group.urls));
+
+    // Pages that ask not to be indexed but are submitted in the sitemap
+    const sitemap = new Set(sitemapUrls);
+    const sitemapConflicts = pages.filter(page => page.noindex && sitemap.has(canonicalizeUrl(page.url))).map(page => page.url);
+    if (sitemapConflicts.length > 0) {
+        add('robots', 'noindex-in-sitemap', 'serious', `${sitemapConflicts.length} noindex page(s) are listed in the sitemap`, sitemapConflicts);
+    }
+
+    // Canonicalized-away pages shouldn't be in the sitemap either
+    const canonicalConflicts = pages
+        .filter(page => page.canonical && page.canonical !== canonicalizeUrl(page.url) && sitemap.has(canonicalizeUrl(page.url)))
+        .map(page => page.url);
+    if (canonicalConflicts.length > 0) {
+        add('canonical', 'canonicalized-in-sitemap', 'moderate', `${canonicalConflicts.length} sitemap page(s) canonicalize to a different URL`, canonicalConflicts);
+    }
+
+    // hreflang annotations must be confirmed by the page they point to
+    const byUrl = new Map(pages.map(page => [canonicalizeUrl(page.url), page]));
+    const missingReturnLinks = [];
+    for (const page of pages) {
+        const self = canonicalizeUrl(page.url);
+        for (const alternate of page.hreflang) {
+            const target = byUrl.get(canonicalizeUrl(alternate.href, page.url));
+            if (!target || target === page) continue;
+            const returns = target.hreflang.some(back => canonicalizeUrl(back.href, target.url) === self);
+            if (!returns) missingReturnLinks.push(`${page.url} -> ${target.url}`);
+        }
+    }
+    if (missingReturnLinks.length > 0) {
+        add('hreflang', 'hreflang-no-return', 'moderate', `${missingReturnLinks.length} hreflang link(s) without a return link`, missingReturnLinks);
+    }
+
+    // Checked pages no other checked page links to
+    const linkedTo = new Set(pages.flatMap(page => page.internalUrls.map(link => canonicalizeUrl(link)).filter(Boolean)));
+    const orphans = pages.length > 1
+        ? pages.filter(page => page.pageType !== 'home' && !linkedTo.has(canonicalizeUrl(page.url))).map(page => page.url)
+        : [];
+
+    const checks = {};
+    for (const finding of [...pages.flatMap(page => page.findings), ...siteFindings]) {
+        checks[finding.check] = (checks[finding.check] || 0) + 1;
+    }
+
+    const totalWords = pages.reduce((total, page) => total + page.wordCount, 0);
+    return {
+        pagesAnalyzed: pages.length,
+        pagesWithFindings: pages.filter(page => page.findings.length > 0).length,
+        findingsByCheck: checks,
+        noindexPages: pages.filter(page => page.noindex).map(page => page.url),
+        missingCanonical: pages.filter(page => !page.canonical).map(page => page.url),
+        thinPages: pages.filter(page => page.findings.some(finding => finding.check === 'content')).map(page => page.url),
+        averageWordCount: pages.length > 0 ? Math.round(totalWords / pages.length) : 0,
+        internalLinks: pages.reduce((total, page) => total + page.links.internal, 0),
+        externalLinks: pages.reduce((total, page) => total + page.links.external, 0),
+        duplicateTitles,
+        duplicateDescriptions,
+        sitemapConflicts,
+        orphans,
+        siteFindings
+    };
+}
+
+async function runSeoAudit(page, { url, headers, pageType, settings } = {}) {
+    await installUniqueSelector(page);
+    const data = await page.evaluate(collectSeoData);
+    return analyzeSeoPage(data, { url: url || data.url, headers, pageType, settings });
+}
+
+module.exports = { runSeoAudit, analyzeSeoPage, summarizeSeo, parseRobotsDirectives, collectSeoData };
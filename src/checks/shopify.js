@@ -0,0 +1,233 @@
+const { fetchUrl } = require('../utils/http');
+const { createIssue } = require('./rules');
+const { buildDomainIndex, matchVendor } = require('./thirdParty');
+
+// Shopify deep analysis from the storefront's public endpoints
+// (/products.json, /collections.json, /cart.js, /products/<handle>.js) and
+// the theme metadata the storefront exposes in window.Shopify.
+
+const PAGE_SIZE = 250; // Largest page /products.json and /collections.json serve
+
+// Runs in the page: theme metadata and the scripts apps inject
+function collectShopifyStorefront() {
+    const shopify = window.Shopify || {};
+    const theme = shopify.theme || {};
+    const appScripts = new Map();
+    const add = (url, source) => {
+        try {
+            const parsed = new URL(url, location.href);
+            if (!appScripts.has(parsed.href)) appScripts.set(parsed.href, { url: parsed.href, host: parsed.hostname, source });
+        } catch (error) {
+            // Not a URL
+        }
+    };
+
+    // Script tags added through the ScriptTag API carry ?shop=<store>.myshopify.com
+    Array.from(document.scripts).forEach(script => {
+        if (!script.src) return;
+        if (/[?&]shop=[^&]+\.myshopify\.com/.test(script.src)) add(script.src, 'script-tag');
+        // Theme app extensions (app blocks and embeds)
+        if (/cdn\.shopify\.com\/extensions\//.test(script.src)) add(script.src, 'app-extension');
+    });
+    // ...or are listed in the asyncLoad snippet Shopify renders into the page
+    Array.from(document.scripts).forEach(script => {
+        if (script.src || !/asyncLoad/.test(script.textContent)) return;
+        const list = script.textContent.match(/var urls\s*=\s*(\[[^\]]*\])/);
+        if (!list) return;
+        try {
+            JSON.parse(list[1]).forEach(url => add(url, 'script-tag'));
+        } catch (error) {
+            // Not valid JSON; skip it
+        }
+    });
+
+    return {
+        shop: shopify.shop || null,
+        currency: shopify.currency?.active || null,
+        locale: shopify.locale || null,
+        theme: theme.name || theme.schema_name ? {
+            name: theme.name || null,
+            id: theme.id || null,
+            role: theme.role || null,
+            schemaName: theme.schema_name || null,
+            schemaVersion: theme.schema_version || null
+        } : null,
+        appScripts: [...appScripts.values()]
+    };
+}
+
+// Theme app extension URLs name the app: /extensions/<id>/<app-handle>-<version>/
+function appName(script) {
+    const extension = script.url.match(/\/extensions\/[^/]+\/([^/]+?)(?:-\d+)?\//);
+    return extension ? extension[1] : script.host.replace(/^(www|cdn|static|js|app|apps)\./, '');
+}
+
+async function fetchJson(url, options) {
+    const response = await fetchUrl(url, { ...options, headers: { accept: 'application/json', ...options.headers } });
+    if (response.status !== 200) {
+        return { status: response.status, data: null };
+    }
+    try {
+        return { status: response.status, data: JSON.parse(response.body) };
+    } catch (error) {
+        return { status: response.status, data: null, error: 'Response is not JSON' };
+    }
+}
+
+// Follows /<collection>.json?page=N until a short page or `maxPages`
+async function fetchAll(origin, resource, key, { maxPages, requestOptions }) {
+    const items = [];
+    let status = null;
+    for (let page = 1; page <= maxPages; page++) {
+        const result = await fetchJson(`${origin}/${resource}.json?limit=${PAGE_SIZE}&page=${page}`, requestOptions);
+        status = result.status;
+        const batch = result.data?.[key];
+        if (!Array.isArray(batch)) {
+            return { items, status, complete: false, error: result.error || `HTTP ${result.status}` };
+        }
+        items.push(...batch);
+        if (batch.length < PAGE_SIZE) {
+            return { items, status, complete: true };
+        }
+    }
+    return { items, status, complete: false };
+}
+
+function textOf(html) {
+    return (html || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;|&#160;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function ratio(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0;
+}
+
+// Catalogue figures from /products.json entries
+function analyzeCatalog(products, { origin, minDescriptionLength = 50 } = {}) {
+    const productUrl = product => `${origin}/products/${product.handle}`;
+    const variants = products.flatMap(product => product.variants || []);
+    const onSale = variant => variant.compare_at_price && Number(variant.compare_at_price) > Number(variant.price);
+    const soldOut = products.filter(product => (product.variants || []).length > 0 && product.variants.every(variant => variant.available === false));
+
+    const count = (list, key) => {
+        const counts = {};
+        list.forEach(item => {
+            if (item[key]) counts[item[key]] = (counts[item[key]] || 0) + 1;
+        });
+        return counts;
+    };
+
+    return {
+        productCount: products.length,
+        variantCount: variants.length,
+        withoutImages: products.filter(product => (product.images || []).length === 0).map(productUrl),
+        withoutDescription: products.filter(product => textOf(product.body_html).length < minDescriptionLength).map(productUrl),
+        outOfStockProducts: soldOut.length,
+        outOfStockRatio: ratio(soldOut.length, products.length),
+        outOfStockVariants: variants.filter(variant => variant.available === false).length,
+        compareAtVariants: variants.filter(onSale).length,
+        compareAtRatio: ratio(variants.filter(onSale).length, variants.length),
+        productsOnSale: products.filter(product => (product.variants || []).some(onSale)).length,
+        productTypes: count(products, 'product_type'),
+        vendors: count(products, 'vendor')
+    };
+}
+
+// Product pages to audit: in-stock products with images first, spread
+// evenly through the catalogue rather than the first few
+function sampleProducts(products, origin, size) {
+    const sellable = product => (product.images || []).length > 0 && (product.variants || []).some(variant => variant.available !== false);
+    const preferred = products.filter(sellable);
+    const pool = preferred.length >= size ? preferred : [...preferred, ...products.filter(product => !sellable(product))];
+    const count = Math.min(size, pool.length);
+    return Array.from({ length: count }, (_, index) => `${origin}/products/${pool[Math.floor(index * pool.length / count)].handle}`);
+}
+
+// Fetches and analyzes the catalogue. `storefront` is what
+// collectShopifyStorefront found on the homepage; app scripts are named from
+// the third-party `signatures` when they match.
+async function analyzeShopifyStore(siteUrl, storefront, { maxCatalogPages = 4, minDescriptionLength = 50, sampleSize = 6, signatures = null, userAgent = null, timeout = 15000 } = {}) {
+    const origin = new URL(siteUrl).origin;
+    const requestOptions = { timeout, headers: userAgent ? { 'user-agent': userAgent } : {} };
+
+    const [products, collections, cart] = await Promise.all([
+        fetchAll(origin, 'products', 'products', { maxPages: maxCatalogPages, requestOptions }).catch(error => ({ items: [], complete: false, error: error.message })),
+        fetchAll(origin, 'collections', 'collections', { maxPages: maxCatalogPages, requestOptions }).catch(error => ({ items: [], complete: false, error: error.message })),
+        fetchJson(`${origin}/cart.js`, requestOptions).catch(error => ({ status: null, data: null, error: error.message }))
+    ]);
+
+    const domainIndex = buildDomainIndex(signatures?.vendors || []);
+    const sample = sampleProducts(products.items, origin, sampleSize);
+    // /products/<handle>.js is what themes and apps use for live product data
+    const sampled = [];
+    for (const url of sample) {
+        const result = await fetchJson(`${url}.js`, requestOptions).catch(error => ({ status: null, data: null, error: error.message }));
+        sampled.push({
+            url,
+            status: result.status,
+            available: result.data ? !!result.data.available : null,
+            price: result.data ? result.data.price / 100 : null,
+            variants: result.data?.variants?.length ?? null
+        });
+    }
+
+    return {
+        shop: storefront.shop,
+        currency: storefront.currency,
+        locale: storefront.locale,
+        theme: storefront.theme,
+        apps: storefront.appScripts.map(script => ({
+            // Extensions are all served from cdn.shopify.com, so only their path names the app
+            name: (script.source !== 'app-extension' && matchVendor(script.host, domainIndex)?.name) || appName(script),
+            ...script
+        })),
+        endpoints: {
+            products: products.error || 'ok',
+            collections: collections.error || 'ok',
+            cart: cart.data ? 'ok' : cart.error || `HTTP ${cart.status}`,
+            productJs: sampled.length === 0 ? 'not checked' : sampled.every(product => product.status === 200) ? 'ok' : `${sampled.filter(product => product.status !== 200).length} of ${sampled.length} failed`
+        },
+        catalog: products.items.length > 0 ? {
+            ...analyzeCatalog(products.items, { origin, minDescriptionLength }),
+            complete: products.complete,
+            collectionCount: collections.items.length
+        } : null,
+        sampledProducts: sampled
+    };
+}
+
+function shopifyIssues(shopify, { maxOutOfStockRatio = 0.25 } = {}) {
+    const issues = [];
+    const catalog = shopify.catalog;
+    if (!catalog) return issues;
+
+    const sizeNote = catalog.complete ? '' : ' (of the first products fetched)';
+    if (catalog.withoutImages.length > 0) {
+        issues.push(createIssue('shopify.products-without-images', {
+            message: `${catalog.withoutImages.length} product(s) have no images${sizeNote}`,
+            urls: catalog.withoutImages
+        }));
+    }
+    if (catalog.withoutDescription.length > 0) {
+        issues.push(createIssue('shopify.products-without-description', {
+            message: `${catalog.withoutDescription.length} product(s) have no or very short descriptions${sizeNote}`,
+            urls: catalog.withoutDescription
+        }));
+    }
+    if (catalog.outOfStockRatio > maxOutOfStockRatio) {
+        issues.push(createIssue('shopify.out-of-stock', {
+            message: `${Math.round(catalog.outOfStockRatio * 100)}% of products are sold out (${catalog.outOfStockProducts} of ${catalog.productCount})${sizeNote}`,
+            evidence: `Limit: ${Math.round(maxOutOfStockRatio * 100)}%`
+        }));
+    }
+    const unavailable = shopify.sampledProducts.filter(product => product.status !== 200);
+    if (unavailable.length > 0) {
+        issues.push(createIssue('shopify.product-json-error', {
+            message: `${unavailable.length} product(s) from /products.json failed to load as /products/<handle>.js`,
+            urls: unavailable.map(product => product.url)
+        }));
+    }
+
+    return issues;
+}
+
+module.exports = { collectShopifyStorefront, analyzeShopifyStore, analyzeCatalog, sampleProducts, shopifyIssues };
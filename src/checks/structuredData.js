@@ -0,0 +1,372 @@
+// Structured data: JSON-LD, microdata and RDFa are extracted from the page,
+// normalized into one shape and validated against the properties Google
+// requires or recommends for Product, Offer, AggregateRating, BreadcrumbList
+// and Organization rich results. Product data is then compared with the
+// title and price a shopper actually sees.
+
+const AVAILABILITY_VALUES = [
+    'BackOrder', 'Discontinued', 'InStock', 'InStoreOnly', 'LimitedAvailability', 'MadeToOrder',
+    'OnlineOnly', 'OutOfStock', 'PreOrder', 'PreSale', 'Reserved', 'SoldOut'
+];
+
+// Runs in the page
+function extractStructuredData() {
+    const items = [];
+    const errors = [];
+    const visible = element => {
+        const rect = element.getBoundingClientRect();
+        const style = window.getComputedStyle(element);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+
+    // JSON-LD
+    document.querySelectorAll('script[type="application/ld+json" i]').forEach((script, index) => {
+        try {
+            items.push({ format: 'json-ld', data: JSON.parse(script.textContent) });
+        } catch (error) {
+            errors.push({ format: 'json-ld', block: index + 1, error: error.message, snippet: script.textContent.trim().slice(0, 200) });
+        }
+    });
+
+    const attributeValue = element => {
+        if (element.hasAttribute('content')) return element.getAttribute('content');
+        const tag = element.tagName.toLowerCase();
+        if (['a', 'link', 'area'].includes(tag)) return element.href;
+        if (['img', 'audio', 'video', 'source', 'embed', 'iframe', 'track'].includes(tag)) return element.src;
+        if (tag === 'meta') return element.getAttribute('content') || '';
+        if (tag === 'time' && element.hasAttribute('datetime')) return element.getAttribute('datetime');
+        if (['data', 'meter'].includes(tag) && element.hasAttribute('value')) return element.getAttribute('value');
+        return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    };
+
+    const addProperty = (target, name, value) => {
+        if (name in target) {
+            target[name] = [].concat(target[name], value);
+        } else {
+            target[name] = value;
+        }
+    };
+
+    // Microdata: properties belong to the nearest enclosing itemscope
+    const readMicrodata = scope => {
+        const result = { '@type': (scope.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean) };
+        const walk = element => {
+            for (const child of element.children) {
+                if (child.hasAttribute('itemprop')) {
+                    const value = child.hasAttribute('itemscope') ? readMicrodata(child) : attributeValue(child);
+                    child.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(name => addProperty(result, name, value));
+                }
+                if (!child.hasAttribute('itemscope')) walk(child);
+            }
+        };
+        walk(scope);
+        return result;
+    };
+    document.querySelectorAll('[itemscope]:not([itemprop])').forEach(scope => {
+        items.push({ format: 'microdata', data: readMicrodata(scope) });
+    });
+
+    // RDFa Lite: properties belong to the nearest enclosing typeof
+    const readRdfa = scope => {
+        const result = { '@type': (scope.getAttribute('typeof') || '').split(/\s+/).filter(Boolean) };
+        const walk = element => {
+            for (const child of element.children) {
+                if (child.hasAttribute('property')) {
+                    const value = child.hasAttribute('typeof') ? readRdfa(child) : (child.getAttribute('resource') || attributeValue(child));
+                    child.getAttribute('property').split(/\s+/).filter(Boolean).forEach(name => addProperty(result, name, value));
+                }
+                if (!child.hasAttribute('typeof')) walk(child);
+            }
+        };
+        walk(scope);
+        return result;
+    };
+    document.querySelectorAll('[typeof]:not([property])').forEach(scope => {
+        items.push({ format: 'rdfa', data: readRdfa(scope) });
+    });
+
+    // What the shopper sees: the main heading and anything that looks like a price
+    const heading = document.querySelector('h1');
+    const prices = Array.from(document.querySelectorAll('[class*="price" i], [id*="price" i], [itemprop="price"], .money'))
+        .filter(element => element.children.length <= 3 && visible(element))
+        .map(element => (element.textContent || '').replace(/\s+/g, ' ').trim())
+        .filter(text => /\d/.test(text) && text.length <= 40)
+        .slice(0, 30);
+
+    return {
+        items,
+        errors,
+        visible: {
+            title: heading ? (heading.textContent || '').replace(/\s+/g, ' ').trim() : null,
+            ogTitle: document.querySelector('meta[property="og:title"]')?.getAttribute('content') || null,
+            prices
+        }
+    };
+}
+
+// "http://schema.org/Product" and "schema:Product" become "Product"
+function shortType(type) {
+    return String(type).replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '');
+}
+
+function typesOf(node) {
+    return [].concat(node?.['@type'] || []).map(shortType);
+}
+
+function isType(node, type) {
+    return typesOf(node).includes(type);
+}
+
+function first(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Strips vocabulary prefixes from property names, so microdata/RDFa and
+// JSON-LD nodes can be validated the same way
+function normalizeNode(node) {
+    if (Array.isArray(node)) return node.map(normalizeNode);
+    if (!node || typeof node !== 'object') return node;
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+        const name = key.startsWith('@') ? key : shortType(key);
+        result[name] = name === '@type' ? asArray(value).map(shortType) : normalizeNode(value);
+    }
+    return result;
+}
+
+// Every typed node, including ones nested in @graph, arrays or other nodes
+function collectNodes(items) {
+    const nodes = [];
+    const visit = (node, format, path) => {
+        if (Array.isArray(node)) {
+            node.forEach((child, index) => visit(child, format, `${path}[${index}]`));
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+        if (node['@graph']) visit(node['@graph'], format, `${path}.@graph`);
+        if (node['@type']) nodes.push({ format, path, node });
+        for (const [key, value] of Object.entries(node)) {
+            if (key !== '@graph' && value && typeof value === 'object') visit(value, format, `${path}.${key}`);
+        }
+    };
+    items.forEach((item, index) => visit(normalizeNode(item.data), item.format, `${item.format}#${index + 1}`));
+    return nodes;
+}
+
+// "$1,299.00" -> 1299, "1.299,00 €" -> 1299
+function parsePrice(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value ?? '').match(/\d[\d.,\s]*/);
+    if (!match) return null;
+    let number = match[0].replace(/\s/g, '');
+    const lastComma = number.lastIndexOf(',');
+    const lastDot = number.lastIndexOf('.');
+    if (lastComma > lastDot) {
+        // Comma as decimal separator when followed by 1-2 digits
+        number = /,\d{1,2}$/.test(number) ? number.replace(/\./g, '').replace(',', '.') : number.replace(/,/g, '');
+    } else {
+        number = number.replace(/,/g, '');
+    }
+    const parsed = parseFloat(number);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+function validateOffer(offer, add) {
+    const aggregate = isType(offer, 'AggregateOffer');
+    const price = first(offer.price) ?? first(offer.priceSpecification)?.price;
+    const currency = first(offer.priceCurrency) ?? first(offer.priceSpecification)?.priceCurrency;
+
+    if (aggregate) {
+        if (first(offer.lowPrice) === undefined) add('serious', 'AggregateOffer is missing lowPrice', 'lowPrice');
+    } else if (price === undefined || price === '') {
+        add('critical', 'Offer is missing price', 'price');
+    } else if (typeof price === 'string' && !/^\d+(\.\d+)?$/.test(price.trim())) {
+        add('serious', `Offer price "${price}" should be a plain number without currency symbols or thousands separators`, 'price');
+    }
+
+    if (!currency) {
+        add('serious', 'Offer is missing priceCurrency', 'priceCurrency');
+    } else if (!/^[A-Z]{3}$/.test(currency)) {
+        add('moderate', `priceCurrency "${currency}" is not an ISO 4217 code`, 'priceCurrency');
+    }
+
+    const availability = first(offer.availability);
+    if (!availability && !aggregate) {
+        add('moderate', 'Offer is missing availability', 'availability');
+    } else if (availability && !AVAILABILITY_VALUES.includes(shortType(availability))) {
+        add('moderate', `availability "${availability}" is not a schema.org ItemAvailability value`, 'availability');
+    }
+
+    const validUntil = first(offer.priceValidUntil);
+    if (validUntil && !Number.isNaN(Date.parse(validUntil)) && Date.parse(validUntil) < Date.now()) {
+        add('moderate', `priceValidUntil ${validUntil} is in the past`, 'priceValidUntil');
+    }
+}
+
+function validateAggregateRating(rating, add) {
+    const value = parseFloat(first(rating.ratingValue));
+    if (Number.isNaN(value)) {
+        add('serious', 'AggregateRating is missing ratingValue', 'ratingValue');
+    }
+    if (first(rating.ratingCount) === undefined && first(rating.reviewCount) === undefined) {
+        add('serious', 'AggregateRating needs ratingCount or reviewCount', 'ratingCount');
+    }
+    const best = parseFloat(first(rating.bestRating) ?? 5);
+    const worst = parseFloat(first(rating.worstRating) ?? 1);
+    if (!Number.isNaN(value) && (value > best || value < worst)) {
+        add('serious', `ratingValue ${value} is outside ${worst}-${best}`, 'ratingValue');
+    }
+}
+
+function validateProduct(product, add) {
+    if (!first(product.name)) add('critical', 'Product is missing name', 'name');
+    if (!product.offers && !product.aggregateRating && !product.review) {
+        add('critical', 'Product needs offers, aggregateRating or review to be eligible for rich results', 'offers');
+    } else if (!product.offers) {
+        add('serious', 'Product has no offers, so no price or availability is shown', 'offers');
+    }
+    // Untyped offers aren't collected as nodes of their own
+    asArray(product.offers).filter(offer => offer && typeof offer === 'object' && typesOf(offer).length === 0).forEach(offer => validateOffer(offer, add));
+    if (asArray(product.image).length === 0) add('serious', 'Product is missing image', 'image');
+    if (!first(product.description)) add('minor', 'Product is missing description', 'description');
+    if (!first(product.brand)) add('minor', 'Product is missing brand', 'brand');
+    if (!first(product.sku) && !['gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14', 'mpn'].some(key => first(product[key]))) {
+        add('minor', 'Product has no sku, gtin or mpn identifier', 'sku');
+    }
+}
+
+function validateBreadcrumbList(list, add) {
+    const elements = asArray(list.itemListElement);
+    if (elements.length === 0) {
+        add('serious', 'BreadcrumbList has no itemListElement', 'itemListElement');
+        return;
+    }
+    elements.forEach((element, index) => {
+        if (!Number.isInteger(parseInt(first(element.position), 10))) add('serious', `Breadcrumb ${index + 1} is missing position`, 'position');
+        const item = first(element.item);
+        const name = first(element.name) ?? (item && typeof item === 'object' ? first(item.name) : undefined);
+        if (!name) add('serious', `Breadcrumb ${index + 1} is missing name`, 'name');
+        // The last crumb may omit item (it's the current page)
+        if (!item && index < elements.length - 1) add('moderate', `Breadcrumb ${index + 1} is missing item`, 'item');
+    });
+}
+
+function validateOrganization(organization, add) {
+    if (!first(organization.name)) add('moderate', 'Organization is missing name', 'name');
+    if (!first(organization.url)) add('minor', 'Organization is missing url', 'url');
+    const logo = first(organization.logo);
+    const logoUrl = logo && typeof logo === 'object' ? first(logo.url) || first(logo.contentUrl) : logo;
+    if (logo && !/^https?:\/\//i.test(logoUrl || '')) add('minor', 'Organization logo should be an absolute URL', 'logo');
+}
+
+// Schema type -> [validator, rule ID reported for its findings]
+const VALIDATORS = {
+    Product: [validateProduct, 'product'],
+    Offer: [validateOffer, 'offer'],
+    AggregateOffer: [validateOffer, 'offer'],
+    AggregateRating: [validateAggregateRating, 'rating'],
+    BreadcrumbList: [validateBreadcrumbList, 'breadcrumb'],
+    Organization: [validateOrganization, 'organization']
+};
+
+const normalizeText = text => String(text || '').toLowerCase().replace(/&amp;/g, '&').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Validates extracted data and compares Product nodes with what's on screen
+function analyzeStructuredData(extracted, { priceTolerance = 0.01 } = {}) {
+    const nodes = collectNodes(extracted.items);
+    const findings = [];
+
+    extracted.errors.forEach(error => findings.push({
+        rule: 'invalid-json',
+        severity: 'serious',
+        schemaType: null,
+        format: error.format,
+        issue: `JSON-LD block ${error.block} is not valid JSON: ${error.error}`,
+        snippet: error.snippet
+    }));
+
+    for (const { format, path, node } of nodes) {
+        for (const type of typesOf(node)) {
+            if (!VALIDATORS[type]) continue;
+            const [validator, rule] = VALIDATORS[type];
+            validator(node, (severity, issue, property) => findings.push({ rule, severity, schemaType: type, format, path, property, issue }));
+        }
+    }
+
+    const visiblePrices = extracted.visible.prices.map(parsePrice).filter(price => price !== null);
+    const products = nodes.filter(({ node }) => isType(node, 'Product')).map(({ format, node }) => {
+        const offers = asArray(node.offers);
+        const prices = offers
+            .flatMap(offer => [offer.price, offer.lowPrice, offer.priceSpecification?.price].map(first))
+            .map(parsePrice)
+            .filter(price => price !== null);
+
+        const product = {
+            format,
+            name: first(node.name) || null,
+            sku: first(node.sku) || null,
+            prices,
+            currency: offers.map(offer => first(offer.priceCurrency) ?? first(offer.priceSpecification)?.priceCurrency).find(Boolean) || null,
+            availability: offers.map(offer => first(offer.availability)).filter(Boolean).map(shortType)[0] || null,
+            rating: node.aggregateRating ? parseFloat(first(first(node.aggregateRating).ratingValue)) || null : null,
+            titleMatches: null,
+            priceMatches: null
+        };
+
+        const visibleTitle = normalizeText(extracted.visible.title || extracted.visible.ogTitle);
+        if (product.name && visibleTitle) {
+            const name = normalizeText(product.name);
+            product.titleMatches = visibleTitle.includes(name) || name.includes(visibleTitle);
+            if (!product.titleMatches) {
+                findings.push({
+                    rule: 'name-mismatch',
+                    severity: 'moderate',
+                    schemaType: 'Product',
+                    format,
+                    property: 'name',
+                    issue: `Product name "${product.name}" doesn't match the page heading "${extracted.visible.title || extracted.visible.ogTitle}"`
+                });
+            }
+        }
+
+        if (prices.length > 0 && visiblePrices.length > 0) {
+            product.priceMatches = prices.some(price => visiblePrices.some(shown => Math.abs(shown - price) <= priceTolerance));
+            if (!product.priceMatches) {
+                findings.push({
+                    rule: 'price-mismatch',
+                    severity: 'serious',
+                    schemaType: 'Product',
+                    format,
+                    property: 'price',
+                    issue: `Structured data price ${prices.join(' / ')}${product.currency ? ` ${product.currency}` : ''} doesn't match any price shown on the page (${extracted.visible.prices.slice(0, 3).join(', ')})`
+                });
+            }
+        }
+
+        return product;
+    });
+
+    const typeCounts = {};
+    nodes.forEach(({ node }) => typesOf(node).forEach(type => {
+        typeCounts[type] = (typeCounts[type] || 0) + 1;
+    }));
+
+    return {
+        formats: [...new Set(extracted.items.map(item => item.format))],
+        types: typeCounts,
+        products,
+        findings
+    };
+}
+
+async function runStructuredDataAudit(page, settings = {}) {
+    const extracted = await page.evaluate(extractStructuredData);
+    return { ...analyzeStructuredData(extracted, settings), items: extracted.items };
+}
+
+module.exports = { runStructuredDataAudit, analyzeStructuredData, extractStructuredData, parsePrice };
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const { registrableDomain } = require('../crawler/pageTypes');
+
+// Recognizes third-party vendors from the signature database in
+// config/thirdParties.json (plus any files listed in thirdParty.signatureFiles)
+// and attributes bytes, requests and main-thread time to each of them.
+
+const DEFAULT_SIGNATURES = path.join(__dirname, '../../config/thirdParties.json');
+
+// Later files add vendors and categories; a vendor with an existing name
+// replaces the earlier definition
+function loadSignatures(extraFiles = []) {
+    const database = { categories: {}, vendors: [] };
+
+    for (const file of [DEFAULT_SIGNATURES, ...extraFiles]) {
+        const filePath = path.resolve(file);
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not load third-party signatures from ${path.relative(process.cwd(), filePath)}: ${error.message}`);
+        }
+
+        Object.assign(database.categories, data.categories || {});
+        for (const vendor of data.vendors || []) {
+            if (!vendor.name || !vendor.category) {
+                throw new Error(`Third-party signature in ${path.relative(process.cwd(), filePath)} needs a name and category`);
+            }
+            database.vendors = database.vendors.filter(existing => existing.name !== vendor.name);
+            database.vendors.push({ domains: [], globals: [], selectors: [], ...vendor });
+        }
+    }
+
+    return database;
+}
+
+// Most specific domain first, so static.afterpay.com beats a shorter match
+function buildDomainIndex(vendors) {
+    return vendors
+        .flatMap(vendor => vendor.domains.map(domain => ({ domain: domain.toLowerCase(), vendor })))
+        .sort((a, b) => b.domain.length - a.domain.length);
+}
+
+function matchVendor(hostname, domainIndex) {
+    const host = hostname.toLowerCase();
+    const match = domainIndex.find(({ domain }) => host === domain || host.endsWith(`.${domain}`));
+    return match ? match.vendor : null;
+}
+
+// Runs in the page: which vendors leave a global, an element or a script tag
+// behind. Network data catches the rest.
+function detectVendorsInPage(vendors) {
+    const scriptHosts = Array.from(document.scripts)
+        .map(script => {
+            try {
+                return script.src ? new URL(script.src, location.href).hostname.toLowerCase() : null;
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+
+    return vendors
+        .map(vendor => {
+            const evidence = [];
+            const global = vendor.globals.find(name => typeof window[name] !== 'undefined');
+            if (global) evidence.push(`window.${global}`);
+
+            const script = scriptHosts.find(host => vendor.domains.some(domain => host === domain || host.endsWith(`.${domain}`)));
+            if (script) evidence.push(`script from ${script}`);
+
+            const selector = vendor.selectors.find(candidate => {
+                try {
+                    return document.querySelector(candidate);
+                } catch (error) {
+                    return false;
+                }
+            });
+            if (selector) evidence.push(`element ${selector}`);
+
+            return evidence.length > 0 ? { name: vendor.name, evidence } : null;
+        })
+        .filter(Boolean);
+}
+
+async function detectThirdParties(page, database) {
+    const vendors = database.vendors.map(({ name, domains, globals, selectors }) => ({ name, domains, globals, selectors }));
+    return page.evaluate(detectVendorsInPage, vendors);
+}
+
+// Combines in-page detections, per-host network totals (thirdPartyHosts from
+// the network check) and script main-thread time (scriptAttribution from the
+// Web Vitals trace) into one row per vendor. Unrecognized third-party hosts
+// are grouped by registrable domain so they still show up.
+function attributeThirdParties(database, siteUrl, { detected = [], hosts = {}, scriptAttribution = [], pageCount = 0 } = {}) {
+    const domainIndex = buildDomainIndex(database.vendors);
+    const siteDomain = registrableDomain(new URL(siteUrl).hostname);
+    const rows = new Map();
+
+    const rowFor = (name, category) => {
+        if (!rows.has(name)) {
+            rows.set(name, {
+                name,
+                category,
+                categoryLabel: database.categories[category] || category,
+                evidence: [],
+                hosts: [],
+                requests: 0,
+                bytes: 0,
+                mainThreadMs: 0
+            });
+        }
+        return rows.get(name);
+    };
+
+    const rowForHost = hostname => {
+        const vendor = matchVendor(hostname, domainIndex);
+        return vendor ? rowFor(vendor.name, vendor.category) : rowFor(registrableDomain(hostname), 'unrecognized');
+    };
+
+    for (const detection of detected) {
+        const vendor = database.vendors.find(candidate => candidate.name === detection.name);
+        if (vendor) rowFor(vendor.name, vendor.category).evidence.push(...detection.evidence);
+    }
+
+    for (const [hostname, totals] of Object.entries(hosts)) {
+        const row = rowForHost(hostname);
+        if (!row.hosts.includes(hostname)) row.hosts.push(hostname);
+        row.requests += totals.count;
+        row.bytes += totals.bytes;
+    }
+
+    for (const script of scriptAttribution) {
+        let hostname;
+        try {
+            hostname = new URL(script.url).hostname;
+        } catch (error) {
+            continue;
+        }
+        // First-party scripts aren't vendors
+        if (registrableDomain(hostname) === siteDomain) continue;
+        const row = rowForHost(hostname);
+        if (!row.hosts.includes(hostname)) row.hosts.push(hostname);
+        row.mainThreadMs += script.ms;
+    }
+
+    const vendors = [...rows.values()].sort((a, b) => b.mainThreadMs - a.mainThreadMs || b.bytes - a.bytes);
+    const byCategory = {};
+    for (const vendor of vendors) {
+        byCategory[vendor.category] = byCategory[vendor.category] || { vendors: 0, requests: 0, bytes: 0, mainThreadMs: 0 };
+        byCategory[vendor.category].vendors++;
+        byCategory[vendor.category].requests += vendor.requests;
+        byCategory[vendor.category].bytes += vendor.bytes;
+        byCategory[vendor.category].mainThreadMs += vendor.mainThreadMs;
+    }
+
+    return { pageCount, vendors, byCategory };
+}
+
+module.exports = { loadSignatures, detectThirdParties, attributeThirdParties, matchVendor, buildDomainIndex };
@@ -0,0 +1,243 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createIssue } = require('./rules');
+
+// Visual regression: compares this run's page screenshots with the previous
+// run for the same site, or with a pinned baseline, pixel by pixel. The diff
+// runs on a canvas in a blank browser tab, so no image library is needed.
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const MANIFEST = 'baseline.json';
+
+// Runs in the page: decodes both screenshots and returns the changed pixel
+// count, the bounding box of the changes and a diff image with changes in red
+// over a faded copy of the new screenshot
+async function diffScreenshots({ before, after, tolerance }) {
+    const load = source => new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not decode screenshot'));
+        image.src = source;
+    });
+    const [previous, current] = await Promise.all([load(before), load(after)]);
+    const width = Math.max(previous.naturalWidth, current.naturalWidth);
+    const height = Math.max(previous.naturalHeight, current.naturalHeight);
+
+    const pixels = image => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0);
+        return context.getImageData(0, 0, width, height).data;
+    };
+    const a = pixels(previous);
+    const b = pixels(current);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const output = context.createImageData(width, height);
+    const limit = tolerance * 255;
+    let changedPixels = 0;
+    const box = { left: width, top: height, right: -1, bottom: -1 };
+
+    for (let index = 0; index < a.length; index += 4) {
+        // Areas only one screenshot covers are transparent in the other, so
+        // they count as changed through the alpha channel
+        const changed = Math.abs(a[index] - b[index]) > limit ||
+            Math.abs(a[index + 1] - b[index + 1]) > limit ||
+            Math.abs(a[index + 2] - b[index + 2]) > limit ||
+            Math.abs(a[index + 3] - b[index + 3]) > limit;
+        if (changed) {
+            changedPixels++;
+            const pixel = index / 4;
+            const x = pixel % width;
+            const y = Math.floor(pixel / width);
+            box.left = Math.min(box.left, x);
+            box.right = Math.max(box.right, x);
+            box.top = Math.min(box.top, y);
+            box.bottom = Math.max(box.bottom, y);
+            output.data[index] = 255;
+            output.data[index + 1] = 0;
+            output.data[index + 2] = 0;
+        } else {
+            const gray = 0.299 * b[index] + 0.587 * b[index + 1] + 0.114 * b[index + 2];
+            const faded = 255 - (255 - gray) * 0.25;
+            output.data[index] = faded;
+            output.data[index + 1] = faded;
+            output.data[index + 2] = faded;
+        }
+        output.data[index + 3] = 255;
+    }
+    context.putImageData(output, 0, 0);
+
+    return {
+        width,
+        height,
+        sizeChanged: previous.naturalWidth !== current.naturalWidth || previous.naturalHeight !== current.naturalHeight,
+        changedPixels,
+        box: changedPixels > 0 ? { x: box.left, y: box.top, width: box.right - box.left + 1, height: box.bottom - box.top + 1 } : null,
+        diff: canvas.toDataURL('image/png')
+    };
+}
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// The latest earlier run for the site in any classification folder
+// (<baseDir>/<classification>/<siteName>_<timestamp>)
+async function findPreviousRun(baseDir, siteName, timestamp) {
+    let folders;
+    try {
+        folders = await fs.readdir(baseDir, { withFileTypes: true });
+    } catch (error) {
+        return null;
+    }
+
+    let latest = null;
+    for (const folder of folders.filter(entry => entry.isDirectory())) {
+        const runs = await fs.readdir(path.join(baseDir, folder.name), { withFileTypes: true }).catch(() => []);
+        for (const run of runs) {
+            if (!run.isDirectory() || !run.name.startsWith(`${siteName}_`)) continue;
+            const runTimestamp = run.name.slice(siteName.length + 1);
+            if (!/^\d+$/.test(runTimestamp) || Number(runTimestamp) >= timestamp) continue;
+            if (!latest || Number(runTimestamp) > latest.timestamp) {
+                latest = { directory: path.join(baseDir, folder.name, run.name), timestamp: Number(runTimestamp) };
+            }
+        }
+    }
+    return latest;
+}
+
+// Screenshots a baseline offers, by page name: { file, url }. Page URLs come
+// from the pinned manifest or the run's audit_data.json when there is one.
+async function baselinePages(directory) {
+    const manifest = await readJson(path.join(directory, MANIFEST)) || await readJson(path.join(directory, 'audit_data.json'));
+    const urls = new Map((manifest?.pages || []).map(page => [page.name, page.url]));
+
+    const pages = new Map();
+    const files = await fs.readdir(directory).catch(() => []);
+    for (const file of files) {
+        const extension = path.extname(file).toLowerCase();
+        if (!IMAGE_EXTENSIONS.includes(extension)) continue;
+        const name = path.basename(file, path.extname(file));
+        pages.set(name, { file: path.join(directory, file), url: urls.get(name) || null });
+    }
+    return pages;
+}
+
+// Where this run's screenshots are compared from: the pinned baseline
+// (<baselineDir>/<siteName>) or the previous run
+async function resolveBaseline({ compareTo = 'previous', baselineDir, baseDir, siteName, timestamp }) {
+    if (compareTo === 'baseline') {
+        const directory = path.join(baselineDir, siteName);
+        if (!await exists(directory)) return null;
+        const manifest = await readJson(path.join(directory, MANIFEST));
+        return { type: 'baseline', directory, createdAt: manifest?.createdAt || null };
+    }
+    const previous = await findPreviousRun(baseDir, siteName, timestamp);
+    return previous ? { type: 'previous', directory: previous.directory, createdAt: new Date(previous.timestamp).toISOString() } : null;
+}
+
+function dataUrl(buffer, file) {
+    const extension = path.extname(file).toLowerCase().slice(1);
+    const type = extension === 'jpg' ? 'jpeg' : extension;
+    return `data:image/${type};base64,${buffer.toString('base64')}`;
+}
+
+// Compares every captured page that has a screenshot with the baseline's
+// screenshot of the same name; diff images go to <outputDir>/visual
+async function compareWithBaseline(page, pages, baseline, { outputDir, tolerance = 0.1 } = {}) {
+    const previous = await baselinePages(baseline.directory);
+    const diffDir = path.join(outputDir, 'visual');
+    await fs.mkdir(diffDir, { recursive: true });
+
+    // A blank tab: the audited site's CSP could block data: images
+    const tab = await page.browserContext().newPage();
+    const results = [];
+    try {
+        for (const captured of pages.filter(entry => entry.screenshot)) {
+            const before = previous.get(captured.name);
+            const result = { name: captured.name, url: captured.url, baseline: before ? path.relative(outputDir, before.file) : null };
+            if (!before) {
+                results.push({ ...result, status: 'new' });
+                continue;
+            }
+            // Product pages are numbered; a different product isn't a regression
+            if (before.url && captured.url && before.url !== captured.url) {
+                results.push({ ...result, status: 'different-page', baselineUrl: before.url });
+                continue;
+            }
+
+            try {
+                const [beforeImage, afterImage] = await Promise.all([fs.readFile(before.file), fs.readFile(captured.screenshot)]);
+                const diff = await tab.evaluate(diffScreenshots, {
+                    before: dataUrl(beforeImage, before.file),
+                    after: dataUrl(afterImage, captured.screenshot),
+                    tolerance
+                });
+                const diffFile = path.join(diffDir, `${captured.name}_diff.png`);
+                await fs.writeFile(diffFile, Buffer.from(diff.diff.split(',')[1], 'base64'));
+                const changedRatio = Math.round(diff.changedPixels / (diff.width * diff.height) * 10000) / 10000;
+                results.push({
+                    ...result,
+                    status: diff.changedPixels > 0 ? 'changed' : 'unchanged',
+                    changedRatio,
+                    changedPixels: diff.changedPixels,
+                    sizeChanged: diff.sizeChanged,
+                    box: diff.box,
+                    diff: path.relative(outputDir, diffFile)
+                });
+            } catch (error) {
+                results.push({ ...result, status: 'error', error: error.message });
+            }
+        }
+    } finally {
+        await tab.close().catch(() => {});
+    }
+    return results;
+}
+
+// Pins this run's screenshots as the site's baseline, replacing any earlier one
+async function pinBaseline(pages, { baselineDir, siteName, url }) {
+    const directory = path.join(baselineDir, siteName);
+    await fs.rm(directory, { recursive: true, force: true });
+    await fs.mkdir(directory, { recursive: true });
+
+    const pinned = [];
+    for (const captured of pages.filter(entry => entry.screenshot)) {
+        const file = path.basename(captured.screenshot);
+        await fs.copyFile(captured.screenshot, path.join(directory, file));
+        pinned.push({ name: captured.name, url: captured.url, file });
+    }
+    await fs.writeFile(path.join(directory, MANIFEST), JSON.stringify({ url, createdAt: new Date().toISOString(), pages: pinned }, null, 2));
+    return { directory, pages: pinned.length };
+}
+
+function visualIssues(visual, { threshold = 0.05 } = {}) {
+    return visual.pages
+        .filter(result => result.status === 'changed' && result.changedRatio > threshold)
+        .map(result => createIssue('visual.changed', {
+            message: `${result.name} changed by ${(result.changedRatio * 100).toFixed(1)}% since the ${visual.type === 'baseline' ? 'pinned baseline' : 'previous run'}${result.sizeChanged ? ' (page size changed)' : ''}`,
+            url: result.url,
+            evidence: `Diff: ${result.diff}; limit ${(threshold * 100).toFixed(1)}%`
+        }));
+}
+
+module.exports = { findPreviousRun, resolveBaseline, compareWithBaseline, pinBaseline, visualIssues, diffScreenshots };
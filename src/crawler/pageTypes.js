@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|msclkid|mc_cid|mc_eid|_ga|ref|_pos|_sid|_ss|_psq|_v)$/i;
+
+// Reduces URLs that point at the same page to one form: lower-case host, no
+// default port, no fragment, no tracking parameters, sorted query string and
+// no trailing slash (except on the root path).
+function canonicalizeUrl(url, base) {
+    let parsed;
+    try {
+        parsed = new URL(url, base);
+    } catch (error) {
+        return null;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return null;
+    }
+
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase();
+    if ((parsed.protocol === 'https:' && parsed.port === '443') || (parsed.protocol === 'http:' && parsed.port === '80')) {
+        parsed.port = '';
+    }
+
+    const params = [...parsed.searchParams.entries()]
+        .filter(([key]) => !TRACKING_PARAMS.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+
+    return parsed.href;
+}
+
+// A file name for a page's own output (HAR files, annotated screenshots):
+// its path and query with anything unsafe replaced, then a short hash of the
+// whole URL, so /a-b and /a_b or two long paths cut at the same point still
+// get files of their own. Every slug ends in _<8 hex digits>, which leaves
+// other names in the same folder (such as the popup's) free.
+function pageSlug(url) {
+    const { pathname, search } = new URL(url);
+    const readable = `${pathname}${search}`.replace(/^\/+|\/+$/g, '').replace(/[^a-z0-9]+/gi, '_').slice(0, 80) || 'home';
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+    return `${readable}_${hash}`;
+}
+
+// Second-level suffixes under which registrations happen one label deeper
+const MULTI_PART_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'org.nz',
+    'co.jp', 'ne.jp', 'or.jp', 'com.br', 'com.mx', 'com.ar', 'co.za', 'co.in', 'com.sg', 'com.hk',
+    'com.tr', 'co.kr', 'com.cn', 'com.tw', 'co.il', 'com.my', 'com.ph', 'co.id'
+]);
+
+// example.com for shop.example.com, example.co.uk for www.example.co.uk.
+// A heuristic rather than the full public suffix list, which is enough to tell
+// first-party from third-party requests.
+function registrableDomain(hostname) {
+    const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+    if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) {
+        return labels.join('.');
+    }
+    const lastTwo = labels.slice(-2).join('.');
+    return labels.slice(MULTI_PART_SUFFIXES.has(lastTwo) ? -3 : -2).join('.');
+}
+
+// Treats www.example.com and example.com as the same site
+function isSameSite(url, siteUrl) {
+    const strip = host => host.toLowerCase().replace(/^www\./, '');
+    try {
+        return strip(new URL(url).hostname) === strip(new URL(siteUrl).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Every type classifyPage can return
+const PAGE_TYPES = ['home', 'collection', 'product', 'cart', 'blog', 'policy', 'other'];
+
+const PAGE_TYPE_PATTERNS = [
+    ['cart', /^\/(cart|basket|bag|checkout)(\/|$)/i],
+    ['product', /^\/(?:[\w-]+\/)?(products?|p|item)\/[^/]+/i],
+    ['blog', /^\/(blogs?|news|articles?|posts?|journal|stories)(\/|$)/i],
+    ['policy', /^\/(policies|legal)(\/|$)|\/(privacy|terms|refund|return|shipping|cookie|imprint|accessibility)[\w-]*(\/|$)/i],
+    ['collection', /^\/(?:[\w-]+\/)?(collections?|categor(y|ies)|c|shop|store|catalog)(\/|$)/i]
+];
+
+// Classifies a page from its URL, refined by optional HTML signals such as
+// og:type or a schema.org Product block.
+function classifyPage(url, { html = '' } = {}) {
+    const { pathname } = new URL(url);
+    if (pathname === '/' || pathname === '') {
+        return 'home';
+    }
+
+    for (const [type, pattern] of PAGE_TYPE_PATTERNS) {
+        if (pattern.test(pathname)) {
+            // Shopify nests products under collections: /collections/x/products/y
+            if (type === 'collection' && /\/products\/[^/]+/i.test(pathname)) {
+                return 'product';
+            }
+            return type;
+        }
+    }
+
+    if (html) {
+        if (/<meta[^>]+property=["']og:type["'][^>]+content=["']product/i.test(html) ||
+            /"@type"\s*:\s*"Product"/i.test(html)) {
+            return 'product';
+        }
+        if (/<meta[^>]+property=["']og:type["'][^>]+content=["']article/i.test(html)) {
+            return 'blog';
+        }
+    }
+
+    return 'other';
+}
+
+module.exports = { canonicalizeUrl, pageSlug, isSameSite, registrableDomain, classifyPage, PAGE_TYPES };
@@ -0,0 +1,93 @@
+// Minimal robots.txt support: groups by user-agent, Allow/Disallow with the
+// `*` and `$` wildcards (longest match wins, Allow wins ties), Crawl-delay
+// and Sitemap lines.
+
+function patternToRegex(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+function parseRobotsTxt(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator < 0) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'sitemap') {
+            if (value) sitemaps.push(value);
+            continue;
+        }
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (!current) continue;
+
+        if ((field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', pattern: value, regex: patternToRegex(value) });
+        } else if (field === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (!Number.isNaN(delay) && delay >= 0) {
+                current.crawlDelay = delay;
+            }
+        }
+    }
+
+    return { groups, sitemaps };
+}
+
+class RobotsRules {
+    constructor(text = '', userAgent = '*') {
+        const { groups, sitemaps } = parseRobotsTxt(text);
+        const token = userAgent.toLowerCase();
+
+        // Use the group naming our user agent if there is one, else the `*` group
+        const specific = groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+        const matching = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+
+        this.rules = matching.flatMap(group => group.rules);
+        const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+        this.crawlDelay = delays.length > 0 ? Math.max(...delays) : null;
+        this.sitemaps = sitemaps;
+    }
+
+    isAllowed(url) {
+        const { pathname, search } = new URL(url);
+        const target = `${pathname}${search}`;
+        let best = null;
+
+        for (const rule of this.rules) {
+            if (!rule.regex.test(target)) continue;
+            if (!best ||
+                rule.pattern.length > best.pattern.length ||
+                (rule.pattern.length === best.pattern.length && rule.allow)) {
+                best = rule;
+            }
+        }
+
+        return !best || best.allow;
+    }
+}
+
+module.exports = { RobotsRules, parseRobotsTxt };
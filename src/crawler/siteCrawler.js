@@ -0,0 +1,164 @@
+const { fetchUrl } = require('../utils/http');
+const { RobotsRules } = require('./robots');
+const { discoverSitemapUrls } = require('./sitemap');
+const { canonicalizeUrl, isSameSite, classifyPage } = require('./pageTypes');
+
+// Token matched against robots.txt User-agent groups
+const ROBOTS_AGENT = 'WebsiteAuditor';
+
+const SKIPPED_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|svg|ico|pdf|zip|gz|mp4|webm|mp3|css|js|json|xml|txt|woff2?|ttf|eot)$/i;
+
+function extractLinks(html, baseUrl) {
+    const links = [];
+    const pattern = /<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        const href = (match[1] ?? match[2] ?? match[3] ?? '').replace(/&amp;/g, '&').trim();
+        if (!href || /^(mailto|tel|javascript|data):/i.test(href)) continue;
+        try {
+            links.push(new URL(href, baseUrl).href);
+        } catch (error) {
+            // Ignore hrefs that aren't valid URLs
+        }
+    }
+    return links;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Discovers the pages of a site from its sitemap(s) and by following internal
+// links breadth-first, within the limits of the `crawl` settings and the
+// site's robots.txt. Pages are fetched over plain HTTP, so the crawl is cheap
+// compared with the browser visits the auditor makes afterwards.
+class SiteCrawler {
+    constructor(settings = {}, { userAgent = null } = {}) {
+        this.settings = {
+            maxPages: 20,
+            maxDepth: 2,
+            useSitemap: true,
+            maxSitemapUrls: 500,
+            respectRobots: true,
+            requestTimeout: 15000,
+            exclude: [],
+            ...settings
+        };
+        this.requestOptions = {
+            timeout: this.settings.requestTimeout,
+            headers: userAgent ? { 'user-agent': userAgent } : {}
+        };
+        this.excludePatterns = this.settings.exclude.map(pattern => new RegExp(pattern, 'i'));
+    }
+
+    async loadRobots(origin) {
+        try {
+            const response = await fetchUrl(`${origin}/robots.txt`, this.requestOptions);
+            if (response.status === 200) {
+                return new RobotsRules(response.body, ROBOTS_AGENT);
+            }
+        } catch (error) {
+            // No robots.txt means no restrictions
+        }
+        return new RobotsRules('', ROBOTS_AGENT);
+    }
+
+    // `seedLinks` are links already found on the rendered homepage, which
+    // catches navigation that only exists once JavaScript has run.
+    async crawl(startUrl, { seedLinks = [] } = {}) {
+        const start = canonicalizeUrl(startUrl);
+        const origin = new URL(start).origin;
+        const robots = this.settings.respectRobots ? await this.loadRobots(origin) : new RobotsRules('', ROBOTS_AGENT);
+        const crawlDelay = robots.crawlDelay ? robots.crawlDelay * 1000 : 0;
+
+        const result = {
+            startUrl: start,
+            crawlDelay,
+            sitemapUrlCount: 0,
+            sitemapErrors: [],
+            disallowed: [],
+            errors: [],
+            pages: []
+        };
+
+        const seen = new Set();
+        const queue = [];
+        const enqueue = (url, depth, source) => {
+            const canonical = canonicalizeUrl(url, start);
+            if (!canonical || seen.has(canonical)) return;
+            if (!isSameSite(canonical, start) || SKIPPED_EXTENSIONS.test(new URL(canonical).pathname)) return;
+            if (this.excludePatterns.some(pattern => pattern.test(canonical))) return;
+
+            seen.add(canonical);
+            if (!robots.isAllowed(canonical)) {
+                result.disallowed.push(canonical);
+                return;
+            }
+            queue.push({ url: canonical, depth, source });
+        };
+
+        enqueue(start, 0, 'start');
+        seedLinks.forEach(link => enqueue(link, 1, 'link'));
+
+        if (this.settings.useSitemap) {
+            const sitemapUrls = robots.sitemaps.length > 0 ? robots.sitemaps : [`${origin}/sitemap.xml`];
+            const sitemap = await discoverSitemapUrls(sitemapUrls, {
+                maxUrls: this.settings.maxSitemapUrls,
+                requestOptions: this.requestOptions
+            });
+            result.sitemapUrlCount = sitemap.urls.length;
+            result.sitemapErrors = sitemap.errors;
+            result.sitemapUrls = sitemap.urls.map(url => canonicalizeUrl(url)).filter(Boolean);
+            sitemap.urls.forEach(url => enqueue(url, 1, 'sitemap'));
+        }
+
+        // Breadth-first: the queue is ordered by depth because links are only
+        // ever appended one level deeper than the page they were found on
+        let fetched = 0;
+        while (queue.length > 0 && result.pages.length < this.settings.maxPages) {
+            const entry = queue.shift();
+
+            if (crawlDelay > 0 && fetched > 0) {
+                await sleep(crawlDelay);
+            }
+            fetched++;
+
+            let response;
+            try {
+                response = await fetchUrl(entry.url, this.requestOptions);
+            } catch (error) {
+                result.errors.push({ url: entry.url, error: error.message });
+                continue;
+            }
+
+            const contentType = response.headers['content-type'] || '';
+            if (response.status >= 400 || !contentType.includes('html')) {
+                result.errors.push({ url: entry.url, status: response.status, error: `Skipped ${contentType || 'response'} (HTTP ${response.status})` });
+                continue;
+            }
+
+            // A redirect to another page we've already queued is the same page
+            const finalUrl = canonicalizeUrl(response.url);
+            if (finalUrl !== entry.url && result.pages.some(page => page.url === finalUrl)) {
+                continue;
+            }
+
+            result.pages.push({
+                url: finalUrl,
+                requestedUrl: entry.url,
+                depth: entry.depth,
+                source: entry.source,
+                status: response.status,
+                type: classifyPage(finalUrl, { html: response.body })
+            });
+
+            if (entry.depth < this.settings.maxDepth) {
+                extractLinks(response.body, finalUrl).forEach(link => enqueue(link, entry.depth + 1, 'link'));
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = { SiteCrawler, extractLinks };
@@ -0,0 +1,80 @@
+const zlib = require('zlib');
+const { fetchUrl } = require('../utils/http');
+
+function decodeEntities(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .trim();
+}
+
+function extractLocations(xml, tag) {
+    const locations = [];
+    const blockPattern = new RegExp(`<(?:\\w+:)?${tag}[\\s>][\\s\\S]*?<\\/(?:\\w+:)?${tag}>`, 'gi');
+    for (const block of xml.match(blockPattern) || []) {
+        const loc = block.match(/<(?:\w+:)?loc>([\s\S]*?)<\/(?:\w+:)?loc>/i);
+        if (loc) {
+            locations.push(decodeEntities(loc[1]));
+        }
+    }
+    return locations;
+}
+
+// Splits a sitemap document into page URLs (<urlset>) and child sitemap URLs
+// (<sitemapindex>)
+function parseSitemap(xml) {
+    return {
+        urls: extractLocations(xml, 'url'),
+        sitemaps: extractLocations(xml, 'sitemap')
+    };
+}
+
+async function fetchSitemapXml(url, options) {
+    const response = await fetchUrl(url, options);
+    if (response.status !== 200) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    // Sitemaps served as .xml.gz arrive compressed without Content-Encoding
+    const buffer = response.buffer;
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        return zlib.gunzipSync(buffer).toString('utf8');
+    }
+    return response.body;
+}
+
+// Walks sitemap indexes breadth-first and returns up to `maxUrls` page URLs.
+// Unreachable sitemaps are recorded in `errors` rather than failing the crawl.
+async function discoverSitemapUrls(sitemapUrls, { maxUrls = 500, maxSitemaps = 20, requestOptions = {} } = {}) {
+    const queue = [...new Set(sitemapUrls)];
+    const seen = new Set(queue);
+    const urls = [];
+    const errors = [];
+    let fetched = 0;
+
+    while (queue.length > 0 && urls.length < maxUrls && fetched < maxSitemaps) {
+        const sitemapUrl = queue.shift();
+        fetched++;
+
+        try {
+            const parsed = parseSitemap(await fetchSitemapXml(sitemapUrl, requestOptions));
+            for (const child of parsed.sitemaps) {
+                if (!seen.has(child)) {
+                    seen.add(child);
+                    queue.push(child);
+                }
+            }
+            urls.push(...parsed.urls.slice(0, maxUrls - urls.length));
+        } catch (error) {
+            errors.push({ url: sitemapUrl, error: error.message });
+        }
+    }
+
+    return { urls, errors, sitemapsFetched: fetched };
+}
+
+module.exports = { parseSitemap, discoverSitemapUrls };
@@ -0,0 +1,112 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Audit history: one JSON line per run, appended to a single file so every
+// site's scores, metrics and issue IDs can be compared across runs without
+// walking the timestamped output folders.
+
+const HISTORY_VERSION = 1;
+
+// What a run is remembered by. Issues are kept as rule ID + URL, so a rule
+// firing on a new page counts as a new issue.
+function runFromAudit(auditData) {
+    const issues = new Map();
+    for (const issue of auditData.issues || []) {
+        const key = `${issue.id}|${issue.url || ''}`;
+        const entry = issues.get(key) || { id: issue.id, severity: issue.severity, title: issue.title, url: issue.url || null, count: 0 };
+        entry.count++;
+        issues.set(key, entry);
+    }
+
+    const issueCounts = {};
+    for (const issue of auditData.issues || []) {
+        issueCounts[issue.severity] = (issueCounts[issue.severity] || 0) + 1;
+    }
+
+    const webVitals = {};
+    for (const [device, vitals] of Object.entries(auditData.metrics?.webVitals || {})) {
+        if (vitals.error) continue;
+        webVitals[device] = Object.fromEntries(['lcp', 'fcp', 'cls', 'tbt', 'inp', 'ttfb']
+            .filter(metric => vitals[metric] !== undefined && vitals[metric] !== null)
+            .map(metric => [metric, vitals[metric]]));
+    }
+
+    return {
+        version: HISTORY_VERSION,
+        site: auditData.siteName,
+        url: auditData.url,
+        name: auditData.name || null,
+        tags: auditData.tags || [],
+        timestamp: auditData.timestamp,
+        success: auditData.success !== false,
+        error: auditData.error || null,
+        outputDirectory: auditData.outputDirectory || null,
+        scores: auditData.scores ? {
+            overall: auditData.scores.overall,
+            categories: Object.fromEntries(Object.entries(auditData.scores.categories)
+                .filter(([, category]) => category.score !== null)
+                .map(([id, category]) => [id, category.score]))
+        } : null,
+        metrics: {
+            loadTime: auditData.metrics?.performance?.loadTime ?? null,
+            domContentLoaded: auditData.metrics?.performance?.domContentLoaded ?? null,
+            webVitals
+        },
+        issueCount: (auditData.issues || []).length,
+        issueCounts,
+        issues: [...issues.values()]
+    };
+}
+
+// history.file, or history.jsonl in the output directory
+function historyFile(settings) {
+    return settings.history?.file || path.join(settings.output?.baseDir || './audits', 'history.jsonl');
+}
+
+class HistoryStore {
+    constructor(file) {
+        this.file = file;
+        // Appends from audits running in parallel are written one at a time
+        this.writes = Promise.resolve();
+    }
+
+    async record(auditData) {
+        const run = runFromAudit(auditData);
+        const write = this.writes.then(async () => {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.appendFile(this.file, `${JSON.stringify(run)}\n`);
+        });
+        this.writes = write.catch(() => {});
+        await write;
+        return run;
+    }
+
+    // Every recorded run, oldest first. Lines that don't parse (say, from a
+    // run killed mid-write) are skipped.
+    async load() {
+        let content;
+        try {
+            content = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const runs = [];
+        let skipped = 0;
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                runs.push(JSON.parse(line));
+            } catch (error) {
+                skipped++;
+            }
+        }
+        if (skipped > 0) {
+            console.log(`⚠️ Skipped ${skipped} unreadable line(s) in ${path.relative(process.cwd(), this.file) || this.file}`);
+        }
+        return runs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+}
+
+module.exports = { HistoryStore, runFromAudit, historyFile, HISTORY_VERSION };
@@ -0,0 +1,177 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// A run's manifest: every site in the batch and how far it got, rewritten
+// after each site so an interrupted run can be picked up with --resume.
+// Finished sites' results are appended to results.jsonl next to it, so the
+// run-wide reports of a resumed run still cover every site. Lives in
+// <output.baseDir>/runs/<run id>/.
+
+const MANIFEST_VERSION = 1;
+
+// Sites in these states are audited again on resume
+const UNFINISHED = ['pending', 'running', 'interrupted'];
+
+function runsDir(baseDir) {
+    return path.join(baseDir, 'runs');
+}
+
+class RunManifest {
+    constructor(directory, data) {
+        this.directory = directory;
+        this.data = data;
+        // Checkpoints from audits running in parallel are written one at a time
+        this.writes = Promise.resolve();
+    }
+
+    get file() {
+        return path.join(this.directory, 'manifest.json');
+    }
+
+    get resultsFile() {
+        return path.join(this.directory, 'results.jsonl');
+    }
+
+    get id() {
+        return this.data.id;
+    }
+
+    // `sites` are the entries as given ({ url, name, tags, settings }), before
+    // run-wide settings are applied; `overrides` are the command-line settings
+    static async create(baseDir, sites, { overrides = {} } = {}) {
+        const now = new Date().toISOString();
+        const id = now.replace(/[:.]/g, '-');
+        const manifest = new RunManifest(path.join(runsDir(baseDir), id), {
+            version: MANIFEST_VERSION,
+            id,
+            status: 'running',
+            startedAt: now,
+            updatedAt: now,
+            finishedAt: null,
+            overrides,
+            sites: sites.map(site => ({ site, status: 'pending', attempts: 0, error: null, errorKind: null, outputDirectory: null }))
+        });
+        await fs.mkdir(manifest.directory, { recursive: true });
+        await manifest.save();
+        return manifest;
+    }
+
+    // The most recent run in baseDir that didn't complete, or null
+    static async latestUnfinished(baseDir) {
+        let ids;
+        try {
+            ids = await fs.readdir(runsDir(baseDir));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        // Run IDs are timestamps, so they sort by age
+        for (const id of ids.sort().reverse()) {
+            const directory = path.join(runsDir(baseDir), id);
+            let data;
+            try {
+                data = JSON.parse(await fs.readFile(path.join(directory, 'manifest.json'), 'utf8'));
+            } catch (error) {
+                continue;
+            }
+            if (data.status !== 'complete') return new RunManifest(directory, data);
+        }
+        return null;
+    }
+
+    entryFor(url) {
+        return this.data.sites.find(entry => entry.site.url === url);
+    }
+
+    unfinishedSites() {
+        return this.data.sites.filter(entry => UNFINISHED.includes(entry.status)).map(entry => entry.site);
+    }
+
+    counts() {
+        const counts = {};
+        for (const entry of this.data.sites) {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    async start(url) {
+        const entry = this.entryFor(url);
+        if (!entry) return;
+        entry.status = 'running';
+        entry.attempts++;
+        await this.save();
+    }
+
+    // An interrupted site goes back to pending if it never started
+    async finish(url, result) {
+        const entry = this.entryFor(url);
+        if (!entry) return;
+        if (result.interrupted) {
+            entry.status = entry.status === 'running' ? 'interrupted' : 'pending';
+        } else {
+            entry.status = result.success === false ? 'failed' : 'done';
+            entry.error = result.error || null;
+            entry.errorKind = result.errorKind || null;
+            entry.outputDirectory = result.outputDirectory || null;
+            await this.queue(() => fs.appendFile(this.resultsFile, `${JSON.stringify(result)}\n`));
+        }
+        await this.save();
+    }
+
+    // Results of the sites finished so far, in the run's site order. Lines
+    // cut short by a kill mid-write are skipped.
+    async loadResults() {
+        let content;
+        try {
+            content = await fs.readFile(this.resultsFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const byUrl = new Map();
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const result = JSON.parse(line);
+                byUrl.set(result.url, result);
+            } catch (error) {
+                // Partial line
+            }
+        }
+        return this.data.sites.map(entry => byUrl.get(entry.site.url)).filter(Boolean);
+    }
+
+    // 'complete' once every site is done or failed; results.jsonl is only
+    // needed until then
+    async close(status) {
+        this.data.status = status;
+        this.data.finishedAt = status === 'complete' ? new Date().toISOString() : null;
+        await this.save();
+        if (status === 'complete') {
+            await fs.rm(this.resultsFile, { force: true });
+        }
+    }
+
+    // Written to a temporary file and renamed over the manifest, so a kill
+    // mid-write leaves the previous checkpoint intact
+    async save() {
+        this.data.updatedAt = new Date().toISOString();
+        const content = JSON.stringify(this.data, null, 2);
+        await this.queue(async () => {
+            const temporary = `${this.file}.tmp`;
+            await fs.writeFile(temporary, content);
+            await fs.rename(temporary, this.file);
+        });
+    }
+
+    queue(task) {
+        const write = this.writes.then(task);
+        this.writes = write.catch(() => {});
+        return write;
+    }
+}
+
+module.exports = { RunManifest, MANIFEST_VERSION };
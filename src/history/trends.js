@@ -0,0 +1,210 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { CATEGORIES } = require('../checks/rules');
+const { scoreRating } = require('../checks/scoring');
+const { escapeHtml } = require('../utils/html');
+const { HistoryStore, historyFile } = require('./historyStore');
+
+// Trend reports from the audit history: scores and load times over time per
+// site, and which issues the latest run introduced or resolved compared with
+// the run before it.
+
+// `filters` are URLs, hostnames or site names from the command line
+function matchesFilters(run, filters) {
+    if (filters.length === 0) return true;
+    return filters.some(filter => {
+        if (filter === run.name || filter === run.site) return true;
+        try {
+            const { hostname } = new URL(/^https?:\/\//i.test(filter) ? filter : `https://${filter}`);
+            return hostname.replace(/\./g, '_') === run.site;
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+const issueKey = issue => `${issue.id}|${issue.url || ''}`;
+
+// Issues in `current` that `previous` didn't have, and the other way round
+function compareRuns(previous, current) {
+    const before = new Map(previous.issues.map(issue => [issueKey(issue), issue]));
+    const after = new Map(current.issues.map(issue => [issueKey(issue), issue]));
+    return {
+        introduced: current.issues.filter(issue => !before.has(issueKey(issue))),
+        resolved: previous.issues.filter(issue => !after.has(issueKey(issue)))
+    };
+}
+
+function difference(from, to) {
+    return typeof from === 'number' && typeof to === 'number' ? Math.round((to - from) * 100) / 100 : null;
+}
+
+// One trend per site, sites in the order they were first audited
+function buildTrends(runs, { sites = [] } = {}) {
+    const bySite = new Map();
+    for (const run of runs.filter(entry => matchesFilters(entry, sites))) {
+        if (!bySite.has(run.site)) bySite.set(run.site, []);
+        bySite.get(run.site).push(run);
+    }
+
+    return [...bySite.entries()].map(([site, siteRuns]) => {
+        const successful = siteRuns.filter(run => run.success);
+        const latest = successful[successful.length - 1] || null;
+        const previous = successful[successful.length - 2] || null;
+        const latestRun = siteRuns[siteRuns.length - 1];
+        return {
+            site,
+            url: latestRun.url,
+            name: latestRun.name,
+            runs: siteRuns,
+            failedRuns: siteRuns.length - successful.length,
+            latest,
+            previous,
+            change: latest && previous ? {
+                overall: difference(previous.scores?.overall, latest.scores?.overall),
+                loadTime: difference(previous.metrics.loadTime, latest.metrics.loadTime),
+                issueCount: latest.issueCount - previous.issueCount
+            } : null,
+            ...(latest && previous ? compareRuns(previous, latest) : { introduced: [], resolved: [] })
+        };
+    });
+}
+
+function signed(value, unit = '') {
+    if (value === null || value === undefined) return 'n/a';
+    return `${value > 0 ? '+' : ''}${value}${unit}`;
+}
+
+// One console line per site
+function summarizeTrend(trend) {
+    if (!trend.latest) {
+        return `${trend.site}: no successful runs (${trend.runs.length} failed)`;
+    }
+    if (!trend.previous) {
+        return `${trend.site}: 1 run so far, score ${trend.latest.scores?.overall ?? 'n/a'}`;
+    }
+    return `${trend.site}: score ${trend.previous.scores?.overall ?? 'n/a'} → ${trend.latest.scores?.overall ?? 'n/a'} (${signed(trend.change.overall)}), ` +
+        `load time ${signed(trend.change.loadTime, 'ms')}, ${trend.introduced.length} issue(s) introduced, ${trend.resolved.length} resolved`;
+}
+
+// Inline SVG line for a series; gaps (null) are skipped
+function sparkline(values, { width = 240, height = 48, min = null, max = null } = {}) {
+    const points = values.map((value, index) => ({ value, index })).filter(point => typeof point.value === 'number');
+    if (points.length === 0) return '<span class="muted">no data</span>';
+    const low = min ?? Math.min(...points.map(point => point.value));
+    const high = max ?? Math.max(...points.map(point => point.value));
+    const range = high - low || 1;
+    const x = index => values.length === 1 ? width / 2 : 4 + (index / (values.length - 1)) * (width - 8);
+    const y = value => height - 4 - ((value - low) / range) * (height - 8);
+    const coordinates = points.map(point => `${x(point.index).toFixed(1)},${y(point.value).toFixed(1)}`);
+    const last = points[points.length - 1];
+    return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<polyline fill="none" stroke="#0d6efd" stroke-width="2" points="${coordinates.join(' ')}"/>` +
+        `<circle cx="${x(last.index).toFixed(1)}" cy="${y(last.value).toFixed(1)}" r="3" fill="#0d6efd"/></svg>`;
+}
+
+function issueList(issues) {
+    if (issues.length === 0) return '<p class="muted">None</p>';
+    return `<ul>${issues.map(issue => `<li><span class="severity ${issue.severity}">${issue.severity}</span> ${escapeHtml(issue.title || issue.id)} <span class="rule-id">${escapeHtml(issue.id)}</span>${issue.url ? ` <small>${escapeHtml(issue.url)}</small>` : ''}</li>`).join('')}</ul>`;
+}
+
+function renderSite(trend) {
+    const successful = trend.runs.filter(run => run.success);
+    const categories = Object.keys(CATEGORIES).filter(category => successful.some(run => run.scores?.categories[category] !== undefined));
+    const date = run => new Date(run.timestamp).toLocaleDateString();
+
+    return `
+    <div class="section">
+        <h2>${escapeHtml(trend.name || trend.url)}</h2>
+        <p>${trend.runs.length} run(s)${trend.failedRuns > 0 ? `, ${trend.failedRuns} failed` : ''}; ${escapeHtml(summarizeTrend(trend))}</p>
+        <div class="metrics">
+            <div class="metric"><p><strong>Overall score</strong></p>${sparkline(successful.map(run => run.scores?.overall ?? null), { min: 0, max: 100 })}</div>
+            <div class="metric"><p><strong>Load time (ms)</strong></p>${sparkline(successful.map(run => run.metrics.loadTime))}</div>
+            <div class="metric"><p><strong>Issues</strong></p>${sparkline(successful.map(run => run.issueCount))}</div>
+        </div>
+        <table class="crawl">
+            <tr><th>Date</th><th>Overall</th>${categories.map(category => `<th>${CATEGORIES[category].label}</th>`).join('')}<th>Load time</th><th>Issues</th></tr>
+            ${trend.runs.slice().reverse().map(run => run.success ? `
+            <tr>
+                <td>${date(run)}</td>
+                <td class="score-cell ${scoreRating(run.scores?.overall)}">${run.scores?.overall ?? '-'}</td>
+                ${categories.map(category => `<td class="score-cell ${scoreRating(run.scores?.categories[category])}">${run.scores?.categories[category] ?? '-'}</td>`).join('')}
+                <td>${run.metrics.loadTime !== null ? `${run.metrics.loadTime}ms` : '-'}</td>
+                <td>${run.issueCount}</td>
+            </tr>` : `
+            <tr><td>${date(run)}</td><td colspan="${categories.length + 3}" class="score-cell poor">Audit failed: ${escapeHtml(run.error || 'unknown error')}</td></tr>`).join('')}
+        </table>
+        ${trend.previous ? `
+        <h3>Introduced since ${date(trend.previous)} (${trend.introduced.length})</h3>
+        ${issueList(trend.introduced)}
+        <h3>Resolved since ${date(trend.previous)} (${trend.resolved.length})</h3>
+        ${issueList(trend.resolved)}
+        ` : ''}
+    </div>`;
+}
+
+function renderTrendReport(trends) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Audit Trends</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 1200px; margin: 0 auto; padding: 20px; }
+        .header { background: #f4f4f4; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+        .section { margin-bottom: 40px; }
+        .metrics { display: grid; grid-template-columns: repeat(auto-fit, minmax(260px, 1fr)); gap: 15px; margin-bottom: 15px; }
+        .metric { background: #f8f9fa; padding: 10px; border-radius: 5px; text-align: center; }
+        .muted { color: #6c757d; }
+        .severity { display: inline-block; font-size: 12px; padding: 1px 6px; border-radius: 3px; background: #6c757d; color: #fff; }
+        .severity.critical { background: #dc3545; }
+        .severity.serious { background: #fd7e14; }
+        .severity.moderate { background: #ffc107; color: #333; }
+        .severity.minor { background: #adb5bd; }
+        .rule-id { font-family: monospace; font-size: 12px; color: #6c757d; }
+        .score-cell.good { color: #198754; }
+        .score-cell.needs-improvement { color: #b58100; }
+        .score-cell.poor { color: #dc3545; font-weight: bold; }
+        .crawl { width: 100%; border-collapse: collapse; font-size: 14px; }
+        .crawl th, .crawl td { text-align: left; padding: 6px; border-bottom: 1px solid #ddd; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>Audit Trends</h1>
+        <p><strong>Sites:</strong> ${trends.length}</p>
+        <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+    </div>
+    ${trends.map(renderSite).join('')}
+</body>
+</html>`;
+}
+
+// The --trends command: prints a line per site and writes the report in the
+// configured formats to <output.baseDir>/trends
+async function writeTrendReport(settings, sites = []) {
+    const file = historyFile(settings);
+    const runs = await new HistoryStore(file).load();
+    const trends = buildTrends(runs, { sites });
+    if (trends.length === 0) {
+        console.log(`📭 No audit history${sites.length > 0 ? ` for ${sites.join(', ')}` : ''} in ${file}`);
+        return null;
+    }
+
+    console.log(`📈 Trends for ${trends.length} site(s) from ${runs.length} recorded run(s):`);
+    trends.forEach(trend => console.log(`   ${summarizeTrend(trend)}`));
+
+    const outputDir = path.join(settings.output?.baseDir || './audits', 'trends');
+    await fs.mkdir(outputDir, { recursive: true });
+    const formats = settings.output?.formats || ['html', 'json'];
+    if (formats.includes('json')) {
+        await fs.writeFile(path.join(outputDir, 'trends.json'), JSON.stringify(trends, null, 2));
+    }
+    if (formats.includes('html')) {
+        await fs.writeFile(path.join(outputDir, 'trend_report.html'), renderTrendReport(trends));
+    }
+    console.log(`📁 Trend report saved to ${outputDir}`);
+    return trends;
+}
+
+module.exports = { buildTrends, compareRuns, matchesFilters, summarizeTrend, renderTrendReport, writeTrendReport };
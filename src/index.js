@@ -1,85 +1,180 @@
-const { WebsiteAuditor } = require('./auditor');
+#!/usr/bin/env node
+const { WebsiteAuditor, AUDIT_CHECKS, REPORT_FORMATS } = require('./auditor');
 const ConfigManager = require('./utils/config');
+const { ConfigError, deepMerge } = ConfigManager;
+const { parseArgs, toSettingsOverrides, helpText, CliError } = require('./utils/cli');
+const { writeTrendReport } = require('./history/trends');
+const { RunManifest } = require('./history/runManifest');
+const { SEVERITIES } = require('./checks/rules');
+
+async function main(argv = process.argv.slice(2)) {
+  const cliContext = { checks: AUDIT_CHECKS, formats: REPORT_FORMATS };
+  let options;
+  try {
+    options = parseArgs(argv, cliContext);
+  } catch (error) {
+    if (!(error instanceof CliError)) throw error;
+    console.error(`❌ ${error.message}`);
+    console.error('Run with --help to see the available options.');
+    process.exit(2);
+  }
+
+  if (options.help) {
+    console.log(helpText(cliContext));
+    return;
+  }
 
-async function main() {
   console.log('🔍 Automated Website Auditor');
   console.log('=============================\n');
 
   const configManager = new ConfigManager();
-  const websites = configManager.loadWebsites();
-  const settings = configManager.getSettings();
+  let settings;
+  let websites;
+  let overrides = toSettingsOverrides(options);
+  let manifest = null;
+  try {
+    settings = configManager.getSettings(overrides);
+    if (options.trends) {
+      await writeTrendReport(settings, options.urls);
+      return;
+    }
+
+    if (options.resume) {
+      manifest = await RunManifest.latestUnfinished(settings.output.baseDir);
+      if (!manifest) {
+        console.error(`❌ No interrupted run to resume in ${settings.output.baseDir}`);
+        process.exit(2);
+      }
+      // The interrupted run's command-line settings, with any given now on top
+      overrides = deepMerge(manifest.data.overrides || {}, overrides);
+      settings = configManager.getSettings(overrides);
+      websites = manifest.unfinishedSites();
+      console.log(`⏯️  Resuming run ${manifest.id}: ${websites.length} of ${manifest.data.sites.length} site(s) left\n`);
+    } else {
+      // URLs given on the command line or via --input replace config/websites.json
+      websites = configManager.normalizeSites(options.urls, 'command-line arguments');
+      if (options.input) {
+        websites.push(...configManager.loadWebsitesFromFile(options.input));
+      } else if (websites.length === 0) {
+        websites = configManager.loadWebsites();
+      }
+    }
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+
+  // Drop repeated URLs, keeping the first entry (and its settings)
+  const seenUrls = new Set();
+  websites = websites.filter(site => !seenUrls.has(site.url) && seenUrls.add(site.url));
 
-  if (websites.length === 0) {
+  if (websites.length === 0 && !manifest) {
     console.log('❌ No websites found to audit.');
-    console.log('📝 Please create config/websites.json from the example file and add your URLs.');
+    console.log('📝 Pass URLs as arguments, use --input <file>, or create config/websites.json from the example file.');
     process.exit(1);
   }
 
   console.log(`📊 Found ${websites.length} website(s) to audit:`);
-  websites.forEach((url, index) => {
-    console.log(`   ${index + 1}. ${url}`);
+  websites.forEach((site, index) => {
+    console.log(`   ${index + 1}. ${site.name ? `${site.name} (${site.url})` : site.url}`);
   });
   console.log('');
 
+  // Checkpointed after every site, so an interrupted run can be resumed
+  if (!manifest) {
+    manifest = await RunManifest.create(settings.output.baseDir, websites, { overrides });
+  }
+
+  // Each site carries the run-wide settings with its own overrides applied
+  websites = websites.map(site => ({
+    ...site,
+    settings: configManager.resolveSiteSettings(settings, site)
+  }));
+
   const auditor = new WebsiteAuditor(settings);
+
+  // The first Ctrl+C stops new audits, closes the browser and records the
+  // unfinished sites in the manifest; a second one quits at once
+  const shutdown = () => {
+    if (auditor.stopping) {
+      console.log('\n⏹️  Quitting without cleaning up');
+      process.exit(130);
+    }
+    console.log('\n⏹️  Audit interrupted, closing the browser (press Ctrl+C again to quit at once)...');
+    auditor.stop().catch(error => console.error('⚠️ Error while stopping:', error.message));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
   
   try {
     await auditor.initialize();
     
-    const results = [];
-    
-    for (const url of websites) {
-      try {
-        const result = await auditor.auditWebsite(url);
-        results.push(result);
-        
-        // Add delay between audits to be respectful
-        if (settings.audit.delayBetweenAudits > 0) {
-          await new Promise(resolve => 
-            setTimeout(resolve, settings.audit.delayBetweenAudits)
-          );
-        }
-      } catch (error) {
-        console.error(`❌ Failed to audit ${url}:`, error.message);
-        results.push({
-          url,
-          error: error.message,
-          success: false
-        });
-        // Continue with next website instead of stopping
-      }
+    // Audits run in parallel up to audit.maxConcurrent; failures come back as
+    // { success: false } entries so one bad site doesn't stop the batch
+    const siteResults = await auditor.auditWebsites(websites, { manifest });
+
+    if (auditor.stopping) {
+      await manifest.close('interrupted');
+      const counts = manifest.counts();
+      const unfinished = (counts.pending || 0) + (counts.interrupted || 0) + (counts.running || 0);
+      console.log('\n⏹️  Run interrupted');
+      console.log(`✅ Finished: ${(counts.done || 0) + (counts.failed || 0)} of ${manifest.data.sites.length}`);
+      console.log(`⏸️  Unfinished: ${unfinished} (${counts.interrupted || 0} interrupted mid-audit)`);
+      console.log(`▶️  Run again with --resume to continue; progress is in ${manifest.file}`);
+      process.exitCode = 130;
+      return;
     }
+
+    // A resumed run's reports cover the sites finished before the interruption too
+    const results = options.resume ? await manifest.loadResults() : siteResults;
+    await auditor.generateRunReports(results);
+    await manifest.close('complete');
     
     // Summary
     const successful = results.filter(r => r.success !== false).length;
-    const failed = results.length - successful;
+    const failed = results.filter(r => r.success === false);
     
     console.log('\n📊 Audit Summary:');
     console.log(`✅ Successful: ${successful}`);
-    if (failed > 0) {
-      console.log(`❌ Failed: ${failed}`);
+    if (failed.length > 0) {
+      const byKind = {};
+      failed.forEach(result => {
+        byKind[result.errorKind || 'other'] = (byKind[result.errorKind || 'other'] || 0) + 1;
+      });
+      console.log(`❌ Failed: ${failed.length} (${Object.entries(byKind).map(([kind, count]) => `${kind}: ${count}`).join(', ')})`);
+    }
+    console.log(`📁 Check the ${settings.output.baseDir} directory for results.`);
+
+    // output.failOn turns issues at that severity (or failed audits) into a
+    // failing exit code for CI
+    const failOn = settings.output.failOn;
+    if (failOn) {
+      const failRank = SEVERITIES.indexOf(failOn);
+      const failing = results.filter(result => result.success === false ||
+        (result.issues || []).some(issue => SEVERITIES.indexOf(issue.severity) <= failRank));
+      if (failing.length > 0) {
+        console.log(`🚫 ${failing.length} site(s) failed or have ${failOn} issues or worse`);
+        process.exitCode = 1;
+      }
     }
-    console.log('📁 Check the ./audits/ directory for results.');
     
   } catch (error) {
     console.error('❌ Audit process failed:', error.message);
-    process.exit(1);
+    // Not process.exit(): the browser still has to be closed below
+    process.exitCode = 1;
   } finally {
+    process.off('SIGINT', shutdown);
+    process.off('SIGTERM', shutdown);
     await auditor.close();
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n⏹️  Audit interrupted by user');
-  process.exit(0);
-});
-
 // Run the auditor
 if (require.main === module) {
   main().catch(error => {
     console.error('💥 Unexpected error:', error);
-    process.exit(1);
+    process.exitCode = 1;
   });
 }
 
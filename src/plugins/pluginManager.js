@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const { RULES, createIssue, registerRule } = require('../checks/rules');
+
+// Plugins add client-specific checks without touching the auditor. A plugin
+// is a CommonJS module exporting an object:
+//
+//   name          Namespace for its rule IDs ("<name>.<rule>")
+//   rules         { <rule>: { category, severity, title, remediation } }
+//   checks        [{ name, pageTypes, evaluate | run }] run on every checked
+//                 page; `evaluate` runs in the page, `run` in Node, and both
+//                 return findings: { rule, message, severity, selector, evidence }
+//   hooks         beforeNavigation, afterLoad, onPage and afterAudit
+//   report        Returns { title, html } for a section of the HTML report
+//
+// Every hook, check and report function gets a context with the plugin's
+// `options` (plugins.options.<name>), its own `data` object (saved in
+// auditData.plugins.<name>) and `report(finding)` for raising issues.
+
+const HOOKS = ['beforeNavigation', 'afterLoad', 'onPage', 'afterAudit'];
+
+// Built-in rule namespaces (seo, links, ...) a plugin can't take over
+const RESERVED_NAMES = new Set(Object.keys(RULES).filter(id => !RULES[id].source).map(id => id.split('.')[0]));
+
+// Plugin modules whose rules are registered
+const registeredPlugins = new WeakSet();
+
+function describePath(file) {
+    return path.relative(process.cwd(), file) || file;
+}
+
+// .js files and package folders in `directory`, in name order
+function listPluginFiles(directory) {
+    const resolved = path.resolve(directory);
+    let entries;
+    try {
+        entries = fs.readdirSync(resolved, { withFileTypes: true });
+    } catch (error) {
+        throw new Error(`Could not read plugin directory ${describePath(resolved)}: ${error.message}`);
+    }
+    return entries
+        .filter(entry => (entry.isFile() && entry.name.endsWith('.js')) || entry.isDirectory())
+        .map(entry => path.join(resolved, entry.name))
+        .sort();
+}
+
+function requirePlugin(specifier, label) {
+    try {
+        return require(specifier);
+    } catch (error) {
+        throw new Error(`Could not load plugin ${label}: ${error.message}`);
+    }
+}
+
+function validatePlugin(plugin, label) {
+    if (!plugin || typeof plugin !== 'object') {
+        throw new Error(`Plugin ${label} must export an object`);
+    }
+    if (typeof plugin.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(plugin.name)) {
+        throw new Error(`Plugin ${label} needs a name made of lowercase letters, digits and dashes`);
+    }
+    if (RESERVED_NAMES.has(plugin.name)) {
+        throw new Error(`Plugin ${label} can't use the name "${plugin.name}", which belongs to a built-in check`);
+    }
+    for (const check of plugin.checks || []) {
+        if (!check.name || (typeof check.evaluate === 'function') === (typeof check.run === 'function')) {
+            throw new Error(`Plugin "${plugin.name}": every check needs a name and either an evaluate or a run function`);
+        }
+    }
+    for (const hook of Object.keys(plugin.hooks || {})) {
+        if (!HOOKS.includes(hook) || typeof plugin.hooks[hook] !== 'function') {
+            throw new Error(`Plugin "${plugin.name}": unknown hook "${hook}" (expected one of ${HOOKS.join(', ')})`);
+        }
+    }
+    if (plugin.report !== undefined && typeof plugin.report !== 'function') {
+        throw new Error(`Plugin "${plugin.name}": report must be a function`);
+    }
+}
+
+class PluginManager {
+    constructor(plugins = [], options = {}) {
+        this.plugins = plugins;
+        this.options = options;
+        // Per-audit state, keyed by the page the audit runs on
+        this.runs = new WeakMap();
+    }
+
+    // Loads plugins from `plugins.directory` and `plugins.packages`
+    static load(settings = {}) {
+        const sources = [
+            ...(settings.directory ? listPluginFiles(settings.directory).map(file => ({ specifier: file, label: describePath(file) })) : []),
+            // Packages resolve from the working directory, like the settings files
+            ...(settings.packages || []).map(name => ({ specifier: name, label: `package "${name}"`, fromCwd: true }))
+        ];
+
+        const plugins = [];
+        for (const { specifier, label, fromCwd } of sources) {
+            let resolved = specifier;
+            if (fromCwd) {
+                try {
+                    resolved = require.resolve(specifier, { paths: [process.cwd()] });
+                } catch (error) {
+                    throw new Error(`Could not load plugin ${label}: ${error.message.split('\n')[0]}`);
+                }
+            }
+            const plugin = requirePlugin(resolved, label);
+            validatePlugin(plugin, label);
+            if (plugins.some(loaded => loaded.name === plugin.name)) {
+                throw new Error(`Plugin ${label}: another plugin is already named "${plugin.name}"`);
+            }
+            // require() hands back the same module to a site that lists the
+            // run's plugins again, and its rules are already in place
+            if (!registeredPlugins.has(plugin)) {
+                for (const [rule, definition] of Object.entries(plugin.rules || {})) {
+                    registerRule(`${plugin.name}.${rule}`, definition, plugin.name);
+                }
+                registeredPlugins.add(plugin);
+            }
+            plugins.push(plugin);
+        }
+
+        return new PluginManager(plugins, settings.options || {});
+    }
+
+    get names() {
+        return this.plugins.map(plugin => plugin.name);
+    }
+
+    get checkCount() {
+        return this.plugins.reduce((count, plugin) => count + (plugin.checks || []).length, 0);
+    }
+
+    // Starts an audit on `page`; plugin data lives in auditData.plugins
+    begin(page, auditData) {
+        if (this.plugins.length === 0) return;
+        auditData.plugins = Object.fromEntries(this.plugins.map(plugin => [plugin.name, {}]));
+        this.runs.set(page, { auditData, issues: [] });
+    }
+
+    // Ends the audit on `page`, returning the issues plugins raised from hooks
+    end(page) {
+        const run = this.runs.get(page);
+        this.runs.delete(page);
+        return run ? run.issues : [];
+    }
+
+    issueFor(plugin, finding, url) {
+        return createIssue(`${plugin.name}.${finding.rule}`, {
+            message: finding.message,
+            severity: finding.severity,
+            url: finding.url || url,
+            selector: finding.selector,
+            evidence: finding.evidence,
+            plugin: plugin.name
+        });
+    }
+
+    failure(plugin, where, error, url) {
+        console.log(`⚠️ Plugin "${plugin.name}" failed in ${where}: ${error.message}`);
+        return createIssue('error.checks-incomplete', {
+            message: `Plugin "${plugin.name}" failed in ${where}: ${error.message}`,
+            url,
+            plugin: plugin.name
+        });
+    }
+
+    context(plugin, run, page, details, issues) {
+        return {
+            ...details,
+            page,
+            auditData: run.auditData,
+            options: this.options[plugin.name] || {},
+            data: run.auditData.plugins[plugin.name],
+            report: finding => issues.push(this.issueFor(plugin, finding, details.url))
+        };
+    }
+
+    // Calls `hook` on every plugin that has it. A failing plugin is reported
+    // as an issue rather than stopping the audit.
+    async emit(hook, page, details = {}) {
+        const run = this.runs.get(page);
+        if (!run) return;
+
+        for (const plugin of this.plugins) {
+            const handler = plugin.hooks?.[hook];
+            if (!handler) continue;
+            try {
+                await handler(this.context(plugin, run, page, details, run.issues));
+            } catch (error) {
+                run.issues.push(this.failure(plugin, hook, error, details.url));
+            }
+        }
+    }
+
+    // Runs every plugin check that applies to the page; returns issues
+    async runChecks(page, { url, pageType }) {
+        const run = this.runs.get(page);
+        if (!run) return [];
+
+        const issues = [];
+        for (const plugin of this.plugins) {
+            for (const check of plugin.checks || []) {
+                if (Array.isArray(check.pageTypes) && !check.pageTypes.includes(pageType)) continue;
+                const context = this.context(plugin, run, page, { url, pageType }, issues);
+                try {
+                    const findings = check.evaluate
+                        ? await page.evaluate(check.evaluate, context.options)
+                        : await check.run(context);
+                    (findings || []).forEach(finding => issues.push(this.issueFor(plugin, finding, url)));
+                } catch (error) {
+                    issues.push(this.failure(plugin, `check "${check.name}"`, error, url));
+                }
+            }
+        }
+        return issues;
+    }
+
+    // Report sections as [{ plugin, title, html }]; `html` is the plugin's
+    // own markup and is inserted as is
+    reportSections(auditData, helpers = {}) {
+        const sections = [];
+        for (const plugin of this.plugins) {
+            if (!plugin.report) continue;
+            try {
+                const section = plugin.report({
+                    ...helpers,
+                    auditData,
+                    options: this.options[plugin.name] || {},
+                    data: auditData.plugins?.[plugin.name] || {}
+                });
+                if (section?.html) {
+                    sections.push({ plugin: plugin.name, title: section.title || plugin.name, html: section.html });
+                }
+            } catch (error) {
+                console.log(`⚠️ Plugin "${plugin.name}" failed in report: ${error.message}`);
+            }
+        }
+        return sections;
+    }
+}
+
+module.exports = { PluginManager, HOOKS };
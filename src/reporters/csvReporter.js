@@ -0,0 +1,50 @@
+const { createIssue } = require('../checks/rules');
+
+// issues.csv: one row per issue across every site in the run, for
+// spreadsheets
+
+const COLUMNS = [
+    ['site', result => result.url],
+    ['site_name', result => result.name || ''],
+    ['page', (result, issue) => issue.url || ''],
+    ['device', (result, issue) => issue.device || ''],
+    ['rule', (result, issue) => issue.id],
+    ['category', (result, issue) => issue.type],
+    ['severity', (result, issue) => issue.severity],
+    ['title', (result, issue) => issue.title],
+    ['message', (result, issue) => issue.issue],
+    ['selector', (result, issue) => issue.selector || ''],
+    ['evidence', (result, issue) => issue.evidence || ''],
+    ['remediation', (result, issue) => issue.remediation || '']
+];
+
+function csvField(value) {
+    let text = String(value ?? '');
+    // Spreadsheets run cells starting with these as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(results) {
+    const rows = [COLUMNS.map(([name]) => name)];
+    for (const result of results) {
+        if (result.success === false) {
+            // A failed audit still gets a row, so it isn't silently missing
+            const issue = createIssue('error.audit-failed', { message: result.error });
+            rows.push(COLUMNS.map(([, value]) => value(result, issue)));
+            continue;
+        }
+        for (const issue of result.issues || []) {
+            rows.push(COLUMNS.map(([, value]) => value(result, issue)));
+        }
+    }
+    return `${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    name: 'csv',
+    scope: 'run',
+    file: 'issues.csv',
+    render: results => renderCsv(results),
+    csvField
+};
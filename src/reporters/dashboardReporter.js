@@ -0,0 +1,253 @@
+const path = require('path');
+const { CATEGORIES } = require('../checks/rules');
+const { scoreRating } = require('../checks/scoring');
+const { html, raw } = require('../utils/html');
+const { resolveTheme, themeCss, loadLogo, brandHeader } = require('./themes');
+
+// index.html: one page for the whole run with every site side by side - a
+// sortable table linking to each site's report and charts across the run,
+// for deciding which sites to look at first
+
+// Shopify (with its theme) or another platform vendor the third-party check
+// recognised
+function platformOf(result) {
+    if (result.isShopify) {
+        const theme = result.shopify?.theme;
+        return theme ? `Shopify (${theme.schemaName || theme.name})` : 'Shopify';
+    }
+    const vendor = (result.thirdParties?.vendors || []).find(entry => entry.category === 'platform');
+    return vendor ? vendor.name : null;
+}
+
+// The row for a site; links are relative to the output directory the
+// dashboard is written to
+function siteRow(result, outputDir) {
+    const relative = file => path.relative(outputDir, file).split(path.sep).join('/');
+    if (result.success === false) {
+        return { url: result.url, name: result.name, failed: true, error: result.error, errorKind: result.errorKind || null };
+    }
+
+    const [primaryDevice] = result.devices || [];
+    const homepage = (result.pages || []).find(page => page.name === `homepage_${primaryDevice}` && page.screenshot);
+    const issueCounts = {};
+    for (const issue of result.issues || []) {
+        issueCounts[issue.severity] = (issueCounts[issue.severity] || 0) + 1;
+    }
+
+    return {
+        url: result.url,
+        name: result.name,
+        failed: false,
+        report: result.outputDirectory ? relative(path.join(result.outputDirectory, 'audit_report.html')) : null,
+        thumbnail: homepage ? relative(homepage.screenshot) : null,
+        overall: result.scores?.overall ?? null,
+        categories: Object.fromEntries(Object.entries(result.scores?.categories || {}).map(([id, category]) => [id, category.score])),
+        loadTime: result.metrics?.performance?.loadTime ?? null,
+        lcp: result.metrics?.webVitals?.[primaryDevice]?.lcp ?? null,
+        issues: (result.issues || []).length,
+        critical: issueCounts.critical || 0,
+        serious: issueCounts.serious || 0,
+        platform: platformOf(result),
+        emailPlatform: result.popups?.emailPlatform || null,
+        popupType: result.popups ? (result.popups.hasPopup ? result.popups.popupType : 'None') : null
+    };
+}
+
+function countBy(rows, value) {
+    const counts = new Map();
+    for (const row of rows) {
+        const key = value(row) || 'Unknown';
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+function average(values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length > 0 ? Math.round(numbers.reduce((sum, value) => sum + value, 0) / numbers.length) : null;
+}
+
+// Horizontal bars; `max` fixes the scale (scores), otherwise the largest value fills the width
+function barChart(title, entries, { max = null, rating = null } = {}) {
+    if (entries.length === 0) return '';
+    const scale = max ?? Math.max(...entries.map(([, value]) => value), 1);
+    return html`
+        <div class="chart">
+            <h3>${title}</h3>
+            ${entries.map(([label, value]) => html`
+            <div class="bar-row">
+                <span class="bar-label">${label}</span>
+                <span class="bar"><span class="fill ${rating ? rating(value) : ''}" style="width: ${Math.round((value / scale) * 100)}%"></span></span>
+                <span class="bar-value">${value}</span>
+            </div>`)}
+        </div>`;
+}
+
+function charts(rows) {
+    const audited = rows.filter(row => !row.failed);
+    const bands = [['Good (90+)', 'good'], ['Needs improvement (50-89)', 'needs-improvement'], ['Poor (<50)', 'poor']]
+        .map(([label, band]) => [label, audited.filter(row => scoreRating(row.overall) === band).length]);
+    const categoryAverages = Object.keys(CATEGORIES)
+        .map(category => [CATEGORIES[category].label, average(audited.map(row => row.categories[category]))])
+        .filter(([, score]) => score !== null);
+
+    return html`
+    <div class="charts">
+        ${barChart('Overall scores', bands)}
+        ${barChart('Average category scores', categoryAverages, { max: 100, rating: scoreRating })}
+        ${barChart('Platforms', countBy(audited, row => row.platform))}
+        ${barChart('Email tools', countBy(audited, row => row.emailPlatform))}
+        ${barChart('Popup types', countBy(audited.filter(row => row.popupType !== null), row => row.popupType))}
+    </div>`;
+}
+
+// data-value is what a column sorts by; empty values sort last either way.
+// `display` is text or html`...` markup.
+function cell(value, display = value, className = '') {
+    const sortValue = value === null || value === undefined ? '' : value;
+    return html`<td data-value="${sortValue}"${className ? html` class="${className}"` : ''}>${display === null || display === undefined ? '-' : display}</td>`;
+}
+
+function tableRow(row) {
+    const site = html`<strong>${row.name || row.url}</strong><br><small>${row.url}</small>`;
+    if (row.failed) {
+        return html`
+            <tr class="failed">
+                <td></td>
+                ${cell(row.name || row.url, site)}
+                <td colspan="9" class="score-cell poor">Audit failed${row.errorKind ? ` (${row.errorKind})` : ''}: ${row.error || 'unknown error'}</td>
+            </tr>`;
+    }
+
+    const thumbnail = row.thumbnail ? html`<img class="thumbnail" src="${row.thumbnail}" alt="" loading="lazy">` : '';
+    return html`
+            <tr>
+                <td>${row.report ? html`<a href="${row.report}">${thumbnail || 'Report'}</a>` : thumbnail}</td>
+                ${cell(row.name || row.url, row.report ? html`<a href="${row.report}">${site}</a>` : site)}
+                ${cell(row.overall, row.overall, `score-cell ${scoreRating(row.overall)}`)}
+                ${cell(row.critical)}
+                ${cell(row.serious)}
+                ${cell(row.issues)}
+                ${cell(row.loadTime, row.loadTime !== null ? `${row.loadTime}ms` : null)}
+                ${cell(row.lcp, row.lcp !== null ? `${row.lcp}ms` : null)}
+                ${cell(row.platform, row.platform || 'Unknown')}
+                ${cell(row.emailPlatform, row.emailPlatform || 'None')}
+                ${cell(row.popupType, row.popupType)}
+            </tr>`;
+}
+
+// Click a header to sort by it, again to reverse; numbers compare as numbers
+const SORT_SCRIPT = `
+    document.querySelectorAll('th[data-sort]').forEach((header, index) => {
+        header.addEventListener('click', () => {
+            const body = header.closest('table').tBodies[0];
+            const direction = header.dataset.direction === 'asc' ? 'desc' : 'asc';
+            document.querySelectorAll('th[data-sort]').forEach(other => delete other.dataset.direction);
+            header.dataset.direction = direction;
+            const column = index + 1;
+            const value = row => row.children[column]?.dataset.value ?? '';
+            const rows = [...body.rows].sort((a, b) => {
+                const left = value(a);
+                const right = value(b);
+                if (left === '' || right === '') return left === right ? 0 : left === '' ? 1 : -1;
+                const order = header.dataset.sort === 'number' ? Number(left) - Number(right) : left.localeCompare(right);
+                return direction === 'asc' ? order : -order;
+            });
+            rows.forEach(row => body.appendChild(row));
+        });
+    });`;
+
+function styles(theme) {
+    return raw(`
+        ${themeCss(theme)}
+        body { font-family: Arial, sans-serif; max-width: 1400px; margin: 0 auto; padding: 20px; background: var(--background); color: var(--text); }
+        a { color: var(--accent); }
+        .header { background: var(--header); padding: 20px; border-radius: 8px; margin-bottom: 20px; border-top: 4px solid var(--accent); }
+        .brand { display: flex; align-items: center; gap: 12px; margin-bottom: 10px; font-weight: bold; }
+        .brand a { color: inherit; text-decoration: none; }
+        .logo { max-height: 48px; max-width: 200px; }
+        .footer { margin-top: 40px; padding-top: 10px; border-top: 1px solid var(--border); color: var(--muted); font-size: 13px; }
+        .section { margin-bottom: 40px; }
+        .muted { color: var(--muted); }
+        .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 15px; margin-bottom: 30px; }
+        .chart { background: var(--panel); padding: 10px 15px; border-radius: 5px; }
+        .chart h3 { margin-top: 0; font-size: 16px; }
+        .bar-row { display: grid; grid-template-columns: 140px 1fr 40px; gap: 8px; align-items: center; margin: 4px 0; font-size: 13px; }
+        .bar-label { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .bar { background: var(--border); border-radius: 3px; height: 14px; }
+        .fill { display: block; height: 100%; border-radius: 3px; background: var(--accent); }
+        .fill.good { background: #198754; }
+        .fill.needs-improvement { background: #ffc107; }
+        .fill.poor { background: #dc3545; }
+        .bar-value { text-align: right; }
+        .score-cell.good { color: #198754; }
+        .score-cell.needs-improvement { color: #b58100; }
+        .score-cell.poor { color: #dc3545; font-weight: bold; }
+        .sites { width: 100%; border-collapse: collapse; font-size: 14px; }
+        .sites th, .sites td { text-align: left; padding: 6px; border-bottom: 1px solid var(--border); vertical-align: middle; }
+        .sites th[data-sort] { cursor: pointer; user-select: none; }
+        .sites th[data-direction="asc"]::after { content: " ▲"; }
+        .sites th[data-direction="desc"]::after { content: " ▼"; }
+        .thumbnail { width: 160px; height: 100px; object-fit: cover; object-position: top; border: 1px solid var(--border); display: block; }`);
+}
+
+// `logo` is branding.logo as loadLogo() resolved it
+function renderDashboard(results, { outputDir, settings = {}, logo = null }) {
+    const report = settings.report || {};
+    const branding = report.branding || {};
+    const theme = resolveTheme(report);
+    const rows = results.map(result => siteRow(result, outputDir))
+        // Lowest scores first, failed audits last
+        .sort((a, b) => (a.failed - b.failed) || (a.overall ?? 101) - (b.overall ?? 101));
+    const audited = rows.filter(row => !row.failed);
+    const columns = [
+        ['Site', 'text'], ['Score', 'number'], ['Critical', 'number'], ['Serious', 'number'], ['Issues', 'number'],
+        ['Load time', 'number'], ['LCP', 'number'], ['Platform', 'text'], ['Email tool', 'text'], ['Popup', 'text']
+    ];
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    ${html`<title>${branding.name ? `${branding.name} - ` : ''}Audit Dashboard</title>`}
+    <style>${styles(theme)}
+    </style>
+</head>
+<body>${html`
+    <div class="header">
+        ${brandHeader(branding, logo)}
+        <h1>Audit Dashboard</h1>
+        <p><strong>Sites:</strong> ${rows.length} (${audited.length} audited${rows.length > audited.length ? `, ${rows.length - audited.length} failed` : ''})</p>
+        <p><strong>Average score:</strong> ${average(audited.map(row => row.overall)) ?? 'n/a'}</p>
+        <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+    </div>
+    ${audited.length > 0 ? charts(rows) : ''}
+    <div class="section">
+        <table class="sites">
+            <thead>
+                <tr><th></th>${columns.map(([label, type]) => html`<th data-sort="${type}">${label}</th>`)}</tr>
+            </thead>
+            <tbody>
+            ${rows.map(tableRow)}
+            </tbody>
+        </table>
+        <p class="muted">Click a column to sort. Thumbnails open the site's full report.</p>
+    </div>
+    ${branding.footer ? html`<div class="footer">${branding.footer}</div>` : ''}`}
+    <script>${SORT_SCRIPT}
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    name: 'dashboard',
+    scope: 'run',
+    file: 'index.html',
+    render: async (results, { settings, outputDir }) => renderDashboard(results, {
+        outputDir,
+        settings,
+        logo: await loadLogo(settings.report?.branding)
+    })
+};
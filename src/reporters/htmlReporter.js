@@ -0,0 +1,495 @@
+const path = require('path');
+const { formatBytes } = require('../checks/network');
+const { scoreRating } = require('../checks/scoring');
+const { FUNNEL_STEPS } = require('../checks/funnel');
+const { escapeHtml, html, raw } = require('../utils/html');
+const { resolveTheme, themeCss, loadLogo, brandHeader } = require('./themes');
+
+// audit_report.html. Everything from the audited site goes through the html
+// tag, which escapes it; only plugin sections are inserted as they are.
+
+// Resource-type columns of the report's page weight table
+const NETWORK_REPORT_TYPES = ['document', 'script', 'stylesheet', 'image', 'font', 'media', 'xhr', 'other'];
+
+// Files the report points at are relative to the site's folder. `assets.url`
+// maps them to what goes in the page (null leaves them out); a standalone
+// report shows images inline instead of linking to them.
+const LINKED_FILES = { url: file => file, inlineImages: false };
+
+function imageLink(assets, file, label) {
+    const url = file ? assets.url(file) : null;
+    if (!url) return '-';
+    return assets.inlineImages
+        ? html`<details><summary>${label}</summary><img src="${url}" alt="${label}" class="screenshot"></details>`
+        : html`<a href="${url}">${label}</a>`;
+}
+
+function fileLink(assets, file, label) {
+    const url = file ? assets.url(file) : null;
+    return url ? html`<a href="${url}">${label}</a>` : '-';
+}
+
+// The close-up of an issue's element and a link to the annotated screenshot
+// with its marker
+function annotationBlock(annotation, assets) {
+    const closeUp = annotation.closeUp ? assets.url(annotation.closeUp) : null;
+    return html`
+                <div class="annotation">
+                    ${closeUp ? html`<img src="${closeUp}" alt="Marker ${annotation.number}" class="close-up">` : ''}
+                    <small>Marker ${annotation.number} on the ${imageLink(assets, annotation.image, 'annotated screenshot')}</small>
+                </div>`;
+}
+
+function styles(theme) {
+    return raw(`
+        ${themeCss(theme)}
+        body { font-family: Arial, sans-serif; max-width: 1200px; margin: 0 auto; padding: 20px; background: var(--background); color: var(--text); }
+        a { color: var(--accent); }
+        .header { background: var(--header); padding: 20px; border-radius: 8px; margin-bottom: 20px; border-top: 4px solid var(--accent); }
+        .brand { display: flex; align-items: center; gap: 12px; margin-bottom: 10px; font-weight: bold; }
+        .brand a { color: inherit; text-decoration: none; }
+        .logo { max-height: 48px; max-width: 200px; }
+        .footer { margin-top: 40px; padding-top: 10px; border-top: 1px solid var(--border); color: var(--muted); font-size: 13px; }
+        .section { margin-bottom: 30px; }
+        .section h2 { color: var(--accent); }
+        .screenshot { max-width: 100%; border: 1px solid var(--border); margin: 10px 0; }
+        .issue { background: var(--panel); padding: 10px; margin: 5px 0; border-left: 4px solid #ffc107; }
+        .issue.SEO { border-left-color: #007bff; }
+        .issue.Performance { border-left-color: #dc3545; }
+        .issue.Accessibility { border-left-color: #6f42c1; }
+        .issue.Structured { border-left-color: #0d6efd; }
+        .issue.Links { border-left-color: #6c757d; }
+        .issue.Security { border-left-color: #fd7e14; }
+        .issue.Conversion { border-left-color: #d63384; }
+        .issue.Custom { border-left-color: #198754; }
+        ${theme.tintedIssues ? `
+        .issue { background: #fff3cd; }
+        .issue.SEO { background: #d1ecf1; }
+        .issue.Performance { background: #f8d7da; }
+        .issue.Accessibility { background: #f3edfb; }
+        .issue.Structured { background: #e7f1ff; }
+        .issue.Links { background: #f1f3f5; }
+        .issue.Security { background: #ffeaa7; }
+        .issue.Conversion { background: #fbe7f1; }
+        .issue.Custom { background: #e8f5ee; }
+        .popup-info { background: #e7f3ff; }` : ''}
+        .step.passed { color: #198754; }
+        .step.failed { color: #dc3545; font-weight: bold; }
+        .step.skipped, .step.not-reached { color: var(--muted); }
+        .metrics { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; }
+        .metric { background: var(--panel); padding: 15px; border-radius: 5px; text-align: center; }
+        .popup-info { padding: 15px; border-radius: 5px; border-left: 4px solid var(--accent); }
+        .popup-detail { background: var(--panel); padding: 10px; margin: 10px 0; border-radius: 3px; }
+        .severity { display: inline-block; font-size: 12px; padding: 1px 6px; border-radius: 3px; background: #6c757d; color: #fff; margin-left: 6px; }
+        .severity.critical { background: #dc3545; }
+        .severity.serious { background: #fd7e14; }
+        .severity.moderate { background: #ffc107; color: #333; }
+        .severity.minor { background: #adb5bd; }
+        .scores { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 15px; }
+        .score { padding: 15px; border-radius: 5px; text-align: center; background: var(--panel); border-top: 4px solid #adb5bd; }
+        .score h3 { font-size: 32px; margin: 5px 0; }
+        .score.overall { background: var(--header); }
+        .score.good { border-top-color: #198754; }
+        .score.needs-improvement { border-top-color: #ffc107; }
+        .score.poor { border-top-color: #dc3545; }
+        .rule-id { font-family: monospace; font-size: 12px; color: var(--muted); margin-left: 6px; }
+        .remediation { font-size: 13px; margin-top: 4px; }
+        .snippet { background: var(--panel); padding: 6px; font-size: 12px; white-space: pre-wrap; word-break: break-all; margin: 6px 0 0; }
+        .vital.good { color: #198754; }
+        .vital.needs-improvement { color: #b58100; }
+        .vital.poor { color: #dc3545; font-weight: bold; }
+        .crawl { width: 100%; border-collapse: collapse; font-size: 14px; }
+        .crawl th, .crawl td { text-align: left; padding: 6px; border-bottom: 1px solid var(--border); word-break: break-all; }
+        summary { cursor: pointer; color: var(--accent); }
+        .annotation { margin-top: 6px; }
+        .close-up { display: block; max-width: 360px; max-height: 200px; border: 1px solid var(--border); margin-bottom: 4px; }`);
+}
+
+function popupSection(popups, assets) {
+    return html`
+    <div class="section">
+        <h2>Popup Analysis</h2>
+        <div class="popup-info">
+            <p><strong>Type:</strong> ${popups.popupType}</p>
+            <p><strong>Email Platform:</strong> ${popups.emailPlatform || 'Unknown'}</p>
+            ${popups.emailPlatformDetails.length > 1 ? html`<p><strong>Additional Platforms:</strong> ${popups.emailPlatformDetails.slice(1).join(', ')}</p>` : ''}
+            ${popups.appearedAfterMs !== undefined ? html`<p><strong>Appeared:</strong> ${(popups.appearedAfterMs / 1000).toFixed(1)}s after navigation (${popups.trigger})</p>` : ''}
+            ${popups.coverage?.mobile ? html`<p><strong>Mobile Coverage:</strong> ${Math.round(popups.coverage.mobile.coverage * 100)}% of a ${popups.coverage.mobile.viewport.width}x${popups.coverage.mobile.viewport.height} screen${popups.coverage.mobile.blocksPage ? ', page behind it blocked' : ''}${popups.intrusive ? ' (intrusive)' : ''}</p>` : ''}
+            ${popups.dismissal && Object.keys(popups.dismissal).length > 0 ? html`
+            <table class="crawl">
+                <tr><th>Closes with</th><th>Result</th></tr>
+                ${Object.entries(popups.dismissal).map(([method, outcome]) => html`
+                <tr>
+                    <td>${method.replace('-', ' ')}</td>
+                    <td class="step ${{ works: 'passed', fails: 'failed' }[outcome] || 'skipped'}">${outcome.replace('-', ' ')}</td>
+                </tr>
+                `)}
+            </table>
+            ` : ''}
+            ${popups.screenshots?.open ? html`<p><strong>Screenshots:</strong> ${imageLink(assets, popups.screenshots.open, 'open')}${popups.screenshots.closed ? html` / ${imageLink(assets, popups.screenshots.closed, 'closed')}` : ''}</p>` : ''}
+            <div class="popup-details">
+                <h3>Popup Details:</h3>
+                ${popups.popupDetails.map(popup => html`
+                    <div class="popup-detail">
+                        <p><strong>Email Input:</strong> ${popup.hasEmailInput ? 'Yes' : 'No'}</p>
+                        <p><strong>Size:</strong> ${popup.width}x${popup.height}px</p>
+                        <p><strong>Preview:</strong> ${popup.text.substring(0, 100)}...</p>
+                        ${popup.annotation ? annotationBlock(popup.annotation, assets) : ''}
+                    </div>
+                `)}
+            </div>
+        </div>
+    </div>`;
+}
+
+function scoresSection(scores) {
+    return html`
+    <div class="section">
+        <h2>Scores</h2>
+        <div class="scores">
+            <div class="score overall ${scoreRating(scores.overall)}">
+                <h3>${scores.overall}/100</h3>
+                <p><strong>Overall</strong></p>
+            </div>
+            ${Object.values(scores.categories).filter(category => category.score !== null).map(category => html`
+            <div class="score ${scoreRating(category.score)}">
+                <h3>${category.score}/100</h3>
+                <p><strong>${category.label}</strong></p>
+                <small>${category.issueCount} issue(s)${category.deductions.length > 0 ? `; most costly: ${category.deductions[0].title}` : ''}</small>
+            </div>
+            `)}
+        </div>
+    </div>`;
+}
+
+function metricsSection(auditData) {
+    return html`
+    <div class="section">
+        <h2>Performance Metrics</h2>
+        <div class="metrics">
+            <div class="metric">
+                <h3>${auditData.metrics.performance?.loadTime || 'N/A'}ms</h3>
+                <p>Page Load Time</p>
+            </div>
+            <div class="metric">
+                <h3>${auditData.metrics.performance?.imageCount || 0}</h3>
+                <p>Images</p>
+            </div>
+            <div class="metric">
+                <h3>${auditData.pages.length}</h3>
+                <p>Pages Captured</p>
+            </div>
+            <div class="metric">
+                <h3>${auditData.issues.filter(issue => issue.severity === 'critical' || issue.severity === 'serious').length}</h3>
+                <p>Critical/Serious Issues</p>
+            </div>
+            <div class="metric">
+                <h3>${auditData.popups ? (auditData.popups.hasPopup ? 'Yes' : 'No') : 'Unknown'}</h3>
+                <p>Popup Detected</p>
+            </div>
+            <div class="metric">
+                <h3>${auditData.popups?.emailPlatform || 'None'}</h3>
+                <p>Email Platform</p>
+            </div>
+        </div>
+    </div>`;
+}
+
+function webVitalsSection(webVitals) {
+    return html`
+    <div class="section">
+        <h2>Core Web Vitals (lab)</h2>
+        <table class="crawl">
+            <tr><th>Device</th><th>Throttling</th><th>TTFB</th><th>FCP</th><th>LCP</th><th>CLS</th><th>TBT</th><th>INP</th></tr>
+            ${Object.entries(webVitals).map(([device, vitals]) => vitals.error ? html`
+            <tr><td>${device}</td><td colspan="7">Not measured: ${vitals.error}</td></tr>
+            ` : html`
+            <tr>
+                <td>${device}</td>
+                <td>${vitals.throttling.network}, ${vitals.throttling.cpu}x CPU</td>
+                ${['ttfb', 'fcp', 'lcp', 'cls', 'tbt', 'inp'].map(metric => html`<td class="vital ${vitals.ratings[metric] || ''}">${vitals[metric] ?? 'n/a'}${vitals[metric] !== null && metric !== 'cls' ? 'ms' : ''}</td>`)}
+            </tr>
+            ${vitals.lcpElement?.selector ? html`<tr><td></td><td colspan="7"><small>LCP element: <code>${vitals.lcpElement.selector}</code>${vitals.lcpElement.url ? ` (${vitals.lcpElement.url})` : ''}</small></td></tr>` : ''}
+            `)}
+        </table>
+    </div>`;
+}
+
+function networkSection(network, assets) {
+    return html`
+    <div class="section">
+        <h2>Page Weight</h2>
+        <table class="crawl">
+            <tr><th>Page</th><th>Requests</th><th>Total</th><th>Third-party</th>${NETWORK_REPORT_TYPES.map(type => html`<th>${type}</th>`)}<th>HAR</th></tr>
+            ${network.pages.map(networkPage => html`
+            <tr>
+                <td>${networkPage.url}</td>
+                <td>${networkPage.requestCount}</td>
+                <td>${formatBytes(networkPage.totalBytes)}</td>
+                <td>${formatBytes(networkPage.thirdPartyBytes)} (${networkPage.thirdPartyRequests})</td>
+                ${NETWORK_REPORT_TYPES.map(type => html`<td>${networkPage.byType[type] ? formatBytes(networkPage.byType[type].bytes) : '-'}</td>`)}
+                <td>${fileLink(assets, networkPage.harFile, 'HAR')}</td>
+            </tr>
+            `)}
+        </table>
+    </div>`;
+}
+
+function shopifySection(shopify) {
+    const { theme, catalog } = shopify;
+    return html`
+    <div class="section">
+        <h2>Shopify Store</h2>
+        <div class="metrics">
+            <div class="metric"><h3>${theme ? theme.schemaName || theme.name : 'Unknown'}</h3><p>Theme${theme?.schemaVersion ? ` v${theme.schemaVersion}` : ''}${theme?.name && theme.schemaName ? ` (${theme.name})` : ''}</p></div>
+            <div class="metric"><h3>${catalog ? `${catalog.productCount}${catalog.complete ? '' : '+'}` : 'N/A'}</h3><p>Products (${catalog?.collectionCount ?? 0} collections)</p></div>
+            <div class="metric"><h3>${catalog ? `${Math.round(catalog.outOfStockRatio * 100)}%` : 'N/A'}</h3><p>Products sold out</p></div>
+            <div class="metric"><h3>${catalog ? `${Math.round(catalog.compareAtRatio * 100)}%` : 'N/A'}</h3><p>Variants with compare-at price</p></div>
+            <div class="metric"><h3>${catalog?.withoutImages.length ?? 'N/A'}</h3><p>Products without images</p></div>
+            <div class="metric"><h3>${catalog?.withoutDescription.length ?? 'N/A'}</h3><p>Products without descriptions</p></div>
+        </div>
+        <p><strong>Endpoints:</strong> ${Object.entries(shopify.endpoints).map(([name, status]) => `${name}: ${status}`).join(', ')}</p>
+        ${shopify.apps.length > 0 ? html`
+        <table class="crawl">
+            <tr><th>App</th><th>Installed as</th><th>Script</th></tr>
+            ${shopify.apps.map(app => html`
+            <tr><td>${app.name}</td><td>${app.source === 'app-extension' ? 'Theme app extension' : 'Script tag'}</td><td><small>${app.url}</small></td></tr>
+            `)}
+        </table>
+        ` : html`<p>No app scripts found on the homepage.</p>`}
+    </div>`;
+}
+
+function funnelSection(funnel, assets) {
+    return html`
+    <div class="section">
+        <h2>Purchase Funnel</h2>
+        <p>${funnel.completed ? `Reached checkout in ${(funnel.totalMs / 1000).toFixed(1)}s` : 'The funnel did not reach checkout'}, starting from ${funnel.productUrl}</p>
+        <table class="crawl">
+            <tr><th>Step</th><th>Result</th><th>Time</th><th>Detail</th><th>Screenshot</th></tr>
+            ${FUNNEL_STEPS.map(name => funnel.steps.find(step => step.name === name) || { name, status: 'not-reached' }).map(step => html`
+            <tr>
+                <td>${step.name}</td>
+                <td class="step ${step.status}">${step.status.replace('-', ' ')}</td>
+                <td>${step.durationMs !== undefined ? `${(step.durationMs / 1000).toFixed(1)}s` : '-'}</td>
+                <td>${step.detail || ''}${step.jsErrors?.length > 0 ? html`<br><small>JS errors: ${step.jsErrors.join('; ')}</small>` : ''}</td>
+                <td>${imageLink(assets, step.screenshot, 'view')}</td>
+            </tr>
+            `)}
+        </table>
+    </div>`;
+}
+
+function visualSection(visual, threshold, assets) {
+    return html`
+    <div class="section">
+        <h2>Visual Changes</h2>
+        <p>Compared with the ${visual.type === 'baseline' ? 'pinned baseline' : 'previous run'}${visual.createdAt ? ` from ${new Date(visual.createdAt).toLocaleString()}` : ''} (${visual.directory})</p>
+        <table class="crawl">
+            <tr><th>Page</th><th>Result</th><th>Changed</th><th>Diff</th></tr>
+            ${visual.pages.map(result => html`
+            <tr>
+                <td>${result.name}</td>
+                <td class="step ${{ unchanged: 'passed', changed: result.changedRatio > threshold ? 'failed' : 'passed', error: 'failed' }[result.status] || 'skipped'}">${result.status.replace('-', ' ')}</td>
+                <td>${result.changedRatio !== undefined ? `${(result.changedRatio * 100).toFixed(1)}%${result.sizeChanged ? ' (size changed)' : ''}` : result.error || '-'}</td>
+                <td>${imageLink(assets, result.diff, 'view')}</td>
+            </tr>
+            `)}
+        </table>
+    </div>`;
+}
+
+function seoSection(seo) {
+    return html`
+    <div class="section">
+        <h2>SEO Summary</h2>
+        <div class="metrics">
+            <div class="metric"><h3>${seo.summary.pagesWithFindings}/${seo.summary.pagesAnalyzed}</h3><p>Pages with findings</p></div>
+            <div class="metric"><h3>${seo.summary.duplicateTitles.length}</h3><p>Duplicate titles</p></div>
+            <div class="metric"><h3>${seo.summary.noindexPages.length}</h3><p>Noindex pages</p></div>
+            <div class="metric"><h3>${seo.summary.averageWordCount}</h3><p>Average words</p></div>
+        </div>
+        <table class="crawl">
+            <tr><th>Page</th><th>Title</th><th>Words</th><th>Links (int/ext)</th><th>Canonical</th><th>Indexable</th><th>Findings</th></tr>
+            ${seo.pages.map(seoPage => html`
+            <tr>
+                <td>${seoPage.url}</td>
+                <td>${seoPage.title || '-'} <small>(${(seoPage.title || '').length})</small></td>
+                <td>${seoPage.wordCount}</td>
+                <td>${seoPage.links.internal}/${seoPage.links.external}</td>
+                <td>${seoPage.canonical ? (seoPage.canonical === seoPage.url ? 'self' : seoPage.canonical) : '-'}</td>
+                <td>${seoPage.noindex ? 'No' : 'Yes'}</td>
+                <td>${seoPage.findings.length}</td>
+            </tr>
+            `)}
+        </table>
+    </div>`;
+}
+
+function structuredDataSection(structuredData) {
+    const matches = value => value === null ? 'n/a' : value ? 'yes' : 'no';
+    return html`
+    <div class="section">
+        <h2>Structured Data</h2>
+        <p>${structuredData.summary.productPagesWithSchema} of ${structuredData.summary.productPagesChecked} product page(s) have Product schema; ${structuredData.summary.priceMismatches} price mismatch(es) with the visible page</p>
+        <table class="crawl">
+            <tr><th>Page</th><th>Formats</th><th>Types</th><th>Product</th><th>Price</th><th>Availability</th><th>Matches page</th><th>Findings</th></tr>
+            ${structuredData.pages.map(structuredDataPage => html`
+            <tr>
+                <td>${structuredDataPage.url}</td>
+                <td>${structuredDataPage.formats.join(', ') || '-'}</td>
+                <td>${Object.keys(structuredDataPage.types).join(', ') || '-'}</td>
+                <td>${structuredDataPage.products.map(product => product.name || '(unnamed)').join(', ') || '-'}</td>
+                <td>${structuredDataPage.products.map(product => `${product.prices.join('/')} ${product.currency || ''}`.trim()).join(', ') || '-'}</td>
+                <td>${structuredDataPage.products.map(product => product.availability || '-').join(', ') || '-'}</td>
+                <td>${structuredDataPage.products.length > 0 ? structuredDataPage.products.map((product, index) => html`${index > 0 ? html`<br>` : ''}title ${matches(product.titleMatches)}, price ${matches(product.priceMatches)}`) : '-'}</td>
+                <td>${structuredDataPage.findings.length}</td>
+            </tr>
+            `)}
+        </table>
+    </div>`;
+}
+
+function thirdPartySection(thirdParties) {
+    return html`
+    <div class="section">
+        <h2>Third-Party Tools (${thirdParties.vendors.filter(vendor => vendor.category !== 'unrecognized').length} recognized)</h2>
+        ${!thirdParties.measured.network ? html`<p>Enable the network check to see bytes and requests per vendor.</p>` : ''}
+        ${!thirdParties.measured.mainThread ? html`<p>Main-thread time needs a Core Web Vitals trace of the homepage.</p>` : ''}
+        <table class="crawl">
+            <tr><th>Vendor</th><th>Category</th><th>Requests</th><th>Bytes</th><th>Main thread</th><th>Detected by</th></tr>
+            ${thirdParties.vendors.map(vendor => html`
+            <tr>
+                <td>${vendor.name}</td>
+                <td>${vendor.categoryLabel}</td>
+                <td>${vendor.requests}</td>
+                <td>${formatBytes(vendor.bytes)}</td>
+                <td>${vendor.mainThreadMs}ms</td>
+                <td><small>${[...vendor.evidence, ...vendor.hosts].join(', ')}</small></td>
+            </tr>
+            `)}
+        </table>
+    </div>`;
+}
+
+function issuesSection(issues, assets) {
+    return html`
+    <div class="section">
+        <h2>Issues by Severity</h2>
+        ${issues.map(issue => html`
+            <div class="issue ${issue.type}">
+                <strong>${issue.type}:</strong> ${issue.issue}
+                ${issue.severity ? html`<span class="severity ${issue.severity}">${issue.severity}</span>` : ''}
+                ${issue.id ? html`<span class="rule-id">${issue.id}</span>` : ''}
+                ${issue.url ? html`<br><small>${issue.url}${issue.device ? ` (${issue.device})` : ''}</small>` : ''}
+                ${issue.sourcePages ? html`<br><small>Found on: ${issue.sourcePages.slice(0, 5).join(', ')}${issue.sourcePages.length > 5 ? ` and ${issue.sourcePages.length - 5} more` : ''}</small>` : ''}
+                ${issue.urls ? html`<br><small>${issue.urls.slice(0, 10).map((url, index) => html`${index > 0 ? html`<br>` : ''}${url}`)}${issue.urls.length > 10 ? html`<br>...and ${issue.urls.length - 10} more` : ''}</small>` : ''}
+                ${issue.selector ? html`<br><code>${issue.selector}</code>` : ''}
+                ${issue.evidence ? html`<pre class="snippet">${issue.evidence}</pre>` : ''}
+                ${issue.remediation ? html`<div class="remediation"><strong>Fix:</strong> ${issue.remediation}</div>` : ''}
+                ${issue.annotation ? annotationBlock(issue.annotation, assets) : ''}
+            </div>
+        `)}
+    </div>`;
+}
+
+function crawlSection(crawl) {
+    return html`
+    <div class="section">
+        <h2>Crawled Pages (${crawl.pages.length})</h2>
+        <p>${crawl.sitemapUrlCount} URL(s) in sitemap, ${crawl.disallowed.length} blocked by robots.txt${crawl.crawlDelay ? `, crawl-delay ${crawl.crawlDelay / 1000}s` : ''}</p>
+        <table class="crawl">
+            <tr><th>Page</th><th>Type</th><th>Depth</th><th>Issues</th></tr>
+            ${crawl.pages.map(crawledPage => html`
+            <tr><td>${crawledPage.url}</td><td>${crawledPage.type}</td><td>${crawledPage.depth}</td><td>${crawledPage.issueCount ?? '-'}</td></tr>
+            `)}
+        </table>
+    </div>`;
+}
+
+function screenshotsSection(pages, outputDir, assets) {
+    return html`
+    <div class="section">
+        <h2>Screenshots</h2>
+        ${pages.map(page => {
+            const url = page.screenshot ? assets.url(path.relative(outputDir, page.screenshot)) : null;
+            return html`
+            <div>
+                <h3>${page.name.replace(/_/g, ' ').toUpperCase()} - ${page.title}</h3>
+                ${url ? html`<img src="${url}" alt="${page.name}" class="screenshot">` : html`<p>No screenshot was captured.</p>`}
+            </div>`;
+        })}
+    </div>`;
+}
+
+// The report's markup. `outputDir` is the site's folder; `plugins` adds
+// plugin sections; `logo` is branding.logo as loadLogo() resolved it.
+function renderHtmlReport(auditData, { settings = {}, outputDir = auditData.outputDirectory || '.', plugins = null, logo = null, assets = LINKED_FILES } = {}) {
+    const report = settings.report || {};
+    const branding = report.branding || {};
+    const theme = resolveTheme(report);
+    const pluginSections = plugins ? plugins.reportSections(auditData, { escapeHtml, html }) : [];
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    ${html`<title>${branding.name ? `${branding.name} - ` : ''}Website Audit Report - ${auditData.siteName}</title>`}
+    <style>${styles(theme)}
+    </style>
+</head>
+<body>${html`
+    <div class="header">
+        ${brandHeader(branding, logo)}
+        <h1>Website Audit Report</h1>
+        <p><strong>Site:</strong> ${auditData.url}</p>
+        <p><strong>Generated:</strong> ${new Date(auditData.timestamp).toLocaleString()}</p>
+        <p><strong>Platform:</strong> ${auditData.isShopify ? 'Shopify' : 'Unknown/Custom'}</p>
+        <p><strong>Classification:</strong> ${auditData.classification || 'Unknown'}</p>
+        ${auditData.popups ? html`
+        <p><strong>Popup Detected:</strong> ${auditData.popups.hasPopup ? `Yes (${auditData.popups.popupType})` : 'No'}</p>
+        ${auditData.popups.emailPlatform ? html`<p><strong>Email Platform:</strong> ${auditData.popups.emailPlatform}</p>` : ''}
+        ` : ''}
+    </div>
+
+    ${auditData.popups?.hasPopup ? popupSection(auditData.popups, assets) : ''}
+    ${auditData.scores?.overall !== null && auditData.scores?.overall !== undefined ? scoresSection(auditData.scores) : ''}
+    ${metricsSection(auditData)}
+    ${auditData.metrics.webVitals ? webVitalsSection(auditData.metrics.webVitals) : ''}
+    ${auditData.network?.pages.length > 0 ? networkSection(auditData.network, assets) : ''}
+    ${auditData.shopify ? shopifySection(auditData.shopify) : ''}
+    ${auditData.funnel ? funnelSection(auditData.funnel, assets) : ''}
+    ${auditData.visual ? visualSection(auditData.visual, settings.visualRegression?.threshold ?? 0.05, assets) : ''}
+    ${auditData.seo?.pages.length > 0 ? seoSection(auditData.seo) : ''}
+    ${auditData.structuredData?.pages.length > 0 ? structuredDataSection(auditData.structuredData) : ''}
+    ${auditData.thirdParties?.vendors.length > 0 ? thirdPartySection(auditData.thirdParties) : ''}
+
+    ${pluginSections.map(section => html`
+    <div class="section">
+        <h2>${section.title}</h2>
+        ${raw(section.html)}
+    </div>
+    `)}
+
+    ${issuesSection(auditData.issues, assets)}
+    ${auditData.crawl ? crawlSection(auditData.crawl) : ''}
+    ${screenshotsSection(auditData.pages, outputDir, assets)}
+
+    ${branding.footer ? html`<div class="footer">${branding.footer}</div>` : ''}`}
+</body>
+</html>`;
+}
+
+module.exports = {
+    name: 'html',
+    scope: 'site',
+    file: 'audit_report.html',
+    render: async (auditData, { settings, auditor, outputDir }) => renderHtmlReport(auditData, {
+        settings,
+        outputDir,
+        plugins: auditor ? auditor.getPlugins() : null,
+        logo: await loadLogo(settings.report?.branding)
+    }),
+    renderHtmlReport
+};
@@ -0,0 +1,68 @@
+const path = require('path');
+const { version } = require('../../package.json');
+
+// audit_data.json, in the shape documented by
+// schemas/audit-report.v1.schema.json. Bump SCHEMA_VERSION (and add a new
+// schema file) whenever a documented field changes meaning or goes away;
+// new optional fields don't need a bump.
+
+const SCHEMA_VERSION = 1;
+
+// Everything the report documents; the rest of auditData is check-specific
+// detail that goes under `raw` when output.includeRawData is on
+const CORE_FIELDS = ['url', 'finalUrl', 'siteName', 'name', 'tags', 'isShopify', 'classification', 'timestamp', 'outputDirectory', 'devices', 'scores', 'issues', 'pages'];
+
+function summarize(issues) {
+    const bySeverity = {};
+    const byCategory = {};
+    for (const issue of issues) {
+        bySeverity[issue.severity] = (bySeverity[issue.severity] || 0) + 1;
+        byCategory[issue.category] = (byCategory[issue.category] || 0) + 1;
+    }
+    return { issueCount: issues.length, bySeverity, byCategory };
+}
+
+function buildJsonReport(auditData, { includeRawData = true } = {}) {
+    const issues = auditData.issues || [];
+    const report = {
+        schemaVersion: SCHEMA_VERSION,
+        generator: { name: 'automated-website-auditor', version },
+        site: {
+            url: auditData.url,
+            finalUrl: auditData.finalUrl || auditData.url,
+            siteName: auditData.siteName,
+            name: auditData.name || null,
+            tags: auditData.tags || [],
+            isShopify: !!auditData.isShopify,
+            classification: auditData.classification || null
+        },
+        timestamp: auditData.timestamp,
+        outputDirectory: auditData.outputDirectory || null,
+        devices: auditData.devices || [],
+        scores: auditData.scores || null,
+        summary: summarize(issues),
+        issues,
+        pages: (auditData.pages || []).map(page => ({
+            name: page.name,
+            device: page.device || null,
+            url: page.url,
+            title: page.title || '',
+            screenshot: page.screenshot ? path.basename(page.screenshot) : null,
+            error: page.error || null
+        }))
+    };
+
+    if (includeRawData) {
+        report.raw = Object.fromEntries(Object.entries(auditData).filter(([key]) => !CORE_FIELDS.includes(key)));
+    }
+    return report;
+}
+
+module.exports = {
+    name: 'json',
+    scope: 'site',
+    file: 'audit_data.json',
+    render: (auditData, { settings }) => JSON.stringify(buildJsonReport(auditData, settings.output), null, 2),
+    buildJsonReport,
+    SCHEMA_VERSION
+};
@@ -0,0 +1,85 @@
+const { CATEGORIES, SEVERITIES } = require('../checks/rules');
+
+// junit.xml: one test suite per site and one test case per category, so CI
+// servers can show audits next to unit tests. A case fails when its category
+// has issues at output.failOn severity or worse (serious by default); milder
+// issues are listed in the case's output.
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters aren't allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+const describe = issue => `[${issue.severity}] ${issue.id}: ${issue.issue}${issue.url ? ` (${issue.url})` : ''}`;
+
+// { xml, tests, failures, errors } for one site
+function siteSuite(result, failRank) {
+    const name = escapeXml(result.name || result.url);
+    const timestamp = escapeXml(result.timestamp);
+    if (result.success === false) {
+        const xml = `  <testsuite name="${name}" tests="1" failures="0" errors="1" timestamp="${timestamp}">
+    <testcase classname="${escapeXml(result.siteName || result.url)}" name="Audit">
+      <error${result.errorKind ? ` type="${escapeXml(result.errorKind)}"` : ''} message="${escapeXml(result.error)}"/>
+    </testcase>
+  </testsuite>`;
+        return { xml, tests: 1, failures: 0, errors: 1 };
+    }
+
+    const issues = result.issues || [];
+    const categories = Object.keys(CATEGORIES).filter(category =>
+        (result.scores?.categories[category] && result.scores.categories[category].score !== null) ||
+        issues.some(issue => issue.category === category));
+
+    let failures = 0;
+    const cases = categories.map(category => {
+        const matching = issues.filter(issue => issue.category === category);
+        const failing = matching.filter(issue => SEVERITIES.indexOf(issue.severity) <= failRank);
+        const passing = matching.filter(issue => !failing.includes(issue));
+        const score = result.scores?.categories[category]?.score;
+        // Stable names let CI servers track each category across runs
+        const output = [
+            ...(score !== null && score !== undefined ? [`Score: ${score}/100`] : []),
+            ...passing.map(describe)
+        ];
+        let body = '';
+        if (failing.length > 0) {
+            failures++;
+            body += `\n      <failure message="${escapeXml(`${failing.length} issue(s) at ${SEVERITIES[failRank]} or worse`)}" type="${escapeXml(failing[0].severity)}">${escapeXml(failing.map(describe).join('\n'))}</failure>`;
+        }
+        if (output.length > 0) {
+            body += `\n      <system-out>${escapeXml(output.join('\n'))}</system-out>`;
+        }
+        return `    <testcase classname="${escapeXml(result.siteName)}" name="${escapeXml(CATEGORIES[category].label)}">${body}${body ? '\n    ' : ''}</testcase>`;
+    });
+
+    const xml = `  <testsuite name="${name}" tests="${cases.length}" failures="${failures}" errors="0" timestamp="${timestamp}">
+${cases.join('\n')}
+  </testsuite>`;
+    return { xml, tests: cases.length, failures, errors: 0 };
+}
+
+function renderJunit(results, { settings }) {
+    const failRank = SEVERITIES.indexOf(settings.output?.failOn || 'serious');
+    const suites = results.map(result => siteSuite(result, failRank));
+    const count = key => suites.reduce((total, suite) => total + suite[key], 0);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Website audit" tests="${count('tests')}" failures="${count('failures')}" errors="${count('errors')}">
+${suites.map(suite => suite.xml).join('\n')}
+</testsuites>
+`;
+}
+
+module.exports = {
+    name: 'junit',
+    scope: 'run',
+    file: 'junit.xml',
+    render: renderJunit,
+    escapeXml,
+    siteSuite
+};
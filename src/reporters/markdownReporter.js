@@ -0,0 +1,58 @@
+const { SEVERITIES } = require('../checks/rules');
+
+// audit_report.md: scores and issues in GitHub-flavoured Markdown, short
+// enough to paste into a ticket
+
+// Keeps page text from breaking tables or starting Markdown syntax
+function escapeMarkdown(value) {
+    return String(value ?? '')
+        .replace(/\s+/g, ' ')
+        .replace(/([\\`*_[\]|<>])/g, '\\$1')
+        .trim();
+}
+
+function renderMarkdown(auditData) {
+    const lines = [
+        `# Website Audit: ${escapeMarkdown(auditData.name || auditData.url)}`,
+        '',
+        `- **URL:** ${auditData.url}`,
+        `- **Audited:** ${new Date(auditData.timestamp).toLocaleString()}`,
+        `- **Shopify store:** ${auditData.isShopify ? 'Yes' : 'No'}`
+    ];
+    if (auditData.scores?.overall !== null && auditData.scores?.overall !== undefined) {
+        lines.push(`- **Overall score:** ${auditData.scores.overall}/100`);
+    }
+
+    const categories = Object.values(auditData.scores?.categories || {}).filter(category => category.score !== null);
+    if (categories.length > 0) {
+        lines.push('', '## Scores', '', '| Category | Score | Issues |', '| --- | ---: | ---: |');
+        categories.forEach(category => lines.push(`| ${category.label} | ${category.score} | ${category.issueCount} |`));
+    }
+
+    const issues = auditData.issues || [];
+    lines.push('', `## Issues (${issues.length})`);
+    if (issues.length === 0) {
+        lines.push('', 'No issues found.');
+    }
+    for (const severity of SEVERITIES) {
+        const matching = issues.filter(issue => issue.severity === severity);
+        if (matching.length === 0) continue;
+        lines.push('', `### ${severity[0].toUpperCase()}${severity.slice(1)} (${matching.length})`, '');
+        matching.forEach(issue => {
+            const where = [issue.url, issue.selector && `\`${issue.selector.replace(/`/g, "'")}\``].filter(Boolean).join(' ');
+            lines.push(`- **${escapeMarkdown(issue.title)}** (\`${issue.id}\`): ${escapeMarkdown(issue.issue)}${where ? ` — ${where}` : ''}`);
+            if (issue.remediation) lines.push(`  - Fix: ${escapeMarkdown(issue.remediation)}`);
+            if (issue.annotation) lines.push(`  - Screenshot: [marker ${issue.annotation.number}](${issue.annotation.closeUp || issue.annotation.image})`);
+        });
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    name: 'markdown',
+    scope: 'site',
+    file: 'audit_report.md',
+    render: auditData => renderMarkdown(auditData),
+    escapeMarkdown
+};
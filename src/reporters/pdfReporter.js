@@ -0,0 +1,330 @@
+const path = require('path');
+const { CATEGORIES, SEVERITIES } = require('../checks/rules');
+const { scoreRating } = require('../checks/scoring');
+const { html, raw } = require('../utils/html');
+const { resolveTheme, themeCss, loadLogo } = require('./themes');
+const { inlineImages } = require('./standaloneReporter');
+
+// audit_report.pdf: the client deliverable - a cover page, an executive
+// summary, findings per category with screenshots and an appendix, printed
+// with page.pdf() from a print layout of its own. report.pdf picks the page
+// size and sections; branding comes from report.branding.
+
+const PDF_SECTIONS = ['cover', 'summary', 'findings', 'appendix'];
+const PDF_FORMATS = ['A3', 'A4', 'A5', 'Letter', 'Legal', 'Tabloid'];
+
+const RATING_LABELS = { good: 'Good', 'needs-improvement': 'Needs improvement', poor: 'Poor', unscored: 'Not scored' };
+
+// Page URLs as captured and as issues report them differ by trailing slash
+// or fragment now and then
+function samePage(a, b) {
+    const normalize = url => String(url || '').replace(/#.*$/, '').replace(/\/$/, '');
+    return normalize(a) === normalize(b);
+}
+
+// The captured page an issue was found on, on the issue's device or the
+// primary one
+function pageForIssue(issue, auditData) {
+    if (!issue.url) return null;
+    const device = issue.device || auditData.devices?.[0];
+    const pages = auditData.pages.filter(page => page.screenshot && samePage(page.url, issue.url));
+    return pages.find(page => !page.device || page.device === device) || pages[0] || null;
+}
+
+function issuesByCategory(issues, minSeverity) {
+    const limit = SEVERITIES.indexOf(minSeverity);
+    const groups = new Map();
+    for (const issue of issues) {
+        if (limit >= 0 && SEVERITIES.indexOf(issue.severity) > limit) continue;
+        const category = issue.category || 'custom';
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(issue);
+    }
+    // In the order categories are defined, errors last
+    return Object.keys(CATEGORIES).filter(category => groups.has(category)).map(category => [category, groups.get(category)]);
+}
+
+function styles(theme) {
+    return raw(`
+        ${themeCss(theme)}
+        body { font-family: Arial, sans-serif; color: var(--text); font-size: 11pt; margin: 0; }
+        h1, h2, h3 { color: var(--accent); }
+        h2 { border-bottom: 2px solid var(--accent); padding-bottom: 4px; }
+        a { color: var(--accent); }
+        .page { break-before: page; }
+        .cover { text-align: center; padding-top: 40mm; }
+        .cover .logo { max-height: 25mm; max-width: 80mm; margin-bottom: 15mm; }
+        .cover h1 { font-size: 30pt; margin: 0 0 5mm; }
+        .cover .site { font-size: 16pt; margin: 0 0 15mm; }
+        .cover .hero { width: 150mm; height: 85mm; object-fit: cover; object-position: top; border: 1px solid var(--border); }
+        .cover .meta { color: var(--muted); margin-top: 10mm; }
+        .big-score { font-size: 40pt; font-weight: bold; margin: 0; }
+        .score-cell.good, .big-score.good { color: #198754; }
+        .score-cell.needs-improvement, .big-score.needs-improvement { color: #b58100; }
+        .score-cell.poor, .big-score.poor { color: #dc3545; }
+        .facts { display: grid; grid-template-columns: repeat(3, 1fr); gap: 4mm; margin: 5mm 0; }
+        .fact { background: var(--panel); padding: 3mm; border-radius: 2mm; text-align: center; }
+        .fact strong { display: block; font-size: 14pt; }
+        table { width: 100%; border-collapse: collapse; font-size: 9.5pt; margin: 3mm 0; }
+        th, td { text-align: left; padding: 1.5mm; border-bottom: 1px solid var(--border); vertical-align: top; word-break: break-word; }
+        tr { break-inside: avoid; }
+        .severity { display: inline-block; font-size: 8pt; padding: 0.5mm 1.5mm; border-radius: 1mm; background: #6c757d; color: #fff; text-transform: uppercase; }
+        .severity.critical { background: #dc3545; }
+        .severity.serious { background: #fd7e14; }
+        .severity.moderate { background: #ffc107; color: #333; }
+        .severity.minor { background: #adb5bd; }
+        .finding { border-left: 3px solid var(--border); padding: 1mm 0 1mm 3mm; margin: 3mm 0; break-inside: avoid; }
+        .finding .title { font-weight: bold; }
+        .finding small, .muted { color: var(--muted); }
+        .finding code { font-size: 8.5pt; word-break: break-all; }
+        .fix { margin-top: 1mm; }
+        .shots { display: grid; grid-template-columns: repeat(2, 1fr); gap: 4mm; }
+        .shot { break-inside: avoid; margin: 0; }
+        .shot img { width: 100%; max-height: 110mm; object-fit: cover; object-position: top; border: 1px solid var(--border); }
+        .shot figcaption { font-size: 8.5pt; color: var(--muted); }
+        .close-up { display: block; max-width: 80mm; max-height: 45mm; border: 1px solid var(--border); margin-top: 1mm; }`);
+}
+
+function cover(auditData, { branding, logo, hero }) {
+    const overall = auditData.scores?.overall;
+    return html`
+    <div class="cover">
+        ${logo ? html`<img src="${logo}" alt="${branding.name || 'Logo'}" class="logo">` : ''}
+        <h1>Website Audit</h1>
+        <p class="site">${auditData.name || auditData.url}${auditData.name ? html`<br><small>${auditData.url}</small>` : ''}</p>
+        ${hero ? html`<img src="${hero}" alt="Homepage" class="hero">` : ''}
+        ${overall !== null && overall !== undefined ? html`<p class="big-score ${scoreRating(overall)}">${overall}/100</p>` : ''}
+        <p class="meta">${new Date(auditData.timestamp).toLocaleDateString()}${branding.name ? ` · Prepared by ${branding.name}` : ''}</p>
+    </div>`;
+}
+
+function summary(auditData) {
+    const scores = auditData.scores;
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, auditData.issues.filter(issue => issue.severity === severity).length]));
+    const primaryVitals = auditData.metrics.webVitals?.[auditData.devices?.[0]];
+    const priorities = auditData.issues.filter(issue => issue.severity === 'critical' || issue.severity === 'serious').slice(0, 5);
+
+    return html`
+    <div class="page">
+        <h2>Executive Summary</h2>
+        ${scores?.overall !== null && scores?.overall !== undefined ? html`
+        <p>The site scores <strong class="score-cell ${scoreRating(scores.overall)}">${scores.overall}/100</strong> overall
+        (${RATING_LABELS[scoreRating(scores.overall)].toLowerCase()}), with ${auditData.issues.length} issue(s) found:
+        ${SEVERITIES.filter(severity => counts[severity] > 0).map(severity => `${counts[severity]} ${severity}`).join(', ') || 'none'}.</p>
+        ` : html`<p>${auditData.issues.length} issue(s) found.</p>`}
+        <div class="facts">
+            <div class="fact"><strong>${auditData.isShopify ? 'Shopify' : 'Custom'}</strong>Platform</div>
+            <div class="fact"><strong>${auditData.metrics.performance?.loadTime ? `${(auditData.metrics.performance.loadTime / 1000).toFixed(1)}s` : 'n/a'}</strong>Load time</div>
+            <div class="fact"><strong>${primaryVitals?.lcp ? `${(primaryVitals.lcp / 1000).toFixed(1)}s` : 'n/a'}</strong>Largest Contentful Paint</div>
+            <div class="fact"><strong>${auditData.popups ? (auditData.popups.hasPopup ? auditData.popups.popupType : 'None') : 'n/a'}</strong>Popup</div>
+            <div class="fact"><strong>${auditData.popups?.emailPlatform || 'None found'}</strong>Email platform</div>
+            <div class="fact"><strong>${auditData.crawl?.pages.length || auditData.pages.length}</strong>Pages audited</div>
+        </div>
+        ${scores ? html`
+        <table>
+            <tr><th>Category</th><th>Score</th><th>Rating</th><th>Issues</th></tr>
+            ${Object.values(scores.categories).filter(category => category.score !== null).map(category => html`
+            <tr>
+                <td>${category.label}</td>
+                <td class="score-cell ${scoreRating(category.score)}">${category.score}</td>
+                <td>${RATING_LABELS[scoreRating(category.score)]}</td>
+                <td>${category.issueCount}</td>
+            </tr>`)}
+        </table>
+        ` : ''}
+        ${priorities.length > 0 ? html`
+        <h3>Top priorities</h3>
+        <ol>
+            ${priorities.map(issue => html`<li><strong>${issue.title || issue.issue}</strong> - ${issue.remediation || issue.issue}</li>`)}
+        </ol>
+        ` : ''}
+    </div>`;
+}
+
+function finding(issue, images) {
+    const closeUp = issue.annotation?.closeUp ? images.get(issue.annotation.closeUp) : null;
+    return html`
+        <div class="finding">
+            <span class="severity ${issue.severity}">${issue.severity}</span>
+            <span class="title">${issue.title || issue.issue}</span>
+            ${issue.title && issue.issue !== issue.title ? html`<div>${issue.issue}</div>` : ''}
+            ${issue.url ? html`<small>${issue.url}${issue.device ? ` (${issue.device})` : ''}</small>` : ''}
+            ${issue.selector ? html`<div><code>${issue.selector}</code></div>` : ''}
+            ${issue.remediation ? html`<div class="fix"><strong>Fix:</strong> ${issue.remediation}</div>` : ''}
+            ${closeUp ? html`<img src="${closeUp}" alt="Marker ${issue.annotation.number}" class="close-up"><small>Marker ${issue.annotation.number}</small>` : ''}
+        </div>`;
+}
+
+function findings(auditData, { pdf, images, outputDir }) {
+    const maxIssues = pdf.maxIssuesPerCategory ?? 20;
+    return issuesByCategory(auditData.issues, pdf.minSeverity).map(([category, issues]) => {
+        const score = auditData.scores?.categories[category]?.score;
+        // The pages this category's issues were found on, most affected
+        // first; annotated screenshots are preferred to the plain ones
+        const shots = new Map();
+        for (const issue of issues) {
+            const page = pageForIssue(issue, auditData);
+            const annotated = issue.annotation && images.get(issue.annotation.image);
+            const image = annotated || (page && images.get(path.relative(outputDir, page.screenshot)));
+            if (!image) continue;
+            const key = page ? page.name : issue.annotation.image;
+            const shot = shots.get(key) || { url: issue.url || page.url, image, count: 0 };
+            if (annotated) shot.image = annotated;
+            shot.count++;
+            shots.set(key, shot);
+        }
+        const screenshots = [...shots.values()].sort((a, b) => b.count - a.count).slice(0, pdf.screenshotsPerCategory ?? 2);
+
+        return html`
+    <div class="page">
+        <h2>${CATEGORIES[category].label}${score !== null && score !== undefined ? ` - ${score}/100` : ''}</h2>
+        ${issues.slice(0, maxIssues).map(issue => finding(issue, images))}
+        ${issues.length > maxIssues ? html`<p class="muted">And ${issues.length - maxIssues} more in the full HTML report.</p>` : ''}
+        ${screenshots.length > 0 ? html`
+        <div class="shots">
+            ${screenshots.map(shot => html`
+            <figure class="shot">
+                <img src="${shot.image}" alt="${shot.url}">
+                <figcaption>${shot.url} - ${shot.count} issue(s)</figcaption>
+            </figure>`)}
+        </div>
+        ` : ''}
+    </div>`;
+    });
+}
+
+function appendix(auditData) {
+    const rules = new Map(auditData.issues.map(issue => [issue.id, issue]));
+    return html`
+    <div class="page">
+        <h2>Appendix</h2>
+        <h3>How this audit was run</h3>
+        <p>Audited on ${new Date(auditData.timestamp).toLocaleString()} in a headless browser on ${(auditData.devices || []).join(' and ') || 'desktop'}.
+        ${auditData.crawl ? `${auditData.crawl.pages.length} page(s) were crawled from the homepage and sitemap.` : 'The homepage and a sample of product pages were checked.'}
+        Scores start at 100 per category and lose points for each issue by severity.</p>
+        <h3>Pages captured</h3>
+        <table>
+            <tr><th>Page</th><th>Device</th><th>Title</th><th>URL</th></tr>
+            ${auditData.pages.map(page => html`<tr><td>${page.name}</td><td>${page.device || '-'}</td><td>${page.title || '-'}</td><td>${page.url || '-'}</td></tr>`)}
+        </table>
+        ${auditData.metrics.webVitals ? html`
+        <h3>Core Web Vitals (lab)</h3>
+        <table>
+            <tr><th>Device</th><th>TTFB</th><th>FCP</th><th>LCP</th><th>CLS</th><th>TBT</th></tr>
+            ${Object.entries(auditData.metrics.webVitals).filter(([, vitals]) => !vitals.error).map(([device, vitals]) => html`
+            <tr><td>${device}</td>${['ttfb', 'fcp', 'lcp', 'cls', 'tbt'].map(metric => html`<td>${vitals[metric] ?? 'n/a'}${vitals[metric] !== null && vitals[metric] !== undefined && metric !== 'cls' ? 'ms' : ''}</td>`)}</tr>`)}
+        </table>
+        ` : ''}
+        ${auditData.thirdParties?.vendors.length > 0 ? html`
+        <h3>Third-party tools</h3>
+        <table>
+            <tr><th>Vendor</th><th>Category</th><th>Requests</th><th>Main thread</th></tr>
+            ${auditData.thirdParties.vendors.filter(vendor => vendor.category !== 'unrecognized').map(vendor => html`
+            <tr><td>${vendor.name}</td><td>${vendor.categoryLabel}</td><td>${vendor.requests}</td><td>${vendor.mainThreadMs}ms</td></tr>`)}
+        </table>
+        ` : ''}
+        ${rules.size > 0 ? html`
+        <h3>Rules referenced</h3>
+        <table>
+            <tr><th>Rule</th><th>Title</th><th>Category</th></tr>
+            ${[...rules.values()].map(issue => html`<tr><td><code>${issue.id}</code></td><td>${issue.title || '-'}</td><td>${issue.type}</td></tr>`)}
+        </table>
+        ` : ''}
+    </div>`;
+}
+
+// The print layout; `images` maps screenshot paths (relative to outputDir)
+// to data URLs
+function renderPdfHtml(auditData, { settings = {}, outputDir = auditData.outputDirectory || '.', images = new Map(), logo = null } = {}) {
+    const report = settings.report || {};
+    const pdf = report.pdf || {};
+    const branding = report.branding || {};
+    // Always light: this is for paper
+    const theme = resolveTheme({ ...report, theme: 'light' });
+    // In the order report.pdf.sections lists them
+    const sections = [...new Set(pdf.sections || PDF_SECTIONS)];
+    const [primaryDevice] = auditData.devices || [];
+    const homepage = auditData.pages.find(page => page.name === `homepage_${primaryDevice}` && page.screenshot);
+    const hero = homepage ? images.get(path.relative(outputDir, homepage.screenshot)) : null;
+    const renderers = {
+        cover: () => cover(auditData, { branding, logo, hero }),
+        summary: () => summary(auditData),
+        findings: () => findings(auditData, { pdf, images, outputDir }),
+        appendix: () => appendix(auditData)
+    };
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    ${html`<title>Website Audit - ${auditData.name || auditData.url}</title>`}
+    <style>${styles(theme)}
+    </style>
+</head>
+<body>${html`
+    ${sections.map(section => renderers[section]())}`}
+</body>
+</html>`;
+}
+
+// Running footer: branding and site on the left, page numbers on the right.
+// Chrome renders it in its own context, so styles have to be inline.
+function footerTemplate(auditData, branding) {
+    return String(html`
+    <div style="font-size: 8px; color: #6c757d; width: 100%; padding: 0 12mm; display: flex; justify-content: space-between;">
+        <span>${branding.name ? `${branding.name} · ` : ''}${auditData.url}${branding.footer ? ` · ${branding.footer}` : ''}</span>
+        <span><span class="pageNumber"></span> / <span class="totalPages"></span></span>
+    </div>`);
+}
+
+async function renderPdf(auditData, { settings, auditor, outputDir }) {
+    const browser = auditor?.browser;
+    if (!browser?.isConnected()) {
+        throw new Error('the PDF report needs the browser, which is not running');
+    }
+    const report = settings.report || {};
+    const pdf = report.pdf || {};
+
+    // Screenshots are inlined: the layout is loaded into a blank tab that
+    // can't read files from the site's folder
+    const screenshots = new Set(auditData.pages.filter(page => page.screenshot).map(page => path.relative(outputDir, page.screenshot)));
+    for (const { annotation } of auditData.issues) {
+        if (!annotation) continue;
+        screenshots.add(annotation.image);
+        if (annotation.closeUp) screenshots.add(annotation.closeUp);
+    }
+    const images = await inlineImages([...screenshots], outputDir, {
+        browser,
+        maxWidth: report.standalone?.maxImageWidth,
+        quality: report.standalone?.imageQuality
+    });
+    const content = renderPdfHtml(auditData, { settings, outputDir, images, logo: await loadLogo(report.branding, { inlineRemote: true }) });
+
+    const tab = await browser.newPage();
+    try {
+        await tab.setContent(content, { waitUntil: 'load' });
+        const margin = pdf.margin || '20mm';
+        return await tab.pdf({
+            format: pdf.format || 'A4',
+            landscape: pdf.landscape === true,
+            margin: { top: margin, right: margin, bottom: margin, left: margin },
+            printBackground: true,
+            displayHeaderFooter: true,
+            headerTemplate: '<span></span>',
+            footerTemplate: footerTemplate(auditData, report.branding || {})
+        });
+    } finally {
+        await tab.close().catch(() => {});
+    }
+}
+
+module.exports = {
+    name: 'pdf',
+    scope: 'site',
+    file: 'audit_report.pdf',
+    render: renderPdf,
+    renderPdfHtml,
+    PDF_SECTIONS,
+    PDF_FORMATS
+};
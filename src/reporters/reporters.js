@@ -0,0 +1,49 @@
+const fs = require('fs').promises;
+const path = require('path');
+const htmlReporter = require('./htmlReporter');
+const standaloneReporter = require('./standaloneReporter');
+const pdfReporter = require('./pdfReporter');
+const jsonReporter = require('./jsonReporter');
+const markdownReporter = require('./markdownReporter');
+const csvReporter = require('./csvReporter');
+const junitReporter = require('./junitReporter');
+const sarifReporter = require('./sarifReporter');
+const dashboardReporter = require('./dashboardReporter');
+
+// Report formats for output.formats. A reporter is { name, scope, file,
+// render(data, context) } returning the file's contents: "site" reporters get
+// one audit's data and write into its folder, "run" reporters get every
+// site's result and write one file for the run into output.baseDir.
+
+const REPORTERS = Object.fromEntries([htmlReporter, standaloneReporter, pdfReporter, jsonReporter, markdownReporter, csvReporter, junitReporter, sarifReporter, dashboardReporter]
+    .map(reporter => [reporter.name, reporter]));
+
+const REPORT_FORMATS = Object.keys(REPORTERS);
+const DEFAULT_FORMATS = ['html', 'json', 'dashboard'];
+
+// output.generateHTML: false turns the HTML report off whatever the formats say
+function selectedReporters(settings, scope) {
+    const output = settings.output || {};
+    return (output.formats || DEFAULT_FORMATS)
+        .filter(format => format !== 'html' || output.generateHTML !== false)
+        .map(format => REPORTERS[format])
+        .filter(reporter => reporter && reporter.scope === scope);
+}
+
+// Writes every selected reporter of `scope`; returns the files written. A
+// reporter that fails is skipped, so one format can't cost the others.
+async function writeReports(data, { scope, outputDir, settings, auditor = null }) {
+    const written = [];
+    for (const reporter of selectedReporters(settings, scope)) {
+        const file = path.join(outputDir, reporter.file);
+        try {
+            await fs.writeFile(file, await reporter.render(data, { settings, auditor, outputDir }));
+            written.push(file);
+        } catch (error) {
+            console.log(`⚠️ Could not write the ${reporter.name} report: ${error.message}`);
+        }
+    }
+    return written;
+}
+
+module.exports = { REPORTERS, REPORT_FORMATS, DEFAULT_FORMATS, writeReports };
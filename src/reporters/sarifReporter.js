@@ -0,0 +1,77 @@
+const { RULES, CATEGORIES, createIssue } = require('../checks/rules');
+const { version } = require('../../package.json');
+
+// audit.sarif: SARIF 2.1.0 for code-scanning dashboards and CI annotations.
+// Every issue is a result located at its page URL (and element selector);
+// rules carry the title, remediation and category from the taxonomy.
+
+const LEVELS = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'note' };
+
+function sarifRule(id) {
+    const rule = RULES[id];
+    return {
+        id,
+        name: id.replace(/[^a-z0-9]+(.)/gi, (match, next) => next.toUpperCase()),
+        shortDescription: { text: rule.title },
+        help: { text: rule.remediation || rule.title },
+        defaultConfiguration: { level: LEVELS[rule.severity] },
+        properties: {
+            category: CATEGORIES[rule.category].label,
+            tags: [rule.category, ...(rule.wcag ? [`wcag-${rule.wcag}`] : [])]
+        }
+    };
+}
+
+function sarifResult(issue, result, ruleIndex) {
+    const location = {
+        physicalLocation: { artifactLocation: { uri: issue.url || result.url } }
+    };
+    if (issue.selector) {
+        location.logicalLocations = [{ fullyQualifiedName: issue.selector, kind: 'element' }];
+    }
+    return {
+        ruleId: issue.id,
+        ...(ruleIndex >= 0 ? { ruleIndex } : {}),
+        level: LEVELS[issue.severity] || 'warning',
+        message: { text: issue.issue },
+        locations: [location],
+        properties: {
+            severity: issue.severity,
+            site: result.url,
+            ...(issue.device ? { device: issue.device } : {}),
+            ...(issue.evidence ? { evidence: issue.evidence } : {})
+        }
+    };
+}
+
+function renderSarif(results) {
+    const issues = results.flatMap(result => (result.success === false
+        ? [createIssue('error.audit-failed', { message: result.error, url: result.url })]
+        : result.issues || []).map(issue => ({ issue, result })));
+
+    // Only rules that fired are listed; plugin rules are registered by now
+    const ruleIds = [...new Set(issues.map(({ issue }) => issue.id))].filter(id => RULES[id]);
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'automated-website-auditor',
+                    version,
+                    rules: ruleIds.map(sarifRule)
+                }
+            },
+            invocations: [{ executionSuccessful: results.every(result => result.success !== false) }],
+            results: issues.map(({ issue, result }) => sarifResult(issue, result, ruleIds.indexOf(issue.id)))
+        }]
+    }, null, 2);
+}
+
+module.exports = {
+    name: 'sarif',
+    scope: 'run',
+    file: 'audit.sarif',
+    render: results => renderSarif(results),
+    LEVELS
+};
@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { renderHtmlReport } = require('./htmlReporter');
+const { loadLogo, IMAGE_TYPES } = require('./themes');
+
+// audit_report_standalone.html: the HTML report as a single file that can be
+// emailed as is, with every screenshot inlined. Screenshots are scaled down
+// and re-encoded as JPEG on a canvas in a blank browser tab, like the visual
+// diffs, so no image library is needed.
+
+// Formats the canvas can re-encode; GIFs and SVGs are inlined unchanged
+const SHRINKABLE = ['.png', '.jpg', '.jpeg', '.webp'];
+
+// Runs in the page
+async function shrinkImage({ source, maxWidth, quality }) {
+    const image = await new Promise((resolve, reject) => {
+        const element = new Image();
+        element.onload = () => resolve(element);
+        element.onerror = () => reject(new Error('Could not decode image'));
+        element.src = source;
+    });
+    const scale = Math.min(1, maxWidth / image.naturalWidth);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', quality);
+}
+
+// Data URLs for `files` (relative to outputDir). Without a browser the
+// originals are inlined; an image that doesn't shrink keeps its original.
+async function inlineImages(files, outputDir, { browser = null, maxWidth = 1200, quality = 0.7 } = {}) {
+    const inlined = new Map();
+    const tab = browser?.isConnected() ? await browser.newPage().catch(() => null) : null;
+    try {
+        for (const file of files) {
+            const extension = path.extname(file).toLowerCase();
+            let original;
+            try {
+                original = `data:${IMAGE_TYPES[extension]};base64,${(await fs.readFile(path.join(outputDir, file))).toString('base64')}`;
+            } catch (error) {
+                console.log(`⚠️ Could not inline ${file}: ${error.message}`);
+                continue;
+            }
+
+            let smallest = original;
+            if (tab && SHRINKABLE.includes(extension)) {
+                // Pages too tall for a canvas come back empty ("data:,")
+                const shrunk = await tab.evaluate(shrinkImage, { source: original, maxWidth, quality }).catch(() => null);
+                if (shrunk && shrunk.length > 'data:,'.length && shrunk.length < original.length) smallest = shrunk;
+            }
+            inlined.set(file, smallest);
+        }
+    } finally {
+        if (tab) await tab.close().catch(() => {});
+    }
+    return inlined;
+}
+
+async function renderStandaloneReport(auditData, { settings, auditor, outputDir }) {
+    const standalone = settings.report?.standalone || {};
+    const options = {
+        settings,
+        outputDir,
+        plugins: auditor ? auditor.getPlugins() : null,
+        logo: await loadLogo(settings.report?.branding, { inlineRemote: true })
+    };
+
+    // A first pass finds the files the report refers to; files that aren't
+    // images (HAR) are left out of the second
+    const referenced = new Set();
+    const collect = file => {
+        referenced.add(file);
+        return file;
+    };
+    renderHtmlReport(auditData, { ...options, assets: { url: collect, inlineImages: true } });
+    const images = [...referenced].filter(file => IMAGE_TYPES[path.extname(file).toLowerCase()]);
+    const inlined = await inlineImages(images, outputDir, {
+        browser: auditor?.browser,
+        maxWidth: standalone.maxImageWidth,
+        quality: standalone.imageQuality
+    });
+    return renderHtmlReport(auditData, { ...options, assets: { url: file => inlined.get(file) || null, inlineImages: true } });
+}
+
+module.exports = {
+    name: 'standalone',
+    scope: 'site',
+    file: 'audit_report_standalone.html',
+    render: renderStandaloneReport,
+    inlineImages
+};
@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { html } = require('../utils/html');
+const { fetchUrl } = require('../utils/http');
+
+// Colour themes and agency branding for the HTML report (report.theme and
+// report.branding). Colours become CSS variables, so the report's styles
+// don't change per theme.
+
+const THEMES = {
+    light: {
+        background: '#ffffff',
+        text: '#212529',
+        muted: '#6c757d',
+        header: '#f4f4f4',
+        panel: '#f8f9fa',
+        border: '#dddddd',
+        accent: '#007bff',
+        // Issues get a background tinted by category; too bright on dark
+        tintedIssues: true
+    },
+    dark: {
+        background: '#1b1d21',
+        text: '#e9ecef',
+        muted: '#adb5bd',
+        header: '#25282d',
+        panel: '#2c3036',
+        border: '#454a52',
+        accent: '#4dabf7',
+        tintedIssues: false
+    }
+};
+
+const REPORT_THEMES = Object.keys(THEMES);
+
+// branding.primaryColor replaces the theme's accent colour
+function resolveTheme(report = {}) {
+    const theme = THEMES[report.theme] || THEMES.light;
+    return { ...theme, accent: report.branding?.primaryColor || theme.accent };
+}
+
+function themeCss(theme) {
+    const variables = ['background', 'text', 'muted', 'header', 'panel', 'border', 'accent']
+        .map(name => `--${name}: ${theme[name]};`)
+        .join(' ');
+    return `:root { ${variables} }`;
+}
+
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml', '.webp': 'image/webp' };
+
+// branding.logo as an <img> src: a local file is inlined so the report
+// doesn't depend on where it's opened from. URLs are used as they are, or
+// with `inlineRemote` (single-file reports) downloaded and inlined too.
+async function loadLogo(branding = {}, { inlineRemote = false } = {}) {
+    if (!branding.logo) return null;
+    if (/^data:/i.test(branding.logo)) return branding.logo;
+    if (/^https?:/i.test(branding.logo)) {
+        return inlineRemote ? fetchLogo(branding.logo) : branding.logo;
+    }
+    const type = IMAGE_TYPES[path.extname(branding.logo).toLowerCase()];
+    if (!type) {
+        console.log(`⚠️ Unsupported logo format: ${branding.logo}`);
+        return null;
+    }
+    try {
+        const image = await fs.readFile(branding.logo);
+        return `data:${type};base64,${image.toString('base64')}`;
+    } catch (error) {
+        console.log(`⚠️ Could not read logo ${branding.logo}: ${error.message}`);
+        return null;
+    }
+}
+
+// A remote logo as a data URL; if it can't be downloaded the report links to
+// it instead, so it still shows when opened online
+async function fetchLogo(url) {
+    try {
+        const response = await fetchUrl(url, { timeout: 10000 });
+        if (response.status !== 200) throw new Error(`HTTP ${response.status}`);
+        const type = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase() ||
+            IMAGE_TYPES[path.extname(new URL(response.url).pathname).toLowerCase()];
+        if (!type || !type.startsWith('image/')) throw new Error(`not an image (${type || 'unknown type'})`);
+        return `data:${type};base64,${response.buffer.toString('base64')}`;
+    } catch (error) {
+        console.log(`⚠️ Could not download logo ${url}, linking to it instead: ${error.message}`);
+        return url;
+    }
+}
+
+// The logo and agency name above a report's title, linked to branding.url;
+// `logo` is branding.logo as loadLogo() resolved it
+function brandHeader(branding, logo) {
+    if (!branding.name && !logo) return '';
+    const content = html`${logo ? html`<img src="${logo}" alt="${branding.name || 'Logo'}" class="logo">` : ''}${branding.name ? html`<span>${branding.name}</span>` : ''}`;
+    return html`<div class="brand">${branding.url ? html`<a href="${branding.url}">${content}</a>` : content}</div>`;
+}
+
+module.exports = { THEMES, REPORT_THEMES, resolveTheme, themeCss, loadLogo, brandHeader, IMAGE_TYPES };
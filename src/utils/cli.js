@@ -0,0 +1,185 @@
+const { SEVERITIES } = require('../checks/rules');
+
+const HELP_TEXT = `
+Usage: website-audit [options] [url...]
+
+Audits the given URLs, the URLs listed in --input, or config/websites.json
+when neither is supplied.
+
+Options:
+  -i, --input <file>       Read URLs from a JSON, CSV or plain-text file
+  -o, --out <dir>          Directory to write audit results to (default: ./audits)
+      --headless           Run the browser without a window
+      --no-headless        Show the browser window while auditing
+  -c, --concurrency <n>    Number of sites to audit in parallel
+      --only <checks>      Comma-separated list of checks to run
+                           (available: {checks})
+  -f, --format <formats>   Comma-separated report formats (available: {formats})
+      --fail-on <severity> Exit with code 1 when any site has issues of this
+                           severity or worse (critical, serious, moderate, minor)
+      --compare <against>  Diff screenshots against the previous run or the
+                           pinned baseline (previous, baseline)
+      --update-baseline    Pin this run's screenshots as each site's baseline
+      --trends             Report score, load time and issue trends from the
+                           audit history instead of auditing; URLs or site
+                           names limit the report to those sites
+      --resume             Continue the last interrupted run in the output
+                           directory, auditing only the sites it didn't finish
+  -h, --help               Show this help and exit
+
+Examples:
+  website-audit https://example.com https://shop.example.com
+  website-audit --input stores.csv --out ./reports --headless --concurrency 4
+  website-audit example.com --only seo,performance --format json
+  website-audit example.com --compare baseline
+  website-audit --trends example.com
+  website-audit --input stores.csv --format junit,sarif --fail-on serious
+  website-audit --resume --out ./reports
+`;
+
+const VALUE_OPTIONS = {
+  '-i': 'input',
+  '--input': 'input',
+  '-o': 'out',
+  '--out': 'out',
+  '-c': 'concurrency',
+  '--concurrency': 'concurrency',
+  '--only': 'only',
+  '-f': 'format',
+  '--format': 'format',
+  '--compare': 'compare',
+  '--fail-on': 'failOn'
+};
+
+const FLAG_OPTIONS = {
+  '-h': ['help', true],
+  '--help': ['help', true],
+  '--headless': ['headless', true],
+  '--no-headless': ['headless', false],
+  '--update-baseline': ['updateBaseline', true],
+  '--trends': ['trends', true],
+  '--resume': ['resume', true]
+};
+
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseArgs(argv, { checks = [], formats = [] } = {}) {
+  const options = { urls: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      options.urls.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.split(/=(.*)/s);
+
+    if (FLAG_OPTIONS[name]) {
+      if (inlineValue !== undefined) {
+        throw new CliError(`Option ${name} does not take a value`);
+      }
+      const [key, value] = FLAG_OPTIONS[name];
+      options[key] = value;
+      continue;
+    }
+
+    const key = VALUE_OPTIONS[name];
+    if (!key) {
+      throw new CliError(`Unknown option: ${name}`);
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value === '') {
+      throw new CliError(`Option ${name} requires a value`);
+    }
+    options[key] = value;
+  }
+
+  if (options.concurrency !== undefined) {
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new CliError(`--concurrency must be a positive whole number, got "${options.concurrency}"`);
+    }
+    options.concurrency = concurrency;
+  }
+
+  if (options.only !== undefined) {
+    options.only = splitList(options.only);
+    const unknown = options.only.filter(check => !checks.includes(check));
+    if (unknown.length > 0) {
+      throw new CliError(`Unknown check(s) for --only: ${unknown.join(', ')}. Available: ${checks.join(', ')}`);
+    }
+  }
+
+  if (options.format !== undefined) {
+    options.format = splitList(options.format);
+    const unknown = options.format.filter(format => !formats.includes(format));
+    if (unknown.length > 0) {
+      throw new CliError(`Unknown format(s) for --format: ${unknown.join(', ')}. Available: ${formats.join(', ')}`);
+    }
+  }
+
+  if (options.failOn !== undefined && !SEVERITIES.includes(options.failOn)) {
+    throw new CliError(`--fail-on must be one of ${SEVERITIES.join(', ')}, got "${options.failOn}"`);
+  }
+
+  if (options.compare !== undefined && !['previous', 'baseline'].includes(options.compare)) {
+    throw new CliError(`--compare must be "previous" or "baseline", got "${options.compare}"`);
+  }
+
+  if (options.resume && (options.urls.length > 0 || options.input !== undefined)) {
+    throw new CliError('--resume audits the interrupted run\'s own sites; leave out URLs and --input');
+  }
+  if (options.resume && options.trends) {
+    throw new CliError('--resume and --trends can\'t be used together');
+  }
+
+  return options;
+}
+
+// Translate parsed CLI options into the same shape as config/settings.js so
+// ConfigManager can layer them over the file-based settings.
+function toSettingsOverrides(options) {
+  const overrides = {};
+
+  if (options.headless !== undefined) {
+    overrides.browser = { headless: options.headless ? 'new' : false };
+  }
+  if (options.concurrency !== undefined || options.only !== undefined) {
+    overrides.audit = {};
+    if (options.concurrency !== undefined) overrides.audit.maxConcurrent = options.concurrency;
+    if (options.only !== undefined) overrides.audit.checks = options.only;
+  }
+  if (options.out !== undefined || options.format !== undefined || options.failOn !== undefined) {
+    overrides.output = {};
+    if (options.out !== undefined) overrides.output.baseDir = options.out;
+    if (options.format !== undefined) overrides.output.formats = options.format;
+    if (options.failOn !== undefined) overrides.output.failOn = options.failOn;
+  }
+  if (options.compare !== undefined || options.updateBaseline !== undefined) {
+    overrides.visualRegression = {};
+    if (options.compare !== undefined) Object.assign(overrides.visualRegression, { enabled: true, compareTo: options.compare });
+    if (options.updateBaseline !== undefined) overrides.visualRegression.updateBaseline = options.updateBaseline;
+  }
+
+  return overrides;
+}
+
+function helpText({ checks = [], formats = [] } = {}) {
+  return HELP_TEXT
+    .replace('{checks}', checks.join(', '))
+    .replace('{formats}', formats.join(', '));
+}
+
+module.exports = { parseArgs, toSettingsOverrides, helpText, CliError };
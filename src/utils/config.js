@@ -1,42 +1,273 @@
 const fs = require('fs');
 const path = require('path');
+const { SETTING_ALIASES, validate } = require('./configSchema');
+
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects are merged key by key; arrays and scalars in `override` replace
+// the value in `base`. Neither input is modified.
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override === undefined ? base : override;
+  }
+
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  }
+  return result;
+}
 
 class ConfigManager {
   constructor() {
     this.defaultSettings = require('../../config/settings');
     this.websitesPath = path.join(__dirname, '../../config/websites.json');
+    this.localSettingsPath = path.join(__dirname, '../../config/local.json');
   }
 
-  loadWebsites() {
+  readJson(filePath) {
     try {
-      if (fs.existsSync(this.websitesPath)) {
-        const data = fs.readFileSync(this.websitesPath, 'utf8');
-        const config = JSON.parse(data);
-        return config.websites || [];
-      } else {
-        console.warn('⚠️  websites.json not found. Copy from websites.example.json and add your URLs.');
-        return [];
-      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
     } catch (error) {
-      console.error('❌ Error loading websites configuration:', error.message);
+      throw new ConfigError(`Could not parse ${path.relative(process.cwd(), filePath)}: ${error.message}`);
+    }
+  }
+
+  loadWebsitesConfig() {
+    if (!fs.existsSync(this.websitesPath)) {
+      return null;
+    }
+    const config = this.readJson(this.websitesPath);
+    if (!isPlainObject(config)) {
+      throw new ConfigError('config/websites.json must contain a { "websites": [...] } object');
+    }
+    return config;
+  }
+
+  // Returns site entries as { url, name, tags, settings } objects
+  loadWebsites() {
+    const config = this.loadWebsitesConfig();
+    if (!config) {
+      console.warn('⚠️  websites.json not found. Copy from websites.example.json and add your URLs.');
       return [];
     }
+    return this.normalizeSites(config.websites || [], 'config/websites.json');
   }
 
-  getSettings() {
-    try {
-      // Try to load custom settings if they exist
-      const customSettingsPath = path.join(__dirname, '../../config/local.json');
-      if (fs.existsSync(customSettingsPath)) {
-        const customSettings = JSON.parse(fs.readFileSync(customSettingsPath, 'utf8'));
-        return { ...this.defaultSettings, ...customSettings };
+  // Reads a list of sites from a JSON, CSV or plain-text file. Unlike
+  // loadWebsites() a missing file is an error, because a bad --input should stop the run.
+  loadWebsitesFromFile(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new ConfigError(`Input file not found: ${resolvedPath}`);
+    }
+
+    const extension = path.extname(resolvedPath).toLowerCase();
+    let entries;
+
+    if (extension === '.json') {
+      const parsed = this.readJson(resolvedPath);
+      entries = Array.isArray(parsed) ? parsed : parsed.websites;
+      if (!Array.isArray(entries)) {
+        throw new ConfigError(`${filePath} must contain an array of sites or a { "websites": [...] } object`);
       }
-      return this.defaultSettings;
-    } catch (error) {
-      console.warn('⚠️  Using default settings due to configuration error:', error.message);
-      return this.defaultSettings;
+    } else if (extension === '.csv') {
+      entries = this.parseCsvSites(fs.readFileSync(resolvedPath, 'utf8'));
+    } else {
+      entries = fs.readFileSync(resolvedPath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+    }
+
+    return this.normalizeSites(entries, filePath);
+  }
+
+  parseCsvSites(data) {
+    const rows = data
+      .split(/\r?\n/)
+      .filter(line => line.trim())
+      .map(line => this.parseCsvLine(line));
+
+    if (rows.length === 0) {
+      return [];
     }
+
+    // Use "url"/"name"/"tags" columns when there is a header row, otherwise
+    // treat the first column of every row as the URL
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const urlColumn = header.findIndex(cell => ['url', 'website', 'site', 'domain'].includes(cell));
+    if (urlColumn < 0) {
+      return rows.map(row => row[0]).filter(Boolean);
+    }
+
+    const nameColumn = header.indexOf('name');
+    const tagsColumn = header.indexOf('tags');
+    return rows.slice(1)
+      .filter(row => row[urlColumn])
+      .map(row => ({
+        url: row[urlColumn],
+        ...(nameColumn >= 0 && row[nameColumn] ? { name: row[nameColumn] } : {}),
+        ...(tagsColumn >= 0 && row[tagsColumn] ? { tags: row[tagsColumn].split(/[;|]/).map(tag => tag.trim()).filter(Boolean) } : {})
+      }));
+  }
+
+  parseCsvLine(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        cells.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    cells.push(current);
+
+    return cells.map(cell => cell.trim());
+  }
+
+  normalizeUrl(url) {
+    const trimmed = String(url).trim();
+    return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  }
+
+  // Accepts plain URL strings or { url, name, tags, settings } objects and
+  // returns the object form, validating per-site settings along the way.
+  normalizeSites(entries, source) {
+    const problems = [];
+    const sites = [];
+
+    entries.forEach((entry, index) => {
+      const label = `websites[${index}]`;
+
+      if (typeof entry === 'string') {
+        sites.push({ url: this.normalizeUrl(entry), name: null, tags: [], settings: {} });
+        return;
+      }
+      if (!isPlainObject(entry)) {
+        problems.push(`${label}: expected a URL string or an object, got ${JSON.stringify(entry)}`);
+        return;
+      }
+
+      const unknownKeys = Object.keys(entry).filter(key => !['url', 'name', 'tags', 'settings'].includes(key));
+      unknownKeys.forEach(key => problems.push(`${label}.${key}: unknown key (expected url, name, tags or settings)`));
+
+      if (typeof entry.url !== 'string' || !entry.url.trim()) {
+        problems.push(`${label}.url: is required and must be a string`);
+        return;
+      }
+      if (entry.name !== undefined && typeof entry.name !== 'string') {
+        problems.push(`${label}.name: must be a string`);
+      }
+      if (entry.tags !== undefined && !(Array.isArray(entry.tags) && entry.tags.every(tag => typeof tag === 'string'))) {
+        problems.push(`${label}.tags: must be an array of strings`);
+      }
+
+      const siteSettings = this.expandAliases(entry.settings || {});
+      problems.push(...validate(siteSettings, undefined, { site: true, partial: true })
+        .map(problem => `${label}.settings.${problem}`));
+
+      sites.push({
+        url: this.normalizeUrl(entry.url),
+        name: entry.name || null,
+        tags: entry.tags || [],
+        settings: siteSettings
+      });
+    });
+
+    if (problems.length > 0) {
+      throw new ConfigError(`Invalid website list in ${source}:`, problems);
+    }
+    return sites;
+  }
+
+  // Rewrites flat keys such as "mobileViewport" or "screenshotQuality" into
+  // their nested location; anything else is passed through unchanged.
+  expandAliases(settings) {
+    if (!isPlainObject(settings)) {
+      return settings;
+    }
+
+    let expanded = {};
+    for (const [key, value] of Object.entries(settings)) {
+      const target = SETTING_ALIASES[key];
+      if (!target) {
+        expanded = deepMerge(expanded, { [key]: value });
+        continue;
+      }
+      const nested = target.split('.').reduceRight((child, part) => ({ [part]: child }), value);
+      expanded = deepMerge(expanded, nested);
+    }
+    return expanded;
+  }
+
+  // Builds settings by deep-merging, in order: config/settings.js,
+  // config/local.json, the "settings" block of config/websites.json, and any
+  // overrides passed in (e.g. from command-line options).
+  getSettings(overrides = {}) {
+    const layers = [['config/settings.js', this.defaultSettings]];
+
+    if (fs.existsSync(this.localSettingsPath)) {
+      layers.push(['config/local.json', this.readJson(this.localSettingsPath)]);
+    }
+
+    const websitesConfig = this.loadWebsitesConfig();
+    if (websitesConfig && websitesConfig.settings !== undefined) {
+      layers.push(['config/websites.json "settings"', this.expandAliases(websitesConfig.settings)]);
+    }
+
+    layers.push(['command-line options', overrides]);
+
+    let settings = {};
+    for (const [source, layer] of layers) {
+      const problems = validate(layer, undefined, { partial: true });
+      if (problems.length > 0) {
+        throw new ConfigError(`Invalid settings in ${source}:`, problems);
+      }
+      settings = deepMerge(settings, layer);
+    }
+
+    const problems = validate(settings);
+    if (problems.length > 0) {
+      throw new ConfigError('Invalid merged settings:', problems);
+    }
+    return settings;
+  }
+
+  // Applies a site's own settings over the run-wide settings
+  resolveSiteSettings(settings, site) {
+    return deepMerge(settings, site.settings || {});
   }
 }
 
-module.exports = ConfigManager;
\ No newline at end of file
+module.exports = ConfigManager;
+module.exports.ConfigError = ConfigError;
+module.exports.deepMerge = deepMerge;
@@ -0,0 +1,437 @@
+const { AUDIT_CHECKS, REPORT_FORMATS } = require('../auditor');
+const { PAGE_TYPES } = require('../crawler/pageTypes');
+const { RULES, SEVERITIES } = require('../checks/rules');
+const { SCORED_CATEGORIES } = require('../checks/scoring');
+const { REPORT_THEMES } = require('../reporters/themes');
+const { PDF_SECTIONS, PDF_FORMATS } = require('../reporters/pdfReporter');
+const { ERROR_KINDS } = require('./failures');
+
+// Describes every key config/settings.js understands. Keys marked
+// `global: true` apply to the whole run and can't be overridden per site.
+const viewport = {
+  type: 'object',
+  properties: {
+    width: { type: 'integer', minimum: 1 },
+    height: { type: 'integer', minimum: 1 },
+    deviceScaleFactor: { type: 'number', minimum: 0 },
+    isMobile: { type: 'boolean' },
+    hasTouch: { type: 'boolean' },
+    isLandscape: { type: 'boolean' }
+  },
+  required: ['width', 'height']
+};
+
+const milliseconds = { type: 'integer', minimum: 0 };
+
+const weight = { type: 'number', minimum: 0 };
+const weightsFor = keys => ({
+  type: 'object',
+  properties: Object.fromEntries(keys.map(key => [key, weight]))
+});
+
+const lengthRange = {
+  type: 'object',
+  properties: {
+    min: { type: 'integer', minimum: 0 },
+    max: { type: 'integer', minimum: 1 }
+  }
+};
+
+const device = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', pattern: /^[a-z0-9_-]+$/i },
+    preset: { type: 'string' },
+    viewport: { ...viewport, required: [] },
+    userAgent: { type: 'string' },
+    pages: { type: 'string', enum: ['homepage', 'all'] }
+  },
+  required: ['name']
+};
+
+const settingsSchema = {
+  type: 'object',
+  properties: {
+    browser: {
+      type: 'object',
+      properties: {
+        headless: { type: ['boolean', 'string'], enum: [true, false, 'new', 'shell'], global: true },
+        defaultViewport: viewport,
+        mobileViewport: viewport,
+        userAgent: { type: 'string' },
+        args: { type: 'array', items: { type: 'string' }, global: true }
+      }
+    },
+    devices: { type: ['array', 'null'], items: device },
+    audit: {
+      type: 'object',
+      properties: {
+        navigationTimeout: milliseconds,
+        pageLoadDelay: milliseconds,
+        popupDetectionDelay: milliseconds,
+        maxProductPages: { type: 'integer', minimum: 0 },
+        maxConcurrent: { type: 'integer', minimum: 1, global: true },
+        checks: { type: ['array', 'null'], items: { type: 'string', enum: AUDIT_CHECKS } },
+        delayBetweenAudits: milliseconds,
+        retry: {
+          type: 'object',
+          properties: {
+            attempts: { type: 'integer', minimum: 0 },
+            delay: milliseconds,
+            backoff: { type: 'number', minimum: 1 },
+            maxDelay: milliseconds,
+            on: { type: 'array', items: { type: 'string', enum: ERROR_KINDS } }
+          }
+        }
+      }
+    },
+    crawl: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        maxPages: { type: 'integer', minimum: 1 },
+        maxDepth: { type: 'integer', minimum: 0 },
+        useSitemap: { type: 'boolean' },
+        maxSitemapUrls: { type: 'integer', minimum: 0 },
+        respectRobots: { type: 'boolean' },
+        requestTimeout: milliseconds,
+        exclude: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    accessibility: {
+      type: 'object',
+      properties: {
+        maxFindingsPerRule: { type: 'integer', minimum: 1 },
+        minTapTargetSize: { type: 'integer', minimum: 1 },
+        contrastSampleLimit: { type: 'integer', minimum: 0 }
+      }
+    },
+    screenshot: {
+      type: 'object',
+      properties: {
+        fullPage: { type: 'boolean' },
+        format: { type: 'string', enum: ['png', 'jpeg', 'webp'] },
+        quality: { type: 'integer', minimum: 0, maximum: 100 }
+      }
+    },
+    annotations: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        maxPerPage: { type: 'integer', minimum: 0 },
+        closeUps: { type: 'boolean' },
+        color: { type: 'string', pattern: /^(#[0-9a-f]{3,8}|[a-z]+)$/i }
+      }
+    },
+    performance: {
+      type: 'object',
+      properties: {
+        slowLoadTime: milliseconds,
+        maxImageCount: { type: 'integer', minimum: 0 },
+        maxScriptCount: { type: 'integer', minimum: 0 },
+        webVitals: { type: 'boolean' },
+        settleTime: milliseconds,
+        throttling: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              network: {
+                type: ['string', 'object', 'null'],
+                properties: {
+                  downloadKbps: { type: 'number', minimum: 0 },
+                  uploadKbps: { type: 'number', minimum: 0 },
+                  latencyMs: { type: 'number', minimum: 0 }
+                },
+                required: ['downloadKbps', 'uploadKbps', 'latencyMs']
+              },
+              cpu: { type: 'number', minimum: 1 }
+            }
+          }
+        }
+      }
+    },
+    seo: {
+      type: 'object',
+      properties: {
+        titleLength: lengthRange,
+        descriptionLength: lengthRange,
+        minWordCount: { type: 'integer', minimum: 0 },
+        thinContentPageTypes: { type: 'array', items: { type: 'string', enum: PAGE_TYPES } }
+      }
+    },
+    structuredData: {
+      type: 'object',
+      properties: {
+        priceTolerance: { type: 'number', minimum: 0 }
+      }
+    },
+    links: {
+      type: 'object',
+      properties: {
+        concurrency: { type: 'integer', minimum: 1, global: true },
+        timeout: { ...milliseconds, global: true },
+        maxLinks: { type: 'integer', minimum: 0 },
+        checkExternal: { type: 'boolean' }
+      }
+    },
+    network: {
+      type: 'object',
+      properties: {
+        har: { type: 'boolean' },
+        uncompressedMinBytes: { type: 'integer', minimum: 0 },
+        oversizedImageRatio: { type: 'number', minimum: 1 },
+        oversizedImageMinBytes: { type: 'integer', minimum: 0 },
+        maxFindingsPerType: { type: 'integer', minimum: 1 }
+      }
+    },
+    thirdParty: {
+      type: 'object',
+      properties: {
+        signatureFiles: { type: 'array', items: { type: 'string' } },
+        maxMainThreadMs: milliseconds,
+        maxBytes: { type: 'integer', minimum: 0 }
+      }
+    },
+    shopify: {
+      type: 'object',
+      properties: {
+        maxCatalogPages: { type: 'integer', minimum: 1 },
+        minDescriptionLength: { type: 'integer', minimum: 0 },
+        maxOutOfStockRatio: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    },
+    visualRegression: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        compareTo: { type: 'string', enum: ['previous', 'baseline'] },
+        baselineDir: { type: ['string', 'null'] },
+        updateBaseline: { type: 'boolean' },
+        threshold: { type: 'number', minimum: 0, maximum: 1 },
+        pixelTolerance: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    },
+    popups: {
+      type: 'object',
+      properties: {
+        maxMobileCoverage: { type: 'number', minimum: 0, maximum: 1 },
+        testDismissal: { type: 'boolean' },
+        dismissBeforeScreenshots: { type: 'boolean' }
+      }
+    },
+    funnel: {
+      type: 'object',
+      properties: {
+        maxStepTime: milliseconds,
+        stepTimeout: milliseconds,
+        selectors: {
+          type: 'object',
+          properties: {
+            addToCart: { type: ['string', 'null'] },
+            cartCount: { type: ['string', 'null'] },
+            cartDrawer: { type: ['string', 'null'] },
+            checkout: { type: ['string', 'null'] },
+            cartUrl: { type: ['string', 'null'] }
+          }
+        }
+      }
+    },
+    scoring: {
+      type: 'object',
+      properties: {
+        severityWeights: weightsFor(SEVERITIES),
+        categoryWeights: weightsFor(SCORED_CATEGORIES),
+        // Plugin rule IDs are only known once plugins load, so other keys are allowed
+        ruleWeights: { ...weightsFor(Object.keys(RULES)), additionalProperties: weight }
+      }
+    },
+    plugins: {
+      type: 'object',
+      properties: {
+        directory: { type: ['string', 'null'] },
+        packages: { type: 'array', items: { type: 'string' } },
+        options: { type: 'object', additionalProperties: { type: 'object' } }
+      }
+    },
+    history: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', global: true },
+        file: { type: ['string', 'null'], global: true }
+      }
+    },
+    report: {
+      type: 'object',
+      properties: {
+        theme: { type: 'string', enum: REPORT_THEMES },
+        branding: {
+          type: 'object',
+          properties: {
+            name: { type: ['string', 'null'] },
+            logo: { type: ['string', 'null'] },
+            url: { type: ['string', 'null'], pattern: /^https?:\/\//i },
+            primaryColor: { type: ['string', 'null'], pattern: /^(#[0-9a-f]{3,8}|[a-z]+)$/i },
+            footer: { type: ['string', 'null'] }
+          }
+        },
+        standalone: {
+          type: 'object',
+          properties: {
+            maxImageWidth: { type: 'integer', minimum: 1 },
+            imageQuality: { type: 'number', minimum: 0, maximum: 1 }
+          }
+        },
+        pdf: {
+          type: 'object',
+          properties: {
+            format: { type: 'string', enum: PDF_FORMATS },
+            landscape: { type: 'boolean' },
+            margin: { type: 'string', pattern: /^\d+(\.\d+)?(mm|cm|in|px)$/ },
+            sections: { type: 'array', items: { type: 'string', enum: PDF_SECTIONS } },
+            minSeverity: { type: 'string', enum: SEVERITIES },
+            maxIssuesPerCategory: { type: 'integer', minimum: 0 },
+            screenshotsPerCategory: { type: 'integer', minimum: 0 }
+          }
+        }
+      }
+    },
+    output: {
+      type: 'object',
+      properties: {
+        baseDir: { type: 'string', global: true },
+        formats: { type: 'array', items: { type: 'string', enum: REPORT_FORMATS } },
+        includeRawData: { type: 'boolean' },
+        generateHTML: { type: 'boolean' },
+        failOn: { type: ['string', 'null'], enum: [...SEVERITIES, null], global: true }
+      }
+    }
+  }
+};
+
+// Flat keys accepted in the "settings" block of websites.json, mapped to
+// their place in the settings tree.
+const SETTING_ALIASES = {
+  maxConcurrent: 'audit.maxConcurrent',
+  delayBetweenAudits: 'audit.delayBetweenAudits',
+  navigationTimeout: 'audit.navigationTimeout',
+  pageLoadDelay: 'audit.pageLoadDelay',
+  maxProductPages: 'audit.maxProductPages',
+  screenshotQuality: 'screenshot.quality',
+  screenshotFormat: 'screenshot.format',
+  defaultViewport: 'browser.defaultViewport',
+  mobileViewport: 'browser.mobileViewport'
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function suggestKey(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+// Returns a list of human-readable problems; an empty list means valid.
+// With `site: true`, keys marked `global` are rejected. With `partial: true`,
+// required keys may be missing (for layers that get merged over defaults).
+function validate(value, schema = settingsSchema, { site = false, partial = false, keyPath = '' } = {}) {
+  const errors = [];
+  const label = keyPath || 'settings';
+  const types = [].concat(schema.type);
+
+  if (!types.some(type => matchesType(value, type))) {
+    errors.push(`${label}: expected ${types.join(' or ')}, got ${typeOf(value)} ${describe(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: must be one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}`);
+  }
+
+  if (schema.pattern && typeof value === 'string' && !schema.pattern.test(value)) {
+    errors.push(`${label}: must match ${schema.pattern}, got ${describe(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label}: must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label}: must be at most ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(item, schema.items, { site, partial, keyPath: `${label}[${index}]` }));
+    });
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.additionalProperties)) {
+    const known = Object.keys(schema.properties || {});
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      const childSchema = (schema.properties || {})[key] || schema.additionalProperties;
+
+      if (!childSchema) {
+        const suggestion = suggestKey(key, known);
+        errors.push(`${childPath}: unknown setting${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+        continue;
+      }
+      if (site && childSchema.global) {
+        errors.push(`${childPath}: applies to the whole run and can't be set per site`);
+        continue;
+      }
+      errors.push(...validate(child, childSchema, { site, partial, keyPath: childPath }));
+    }
+
+    for (const key of partial ? [] : schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${keyPath ? `${keyPath}.${key}` : key}: is required`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { settingsSchema, SETTING_ALIASES, validate };
@@ -0,0 +1,72 @@
+// Why an audit failed, so transient failures (timeouts, dropped connections,
+// rate-limiting bot walls) can be retried and permanent ones (a domain that
+// doesn't resolve, a broken certificate) reported straight away.
+
+const ERROR_KINDS = ['dns', 'timeout', 'tls', 'connection', 'bot-wall', 'browser', 'other'];
+
+// Chrome's net::ERR_* codes and Node's socket errors, checked in order
+const ERROR_PATTERNS = [
+  ['dns', /ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED|ENOTFOUND|EAI_AGAIN/],
+  ['tls', /ERR_CERT_|ERR_SSL_|ERR_BAD_SSL|CERT_HAS_EXPIRED|UNABLE_TO_VERIFY_LEAF_SIGNATURE|SELF_SIGNED_CERT/],
+  ['timeout', /ERR_TIMED_OUT|ETIMEDOUT|timeout|timed out/i],
+  ['connection', /ERR_CONNECTION_|ERR_EMPTY_RESPONSE|ERR_NETWORK_CHANGED|ERR_INTERNET_DISCONNECTED|ERR_ADDRESS_UNREACHABLE|ECONNRESET|ECONNREFUSED|EHOSTUNREACH|ENETUNREACH|socket hang up/],
+  ['browser', /Target closed|Session closed|Protocol error|browser has disconnected|frame was detached|Page pool is closed/i]
+];
+
+// Failures the auditor raises itself, with their kind
+class AuditError extends Error {
+  constructor(message, kind = 'other') {
+    super(message);
+    this.name = 'AuditError';
+    this.kind = kind;
+  }
+}
+
+function classifyError(error) {
+  if (error?.kind) return error.kind;
+  if (error?.name === 'TimeoutError') return 'timeout';
+  const message = `${error?.code || ''} ${error?.message || error || ''}`;
+  const match = ERROR_PATTERNS.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : 'other';
+}
+
+// Runs in the page: the vendor whose challenge or block page is showing, or
+// null. Block pages without a vendor marker only count on an error status.
+function findBotWall(status) {
+  const title = document.title || '';
+  const text = (document.body?.innerText || '').slice(0, 5000);
+  const has = selector => !!document.querySelector(selector);
+
+  if (/^just a moment/i.test(title) || /attention required.*cloudflare/i.test(title) ||
+      has('#challenge-form, #cf-challenge-running, script[src*="/cdn-cgi/challenge-platform/"]')) {
+    return 'Cloudflare';
+  }
+  if (has('#px-captcha') || /px-captcha/.test(document.documentElement.innerHTML.slice(0, 20000))) return 'PerimeterX';
+  if (has('iframe[src*="captcha-delivery.com"]')) return 'DataDome';
+  if (has('iframe[src*="_Incapsula_Resource"]') || /Incapsula incident ID/i.test(text)) return 'Imperva';
+  if (status >= 400) {
+    if (/^access denied/i.test(title) && /Reference #/.test(text)) return 'Akamai';
+    if (has('.g-recaptcha, .h-captcha, iframe[src*="recaptcha"], iframe[src*="hcaptcha"]')) return 'CAPTCHA';
+    if (status === 429) return 'rate limit';
+  }
+  return null;
+}
+
+// Checks the page `response` loaded for a bot wall. Some JavaScript
+// challenges pass on their own after a few seconds, so a wall only counts if
+// it's still there after waiting for the next navigation.
+async function detectBotWall(page, response, { settleTimeout = 15000 } = {}) {
+  const status = response ? response.status() : 0;
+  const wall = await page.evaluate(findBotWall, status).catch(() => null);
+  if (!wall) return null;
+
+  const next = await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: settleTimeout }).catch(() => null);
+  return page.evaluate(findBotWall, next ? next.status() : status).catch(() => null);
+}
+
+// ms to wait before retry number `attempt` (1 for the first retry)
+function retryDelay(attempt, { delay = 5000, backoff = 2, maxDelay = 60000 } = {}) {
+  return Math.min(delay * backoff ** (attempt - 1), maxDelay);
+}
+
+module.exports = { AuditError, ERROR_KINDS, classifyError, findBotWall, detectBotWall, retryDelay };
@@ -0,0 +1,46 @@
+// Escapes text for HTML element content and quoted attributes
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Markup a template inserts as is: what the html tag returns, or a trusted
+// string wrapped with raw()
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function raw(value) {
+  return value instanceof SafeHtml ? value : new SafeHtml(String(value ?? ''));
+}
+
+// Arrays render item by item; null, undefined and false render nothing
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHtml(value);
+}
+
+// Tagged template for report markup: every interpolated value is escaped
+// unless it is itself html`...` or raw(), so page titles, popup text and
+// URLs from audited sites can't inject markup into a report
+function html(strings, ...values) {
+  let output = strings[0];
+  values.forEach((value, index) => {
+    output += renderValue(value) + strings[index + 1];
+  });
+  return new SafeHtml(output);
+}
+
+module.exports = { escapeHtml, html, raw, SafeHtml };
@@ -0,0 +1,120 @@
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; WebsiteAuditor/1.0)';
+
+function decompress(buffer, encoding) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'gzip':
+      return zlib.gunzipSync(buffer);
+    case 'deflate':
+      return zlib.inflateSync(buffer);
+    case 'br':
+      return zlib.brotliDecompressSync(buffer);
+    default:
+      return buffer;
+  }
+}
+
+// HEAD requests, 204/304 responses and empty redirects have no body to
+// decompress, whatever content-encoding says
+function hasBody(method, status, buffer) {
+  return method.toUpperCase() !== 'HEAD' && status !== 204 && status !== 304 && buffer.length > 0;
+}
+
+// Issues a single request without following redirects
+function requestOnce(url, { method = 'GET', headers = {}, timeout = 15000, maxBytes = 5 * 1024 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.request(target, {
+      method,
+      headers: {
+        'user-agent': DEFAULT_USER_AGENT,
+        'accept-encoding': 'gzip, deflate, br',
+        ...headers
+      }
+    }, response => {
+      const chunks = [];
+      let received = 0;
+
+      response.on('data', chunk => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          request.destroy(new Error(`Response from ${url} exceeded ${maxBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => {
+        try {
+          const buffer = Buffer.concat(chunks);
+          const body = hasBody(method, response.statusCode, buffer)
+            ? decompress(buffer, response.headers['content-encoding'])
+            : buffer;
+          resolve({ status: response.statusCode, headers: response.headers, body });
+        } catch (error) {
+          reject(error);
+        }
+      });
+      response.on('error', reject);
+    });
+
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error(`Request to ${url} timed out after ${timeout}ms`));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+// Fetches a URL, following redirects up to `maxRedirects`. The result lists
+// every hop in `redirects` so callers can inspect the chain; a redirect back
+// to a URL already visited is reported as `loop: true` rather than followed.
+async function fetchUrl(url, options = {}) {
+  const { maxRedirects = 5, followRedirects = true } = options;
+  const redirects = [];
+  const visited = new Set([url]);
+  let currentUrl = url;
+
+  for (;;) {
+    const response = await requestOnce(currentUrl, options);
+    const location = response.headers.location;
+    const isRedirect = response.status >= 300 && response.status < 400 && location;
+
+    if (!isRedirect || !followRedirects) {
+      return {
+        url: currentUrl,
+        status: response.status,
+        headers: response.headers,
+        body: options.method === 'HEAD' ? '' : response.body.toString('utf8'),
+        buffer: response.body,
+        redirects,
+        loop: false
+      };
+    }
+
+    const nextUrl = new URL(location, currentUrl).href;
+    redirects.push({ url: currentUrl, status: response.status, location: nextUrl });
+
+    if (visited.has(nextUrl) || redirects.length > maxRedirects) {
+      return {
+        url: nextUrl,
+        status: response.status,
+        headers: response.headers,
+        body: '',
+        buffer: Buffer.alloc(0),
+        redirects,
+        loop: visited.has(nextUrl),
+        tooManyRedirects: !visited.has(nextUrl)
+      };
+    }
+
+    visited.add(nextUrl);
+    currentUrl = nextUrl;
+  }
+}
+
+module.exports = { fetchUrl, DEFAULT_USER_AGENT };
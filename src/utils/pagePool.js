@@ -0,0 +1,133 @@
+class PagePool {
+    constructor(browser, options = {}) {
+        this.browser = browser;
+        this.size = Math.max(1, options.size || 1);
+        this.active = 0;
+        this.waiting = [];
+        this.contexts = new Set();
+        this.closed = false;
+    }
+
+    // Each audit gets its own incognito context so cookies, storage and
+    // viewport changes can't leak between sites running side by side.
+    async acquire() {
+        if (this.closed) {
+            throw new Error('Page pool is closed');
+        }
+
+        if (this.active < this.size) {
+            this.active++;
+        } else {
+            // The releasing caller hands its slot straight to us; close()
+            // wakes us without one
+            const handedSlot = await new Promise(resolve => this.waiting.push(resolve));
+            if (this.closed) {
+                if (handedSlot) this.releaseSlot();
+                throw new Error('Page pool is closed');
+            }
+        }
+
+        let context = null;
+        try {
+            context = await this.browser.createIncognitoBrowserContext();
+            this.contexts.add(context);
+            const page = await context.newPage();
+            return { context, page };
+        } catch (error) {
+            await this.release({ context });
+            throw error;
+        }
+    }
+
+    async release(lease) {
+        if (lease && this.contexts.has(lease.context)) {
+            this.contexts.delete(lease.context);
+            try {
+                await lease.context.close();
+            } catch (error) {
+                // Context may already be gone if the browser crashed
+            }
+        }
+        this.releaseSlot();
+    }
+
+    releaseSlot() {
+        const next = this.waiting.shift();
+        if (next) {
+            next(true);
+        } else {
+            this.active--;
+        }
+    }
+
+    async use(task) {
+        const lease = await this.acquire();
+        try {
+            return await task(lease.page);
+        } finally {
+            await this.release(lease);
+        }
+    }
+
+    async close() {
+        this.closed = true;
+        for (const wake of this.waiting.splice(0)) {
+            wake(false);
+        }
+        const contexts = [...this.contexts];
+        this.contexts.clear();
+        await Promise.all(contexts.map(context => context.close().catch(() => {})));
+    }
+}
+
+class HostThrottle {
+    constructor(delay = 0) {
+        this.delay = delay;
+        this.queues = new Map();
+        this.closed = false;
+        // Ends the delays under way, so close() doesn't wait them out
+        this.pendingDelays = new Set();
+    }
+
+    // Audits of the same host run one at a time with `delay` ms between them;
+    // different hosts are not held up by each other.
+    schedule(host, task) {
+        const previous = this.queues.get(host) || Promise.resolve();
+        const run = previous.then(() => task());
+        const settled = run
+            .catch(() => {})
+            .then(() => this.delay > 0 && !this.closed && this.wait());
+
+        this.queues.set(host, settled);
+        settled.then(() => {
+            if (this.queues.get(host) === settled) {
+                this.queues.delete(host);
+            }
+        });
+
+        return run;
+    }
+
+    wait() {
+        return new Promise(resolve => {
+            let timer = null;
+            const done = () => {
+                clearTimeout(timer);
+                this.pendingDelays.delete(done);
+                resolve();
+            };
+            timer = setTimeout(done, this.delay);
+            this.pendingDelays.add(done);
+        });
+    }
+
+    // Queued tasks still run, but without the delay between them
+    close() {
+        this.closed = true;
+        for (const done of [...this.pendingDelays]) {
+            done();
+        }
+    }
+}
+
+module.exports = { PagePool, HostThrottle };
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { WebsiteAuditor } = require('../src/auditor');
+
+test('failed results name the site after its hostname', () => {
+    const auditor = new WebsiteAuditor({});
+    const result = auditor.failedResult('https://shop.example.com/products/hat', { name: 'Shop', tags: ['eu'] },
+        new Error('net::ERR_CONNECTION_REFUSED at https://shop.example.com/products/hat'));
+    assert.equal(result.siteName, 'shop_example_com');
+    assert.equal(result.name, 'Shop');
+    assert.deepEqual(result.tags, ['eu']);
+    assert.equal(result.errorKind, 'connection');
+    assert.equal(result.success, false);
+
+    const interrupted = auditor.failedResult('https://shop.example.com/', {}, 'Interrupted before the audit finished');
+    assert.equal(interrupted.siteName, 'shop_example_com');
+    assert.equal(interrupted.errorKind, null);
+});
+
+test('failed results for a malformed URL fall back to the URL as given', () => {
+    const result = new WebsiteAuditor({}).failedResult('not a url', {}, new TypeError('Invalid URL'));
+    assert.equal(result.siteName, 'not a url');
+});
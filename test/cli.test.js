@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, toSettingsOverrides, helpText, CliError } = require('../src/utils/cli');
+
+const known = { checks: ['seo', 'performance', 'links'], formats: ['html', 'json', 'junit'] };
+
+test('collects URLs and option values in both spellings', () => {
+    assert.deepEqual(parseArgs(['https://a.test', '-o', 'reports', '--input=stores.csv', 'b.test'], known), {
+        urls: ['https://a.test', 'b.test'],
+        out: 'reports',
+        input: 'stores.csv'
+    });
+    assert.equal(parseArgs(['-i', 'sites.json'], known).input, 'sites.json');
+    assert.equal(parseArgs(['--input', 'a=b.csv'], known).input, 'a=b.csv');
+    assert.equal(parseArgs(['--input=a=b.csv'], known).input, 'a=b.csv');
+});
+
+test('flags set booleans and refuse values', () => {
+    assert.equal(parseArgs(['--headless'], known).headless, true);
+    assert.equal(parseArgs(['--no-headless'], known).headless, false);
+    assert.equal(parseArgs(['-h'], known).help, true);
+    assert.throws(() => parseArgs(['--headless=yes'], known), { name: 'CliError', message: 'Option --headless does not take a value' });
+});
+
+test('unknown options and missing values throw CliError', () => {
+    assert.throws(() => parseArgs(['--verbose'], known), error => error instanceof CliError && error.message === 'Unknown option: --verbose');
+    assert.throws(() => parseArgs(['--input'], known), { name: 'CliError', message: 'Option --input requires a value' });
+    assert.throws(() => parseArgs(['--out='], known), { message: 'Option --out requires a value' });
+});
+
+test('validates concurrency, checks, formats, severities and comparisons', () => {
+    assert.equal(parseArgs(['-c', '4'], known).concurrency, 4);
+    assert.throws(() => parseArgs(['-c', '0'], known), /--concurrency must be a positive whole number, got "0"/);
+    assert.throws(() => parseArgs(['-c', '1.5'], known), CliError);
+
+    assert.deepEqual(parseArgs(['--only', 'seo, links,'], known).only, ['seo', 'links']);
+    assert.throws(() => parseArgs(['--only', 'seo,speed'], known),
+        { message: 'Unknown check(s) for --only: speed. Available: seo, performance, links' });
+
+    assert.deepEqual(parseArgs(['-f', 'json,junit'], known).format, ['json', 'junit']);
+    assert.throws(() => parseArgs(['--format', 'pdf'], known), /Unknown format\(s\) for --format: pdf/);
+
+    assert.equal(parseArgs(['--fail-on', 'serious'], known).failOn, 'serious');
+    assert.throws(() => parseArgs(['--fail-on', 'high'], known), /--fail-on must be one of critical, serious, moderate, minor/);
+
+    assert.equal(parseArgs(['--compare', 'baseline'], known).compare, 'baseline');
+    assert.throws(() => parseArgs(['--compare', 'yesterday'], known), CliError);
+});
+
+test('--resume runs on its own sites and not with --trends', () => {
+    assert.equal(parseArgs(['--resume', '--out', 'reports'], known).resume, true);
+    assert.throws(() => parseArgs(['--resume', 'a.test'], known), /leave out URLs and --input/);
+    assert.throws(() => parseArgs(['--resume', '--input', 'sites.csv'], known), /leave out URLs and --input/);
+    assert.throws(() => parseArgs(['--resume', '--trends'], known), /can't be used together/);
+});
+
+test('toSettingsOverrides maps options onto the settings layout', () => {
+    const options = parseArgs(['--headless', '-c', '3', '--only', 'seo', '-o', 'out', '-f', 'json', '--fail-on', 'minor',
+        '--compare', 'previous', '--update-baseline'], known);
+    assert.deepEqual(toSettingsOverrides(options), {
+        browser: { headless: 'new' },
+        audit: { maxConcurrent: 3, checks: ['seo'] },
+        output: { baseDir: 'out', formats: ['json'], failOn: 'minor' },
+        visualRegression: { enabled: true, compareTo: 'previous', updateBaseline: true }
+    });
+    assert.deepEqual(toSettingsOverrides(parseArgs(['--no-headless'], known)), { browser: { headless: false } });
+    assert.deepEqual(toSettingsOverrides(parseArgs(['a.test', '--input', 'x.csv'], known)), {});
+});
+
+test('help lists the available checks and formats', () => {
+    const text = helpText(known);
+    assert.match(text, /\(available: seo, performance, links\)/);
+    assert.match(text, /\(available: html, json, junit\)/);
+});
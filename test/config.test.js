@@ -0,0 +1,151 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../src/utils/config');
+const { ConfigError, deepMerge } = ConfigManager;
+
+let directory;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-config-'));
+});
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+function write(name, content) {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+// A manager reading config files from the temporary directory
+function manager({ local, websites } = {}) {
+    const config = new ConfigManager();
+    config.localSettingsPath = local ? write('local.json', JSON.stringify(local)) : path.join(directory, 'missing-local.json');
+    config.websitesPath = websites ? write('websites.json', JSON.stringify(websites)) : path.join(directory, 'missing-websites.json');
+    return config;
+}
+
+test('deepMerge merges objects key by key and replaces arrays and scalars', () => {
+    const base = { audit: { maxConcurrent: 3, checks: ['seo', 'links'], retry: { attempts: 2, delay: 5000 } }, devices: null };
+    const override = { audit: { checks: ['performance'], retry: { attempts: 0 } }, devices: [{ name: 'phone' }] };
+    assert.deepEqual(deepMerge(base, override), {
+        audit: { maxConcurrent: 3, checks: ['performance'], retry: { attempts: 0, delay: 5000 } },
+        devices: [{ name: 'phone' }]
+    });
+    // Neither input is modified
+    assert.deepEqual(base.audit.checks, ['seo', 'links']);
+    assert.equal(base.audit.retry.attempts, 2);
+
+    assert.equal(deepMerge({ a: 1 }, undefined).a, 1);
+    assert.equal(deepMerge({ a: { b: 1 } }, { a: null }).a, null);
+});
+
+test('expandAliases nests flat keys and keeps the rest', () => {
+    const config = new ConfigManager();
+    assert.deepEqual(config.expandAliases({
+        maxConcurrent: 2,
+        screenshotQuality: 60,
+        screenshotFormat: 'jpeg',
+        mobileViewport: { width: 390, height: 844 },
+        audit: { pageLoadDelay: 500 }
+    }), {
+        audit: { maxConcurrent: 2, pageLoadDelay: 500 },
+        screenshot: { quality: 60, format: 'jpeg' },
+        browser: { mobileViewport: { width: 390, height: 844 } }
+    });
+    assert.equal(config.expandAliases(null), null);
+});
+
+test('normalizeSites accepts URL strings and site objects', () => {
+    const sites = new ConfigManager().normalizeSites([
+        'shop.test',
+        { url: 'http://other.test/', name: 'Other', tags: ['eu'], settings: { screenshotFormat: 'webp', crawl: { maxPages: 5 } } }
+    ], 'sites.json');
+    assert.deepEqual(sites, [
+        { url: 'https://shop.test', name: null, tags: [], settings: {} },
+        { url: 'http://other.test/', name: 'Other', tags: ['eu'], settings: { screenshot: { format: 'webp' }, crawl: { maxPages: 5 } } }
+    ]);
+});
+
+test('normalizeSites reports every problem at once', () => {
+    const entries = [
+        42,
+        { name: 'No URL' },
+        { url: 'shop.test', name: 3, tags: 'eu', colour: 'red' },
+        { url: 'shop.test', settings: { maxConcurrent: 4, crawl: { maxPage: 2 } } }
+    ];
+    assert.throws(() => new ConfigManager().normalizeSites(entries, 'sites.json'), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems, [
+            'websites[0]: expected a URL string or an object, got 42',
+            'websites[1].url: is required and must be a string',
+            'websites[2].colour: unknown key (expected url, name, tags or settings)',
+            'websites[2].name: must be a string',
+            'websites[2].tags: must be an array of strings',
+            'websites[3].settings.audit.maxConcurrent: applies to the whole run and can\'t be set per site',
+            'websites[3].settings.crawl.maxPage: unknown setting (did you mean "maxPages"?)'
+        ]);
+        assert.match(error.message, /^Invalid website list in sites\.json:\n {2}- websites\[0\]/);
+        return true;
+    });
+});
+
+test('resolveSiteSettings layers a site\'s settings over the run\'s', () => {
+    const config = manager();
+    const settings = config.getSettings();
+    const site = config.normalizeSites([{ url: 'shop.test', settings: { crawl: { maxPages: 3 }, audit: { checks: ['seo'] } } }], 'x')[0];
+    const resolved = config.resolveSiteSettings(settings, site);
+    assert.equal(resolved.crawl.maxPages, 3);
+    assert.equal(resolved.crawl.maxDepth, settings.crawl.maxDepth);
+    assert.deepEqual(resolved.audit.checks, ['seo']);
+    assert.equal(resolved.audit.maxConcurrent, settings.audit.maxConcurrent);
+    assert.notEqual(settings.crawl.maxPages, 3);
+});
+
+test('getSettings layers local.json, websites.json settings and overrides', () => {
+    const config = manager({
+        local: { crawl: { maxPages: 7 }, output: { formats: ['json'] } },
+        websites: { websites: [], settings: { maxConcurrent: 5, crawl: { maxDepth: 1 } } }
+    });
+    const settings = config.getSettings({ crawl: { maxPages: 2 } });
+    assert.equal(settings.crawl.maxPages, 2);
+    assert.equal(settings.crawl.maxDepth, 1);
+    assert.equal(settings.audit.maxConcurrent, 5);
+    assert.deepEqual(settings.output.formats, ['json']);
+    assert.equal(settings.crawl.useSitemap, config.defaultSettings.crawl.useSitemap);
+
+    assert.throws(() => manager({ local: { crawl: { maxPages: 0 } } }).getSettings(),
+        { name: 'ConfigError', message: /^Invalid settings in config\/local\.json:\n {2}- crawl\.maxPages: must be at least 1, got 0/ });
+    assert.throws(() => manager().getSettings({ output: { formats: ['word'] } }), /Invalid settings in command-line options/);
+});
+
+test('reads sites from CSV with a header, quotes and tag lists', () => {
+    const file = write('sites.csv', [
+        'Name,URL,Tags',
+        '"Acme, Inc",acme.test,eu;fashion',
+        '"Quoted ""name""",https://quoted.test/,',
+        'No URL,,vip',
+        '',
+        'Short row'
+    ].join('\r\n'));
+    assert.deepEqual(new ConfigManager().loadWebsitesFromFile(file), [
+        { url: 'https://acme.test', name: 'Acme, Inc', tags: ['eu', 'fashion'], settings: {} },
+        { url: 'https://quoted.test/', name: 'Quoted "name"', tags: [], settings: {} }
+    ]);
+});
+
+test('reads headerless CSV, plain text and JSON site lists', () => {
+    const config = new ConfigManager();
+    assert.deepEqual(config.loadWebsitesFromFile(write('list.csv', 'a.test,extra\n"b.test\nc.test')).map(site => site.url),
+        ['https://a.test', 'https://b.test', 'https://c.test']);
+    assert.deepEqual(config.loadWebsitesFromFile(write('list.txt', '# stores\na.test\n\n  https://b.test/  \n')).map(site => site.url),
+        ['https://a.test', 'https://b.test/']);
+    assert.deepEqual(config.loadWebsitesFromFile(write('list.json', '{"websites": ["a.test"]}')).map(site => site.url), ['https://a.test']);
+
+    assert.throws(() => config.loadWebsitesFromFile(path.join(directory, 'nope.csv')), /Input file not found/);
+    assert.throws(() => config.loadWebsitesFromFile(write('bad.json', '{"sites": []}')), /must contain an array of sites/);
+    assert.throws(() => config.loadWebsitesFromFile(write('broken.json', '{')), /Could not parse/);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const defaults = require('../config/settings');
+const { validate } = require('../src/utils/configSchema');
+
+test('the default settings are valid', () => {
+    assert.deepEqual(validate(defaults), []);
+});
+
+test('reports wrong types, enums and bounds with the key path', () => {
+    assert.deepEqual(validate({ crawl: { maxPages: '10' } }, undefined, { partial: true }),
+        ['crawl.maxPages: expected integer, got string "10"']);
+    assert.deepEqual(validate({ crawl: { maxPages: 0 } }, undefined, { partial: true }),
+        ['crawl.maxPages: must be at least 1, got 0']);
+    assert.deepEqual(validate({ audit: { retry: { on: ['timeout', 'flaky'] } } }, undefined, { partial: true }),
+        ['audit.retry.on[1]: must be one of "dns", "timeout", "tls", "connection", "bot-wall", "browser", "other", got "flaky"']);
+    assert.deepEqual(validate({ devices: [{ name: 'my phone' }] }, undefined, { partial: true }),
+        ['devices[0].name: must match /^[a-z0-9_-]+$/i, got "my phone"']);
+});
+
+test('suggests the closest key for unknown settings', () => {
+    assert.deepEqual(validate({ crawl: { maxPage: 5 } }, undefined, { partial: true }),
+        ['crawl.maxPage: unknown setting (did you mean "maxPages"?)']);
+    assert.deepEqual(validate({ somethingElse: true }, undefined, { partial: true }),
+        ['somethingElse: unknown setting']);
+});
+
+test('required keys are only enforced on complete settings', () => {
+    assert.deepEqual(validate({ devices: [{ preset: 'iPhone 13' }] }, undefined, { partial: true }), []);
+    assert.deepEqual(validate({ ...defaults, devices: [{ preset: 'iPhone 13' }] }), ['devices[0].name: is required']);
+});
+
+test('run-wide settings are rejected per site', () => {
+    const site = { audit: { maxConcurrent: 2, maxProductPages: 1 }, browser: { headless: false } };
+    assert.deepEqual(validate(site, undefined, { site: true, partial: true }), [
+        'audit.maxConcurrent: applies to the whole run and can\'t be set per site',
+        'browser.headless: applies to the whole run and can\'t be set per site'
+    ]);
+    assert.deepEqual(validate(site, undefined, { partial: true }), []);
+});
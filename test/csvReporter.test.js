@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const csvReporter = require('../src/reporters/csvReporter');
+const { createIssue } = require('../src/checks/rules');
+
+const { csvField } = csvReporter;
+
+test('csvField quotes separators, quotes and line breaks', () => {
+    assert.equal(csvField('plain'), 'plain');
+    assert.equal(csvField(null), '');
+    assert.equal(csvField(42), '42');
+    assert.equal(csvField('a, b'), '"a, b"');
+    assert.equal(csvField('say "hi"'), '"say ""hi"""');
+    assert.equal(csvField('two\r\nlines'), '"two\r\nlines"');
+});
+
+test('csvField keeps spreadsheets from running cells as formulas', () => {
+    assert.equal(csvField('=HYPERLINK("http://evil.test")'), '"\'=HYPERLINK(""http://evil.test"")"');
+    assert.equal(csvField('+1'), "'+1");
+    assert.equal(csvField('-2'), "'-2");
+    assert.equal(csvField('@SUM(A1)'), "'@SUM(A1)");
+    // Only a leading character starts a formula
+    assert.equal(csvField('a=b'), 'a=b');
+});
+
+test('writes a row per issue and one for each failed site', () => {
+    const csv = csvReporter.render([
+        {
+            url: 'https://shop.test/',
+            name: 'Shop',
+            success: true,
+            issues: [createIssue('seo.title-missing', { url: 'https://shop.test/a', message: '=cmd' })]
+        },
+        { url: 'https://down.test/', success: false, error: 'Timed out' }
+    ]);
+    const rows = csv.split('\r\n');
+    assert.equal(rows[0], 'site,site_name,page,device,rule,category,severity,title,message,selector,evidence,remediation');
+    assert.match(rows[1], /^https:\/\/shop\.test\/,Shop,https:\/\/shop\.test\/a,,seo\.title-missing,SEO,serious,Page has no title,'=cmd,,,/);
+    assert.match(rows[2], /^https:\/\/down\.test\/,,,,error\.audit-failed,Error,.*,Timed out,/);
+    assert.equal(rows[3], '');
+});
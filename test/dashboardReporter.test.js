@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const dashboardReporter = require('../src/reporters/dashboardReporter');
+
+const outputDir = path.join('/audits');
+
+const results = [
+    {
+        url: 'https://shop.test/',
+        name: '<img src=x onerror=alert(1)>',
+        outputDirectory: path.join(outputDir, 'shop_test_1'),
+        devices: ['desktop'],
+        pages: [{ name: 'homepage_desktop', screenshot: path.join(outputDir, 'shop_test_1', 'homepage_desktop.png') }],
+        scores: { overall: 42, categories: { seo: { score: 42 } } },
+        issues: [{ severity: 'critical' }],
+        metrics: { performance: { loadTime: 1200 } },
+        isShopify: true,
+        shopify: { theme: { name: 'Dawn "custom"' } },
+        popups: { hasPopup: true, popupType: '<b>modal</b>', emailPlatform: 'Klaviyo' }
+    },
+    {
+        url: 'https://broken.test/',
+        name: null,
+        success: false,
+        error: 'net::ERR_NAME_NOT_RESOLVED <script>',
+        errorKind: 'dns'
+    }
+];
+
+test('escapes everything that comes from audited sites', async () => {
+    const markup = await dashboardReporter.render(results, { settings: {}, outputDir });
+    assert.ok(!markup.includes('<img src=x'));
+    assert.ok(!markup.includes('<b>modal</b>'));
+    assert.ok(!markup.includes('ERR_NAME_NOT_RESOLVED <script>'));
+    assert.ok(markup.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(markup.includes('Shopify (Dawn &quot;custom&quot;)'));
+    assert.ok(markup.includes('Audit failed (dns): net::ERR_NAME_NOT_RESOLVED &lt;script&gt;'));
+    assert.ok(markup.includes('<a href="shop_test_1/audit_report.html"><img class="thumbnail" src="shop_test_1/homepage_desktop.png"'));
+    assert.ok(markup.includes('<td data-value="42" class="score-cell poor">42</td>'));
+});
+
+test('applies the report theme and branding', async () => {
+    const settings = {
+        report: {
+            theme: 'dark',
+            branding: { name: 'Acme & Co', url: 'https://acme.test/', primaryColor: '#ff6600', logo: 'https://acme.test/logo.png', footer: 'Prepared by <Acme>' }
+        }
+    };
+    const markup = await dashboardReporter.render(results, { settings, outputDir });
+    assert.ok(markup.includes('--background: #1b1d21;'));
+    assert.ok(markup.includes('--accent: #ff6600;'));
+    assert.ok(markup.includes('<title>Acme &amp; Co - Audit Dashboard</title>'));
+    assert.ok(markup.includes('<a href="https://acme.test/"><img src="https://acme.test/logo.png" alt="Acme &amp; Co" class="logo"><span>Acme &amp; Co</span></a>'));
+    assert.ok(markup.includes('<div class="footer">Prepared by &lt;Acme&gt;</div>'));
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditError, classifyError, retryDelay } = require('../src/utils/failures');
+
+test('classifyError reads Chrome and Node error codes', () => {
+    assert.equal(classifyError(new Error('net::ERR_NAME_NOT_RESOLVED at https://shop.test')), 'dns');
+    assert.equal(classifyError(Object.assign(new Error('getaddrinfo failed'), { code: 'ENOTFOUND' })), 'dns');
+    assert.equal(classifyError(new Error('net::ERR_CERT_DATE_INVALID at https://shop.test')), 'tls');
+    assert.equal(classifyError(new Error('Navigation timeout of 30000 ms exceeded')), 'timeout');
+    assert.equal(classifyError(new Error('net::ERR_CONNECTION_RESET at https://shop.test')), 'connection');
+    assert.equal(classifyError(new Error('socket hang up')), 'connection');
+    assert.equal(classifyError(new Error('Protocol error (Page.navigate): Target closed')), 'browser');
+    assert.equal(classifyError(new Error('Cannot read properties of undefined')), 'other');
+});
+
+test('classifyError prefers an explicit kind, then TimeoutError', () => {
+    assert.equal(classifyError(new AuditError('Blocked by Cloudflare', 'bot-wall')), 'bot-wall');
+    assert.equal(classifyError(new AuditError('Something odd')), 'other');
+    const timeout = new Error('Waiting failed');
+    timeout.name = 'TimeoutError';
+    assert.equal(classifyError(timeout), 'timeout');
+    assert.equal(classifyError('ECONNREFUSED'), 'connection');
+    assert.equal(classifyError(undefined), 'other');
+});
+
+test('retryDelay backs off exponentially up to maxDelay', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map(attempt => retryDelay(attempt)), [5000, 10000, 20000, 40000, 60000, 60000]);
+    assert.deepEqual([1, 2, 3].map(attempt => retryDelay(attempt, { delay: 100, backoff: 3, maxDelay: 500 })), [100, 300, 500]);
+    assert.equal(retryDelay(4, { delay: 1000, backoff: 1 }), 1000);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { funnelIssues, cartChanged } = require('../src/checks/funnel');
+
+const PRODUCT_URL = 'https://shop.test/products/bag';
+
+// A step the way runFunnel records it
+function step(name, overrides = {}) {
+    return { name, status: 'passed', durationMs: 800, url: PRODUCT_URL, detail: null, jsErrors: [], screenshot: `funnel_${name}.png`, ...overrides };
+}
+
+const funnel = steps => ({ productUrl: PRODUCT_URL, completed: false, steps, totalMs: 0 });
+const ids = issues => issues.map(issue => issue.id);
+
+test('a completed funnel without errors has no issues', () => {
+    assert.deepEqual(funnelIssues(funnel(['product', 'variant', 'add-to-cart', 'cart', 'checkout'].map(name => step(name)))), []);
+});
+
+test('each failed step maps to its own rule', () => {
+    const failed = (name, reason) => funnelIssues(funnel([step(name, { status: 'failed', detail: 'Broke', reason })]));
+    assert.deepEqual(ids(failed('product')), ['funnel.product-unreachable']);
+    assert.deepEqual(ids(failed('variant')), ['funnel.variant-unselectable']);
+    assert.deepEqual(ids(failed('add-to-cart', 'missing-button')), ['funnel.no-add-to-cart']);
+    assert.deepEqual(ids(failed('add-to-cart', 'cart-unchanged')), ['funnel.add-to-cart-failed']);
+    assert.deepEqual(ids(failed('cart')), ['funnel.cart-unreachable']);
+    assert.deepEqual(ids(failed('checkout', 'missing-checkout')), ['funnel.no-checkout']);
+    assert.deepEqual(ids(failed('checkout', 'checkout-not-reached')), ['funnel.checkout-unreachable']);
+
+    const [issue] = failed('cart');
+    assert.equal(issue.issue, 'Funnel step "cart" failed: Broke');
+    assert.equal(issue.url, PRODUCT_URL);
+    assert.equal(issue.evidence, 'Screenshot: funnel_cart.png');
+    assert.equal(issue.step, 'cart');
+});
+
+test('flags passed steps slower than maxStepTime', () => {
+    const steps = [step('product', { durationMs: 6200 }), step('variant', { durationMs: 5000 }), step('cart', { status: 'skipped', durationMs: 9000 })];
+    const issues = funnelIssues(funnel(steps));
+    assert.deepEqual(ids(issues), ['funnel.slow-step']);
+    assert.equal(issues[0].issue, 'Funnel step "product" took 6.2s (limit 5s)');
+    assert.deepEqual(ids(funnelIssues(funnel(steps), { maxStepTime: 10000 })), []);
+});
+
+test('reports each distinct JavaScript error once per step', () => {
+    const issues = funnelIssues(funnel([
+        step('add-to-cart', { jsErrors: ['TypeError: x is undefined', 'TypeError: x is undefined', 'ReferenceError: y'], screenshot: null })
+    ]));
+    assert.deepEqual(issues.map(issue => issue.issue), [
+        'JavaScript error during "add-to-cart": TypeError: x is undefined',
+        'JavaScript error during "add-to-cart": ReferenceError: y'
+    ]);
+    assert.equal(issues[0].id, 'funnel.js-error');
+});
+
+test('cartChanged notices items, badges, drawers and cart page redirects', () => {
+    const before = { url: PRODUCT_URL, itemCount: 0, badgeCount: null, drawerOpen: false, emptyText: false };
+    assert.equal(cartChanged(before, null), false);
+    assert.equal(cartChanged(before, { ...before }), false);
+    assert.equal(cartChanged(before, { ...before, itemCount: 1 }), true);
+    assert.equal(cartChanged(before, { ...before, badgeCount: 1 }), true);
+    assert.equal(cartChanged(before, { ...before, drawerOpen: true }), true);
+    assert.equal(cartChanged(before, { ...before, url: 'https://shop.test/cart' }), true);
+    // Landing on an empty cart means the form didn't add anything
+    assert.equal(cartChanged(before, { ...before, url: 'https://shop.test/cart', emptyText: true }), false);
+    assert.equal(cartChanged(before, { ...before, url: 'https://shop.test/account' }), false);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, html, raw, SafeHtml } = require('../src/utils/html');
+
+test('escapeHtml escapes markup and quotes', () => {
+    assert.equal(escapeHtml('<a href="x" title=\'y\'>Tom & Jerry</a>'),
+        '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;Tom &amp; Jerry&lt;/a&gt;');
+    assert.equal(escapeHtml(42), '42');
+});
+
+test('html escapes interpolated values', () => {
+    const title = '<script>alert(1)</script>';
+    const result = html`<h1 title="${title}">${title}</h1>`;
+    assert.ok(result instanceof SafeHtml);
+    assert.equal(String(result), '<h1 title="&lt;script&gt;alert(1)&lt;/script&gt;">&lt;script&gt;alert(1)&lt;/script&gt;</h1>');
+});
+
+test('html nests templates and raw markup without escaping them again', () => {
+    const items = ['a&b', 'c'].map(item => html`<li>${item}</li>`);
+    assert.equal(String(html`<ul>${items}</ul>`), '<ul><li>a&amp;b</li><li>c</li></ul>');
+    assert.equal(String(html`<div>${raw('<b>trusted</b>')}</div>`), '<div><b>trusted</b></div>');
+    assert.equal(raw(raw('x')).value, 'x');
+    assert.equal(String(raw(null)), '');
+});
+
+test('html renders null, undefined and false as nothing', () => {
+    assert.equal(String(html`[${null}${undefined}${false}${0}]`), '[0]');
+    assert.equal(String(html`${true && 'shown'}${false && 'hidden'}`), 'shown');
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const { fetchUrl } = require('../src/utils/http');
+
+let server;
+let base;
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        const gzip = { 'content-encoding': 'gzip' };
+        switch (request.url) {
+            case '/page':
+                response.writeHead(200, { ...gzip, 'content-type': 'text/html' });
+                response.end(request.method === 'HEAD' ? undefined : zlib.gzipSync('<h1>Hello</h1>'));
+                break;
+            case '/empty':
+                response.writeHead(204, gzip);
+                response.end();
+                break;
+            case '/not-modified':
+                response.writeHead(304, gzip);
+                response.end();
+                break;
+            case '/redirect':
+                response.writeHead(301, { ...gzip, location: '/page' });
+                response.end();
+                break;
+            default:
+                response.writeHead(404);
+                response.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('decompresses gzip bodies', async () => {
+    const response = await fetchUrl(`${base}/page`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body, '<h1>Hello</h1>');
+});
+
+test('HEAD on a gzip host does not try to decompress the missing body', async () => {
+    const response = await fetchUrl(`${base}/page`, { method: 'HEAD' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body, '');
+});
+
+test('204 and 304 responses flagged as gzip resolve with an empty body', async () => {
+    assert.equal((await fetchUrl(`${base}/empty`)).status, 204);
+    assert.equal((await fetchUrl(`${base}/not-modified`)).status, 304);
+});
+
+test('an empty gzip-flagged redirect is followed', async () => {
+    const response = await fetchUrl(`${base}/redirect`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.redirects.map(hop => hop.status), [301]);
+    assert.equal(response.body, '<h1>Hello</h1>');
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jsonReporter = require('../src/reporters/jsonReporter');
+const schema = require('../schemas/audit-report.v1.schema.json');
+const { createIssue } = require('../src/checks/rules');
+const { scoreAudit } = require('../src/checks/scoring');
+
+const { buildJsonReport } = jsonReporter;
+
+// The subset of JSON Schema the report schema uses. Returns a list of
+// "path: problem" strings, empty when `value` is valid.
+function validate(value, node = schema, where = '$') {
+    if (node.$ref) {
+        node = node.$ref.replace(/^#\//, '').split('/').reduce((target, key) => target[key], schema);
+    }
+    const errors = [];
+    const typeOf = item => {
+        if (item === null) return 'null';
+        if (Array.isArray(item)) return 'array';
+        return Number.isInteger(item) ? ['integer', 'number'] : typeof item;
+    };
+    if (node.type && ![].concat(typeOf(value)).some(type => [].concat(node.type).includes(type))) {
+        return [`${where}: expected ${node.type}, got ${JSON.stringify(value)}`];
+    }
+    if ('const' in node && value !== node.const) errors.push(`${where}: must be ${node.const}`);
+    if (node.enum && !node.enum.includes(value)) errors.push(`${where}: must be one of ${node.enum.join(', ')}`);
+    if (node.minimum !== undefined && typeof value === 'number' && value < node.minimum) errors.push(`${where}: below ${node.minimum}`);
+    if (node.maximum !== undefined && typeof value === 'number' && value > node.maximum) errors.push(`${where}: above ${node.maximum}`);
+    if (node.format === 'date-time' && Number.isNaN(Date.parse(value))) errors.push(`${where}: not a date-time`);
+    if (Array.isArray(value) && node.items) {
+        value.forEach((item, index) => errors.push(...validate(item, node.items, `${where}[${index}]`)));
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const key of node.required || []) {
+            if (!(key in value)) errors.push(`${where}.${key}: is required`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childNode = node.properties?.[key] || node.additionalProperties;
+            if (childNode && typeof childNode === 'object') errors.push(...validate(child, childNode, `${where}.${key}`));
+        }
+    }
+    return errors;
+}
+
+function auditData(overrides = {}) {
+    const issues = [
+        createIssue('seo.title-missing', { url: 'https://shop.test/a', device: 'desktop' }),
+        { ...createIssue('seo.h1-multiple', { url: 'https://shop.test/a', selector: 'h1:nth-of-type(2)' }), annotation: { number: 1, image: 'annotated.png', closeUp: null } },
+        createIssue('security.no-https', { url: 'http://shop.test/' })
+    ];
+    return {
+        url: 'https://shop.test/',
+        finalUrl: 'https://www.shop.test/',
+        siteName: 'shop_test',
+        name: 'Shop',
+        tags: ['client'],
+        isShopify: true,
+        classification: 'no_popup',
+        timestamp: '2024-03-01T10:00:00.000Z',
+        outputDirectory: 'audits/no_popup/shop_test',
+        devices: ['desktop', 'mobile'],
+        scores: scoreAudit(issues),
+        issues,
+        pages: [
+            { name: 'homepage_desktop', device: 'desktop', url: 'https://www.shop.test/', title: 'Shop', screenshot: '/tmp/audits/homepage_desktop.png' },
+            { name: 'product_1_mobile', url: 'https://www.shop.test/products/a', error: 'Timed out' }
+        ],
+        metrics: { performance: { loadTime: 1200 } },
+        seo: { pagesAnalyzed: 2 },
+        ...overrides
+    };
+}
+
+test('the report matches the v1 schema', () => {
+    const report = buildJsonReport(auditData());
+    assert.deepEqual(validate(report), []);
+    assert.deepEqual(validate(JSON.parse(jsonReporter.render(auditData(), { settings: { output: {} } }))), []);
+    // A minimal audit validates too
+    assert.deepEqual(validate(buildJsonReport({ url: 'https://shop.test/', siteName: 'shop_test', timestamp: '2024-03-01T10:00:00.000Z' })), []);
+});
+
+test('the schema check catches a broken report', () => {
+    const report = buildJsonReport(auditData());
+    report.issues[0].severity = 'urgent';
+    delete report.site.siteName;
+    report.scores.overall = 120;
+    assert.deepEqual(validate(report), [
+        '$.site.siteName: is required',
+        '$.scores.overall: above 100',
+        '$.issues[0].severity: must be one of critical, serious, moderate, minor'
+    ]);
+});
+
+test('summarizes issues and keeps only file names for screenshots', () => {
+    const report = buildJsonReport(auditData());
+    assert.equal(report.schemaVersion, jsonReporter.SCHEMA_VERSION);
+    assert.deepEqual(report.summary, { issueCount: 3, bySeverity: { serious: 1, minor: 1, critical: 1 }, byCategory: { seo: 2, security: 1 } });
+    assert.deepEqual(report.pages, [
+        { name: 'homepage_desktop', device: 'desktop', url: 'https://www.shop.test/', title: 'Shop', screenshot: 'homepage_desktop.png', error: null },
+        { name: 'product_1_mobile', device: null, url: 'https://www.shop.test/products/a', title: '', screenshot: null, error: 'Timed out' }
+    ]);
+});
+
+test('check detail goes under raw unless includeRawData is off', () => {
+    assert.deepEqual(buildJsonReport(auditData()).raw, { metrics: { performance: { loadTime: 1200 } }, seo: { pagesAnalyzed: 2 } });
+    assert.equal('raw' in buildJsonReport(auditData(), { includeRawData: false }), false);
+});
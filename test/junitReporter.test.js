@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const junitReporter = require('../src/reporters/junitReporter');
+const { SEVERITIES, createIssue } = require('../src/checks/rules');
+
+const { escapeXml, siteSuite } = junitReporter;
+
+const result = {
+    url: 'https://shop.test/',
+    siteName: 'shop_test',
+    name: 'Shop & Co',
+    timestamp: '2024-03-01T10:00:00.000Z',
+    success: true,
+    scores: { overall: 70, categories: { seo: { score: 70 }, security: { score: 100 }, visual: { score: null } } },
+    issues: [
+        createIssue('seo.title-missing', { url: 'https://shop.test/a' }),
+        createIssue('seo.og-missing', { url: 'https://shop.test/a', message: 'Missing <og:image>' })
+    ]
+};
+
+test('escapeXml escapes markup and strips characters XML 1.0 forbids', () => {
+    assert.equal(escapeXml(`<a href="x">Tom & 'Jerry'</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; &apos;Jerry&apos;&lt;/a&gt;');
+    assert.equal(escapeXml('bell\u0007 null\u0000 escape\u001b'), 'bell null escape');
+    // Tabs and line breaks are allowed
+    assert.equal(escapeXml('a\tb\nc\rd'), 'a\tb\nc\rd');
+    assert.equal(escapeXml(undefined), '');
+});
+
+test('a category fails on issues at failOn severity or worse', () => {
+    const serious = siteSuite(result, SEVERITIES.indexOf('serious'));
+    assert.equal(serious.tests, 2);
+    assert.equal(serious.failures, 1);
+    assert.match(serious.xml, /<testsuite name="Shop &amp; Co" tests="2" failures="1" errors="0"/);
+    assert.match(serious.xml, /<testcase classname="shop_test" name="SEO">\n {6}<failure message="1 issue\(s\) at serious or worse" type="serious">/);
+    // The milder issue and the score are listed as output
+    assert.match(serious.xml, /<system-out>Score: 70\/100\n\[minor\] seo\.og-missing: Missing &lt;og:image&gt; \(https:\/\/shop\.test\/a\)<\/system-out>/);
+    assert.match(serious.xml, /<testcase classname="shop_test" name="Security">\n {6}<system-out>Score: 100\/100<\/system-out>/);
+
+    const critical = siteSuite(result, SEVERITIES.indexOf('critical'));
+    assert.equal(critical.failures, 0);
+    assert.doesNotMatch(critical.xml, /<failure/);
+
+    const minor = siteSuite(result, SEVERITIES.indexOf('minor'));
+    assert.match(minor.xml, /<failure message="2 issue\(s\) at minor or worse"/);
+});
+
+test('a failed audit is a suite with one error', () => {
+    const suite = siteSuite({ url: 'https://down.test/', siteName: 'down_test', timestamp: 'x', success: false, error: 'Timed out <30s>', errorKind: 'timeout' }, 1);
+    assert.equal(suite.tests, 1);
+    assert.equal(suite.failures, 0);
+    assert.equal(suite.errors, 1);
+    assert.match(suite.xml, /<error type="timeout" message="Timed out &lt;30s&gt;"\/>/);
+});
+
+test('render totals the suites and reads output.failOn', () => {
+    const xml = junitReporter.render([result, { url: 'https://down.test/', success: false, error: 'Timed out' }], { settings: { output: { failOn: 'minor' } } });
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="Website audit" tests="3" failures="1" errors="1">/);
+});
@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { LinkChecker, normalizeReferences, checkPageLinks, linkIssues } = require('../src/checks/links');
+
+let server;
+let origin;
+const requests = [];
+
+const REDIRECTS = { '/old': '/older', '/older': '/new', '/loop-a': '/loop-b', '/loop-b': '/loop-a' };
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        requests.push(`${request.method} ${request.url}`);
+        if (REDIRECTS[request.url]) {
+            response.writeHead(301, { location: REDIRECTS[request.url] });
+            return response.end();
+        }
+        if (request.url === '/no-head' && request.method === 'HEAD') {
+            response.writeHead(405);
+            return response.end();
+        }
+        if (['/', '/new', '/app.js', '/logo.png', '/no-head'].includes(request.url)) {
+            response.writeHead(200, { 'content-type': 'text/html' });
+            return response.end('ok');
+        }
+        response.writeHead(request.url === '/error' ? 500 : 404);
+        response.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('normalizeReferences keeps http(s) URLs once per kind, without fragments', () => {
+    assert.deepEqual(normalizeReferences([
+        { url: 'https://shop.test/a#top', kind: 'link', text: 'A' },
+        { url: 'https://shop.test/a', kind: 'link', text: 'again' },
+        { url: 'https://shop.test/a', kind: 'image', text: '' },
+        { url: 'mailto:hi@shop.test', kind: 'link' },
+        { url: 'not a url', kind: 'link' }
+    ]), [
+        { url: 'https://shop.test/a', kind: 'link', text: 'A' },
+        { url: 'https://shop.test/a', kind: 'image', text: '' }
+    ]);
+});
+
+test('LinkChecker follows chains, falls back to GET and caches by URL', async () => {
+    const checker = new LinkChecker({ concurrency: 2 });
+    const [chain, missing, noHead] = await checker.checkAll([`${origin}/old`, `${origin}/missing`, `${origin}/no-head`]);
+    assert.equal(chain.status, 200);
+    assert.equal(chain.finalUrl, `${origin}/new`);
+    assert.deepEqual(chain.redirects.map(hop => [hop.url, hop.status]), [[`${origin}/old`, 301], [`${origin}/older`, 301]]);
+    assert.equal(missing.status, 404);
+    assert.equal(noHead.status, 200);
+    assert.ok(requests.includes('GET /no-head'));
+
+    const before = requests.length;
+    await checker.check(`${origin}/old`);
+    assert.equal(requests.length, before);
+
+    const unreachable = await checker.check('http://127.0.0.1:1/');
+    assert.equal(unreachable.status, null);
+    assert.match(unreachable.error, /ECONNREFUSED/);
+});
+
+test('checkPageLinks and linkIssues report chains, broken links, loops and mixed content', async () => {
+    const page = `https://127.0.0.1:${new URL(origin).port}/`;
+    const pages = [
+        {
+            url: page,
+            references: [
+                { url: `${origin}/old`, kind: 'link', text: 'Old page' },
+                { url: `${origin}/missing`, kind: 'link', text: 'Gone' },
+                { url: `${origin}/error`, kind: 'image', text: '' },
+                { url: `${origin}/loop-a`, kind: 'link', text: 'Loop' },
+                { url: `${origin}/app.js`, kind: 'script' },
+                { url: `${origin}/new`, kind: 'link', text: 'New' }
+            ]
+        },
+        { url: `${origin}/new`, references: [{ url: `${origin}/missing`, kind: 'link', text: '' }] }
+    ];
+    const result = await checkPageLinks(new LinkChecker(), pages, { canonicalOrigin: origin });
+    assert.equal(result.referencesFound, 6);
+    assert.equal(result.checked, 6);
+
+    const { findings } = result;
+    assert.deepEqual(findings.redirects.map(finding => [finding.url, finding.finalUrl, finding.redirects.length]),
+        [[`${origin}/old`, `${origin}/new`, 2]]);
+    assert.deepEqual(findings.broken.map(finding => [finding.url, finding.status]), [[`${origin}/missing`, 404], [`${origin}/error`, 500]]);
+    assert.deepEqual(findings.broken[0].sourcePages, [page, `${origin}/new`]);
+    assert.equal(findings.broken[0].linkText, 'Gone');
+    assert.deepEqual(findings.loops.map(finding => [finding.url, finding.loop]), [[`${origin}/loop-a`, true]]);
+    // Every reference is http on an https page
+    assert.equal(findings.mixedContent.length, 6);
+    assert.deepEqual(findings.mixedContent[0].sourcePages, [page]);
+    assert.deepEqual(findings.nonCanonicalHost, []);
+
+    const issues = linkIssues(result);
+    const byUrl = id => issues.filter(issue => issue.id === id).map(issue => [issue.resource, issue.severity]);
+    assert.deepEqual(byUrl('links.redirect-chain'), [[`${origin}/old`, 'moderate']]);
+    assert.deepEqual(byUrl('links.broken'), [[`${origin}/missing`, 'moderate'], [`${origin}/error`, 'serious']]);
+    assert.deepEqual(byUrl('links.redirect-loop').map(([url]) => url), [`${origin}/loop-a`]);
+    assert.deepEqual(byUrl('links.mixed-content'), [[`${origin}/error`, 'moderate'], [`${origin}/app.js`, 'serious']]);
+    assert.equal(byUrl('links.insecure-link').length, 4);
+    const broken = issues.find(issue => issue.id === 'links.broken');
+    assert.equal(broken.issue, `Broken link (HTTP 404): ${origin}/missing`);
+    assert.equal(broken.evidence, 'Link text: "Gone"');
+});
+
+test('external links can be skipped and the budget goes to internal ones', async () => {
+    const pages = [{
+        url: `${origin}/`,
+        references: [
+            { url: 'http://localhost:1/elsewhere', kind: 'link' },
+            { url: `${origin}/new`, kind: 'link' },
+            { url: `${origin}/missing`, kind: 'link' }
+        ]
+    }];
+    const internalOnly = await checkPageLinks(new LinkChecker(), pages, { canonicalOrigin: `${origin}/`, checkExternal: false });
+    assert.equal(internalOnly.checked, 2);
+    assert.equal(internalOnly.skipped, 1);
+
+    const capped = await checkPageLinks(new LinkChecker(), pages, { canonicalOrigin: `${origin}/`, maxLinks: 1 });
+    assert.equal(capped.checked, 1);
+    assert.equal(capped.skipped, 2);
+    assert.deepEqual(capped.findings.broken, []);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const markdownReporter = require('../src/reporters/markdownReporter');
+const { createIssue } = require('../src/checks/rules');
+
+const { escapeMarkdown } = markdownReporter;
+
+test('escapeMarkdown keeps page text from breaking tables or starting syntax', () => {
+    assert.equal(escapeMarkdown('a | b'), 'a \\| b');
+    assert.equal(escapeMarkdown('*bold* _it_ `code` [link](x) <b> \\'), '\\*bold\\* \\_it\\_ \\`code\\` \\[link\\](x) \\<b\\> \\\\');
+    assert.equal(escapeMarkdown('  two\n\nlines  '), 'two lines');
+    assert.equal(escapeMarkdown(null), '');
+});
+
+test('lists scores and issues grouped by severity', () => {
+    const markdown = markdownReporter.render({
+        url: 'https://shop.test/',
+        name: 'Shop | Main',
+        timestamp: '2024-03-01T10:00:00.000Z',
+        isShopify: true,
+        scores: { overall: 72, categories: { seo: { label: 'SEO', score: 72, issueCount: 2 }, visual: { label: 'Visual', score: null, issueCount: 0 } } },
+        issues: [
+            createIssue('seo.title-missing', { url: 'https://shop.test/a' }),
+            { ...createIssue('seo.h1-multiple', { selector: 'h1:nth-of-type(`2`)', message: 'Two *H1* tags' }), annotation: { number: 3, image: 'annotated.png' } }
+        ]
+    });
+
+    assert.match(markdown, /^# Website Audit: Shop \\\| Main\n/);
+    assert.match(markdown, /- \*\*Shopify store:\*\* Yes\n- \*\*Overall score:\*\* 72\/100\n/);
+    assert.match(markdown, /\| SEO \| 72 \| 2 \|\n/);
+    assert.doesNotMatch(markdown, /Visual/);
+    assert.match(markdown, /## Issues \(2\)\n\n### Serious \(1\)\n\n- \*\*Page has no title\*\* \(`seo\.title-missing`\): Page has no title — https:\/\/shop\.test\/a\n {2}- Fix: /);
+    assert.match(markdown, /### Minor \(1\)\n\n- \*\*.*\*\* \(`seo\.h1-multiple`\): Two \\\*H1\\\* tags — `h1:nth-of-type\('2'\)`\n/);
+    assert.match(markdown, / {2}- Screenshot: \[marker 3\]\(annotated\.png\)\n$/);
+});
+
+test('says so when there are no issues', () => {
+    const markdown = markdownReporter.render({ url: 'https://shop.test/', timestamp: '2024-03-01T10:00:00.000Z', issues: [] });
+    assert.match(markdown, /## Issues \(0\)\n\nNo issues found\.\n$/);
+    assert.doesNotMatch(markdown, /## Scores/);
+});
@@ -0,0 +1,161 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeNetwork, networkIssues, toHar, formatBytes } = require('../src/checks/network');
+
+const PAGE = 'https://www.shop.test/';
+
+// An entry the way NetworkRecorder records a finished request
+function entry(url, overrides = {}) {
+    const { response, ...rest } = overrides;
+    return {
+        requestId: url,
+        url,
+        method: 'GET',
+        requestHeaders: { accept: '*/*' },
+        postDataSize: 0,
+        resourceType: 'Script',
+        initiator: { type: 'parser', url: PAGE, lineNumber: 3 },
+        startTime: 100,
+        wallTime: 1700000000,
+        encodedBytes: 2000,
+        decodedBytes: 8000,
+        endTime: 100.25,
+        failed: null,
+        response: response === null ? null : {
+            status: 200,
+            statusText: 'OK',
+            mimeType: 'application/javascript',
+            headers: { 'content-encoding': 'br', 'cache-control': 'max-age=31536000' },
+            protocol: 'h2',
+            fromCache: false,
+            timing: null,
+            encodedDataLength: 0,
+            ...response
+        },
+        ...rest
+    };
+}
+
+test('formatBytes', () => {
+    assert.equal(formatBytes(512), '512B');
+    assert.equal(formatBytes(2048), '2KB');
+    assert.equal(formatBytes(3 * 1024 * 1024), '3.0MB');
+});
+
+test('splits bytes by resource type and by first and third party', () => {
+    const { summary } = analyzeNetwork([
+        entry(PAGE, { resourceType: 'Document', encodedBytes: 10000, response: { mimeType: 'text/html' } }),
+        entry('https://cdn.shop.test/app.js'),
+        entry('https://www.analytics.test/tag.js', { encodedBytes: 5000 }),
+        entry('https://www.analytics.test/collect', { resourceType: 'XHR', encodedBytes: 100 }),
+        entry('data:image/png;base64,AAAA', { resourceType: 'Image' })
+    ], PAGE, null);
+
+    assert.equal(summary.requestCount, 4);
+    assert.equal(summary.totalBytes, 17100);
+    assert.deepEqual(summary.byType, {
+        document: { count: 1, bytes: 10000 },
+        script: { count: 2, bytes: 7000 },
+        xhr: { count: 1, bytes: 100 }
+    });
+    assert.equal(summary.firstPartyBytes, 12000);
+    assert.equal(summary.thirdPartyBytes, 5100);
+    assert.equal(summary.thirdPartyRequests, 2);
+    assert.deepEqual(summary.thirdPartyHosts, { 'www.analytics.test': { count: 2, bytes: 5100 } });
+});
+
+test('finds uncompressed, uncached and failing responses', () => {
+    const { summary, findings } = analyzeNetwork([
+        entry('https://www.shop.test/plain.js', { response: { headers: { 'cache-control': 'max-age=600' } } }),
+        entry('https://www.shop.test/tiny.js', { decodedBytes: 100, response: { headers: { 'cache-control': 'max-age=600' } } }),
+        entry('https://www.shop.test/logo.png', { resourceType: 'Image', response: { mimeType: 'image/png', headers: { 'cache-control': 'no-cache' } } }),
+        entry('https://www.shop.test/expires.css', { resourceType: 'Stylesheet', response: { headers: { 'content-encoding': 'gzip', expires: 'Wed, 21 Oct 2099 07:28:00 GMT' } } }),
+        entry('https://www.shop.test/missing.js', { response: { status: 404 } }),
+        entry('https://www.shop.test/cached.js', { response: { fromCache: true, headers: {} } }),
+        entry('https://www.shop.test/blocked.js', { response: null, failed: 'blocked: client' })
+    ], PAGE, null);
+
+    assert.deepEqual(findings.uncompressed.map(finding => finding.url), ['https://www.shop.test/plain.js']);
+    assert.deepEqual(findings.missingCache, [{ url: 'https://www.shop.test/logo.png', resourceType: 'Image', cacheControl: 'no-cache' }]);
+    assert.deepEqual(findings.errorResponses, [{ url: 'https://www.shop.test/missing.js', status: 404, resourceType: 'Script' }]);
+    assert.equal(summary.failedRequests, 1);
+});
+
+test('flags images served well above their rendered size', () => {
+    const renderData = {
+        images: [
+            { url: 'https://www.shop.test/hero.jpg', naturalWidth: 2400, naturalHeight: 1600, renderedWidth: 600, renderedHeight: 400 },
+            { url: 'https://www.shop.test/small.jpg', naturalWidth: 2400, naturalHeight: 1600, renderedWidth: 600, renderedHeight: 400 },
+            { url: 'https://www.shop.test/fit.jpg', naturalWidth: 700, naturalHeight: 500, renderedWidth: 600, renderedHeight: 400 }
+        ],
+        renderBlocking: [{ url: 'https://www.shop.test/site.css', type: 'stylesheet' }]
+    };
+    const image = (url, bytes) => entry(url, { resourceType: 'Image', encodedBytes: bytes, response: { mimeType: 'image/jpeg' } });
+    const { findings } = analyzeNetwork([
+        image('https://www.shop.test/hero.jpg', 200000),
+        image('https://www.shop.test/small.jpg', 4000),
+        image('https://www.shop.test/fit.jpg', 200000)
+    ], PAGE, renderData);
+
+    assert.equal(findings.oversizedImages.length, 1);
+    assert.equal(findings.oversizedImages[0].url, 'https://www.shop.test/hero.jpg');
+    assert.equal(findings.oversizedImages[0].ratio, 4);
+    assert.deepEqual(findings.renderBlocking, [{ url: 'https://www.shop.test/site.css', type: 'stylesheet', bytes: null }]);
+});
+
+test('caps each finding type at maxFindingsPerType', () => {
+    const entries = Array.from({ length: 5 }, (_, index) => entry(`https://www.shop.test/${index}.js`, { response: { status: 500 } }));
+    const { findings } = analyzeNetwork(entries, PAGE, null, { maxFindingsPerType: 2 });
+    assert.equal(findings.errorResponses.length, 2);
+});
+
+test('networkIssues turns findings into report issues', () => {
+    const issues = networkIssues(analyzeNetwork([
+        entry('https://www.shop.test/down.js', { response: { status: 503 } }),
+        entry('https://www.shop.test/plain.js', { response: { headers: { 'cache-control': 'max-age=600' } } }),
+        entry('https://www.shop.test/gone.js', { response: null, failed: 'net::ERR_NAME_NOT_RESOLVED' })
+    ], PAGE, null));
+
+    assert.deepEqual(issues.map(issue => issue.id), ['network.error-response', 'network.uncompressed', 'network.failed-requests']);
+    assert.equal(issues[0].severity, 'serious');
+    assert.equal(issues[0].resource, 'https://www.shop.test/down.js');
+    assert.match(issues[1].issue, /Uncompressed application\/javascript response \(8KB\)/);
+    assert.match(issues[2].issue, /^1 request\(s\) failed/);
+});
+
+test('toHar builds a HAR 1.2 log with timings', () => {
+    const timed = entry('https://www.shop.test/app.js?v=2', {
+        response: {
+            timing: {
+                requestTime: 100, dnsStart: 1, dnsEnd: 5, connectStart: 5, connectEnd: 20,
+                sslStart: 10, sslEnd: 20, sendStart: 21, sendEnd: 22, receiveHeadersEnd: 122
+            }
+        }
+    });
+    const failed = entry('https://www.shop.test/gone.js', { response: null, failed: 'net::ERR_FAILED', endTime: null });
+    const har = toHar([timed, failed, entry('blob:https://www.shop.test/1')], {
+        pageUrl: PAGE,
+        startedDateTime: '2024-01-01T00:00:00.000Z',
+        creatorVersion: '2.0.0'
+    });
+
+    assert.equal(har.log.version, '1.2');
+    assert.deepEqual(har.log.creator, { name: 'automated-website-auditor', version: '2.0.0' });
+    assert.deepEqual(har.log.pages, [{ startedDateTime: '2024-01-01T00:00:00.000Z', id: 'page_1', title: PAGE, pageTimings: {} }]);
+    assert.equal(har.log.entries.length, 2);
+
+    const [first, second] = har.log.entries;
+    assert.equal(first.startedDateTime, new Date(1700000000 * 1000).toISOString());
+    assert.equal(first.time, 250);
+    assert.deepEqual(first.request.queryString, [{ name: 'v', value: '2' }]);
+    assert.deepEqual(first.request.headers, [{ name: 'accept', value: '*/*' }]);
+    assert.equal(first.response.httpVersion, 'h2');
+    assert.deepEqual(first.response.content, { size: 8000, mimeType: 'application/javascript' });
+    assert.deepEqual(first.timings, { blocked: 1, dns: 4, connect: 15, ssl: 10, send: 1, wait: 100, receive: 128 });
+
+    assert.equal(second.time, 0);
+    assert.equal(second.response.status, 0);
+    assert.equal(second.response.statusText, 'net::ERR_FAILED');
+    assert.equal(second._error, 'net::ERR_FAILED');
+    assert.equal(second.timings.wait, -1);
+});
@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PagePool, HostThrottle } = require('../src/utils/pagePool');
+
+// Stands in for a Puppeteer browser: contexts hand out plain page objects
+function fakeBrowser() {
+    const browser = { created: 0, closed: 0 };
+    browser.createIncognitoBrowserContext = async () => {
+        browser.created++;
+        return {
+            newPage: async () => ({ id: browser.created }),
+            close: async () => { browser.closed++; }
+        };
+    };
+    return browser;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('acquire hands out up to `size` pages and queues the rest', async () => {
+    const browser = fakeBrowser();
+    const pool = new PagePool(browser, { size: 2 });
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    assert.equal(pool.active, 2);
+
+    let third = null;
+    const waiting = pool.acquire().then(lease => { third = lease; });
+    await tick();
+    assert.equal(third, null);
+    assert.equal(pool.waiting.length, 1);
+
+    await pool.release(first);
+    await waiting;
+    assert.ok(third.page);
+    assert.equal(pool.active, 2);
+    assert.equal(browser.closed, 1);
+
+    await pool.release(second);
+    await pool.release(third);
+    assert.equal(pool.active, 0);
+    assert.equal(browser.closed, 3);
+});
+
+test('use releases the page even when the task throws', async () => {
+    const browser = fakeBrowser();
+    const pool = new PagePool(browser, { size: 1 });
+    await assert.rejects(pool.use(async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(pool.active, 0);
+    assert.equal(await pool.use(async page => page.id), 2);
+    assert.equal(browser.closed, 2);
+});
+
+test('close rejects queued acquires and any acquire after it', async () => {
+    const browser = fakeBrowser();
+    const pool = new PagePool(browser, { size: 1 });
+    const lease = await pool.acquire();
+    const queued = [pool.acquire(), pool.acquire()];
+
+    await pool.close();
+    for (const acquire of queued) {
+        await assert.rejects(acquire, /Page pool is closed/);
+    }
+    await assert.rejects(pool.acquire(), /Page pool is closed/);
+    assert.equal(browser.closed, 1);
+
+    // The audit that held the page finishing later leaves the pool empty
+    await pool.release(lease);
+    assert.equal(pool.active, 0);
+    assert.equal(browser.created, 1);
+});
+
+test('a slot handed over just before close goes back to the pool', async () => {
+    const pool = new PagePool(fakeBrowser(), { size: 1 });
+    const lease = await pool.acquire();
+    const queued = pool.acquire();
+    await tick();
+    const released = pool.release(lease);
+    await pool.close();
+    await released;
+    await assert.rejects(queued, /Page pool is closed/);
+    assert.equal(pool.active, 0);
+});
+
+test('HostThrottle runs tasks for one host in order with the delay between them', async () => {
+    const throttle = new HostThrottle(50);
+    const events = [];
+    const task = (name, ms) => async () => {
+        events.push([`${name} start`, Date.now()]);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        events.push([`${name} end`, Date.now()]);
+        return name;
+    };
+
+    const results = await Promise.all([
+        throttle.schedule('shop.test', task('a', 20)),
+        throttle.schedule('shop.test', task('b', 20)),
+        throttle.schedule('other.test', task('c', 5))
+    ]);
+    assert.deepEqual(results, ['a', 'b', 'c']);
+
+    const at = name => events.find(([event]) => event === name)[1];
+    const order = events.map(([event]) => event);
+    // Another host isn't held up by shop.test
+    assert.ok(order.indexOf('c start') < order.indexOf('a end'));
+    assert.ok(order.indexOf('a end') < order.indexOf('b start'));
+    assert.ok(at('b start') - at('a end') >= 45);
+});
+
+test('HostThrottle keeps going after a failed task and drops the delay once closed', async () => {
+    const throttle = new HostThrottle(10000);
+    const failed = throttle.schedule('shop.test', async () => { throw new Error('timeout'); });
+    await assert.rejects(failed, /timeout/);
+    throttle.close();
+
+    const started = Date.now();
+    assert.equal(await throttle.schedule('shop.test', async () => 'next'), 'next');
+    assert.ok(Date.now() - started < 1000);
+    await tick();
+    assert.equal(throttle.queues.size, 0);
+});
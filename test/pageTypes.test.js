@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalizeUrl, classifyPage, isSameSite, pageSlug, registrableDomain } = require('../src/crawler/pageTypes');
+
+test('canonicalizeUrl reduces one page to one URL', () => {
+    assert.equal(canonicalizeUrl('HTTPS://Shop.Test:443/products/hat/?utm_source=x&b=2&a=1&fbclid=y#reviews'),
+        'https://shop.test/products/hat?a=1&b=2');
+    assert.equal(canonicalizeUrl('http://shop.test:80/'), 'http://shop.test/');
+    assert.equal(canonicalizeUrl('http://shop.test:8080/cart'), 'http://shop.test:8080/cart');
+    assert.equal(canonicalizeUrl('https://shop.test/?ref=home'), 'https://shop.test/');
+});
+
+test('canonicalizeUrl resolves relative URLs and rejects others', () => {
+    assert.equal(canonicalizeUrl('../pages/about', 'https://shop.test/collections/all'), 'https://shop.test/pages/about');
+    assert.equal(canonicalizeUrl('mailto:hello@shop.test'), null);
+    assert.equal(canonicalizeUrl('javascript:void(0)', 'https://shop.test/'), null);
+    assert.equal(canonicalizeUrl('not a url'), null);
+});
+
+test('pageSlug keeps the path readable and gives every URL its own name', () => {
+    assert.match(pageSlug('https://shop.test/'), /^home_[0-9a-f]{8}$/);
+    assert.match(pageSlug('https://shop.test/products/red-hat?variant=1'), /^products_red_hat_variant_1_[0-9a-f]{8}$/);
+    assert.equal(pageSlug('https://shop.test/products/hat'), pageSlug('https://shop.test/products/hat'));
+
+    assert.notEqual(pageSlug('https://shop.test/products/a-b'), pageSlug('https://shop.test/products/a_b'));
+    const long = 'x'.repeat(100);
+    assert.notEqual(pageSlug(`https://shop.test/${long}/one`), pageSlug(`https://shop.test/${long}/two`));
+    assert.ok(pageSlug(`https://shop.test/${long}`).length <= 89);
+    // Other output in the same folders, like the popup's, can't be a page's name
+    assert.notEqual(pageSlug('https://shop.test/popup'), 'popup');
+});
+
+test('classifyPage recognises store page types', () => {
+    assert.equal(classifyPage('https://shop.test/'), 'home');
+    assert.equal(classifyPage('https://shop.test/products/hat'), 'product');
+    assert.equal(classifyPage('https://shop.test/collections/hats/products/hat'), 'product');
+    assert.equal(classifyPage('https://shop.test/collections/hats'), 'collection');
+    assert.equal(classifyPage('https://shop.test/cart'), 'cart');
+    assert.equal(classifyPage('https://shop.test/blogs/news/launch'), 'blog');
+    assert.equal(classifyPage('https://shop.test/policies/refund-policy'), 'policy');
+    assert.equal(classifyPage('https://shop.test/hat', { html: '<script>{"@type": "Product"}</script>' }), 'product');
+    assert.equal(classifyPage('https://shop.test/about'), 'other');
+});
+
+test('registrableDomain and isSameSite', () => {
+    assert.equal(registrableDomain('cdn.shop.example.com'), 'example.com');
+    assert.equal(registrableDomain('www.example.co.uk'), 'example.co.uk');
+    assert.equal(registrableDomain('127.0.0.1'), '127.0.0.1');
+    assert.equal(isSameSite('https://www.shop.test/a', 'https://shop.test/'), true);
+    assert.equal(isSameSite('https://cdn.shop.test/a', 'https://shop.test/'), false);
+    assert.equal(isSameSite('not a url', 'https://shop.test/'), false);
+});
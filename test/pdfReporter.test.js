@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderPdfHtml } = require('../src/reporters/pdfReporter');
+
+const auditData = {
+    url: 'https://shop.test/',
+    name: 'Shop',
+    timestamp: Date.parse('2026-01-15T10:00:00Z'),
+    devices: ['desktop'],
+    pages: [],
+    issues: [],
+    metrics: { performance: {} },
+    scores: { overall: 80, categories: {} }
+};
+
+const render = sections => renderPdfHtml(auditData, { settings: { report: { pdf: { sections } } } });
+
+test('renders the sections in the order report.pdf.sections lists them', () => {
+    const markup = render(['appendix', 'cover']);
+    const appendix = markup.indexOf('<h2>Appendix</h2>');
+    const cover = markup.indexOf('<div class="cover">');
+    assert.ok(appendix >= 0 && cover >= 0);
+    assert.ok(appendix < cover);
+    assert.ok(!markup.includes('Executive Summary'));
+});
+
+test('renders every section once by default', () => {
+    const markup = renderPdfHtml(auditData);
+    assert.ok(markup.indexOf('<div class="cover">') < markup.indexOf('<h2>Appendix</h2>'));
+    assert.equal(render(['cover', 'cover']).split('<div class="cover">').length, 2);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeTrace, rate } = require('../src/checks/performance');
+
+// Trace timestamps and durations are in microseconds
+const MAIN = { pid: 1, tid: 10 };
+const OTHER = { pid: 2, tid: 20 };
+
+const threadName = (thread, name) => ({ ...thread, ph: 'M', name: 'thread_name', args: { name } });
+const mark = (thread, name, ts) => ({ ...thread, ph: 'R', name, ts });
+const task = (thread, ts, durMs) => ({ ...thread, ph: 'X', name: 'RunTask', ts, dur: durMs * 1000 });
+const script = (thread, name, url, ts, durMs) => ({ ...thread, ph: 'X', name, ts, dur: durMs * 1000, args: { data: { url } } });
+
+test('attributes long main-thread tasks to the scripts that ran in them', () => {
+    const trace = {
+        traceEvents: [
+            threadName(MAIN, 'CrRendererMain'),
+            threadName(OTHER, 'CrRendererMain'),
+            mark(MAIN, 'navigationStart', 1000000),
+            // 120ms task: app.js evaluates (with a nested call), then vendor.js runs
+            task(MAIN, 1100000, 120),
+            script(MAIN, 'EvaluateScript', 'https://shop.test/app.js', 1100000, 70),
+            script(MAIN, 'FunctionCall', 'https://shop.test/app.js', 1110000, 30),
+            script(MAIN, 'FunctionCall', 'https://cdn.vendor.test/vendor.js', 1180000, 30),
+            // 40ms is not a long task
+            task(MAIN, 1300000, 40),
+            script(MAIN, 'EvaluateScript', 'https://shop.test/small.js', 1300000, 35),
+            // 60ms task whose timer callback belongs to vendor.js
+            task(MAIN, 1500000, 60),
+            { ...script(MAIN, 'TimerFire', null, 1500000, 55), args: { data: { scriptName: 'https://cdn.vendor.test/vendor.js' } } },
+            // Another renderer's work is ignored
+            task(OTHER, 1100000, 500),
+            script(OTHER, 'EvaluateScript', 'https://ads.test/frame.js', 1100000, 400)
+        ]
+    };
+
+    const { longTasks, scriptAttribution } = analyzeTrace(trace);
+    assert.deepEqual(longTasks, [
+        {
+            start: 100,
+            duration: 120,
+            attribution: [{ url: 'https://shop.test/app.js', ms: 70 }, { url: 'https://cdn.vendor.test/vendor.js', ms: 30 }]
+        },
+        { start: 500, duration: 60, attribution: [{ url: 'https://cdn.vendor.test/vendor.js', ms: 55 }] }
+    ]);
+    assert.deepEqual(scriptAttribution, [
+        { url: 'https://cdn.vendor.test/vendor.js', ms: 85, tasks: 2 },
+        { url: 'https://shop.test/app.js', ms: 70, tasks: 1 }
+    ]);
+});
+
+test('falls back to the first renderer main thread without a navigationStart', () => {
+    const trace = {
+        traceEvents: [
+            threadName(MAIN, 'CrRendererMain'),
+            threadName(OTHER, 'CrBrowserMain'),
+            task(MAIN, 2000000, 10),
+            task(MAIN, 2050000, 80),
+            task(OTHER, 2000000, 300)
+        ]
+    };
+    assert.deepEqual(analyzeTrace(trace), {
+        longTasks: [{ start: 50, duration: 80, attribution: [] }],
+        scriptAttribution: []
+    });
+});
+
+test('a trace without a renderer main thread has no long tasks', () => {
+    assert.deepEqual(analyzeTrace({}), { longTasks: [], scriptAttribution: [] });
+    assert.deepEqual(analyzeTrace({ traceEvents: [task(MAIN, 0, 200)] }), { longTasks: [], scriptAttribution: [] });
+});
+
+test('rate uses the good and poor boundaries', () => {
+    assert.equal(rate('lcp', 2500), 'good');
+    assert.equal(rate('lcp', 2501), 'needs-improvement');
+    assert.equal(rate('cls', 0.3), 'poor');
+    assert.equal(rate('lcp', null), null);
+    assert.equal(rate('unknown', 1), null);
+});
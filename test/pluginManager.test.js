@@ -0,0 +1,153 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PluginManager } = require('../src/plugins/pluginManager');
+const { RULES } = require('../src/checks/rules');
+
+let root;
+
+// Writes `files` ({ relative path: source }) into a new plugin directory
+function pluginDirectory(name, files) {
+    const directory = path.join(root, name);
+    for (const [file, source] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+        fs.writeFileSync(path.join(directory, file), source);
+    }
+    return directory;
+}
+
+// Hooks and checks log `<plugin>:<step>` to options.calls
+const recordingPlugin = (name, extra = '') => `module.exports = {
+    name: '${name}',
+    rules: { found: { category: 'seo', severity: 'minor', title: 'Found by ${name}' } },
+    hooks: {
+        beforeNavigation: context => context.options.calls.push('${name}:beforeNavigation'),
+        afterLoad: context => {
+            context.options.calls.push('${name}:afterLoad');
+            context.data.loaded = context.url;
+            context.report({ rule: 'found', message: 'from ${name}' });
+        }
+    },
+    ${extra}
+};
+`;
+
+const page = { evaluate: async (fn, options) => fn(options) };
+
+before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-plugins-'));
+    // The warnings are expected here
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    mock.restoreAll();
+});
+
+test('loads .js files and package folders in name order and registers their rules', () => {
+    const directory = pluginDirectory('order', {
+        'b-second.js': recordingPlugin('order-second'),
+        'a-first.js': recordingPlugin('order-first'),
+        'c-package/index.js': recordingPlugin('order-package', 'checks: [{ name: \'one\', run: () => [] }, { name: \'two\', run: () => [] }]'),
+        'README.md': '# Not a plugin'
+    });
+    const manager = PluginManager.load({ directory });
+    assert.deepEqual(manager.names, ['order-first', 'order-second', 'order-package']);
+    assert.equal(manager.checkCount, 2);
+    assert.equal(RULES['order-first.found'].title, 'Found by order-first');
+    assert.equal(RULES['order-first.found'].source, 'order-first');
+
+    // A second load of the same modules doesn't register the rules again
+    assert.deepEqual(PluginManager.load({ directory }).names, manager.names);
+});
+
+test('rejects plugins that are broken or clash', () => {
+    const load = (name, source) => () => PluginManager.load({ directory: pluginDirectory(name, { 'plugin.js': source }) });
+    assert.throws(() => PluginManager.load({ directory: path.join(root, 'missing') }), /Could not read plugin directory/);
+    assert.throws(load('syntax', 'module.exports = {'), /Could not load plugin .*plugin\.js/);
+    assert.throws(load('unnamed', 'module.exports = { name: \'Bad Name\' };'), /needs a name made of lowercase letters/);
+    assert.throws(load('reserved', 'module.exports = { name: \'seo\' };'), /can't use the name "seo"/);
+    assert.throws(load('hook', 'module.exports = { name: \'bad-hook\', hooks: { onLoad() {} } };'), /unknown hook "onLoad"/);
+    assert.throws(load('check', 'module.exports = { name: \'bad-check\', checks: [{ name: \'both\', run() {}, evaluate() {} }] };'), /either an evaluate or a run function/);
+    assert.throws(() => PluginManager.load({
+        directory: pluginDirectory('duplicate', {
+            'a.js': 'module.exports = { name: \'twin\' };',
+            'b.js': 'module.exports = { name: \'twin\' };'
+        })
+    }), /another plugin is already named "twin"/);
+    assert.throws(() => PluginManager.load({ packages: ['audit-plugin-that-does-not-exist'] }), /Could not load plugin package "audit-plugin-that-does-not-exist"/);
+});
+
+test('calls hooks plugin by plugin in load order and collects their issues', async () => {
+    const calls = [];
+    const manager = PluginManager.load({
+        directory: pluginDirectory('hooks', { 'a.js': recordingPlugin('hooks-a'), 'b.js': recordingPlugin('hooks-b') }),
+        options: { 'hooks-a': { calls }, 'hooks-b': { calls } }
+    });
+    const auditData = {};
+    manager.begin(page, auditData);
+    await manager.emit('beforeNavigation', page, { url: 'https://shop.test/' });
+    await manager.emit('afterLoad', page, { url: 'https://shop.test/' });
+    // Hooks no plugin has are skipped
+    await manager.emit('afterAudit', page);
+
+    assert.deepEqual(calls, ['hooks-a:beforeNavigation', 'hooks-b:beforeNavigation', 'hooks-a:afterLoad', 'hooks-b:afterLoad']);
+    assert.deepEqual(auditData.plugins, { 'hooks-a': { loaded: 'https://shop.test/' }, 'hooks-b': { loaded: 'https://shop.test/' } });
+
+    const issues = manager.end(page);
+    assert.deepEqual(issues.map(issue => [issue.id, issue.issue, issue.url, issue.plugin]), [
+        ['hooks-a.found', 'from hooks-a', 'https://shop.test/', 'hooks-a'],
+        ['hooks-b.found', 'from hooks-b', 'https://shop.test/', 'hooks-b']
+    ]);
+    assert.deepEqual(manager.end(page), []);
+    // Without begin() there is no audit to emit to
+    await manager.emit('afterLoad', page, { url: 'https://shop.test/' });
+    assert.equal(calls.length, 4);
+});
+
+test('a failing plugin becomes an issue and the others still run', async () => {
+    const calls = [];
+    const manager = PluginManager.load({
+        directory: pluginDirectory('isolation', {
+            'a-broken.js': `module.exports = {
+                name: 'isolation-broken',
+                hooks: { afterLoad: () => { throw new Error('hook exploded'); } },
+                checks: [{ name: 'crash', run: async () => { throw new Error('check exploded'); } }],
+                report: () => { throw new Error('report exploded'); }
+            };`,
+            'b-working.js': recordingPlugin('isolation-working', `checks: [
+                { name: 'in-node', pageTypes: ['product'], run: context => [{ rule: 'found', message: 'product page ' + context.url }] },
+                { name: 'in-page', evaluate: options => [{ rule: 'found', message: 'evaluated with ' + options.flag, selector: 'h1' }] }
+            ],
+            report: context => ({ html: '<p>' + context.data.loaded + '</p>' })`)
+        }),
+        options: { 'isolation-working': { calls, flag: 'on' } }
+    });
+    const auditData = {};
+    manager.begin(page, auditData);
+    await manager.emit('afterLoad', page, { url: 'https://shop.test/' });
+    assert.deepEqual(calls, ['isolation-working:afterLoad']);
+
+    const productIssues = await manager.runChecks(page, { url: 'https://shop.test/p', pageType: 'product' });
+    assert.deepEqual(productIssues.map(issue => [issue.id, issue.issue]), [
+        ['error.checks-incomplete', 'Plugin "isolation-broken" failed in check "crash": check exploded'],
+        ['isolation-working.found', 'product page https://shop.test/p'],
+        ['isolation-working.found', 'evaluated with on']
+    ]);
+    assert.equal(productIssues[2].selector, 'h1');
+    const homeIssues = await manager.runChecks(page, { url: 'https://shop.test/', pageType: 'home' });
+    assert.equal(homeIssues.filter(issue => issue.id === 'isolation-working.found').length, 1);
+
+    const hookIssues = manager.end(page);
+    assert.deepEqual(hookIssues.map(issue => [issue.id, issue.issue]), [
+        ['error.checks-incomplete', 'Plugin "isolation-broken" failed in afterLoad: hook exploded'],
+        ['isolation-working.found', 'from isolation-working']
+    ]);
+
+    assert.deepEqual(manager.reportSections(auditData), [
+        { plugin: 'isolation-working', title: 'isolation-working', html: '<p>https://shop.test/</p>' }
+    ]);
+});
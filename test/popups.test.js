@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { popupIssues } = require('../src/checks/popups');
+
+// What the popup check records for a popup that closes every way
+function popups(overrides = {}) {
+    return {
+        hasPopup: true,
+        element: 'div.newsletter-modal',
+        appearedAfterMs: 4200,
+        trigger: 'timer',
+        coverage: {
+            desktop: { coverage: 0.2, blocksPage: false, viewport: { width: 1920, height: 1080 } },
+            mobile: { coverage: 0.25, blocksPage: false, viewport: { width: 375, height: 667 } }
+        },
+        dismissal: { escape: 'works', overlay: 'works', 'close-button': 'works' },
+        ...overrides
+    };
+}
+
+const ids = issues => issues.map(issue => issue.id);
+
+test('no popup, or a popup that behaves, has no issues', () => {
+    assert.deepEqual(popupIssues(null), []);
+    assert.deepEqual(popupIssues({ hasPopup: false }), []);
+    assert.deepEqual(popupIssues(popups()), []);
+});
+
+test('flags popups covering too much of the mobile screen', () => {
+    const mobile = { coverage: 0.45, blocksPage: false, viewport: { width: 375, height: 667 } };
+    const [issue] = popupIssues(popups({ coverage: { mobile } }));
+    assert.equal(issue.id, 'popups.intrusive-mobile');
+    assert.equal(issue.issue, 'Popup covers 45% of the mobile screen (limit 30%)');
+    assert.equal(issue.evidence, 'Popup: div.newsletter-modal, shown 4.2s after load (timer)');
+    assert.deepEqual(popupIssues(popups({ coverage: { mobile } }), { maxMobileCoverage: 0.5 }), []);
+
+    const [blocking] = popupIssues(popups({ coverage: { mobile: { ...mobile, coverage: 0.2, blocksPage: true } } }));
+    assert.equal(blocking.issue, 'Popup blocks the whole mobile screen (dialog covers 20% of a 375x667 viewport)');
+    // Without a mobile measurement there is nothing to judge
+    assert.deepEqual(popupIssues(popups({ coverage: { desktop: mobile } })), []);
+});
+
+test('a popup that no method closes is not dismissible', () => {
+    const issues = popupIssues(popups({ dismissal: { escape: 'fails', overlay: 'untested', 'close-button': 'not-found' } }));
+    assert.deepEqual(ids(issues), ['popups.not-dismissible']);
+    assert.equal(issues[0].issue, 'Popup could not be closed (escape: fails, overlay: untested, close-button: not-found)');
+});
+
+test('reports a missing close button and an ignored Escape key separately', () => {
+    assert.deepEqual(ids(popupIssues(popups({ dismissal: { escape: 'fails', overlay: 'works', 'close-button': 'not-found' } }))), [
+        'popups.no-close-button',
+        'popups.escape-ignored'
+    ]);
+    assert.deepEqual(ids(popupIssues(popups({ dismissal: { escape: 'works', overlay: 'fails', 'close-button': 'fails' } }))), []);
+    // Dismissal wasn't tested at all
+    assert.deepEqual(popupIssues(popups({ dismissal: {} })), []);
+});
+
+test('issues point at the annotated popup screenshot', () => {
+    const annotation = { number: 1, image: 'popup_annotated.png', closeUp: null };
+    const [issue] = popupIssues(popups({ annotation, dismissal: { escape: 'fails', overlay: 'works', 'close-button': 'works' } }));
+    assert.equal(issue.id, 'popups.escape-ignored');
+    assert.deepEqual(issue.annotation, annotation);
+    assert.equal('annotation' in popupIssues(popups({ dismissal: { escape: 'fails', overlay: 'works' } }))[0], false);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RobotsRules, parseRobotsTxt } = require('../src/crawler/robots');
+
+const ROBOTS = `
+# Shopify-style robots.txt
+User-agent: *
+Disallow: /cart
+Disallow: /checkout
+Disallow: /*?*sort_by*
+Disallow: /*.json$
+Allow: /cart/help
+Crawl-delay: 2
+
+User-agent: AhrefsBot
+User-agent: SiteAuditBot
+Disallow: /
+Allow: /products/
+Crawl-delay: 5
+
+Sitemap: https://shop.test/sitemap.xml
+`;
+
+test('parseRobotsTxt groups rules by user agent and collects sitemaps', () => {
+    const { groups, sitemaps } = parseRobotsTxt(ROBOTS);
+    assert.equal(groups.length, 2);
+    assert.deepEqual(groups[0].agents, ['*']);
+    assert.deepEqual(groups[1].agents, ['ahrefsbot', 'siteauditbot']);
+    assert.equal(groups[0].rules.length, 5);
+    assert.equal(groups[1].crawlDelay, 5);
+    assert.deepEqual(sitemaps, ['https://shop.test/sitemap.xml']);
+});
+
+test('the * group applies to other agents, with wildcards and anchors', () => {
+    const rules = new RobotsRules(ROBOTS, 'Mozilla/5.0 ShopAuditor');
+    assert.equal(rules.isAllowed('https://shop.test/'), true);
+    assert.equal(rules.isAllowed('https://shop.test/cart'), false);
+    assert.equal(rules.isAllowed('https://shop.test/checkout/step-1'), false);
+    assert.equal(rules.isAllowed('https://shop.test/collections/all?sort_by=price'), false);
+    assert.equal(rules.isAllowed('https://shop.test/products.json'), false);
+    assert.equal(rules.isAllowed('https://shop.test/products.json?page=2'), true);
+    // Longest match wins
+    assert.equal(rules.isAllowed('https://shop.test/cart/help'), true);
+    assert.equal(rules.crawlDelay, 2);
+    assert.deepEqual(rules.sitemaps, ['https://shop.test/sitemap.xml']);
+});
+
+test('a group naming the user agent replaces the * group', () => {
+    const rules = new RobotsRules(ROBOTS, 'Mozilla/5.0 (compatible; SiteAuditBot/1.0)');
+    assert.equal(rules.isAllowed('https://shop.test/'), false);
+    assert.equal(rules.isAllowed('https://shop.test/products/hat'), true);
+    assert.equal(rules.isAllowed('https://shop.test/cart'), false);
+    assert.equal(rules.crawlDelay, 5);
+});
+
+test('Allow wins ties and an empty file allows everything', () => {
+    const rules = new RobotsRules('User-agent: *\nDisallow: /page\nAllow: /page\n');
+    assert.equal(rules.isAllowed('https://shop.test/page'), true);
+    assert.equal(new RobotsRules('').isAllowed('https://shop.test/anything'), true);
+    assert.equal(new RobotsRules('User-agent: *\nDisallow:\n').isAllowed('https://shop.test/a'), true);
+});
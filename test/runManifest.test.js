@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RunManifest, MANIFEST_VERSION } = require('../src/history/runManifest');
+
+let baseDir;
+
+beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-runs-'));
+});
+
+afterEach(() => fs.rmSync(baseDir, { recursive: true, force: true }));
+
+const sites = [
+    { url: 'https://a.test', name: 'A', tags: [], settings: {} },
+    { url: 'https://b.test', name: null, tags: ['eu'], settings: { crawl: { maxPages: 2 } } },
+    { url: 'https://c.test', name: null, tags: [], settings: {} }
+];
+
+const readManifest = manifest => JSON.parse(fs.readFileSync(manifest.file, 'utf8'));
+
+test('create writes a pending entry for every site', async () => {
+    const manifest = await RunManifest.create(baseDir, sites, { overrides: { crawl: { maxPages: 3 } } });
+    assert.equal(path.dirname(manifest.directory), path.join(baseDir, 'runs'));
+    const data = readManifest(manifest);
+    assert.equal(data.version, MANIFEST_VERSION);
+    assert.equal(data.id, manifest.id);
+    assert.equal(data.status, 'running');
+    assert.deepEqual(data.overrides, { crawl: { maxPages: 3 } });
+    assert.deepEqual(data.sites.map(entry => [entry.site.url, entry.status, entry.attempts]),
+        [['https://a.test', 'pending', 0], ['https://b.test', 'pending', 0], ['https://c.test', 'pending', 0]]);
+    assert.deepEqual(data.sites[1].site.settings, { crawl: { maxPages: 2 } });
+});
+
+test('start and finish checkpoint each site', async () => {
+    const manifest = await RunManifest.create(baseDir, sites);
+    await manifest.start('https://a.test');
+    const [started] = readManifest(manifest).sites;
+    assert.equal(started.status, 'running');
+    assert.equal(started.attempts, 1);
+
+    await manifest.finish('https://a.test', { url: 'https://a.test', success: true, outputDirectory: '/out/a' });
+    await manifest.start('https://b.test');
+    await manifest.finish('https://b.test', { url: 'https://b.test', success: false, error: 'net::ERR_NAME_NOT_RESOLVED', errorKind: 'dns' });
+
+    const data = readManifest(manifest);
+    assert.deepEqual(data.sites.map(entry => entry.status), ['done', 'failed', 'pending']);
+    assert.equal(data.sites[0].outputDirectory, '/out/a');
+    assert.equal(data.sites[1].errorKind, 'dns');
+    assert.deepEqual(manifest.counts(), { done: 1, failed: 1, pending: 1 });
+    // Unknown URLs are ignored
+    await manifest.start('https://elsewhere.test');
+    assert.equal(fs.existsSync(`${manifest.file}.tmp`), false);
+});
+
+test('interrupted sites stay unfinished and keep no result', async () => {
+    const manifest = await RunManifest.create(baseDir, sites);
+    await manifest.start('https://a.test');
+    await manifest.finish('https://a.test', { url: 'https://a.test', success: false, interrupted: true });
+    await manifest.finish('https://b.test', { url: 'https://b.test', success: false, interrupted: true });
+    await manifest.start('https://c.test');
+    await manifest.finish('https://c.test', { url: 'https://c.test', success: true });
+
+    assert.deepEqual(manifest.data.sites.map(entry => entry.status), ['interrupted', 'pending', 'done']);
+    assert.deepEqual(manifest.unfinishedSites().map(site => site.url), ['https://a.test', 'https://b.test']);
+    assert.deepEqual((await manifest.loadResults()).map(result => result.url), ['https://c.test']);
+});
+
+test('latestUnfinished finds the newest run that did not complete', async () => {
+    assert.equal(await RunManifest.latestUnfinished(baseDir), null);
+
+    const older = await RunManifest.create(baseDir, sites);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const newer = await RunManifest.create(baseDir, sites.slice(0, 1));
+    await newer.finish('https://a.test', { url: 'https://a.test', success: true });
+    await newer.close('complete');
+    // A run folder without a readable manifest is skipped
+    fs.mkdirSync(path.join(baseDir, 'runs', '9999-broken'));
+
+    const found = await RunManifest.latestUnfinished(baseDir);
+    assert.equal(found.id, older.id);
+    assert.deepEqual(found.unfinishedSites().map(site => site.url), sites.map(site => site.url));
+
+    await older.close('interrupted');
+    assert.equal((await RunManifest.latestUnfinished(baseDir)).data.status, 'interrupted');
+});
+
+test('loadResults keeps the run\'s site order and skips lines cut short', async () => {
+    const manifest = await RunManifest.create(baseDir, sites);
+    await manifest.finish('https://c.test', { url: 'https://c.test', success: true, score: 1 });
+    await manifest.finish('https://a.test', { url: 'https://a.test', success: true, score: 2 });
+    fs.appendFileSync(manifest.resultsFile, '{"url": "https://b.te');
+
+    assert.deepEqual((await manifest.loadResults()).map(result => result.url), ['https://a.test', 'https://c.test']);
+
+    await manifest.close('complete');
+    assert.equal(fs.existsSync(manifest.resultsFile), false);
+    assert.deepEqual(await manifest.loadResults(), []);
+    assert.equal(readManifest(manifest).status, 'complete');
+    assert.ok(readManifest(manifest).finishedAt);
+});
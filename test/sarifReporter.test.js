@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sarifReporter = require('../src/reporters/sarifReporter');
+const { createIssue } = require('../src/checks/rules');
+const { version } = require('../package.json');
+
+test('lists the rules that fired and locates each result', () => {
+    const sarif = JSON.parse(sarifReporter.render([
+        {
+            url: 'https://shop.test/',
+            success: true,
+            issues: [
+                createIssue('seo.title-missing', { url: 'https://shop.test/a', device: 'mobile' }),
+                createIssue('seo.h1-multiple', { url: 'https://shop.test/a', selector: 'main > h1:nth-of-type(2)', evidence: '<h1>Two</h1>' }),
+                createIssue('seo.title-missing', { url: 'https://shop.test/b' }),
+                { ...createIssue('seo.og-missing'), id: 'plugin.unregistered' }
+            ]
+        },
+        { url: 'https://down.test/', success: false, error: 'Timed out' }
+    ]));
+
+    assert.equal(sarif.version, '2.1.0');
+    const [run] = sarif.runs;
+    assert.equal(run.tool.driver.version, version);
+    assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['seo.title-missing', 'seo.h1-multiple', 'error.audit-failed']);
+    assert.equal(run.tool.driver.rules[0].name, 'seoTitleMissing');
+    assert.deepEqual(run.tool.driver.rules[0].defaultConfiguration, { level: 'error' });
+    assert.deepEqual(run.tool.driver.rules[0].properties.tags, ['seo']);
+    assert.deepEqual(run.invocations, [{ executionSuccessful: false }]);
+
+    const [missing, multiple, secondMissing, unregistered, failed] = run.results;
+    assert.equal(missing.ruleIndex, 0);
+    assert.equal(missing.level, 'error');
+    assert.deepEqual(missing.locations, [{ physicalLocation: { artifactLocation: { uri: 'https://shop.test/a' } } }]);
+    assert.deepEqual(missing.properties, { severity: 'serious', site: 'https://shop.test/', device: 'mobile' });
+
+    assert.equal(multiple.level, 'note');
+    assert.deepEqual(multiple.locations[0].logicalLocations, [{ fullyQualifiedName: 'main > h1:nth-of-type(2)', kind: 'element' }]);
+    assert.equal(multiple.properties.evidence, '<h1>Two</h1>');
+
+    assert.equal(secondMissing.ruleIndex, 0);
+    // Results for rules without a definition carry no ruleIndex
+    assert.equal('ruleIndex' in unregistered, false);
+    assert.equal(unregistered.ruleId, 'plugin.unregistered');
+
+    assert.equal(failed.ruleId, 'error.audit-failed');
+    assert.equal(failed.message.text, 'Timed out');
+    assert.equal(failed.locations[0].physicalLocation.artifactLocation.uri, 'https://down.test/');
+});
+
+test('an audit without issues has an empty run', () => {
+    const sarif = JSON.parse(sarifReporter.render([{ url: 'https://shop.test/', success: true, issues: [] }]));
+    assert.deepEqual(sarif.runs[0].tool.driver.rules, []);
+    assert.deepEqual(sarif.runs[0].results, []);
+    assert.deepEqual(sarif.runs[0].invocations, [{ executionSuccessful: true }]);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createIssue } = require('../src/checks/rules');
+const { scoreAudit, sortIssues, scoreRating } = require('../src/checks/scoring');
+
+const issue = (id, overrides = {}) => createIssue(id, { url: 'https://shop.test/', ...overrides });
+
+test('a clean audit scores 100 everywhere', () => {
+    const { overall, categories } = scoreAudit([]);
+    assert.equal(overall, 100);
+    assert.equal(categories.seo.score, 100);
+    assert.deepEqual(categories.seo.deductions, []);
+    assert.equal(categories.errors, undefined);
+});
+
+test('each rule deducts its severity weight, with a capped bonus for repeats', () => {
+    const { categories } = scoreAudit([
+        issue('seo.title-missing'),
+        ...Array.from({ length: 2 }, () => issue('seo.description-missing')),
+        ...Array.from({ length: 40 }, () => issue('seo.title-length'))
+    ]);
+    const points = Object.fromEntries(categories.seo.deductions.map(deduction => [deduction.id, deduction.points]));
+    // serious 10 once; moderate 4 × (1 + log2 2); minor 1 × the cap of 3
+    assert.deepEqual(points, { 'seo.title-missing': 10, 'seo.description-missing': 8, 'seo.title-length': 3 });
+    assert.deepEqual(categories.seo.deductions.map(deduction => deduction.id),
+        ['seo.title-missing', 'seo.description-missing', 'seo.title-length']);
+    assert.equal(categories.seo.score, 79);
+    assert.equal(categories.seo.issueCount, 43);
+    assert.deepEqual(categories.seo.bySeverity, { serious: 1, moderate: 2, minor: 40 });
+});
+
+test('categories whose checks did not run are unscored and left out of the overall score', () => {
+    const { overall, categories } = scoreAudit([issue('seo.title-missing')], {
+        isCheckEnabled: check => check === 'seo'
+    });
+    assert.equal(categories.seo.score, 90);
+    assert.equal(categories.accessibility.score, null);
+    assert.equal(overall, 90);
+
+    assert.equal(scoreAudit([], { isCheckEnabled: () => false }).overall, null);
+});
+
+test('severity, category and rule weights are applied', () => {
+    const { overall, categories } = scoreAudit([issue('seo.title-missing'), issue('seo.noindex')], {
+        isCheckEnabled: check => check === 'seo' || check === 'accessibility',
+        severityWeights: { serious: 20 },
+        ruleWeights: { 'seo.noindex': 0 },
+        categoryWeights: { seo: 3 }
+    });
+    assert.equal(categories.seo.score, 80);
+    assert.deepEqual(categories.seo.deductions.map(deduction => deduction.id), ['seo.title-missing']);
+    // (80 × 3 + 100 × 1) / 4
+    assert.equal(overall, 85);
+});
+
+test('sortIssues orders by severity and keeps ties stable', () => {
+    const issues = [
+        issue('seo.title-length', { message: 'first minor' }),
+        issue('seo.title-missing'),
+        issue('seo.title-length', { message: 'second minor' }),
+        issue('seo.description-missing')
+    ];
+    assert.deepEqual(sortIssues(issues).map(sorted => sorted.issue),
+        [issues[1].issue, issues[3].issue, 'first minor', 'second minor']);
+});
+
+test('scoreRating bands scores', () => {
+    assert.deepEqual([95, 90, 89, 50, 49, null].map(scoreRating),
+        ['good', 'good', 'needs-improvement', 'needs-improvement', 'poor', 'unscored']);
+});
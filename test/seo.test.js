@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeSeoPage, summarizeSeo, parseRobotsDirectives } = require('../src/checks/seo');
+
+// What collectSeoData returns for a page with nothing to report
+function pageData(overrides = {}) {
+    return {
+        title: 'Handmade leather bags and wallets | Acme',
+        titleCount: 1,
+        description: 'Handmade leather bags, wallets and belts, made to order in our workshop and shipped worldwide.',
+        descriptionCount: 1,
+        canonicals: ['https://shop.test/bags'],
+        hreflang: [],
+        robots: '',
+        lang: 'en',
+        headings: [{ level: 1, text: 'Bags', selector: 'h1' }, { level: 2, text: 'Leather', selector: 'h2' }],
+        wordCount: 450,
+        links: { internal: 12, external: 2 },
+        internalUrls: ['https://shop.test/'],
+        openGraph: { title: 'Bags', description: 'Bags', image: 'https://shop.test/bag.jpg', url: 'https://shop.test/bags' },
+        twitter: { card: 'summary_large_image' },
+        ...overrides
+    };
+}
+
+const rules = result => result.findings.map(finding => finding.rule);
+
+test('parseRobotsDirectives reads meta and user-agent scoped X-Robots-Tag values', () => {
+    assert.deepEqual(parseRobotsDirectives('index, follow'), { noindex: false, nofollow: false, directives: ['index', 'follow'] });
+    assert.equal(parseRobotsDirectives(null, 'googlebot: noindex').noindex, true);
+    const none = parseRobotsDirectives('none');
+    assert.equal(none.noindex, true);
+    assert.equal(none.nofollow, true);
+    // max-snippet:-1 is a value, not a user agent
+    assert.deepEqual(parseRobotsDirectives('max-snippet:-1').directives, ['max-snippet:-1']);
+});
+
+test('a complete page has no findings', () => {
+    const result = analyzeSeoPage(pageData(), { url: 'https://shop.test/bags', pageType: 'collection' });
+    assert.deepEqual(result.findings, []);
+    assert.equal(result.canonical, 'https://shop.test/bags');
+    assert.equal(result.noindex, false);
+});
+
+test('reports missing and duplicated head elements', () => {
+    const result = analyzeSeoPage(pageData({
+        title: '',
+        description: null,
+        descriptionCount: 2,
+        canonicals: [],
+        openGraph: {},
+        twitter: {},
+        headings: [{ level: 2, text: '', selector: 'h2' }]
+    }), { url: 'https://shop.test/bags' });
+    assert.deepEqual(rules(result), [
+        'title-missing', 'description-missing', 'description-multiple', 'canonical-missing',
+        'og-missing', 'twitter-card-missing', 'h1-missing', 'heading-empty'
+    ]);
+    assert.equal(result.canonical, null);
+});
+
+test('a partial length override keeps the other default bound', () => {
+    const data = pageData({ title: 'Short title' });
+    assert.deepEqual(rules(analyzeSeoPage(data, { url: 'https://shop.test/bags' })), ['title-length']);
+    const result = analyzeSeoPage(data, { url: 'https://shop.test/bags', settings: { titleLength: { min: 5 } } });
+    assert.deepEqual(result.findings, []);
+    const tooLong = analyzeSeoPage(pageData({ title: 'x'.repeat(61) }), { url: 'https://shop.test/bags', settings: { titleLength: { min: 5 } } });
+    assert.match(tooLong.findings[0].issue, /aim for 5-60/);
+});
+
+test('combines the robots meta tag and the X-Robots-Tag header', () => {
+    const result = analyzeSeoPage(pageData({ robots: 'nofollow', canonicals: ['https://shop.test/other'] }), {
+        url: 'https://shop.test/bags',
+        headers: { 'x-robots-tag': 'noindex' }
+    });
+    assert.deepEqual(rules(result), ['noindex', 'nofollow', 'canonical-noindex-conflict']);
+    assert.match(result.findings[0].issue, /meta robots "nofollow", X-Robots-Tag "noindex"/);
+});
+
+test('checks canonical links', () => {
+    const url = 'https://shop.test/bags';
+    assert.deepEqual(rules(analyzeSeoPage(pageData({ canonicals: ['/bags', '/bags'] }), { url })), ['canonical-multiple', 'canonical-relative']);
+    assert.deepEqual(rules(analyzeSeoPage(pageData({ canonicals: ['https://other.test/bags'] }), { url })), ['canonical-cross-site']);
+    assert.deepEqual(rules(analyzeSeoPage(pageData({ canonicals: ['http://shop.test/bags'] }), { url })), ['canonical-http']);
+});
+
+test('checks hreflang values and the self reference', () => {
+    const result = analyzeSeoPage(pageData({
+        hreflang: [
+            { lang: 'en-GB', href: 'https://shop.test/uk/bags' },
+            { lang: 'en-gb', href: 'https://shop.test/uk/bags' },
+            { lang: 'english', href: '/en/bags' }
+        ]
+    }), { url: 'https://shop.test/bags' });
+    assert.deepEqual(rules(result), ['hreflang-duplicate', 'hreflang-invalid', 'hreflang-relative', 'hreflang-no-self']);
+});
+
+test('thin content only applies to the configured page types', () => {
+    const data = pageData({ wordCount: 40 });
+    assert.deepEqual(rules(analyzeSeoPage(data, { url: 'https://shop.test/bags', pageType: 'product' })), ['thin-content']);
+    assert.deepEqual(rules(analyzeSeoPage(data, { url: 'https://shop.test/cart', pageType: 'cart' })), []);
+});
+
+test('summarizeSeo compares pages across the site', () => {
+    const page = (url, overrides, options = {}) => analyzeSeoPage(pageData({ canonicals: [url], ...overrides }), { url, ...options });
+    const pages = [
+        page('https://shop.test/', { internalUrls: ['https://shop.test/a'] }, { pageType: 'home' }),
+        page('https://shop.test/a', {
+            hreflang: [{ lang: 'en', href: 'https://shop.test/a' }, { lang: 'de', href: 'https://shop.test/b' }]
+        }),
+        page('https://shop.test/b', { robots: 'noindex', title: 'Other title for the b page here' }),
+        page('https://shop.test/c', { canonicals: ['https://shop.test/a'], title: 'Other title for the b page here' })
+    ];
+    const summary = summarizeSeo(pages, { sitemapUrls: ['https://shop.test/b', 'https://shop.test/c'] });
+
+    assert.equal(summary.pagesAnalyzed, 4);
+    assert.deepEqual(summary.duplicateTitles.map(group => group.urls), [
+        ['https://shop.test/', 'https://shop.test/a'],
+        ['https://shop.test/b', 'https://shop.test/c']
+    ]);
+    assert.equal(summary.duplicateDescriptions[0].urls.length, 4);
+    assert.deepEqual(summary.sitemapConflicts, ['https://shop.test/b']);
+    assert.deepEqual(summary.noindexPages, ['https://shop.test/b']);
+    assert.deepEqual(summary.orphans, ['https://shop.test/b', 'https://shop.test/c']);
+    const siteRules = summary.siteFindings.map(finding => finding.rule);
+    assert.deepEqual(siteRules, ['duplicate-title', 'duplicate-title', 'duplicate-description', 'noindex-in-sitemap', 'canonicalized-in-sitemap', 'hreflang-no-return']);
+    assert.deepEqual(summary.siteFindings.find(finding => finding.rule === 'hreflang-no-return').urls, ['https://shop.test/a -> https://shop.test/b']);
+});
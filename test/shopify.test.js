@@ -0,0 +1,174 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { analyzeShopifyStore, analyzeCatalog, sampleProducts, shopifyIssues } = require('../src/checks/shopify');
+
+// A local stand-in for a storefront's public endpoints. Each test sets
+// `store` to the catalogue and endpoint behaviour it needs.
+let server;
+let origin;
+let store;
+const requests = [];
+
+function product(index, overrides = {}) {
+    return {
+        handle: `product-${index}`,
+        product_type: index % 2 ? 'Shirt' : 'Hat',
+        vendor: 'Acme',
+        body_html: '<p>A well described product with plenty of words in it to count.</p>',
+        images: [{ src: `https://cdn.test/${index}.jpg` }],
+        variants: [{ price: '20.00', compare_at_price: null, available: true }],
+        ...overrides
+    };
+}
+
+function send(response, status, body, type = 'application/json') {
+    response.writeHead(status, { 'content-type': type });
+    response.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        const url = new URL(request.url, origin);
+        requests.push(url.pathname + url.search);
+        const page = Number(url.searchParams.get('page') || 1);
+        const limit = Number(url.searchParams.get('limit') || 250);
+        const slice = list => list.slice((page - 1) * limit, page * limit);
+
+        if (url.pathname === '/products.json') {
+            return send(response, 200, { products: slice(store.products) });
+        }
+        if (url.pathname === '/collections.json') {
+            if (store.collections === 'html') return send(response, 200, '<html>Not here</html>', 'text/html');
+            if (store.collections === 404) return send(response, 404, { errors: 'Not Found' });
+            return send(response, 200, { collections: slice(store.collections) });
+        }
+        if (url.pathname === '/cart.js') {
+            return store.cart ? send(response, 200, { items: [], item_count: 0 }) : send(response, 404, { errors: 'Not Found' });
+        }
+        const productJs = url.pathname.match(/^\/products\/(.+)\.js$/);
+        if (productJs) {
+            const found = store.products.find(item => item.handle === productJs[1]);
+            if (!found || store.brokenHandles.includes(found.handle)) return send(response, 404, { errors: 'Not Found' });
+            return send(response, 200, { available: found.variants.some(variant => variant.available), price: 2000, variants: found.variants });
+        }
+        send(response, 404, 'Not Found', 'text/plain');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    requests.length = 0;
+    store = {
+        products: Array.from({ length: 300 }, (_, index) => product(index)),
+        collections: [{ handle: 'all' }, { handle: 'sale' }],
+        cart: true,
+        brokenHandles: []
+    };
+});
+
+const storefront = { shop: 'acme.myshopify.com', currency: 'USD', locale: 'en', theme: { name: 'Dawn' }, appScripts: [] };
+
+test('follows /products.json pages until a short page', async () => {
+    const shopify = await analyzeShopifyStore(`${origin}/`, storefront, { sampleSize: 2 });
+    assert.equal(shopify.catalog.productCount, 300);
+    assert.equal(shopify.catalog.complete, true);
+    assert.equal(shopify.catalog.collectionCount, 2);
+    assert.deepEqual(requests.filter(path => path.startsWith('/products.json')), [
+        '/products.json?limit=250&page=1',
+        '/products.json?limit=250&page=2'
+    ]);
+    assert.deepEqual(shopify.endpoints, { products: 'ok', collections: 'ok', cart: 'ok', productJs: 'ok' });
+});
+
+test('stops at maxCatalogPages and marks the catalogue incomplete', async () => {
+    const shopify = await analyzeShopifyStore(`${origin}/`, storefront, { maxCatalogPages: 1, sampleSize: 0 });
+    assert.equal(shopify.catalog.productCount, 250);
+    assert.equal(shopify.catalog.complete, false);
+    assert.equal(requests.filter(path => path.startsWith('/products.json')).length, 1);
+});
+
+test('an exactly full last page is followed by an empty one', async () => {
+    store.products = store.products.slice(0, 250);
+    const shopify = await analyzeShopifyStore(`${origin}/`, storefront, { sampleSize: 0 });
+    assert.equal(shopify.catalog.productCount, 250);
+    assert.equal(shopify.catalog.complete, true);
+    assert.equal(requests.filter(path => path.startsWith('/products.json')).length, 2);
+});
+
+test('reports non-JSON and missing endpoints without failing', async () => {
+    store.collections = 'html';
+    store.cart = false;
+    let shopify = await analyzeShopifyStore(`${origin}/`, storefront, { sampleSize: 0 });
+    assert.equal(shopify.endpoints.collections, 'Response is not JSON');
+    assert.equal(shopify.endpoints.cart, 'HTTP 404');
+    assert.equal(shopify.endpoints.productJs, 'not checked');
+    assert.equal(shopify.catalog.collectionCount, 0);
+
+    store.collections = 404;
+    shopify = await analyzeShopifyStore(`${origin}/`, storefront, { sampleSize: 0 });
+    assert.equal(shopify.endpoints.collections, 'HTTP 404');
+});
+
+test('a store without a catalogue has no catalog figures', async () => {
+    store.products = [];
+    const shopify = await analyzeShopifyStore(`${origin}/`, storefront);
+    assert.equal(shopify.catalog, null);
+    assert.deepEqual(shopify.sampledProducts, []);
+    assert.deepEqual(shopifyIssues(shopify), []);
+});
+
+test('checks sampled products through /products/<handle>.js', async () => {
+    store.products = store.products.slice(0, 4);
+    store.brokenHandles = ['product-2'];
+    const shopify = await analyzeShopifyStore(`${origin}/`, storefront, { sampleSize: 4 });
+    assert.deepEqual(shopify.sampledProducts.map(sampled => sampled.status), [200, 200, 404, 200]);
+    assert.equal(shopify.sampledProducts[0].price, 20);
+    assert.equal(shopify.endpoints.productJs, '1 of 4 failed');
+    const issue = shopifyIssues(shopify).find(found => found.id === 'shopify.product-json-error');
+    assert.deepEqual(issue.urls, [`${origin}/products/product-2`]);
+});
+
+test('analyzeCatalog counts missing content, stock and sale pricing', () => {
+    const products = [
+        product(1),
+        product(2, { images: [], body_html: '<p>Short</p>' }),
+        product(3, { variants: [{ price: '10.00', compare_at_price: '15.00', available: false }] }),
+        product(4, { variants: [{ price: '10.00', compare_at_price: '10.00', available: true }, { price: '12.00', available: false }] })
+    ];
+    const catalog = analyzeCatalog(products, { origin: 'https://shop.test', minDescriptionLength: 20 });
+    assert.equal(catalog.productCount, 4);
+    assert.equal(catalog.variantCount, 5);
+    assert.deepEqual(catalog.withoutImages, ['https://shop.test/products/product-2']);
+    assert.deepEqual(catalog.withoutDescription, ['https://shop.test/products/product-2']);
+    assert.equal(catalog.outOfStockProducts, 1);
+    assert.equal(catalog.outOfStockRatio, 0.25);
+    assert.equal(catalog.outOfStockVariants, 2);
+    assert.equal(catalog.compareAtVariants, 1);
+    assert.equal(catalog.productsOnSale, 1);
+    assert.deepEqual(catalog.productTypes, { Shirt: 2, Hat: 2 });
+    assert.deepEqual(catalog.vendors, { Acme: 4 });
+});
+
+test('sampleProducts spreads the sample and prefers sellable products', () => {
+    const products = Array.from({ length: 10 }, (_, index) => product(index));
+    assert.deepEqual(sampleProducts(products, 'https://shop.test', 3), [
+        'https://shop.test/products/product-0',
+        'https://shop.test/products/product-3',
+        'https://shop.test/products/product-6'
+    ]);
+
+    const mixed = [
+        product(0, { images: [] }),
+        product(1, { variants: [{ available: false }] }),
+        product(2)
+    ];
+    assert.deepEqual(sampleProducts(mixed, 'https://shop.test', 1), ['https://shop.test/products/product-2']);
+    // Too few sellable products: the rest fill the sample
+    assert.equal(sampleProducts(mixed, 'https://shop.test', 3)[0], 'https://shop.test/products/product-2');
+    assert.equal(sampleProducts(mixed, 'https://shop.test', 5).length, 3);
+    assert.deepEqual(sampleProducts([], 'https://shop.test', 3), []);
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const { parseSitemap, discoverSitemapUrls } = require('../src/crawler/sitemap');
+
+const urlset = urls => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url><loc>${url}</loc></url>`).join('\n')}
+</urlset>`;
+
+const sitemapIndex = urls => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <sitemap><loc>${url}</loc><lastmod>2024-01-01</lastmod></sitemap>`).join('\n')}
+</sitemapindex>`;
+
+test('parseSitemap reads page and child sitemap locations', () => {
+    assert.deepEqual(parseSitemap(urlset(['https://shop.test/', 'https://shop.test/products/hat?variant=1&amp;size=m'])), {
+        urls: ['https://shop.test/', 'https://shop.test/products/hat?variant=1&size=m'],
+        sitemaps: []
+    });
+    assert.deepEqual(parseSitemap(sitemapIndex(['https://shop.test/sitemap_products_1.xml'])), {
+        urls: [],
+        sitemaps: ['https://shop.test/sitemap_products_1.xml']
+    });
+});
+
+test('parseSitemap handles CDATA, namespace prefixes and image tags', () => {
+    const xml = `<ns:urlset xmlns:ns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <ns:url><ns:loc><![CDATA[ https://shop.test/a?b=1&c=2 ]]></ns:loc></ns:url>
+        <ns:url>
+            <ns:loc>https://shop.test/products/hat</ns:loc>
+            <image:image><image:loc>https://cdn.test/hat.jpg</image:loc></image:image>
+        </ns:url>
+    </ns:urlset>`;
+    assert.deepEqual(parseSitemap(xml).urls, ['https://shop.test/a?b=1&c=2', 'https://shop.test/products/hat']);
+    assert.deepEqual(parseSitemap('not xml'), { urls: [], sitemaps: [] });
+});
+
+let server;
+let origin;
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        const pages = count => Array.from({ length: count }, (_, index) => `${origin}${request.url}/page-${index}`);
+        if (request.url === '/sitemap.xml') {
+            response.writeHead(200, { 'content-type': 'application/xml' });
+            // The index lists itself and a missing sitemap too
+            return response.end(sitemapIndex([`${origin}/sitemap.xml`, `${origin}/pages.xml`, `${origin}/products.xml.gz`, `${origin}/missing.xml`]));
+        }
+        if (request.url === '/pages.xml') {
+            response.writeHead(200, { 'content-type': 'application/xml' });
+            return response.end(urlset(pages(3)));
+        }
+        if (request.url === '/products.xml.gz') {
+            // Served compressed without a Content-Encoding header
+            response.writeHead(200, { 'content-type': 'application/octet-stream' });
+            return response.end(zlib.gzipSync(urlset(pages(5))));
+        }
+        response.writeHead(404);
+        response.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('discoverSitemapUrls walks indexes, gzipped sitemaps and failures', async () => {
+    const result = await discoverSitemapUrls([`${origin}/sitemap.xml`]);
+    assert.equal(result.urls.length, 8);
+    assert.equal(result.urls[0], `${origin}/pages.xml/page-0`);
+    assert.equal(result.urls[7], `${origin}/products.xml.gz/page-4`);
+    assert.deepEqual(result.errors, [{ url: `${origin}/missing.xml`, error: 'HTTP 404' }]);
+    assert.equal(result.sitemapsFetched, 4);
+});
+
+test('discoverSitemapUrls stops at maxUrls and maxSitemaps', async () => {
+    let result = await discoverSitemapUrls([`${origin}/sitemap.xml`], { maxUrls: 4 });
+    assert.equal(result.urls.length, 4);
+    assert.equal(result.sitemapsFetched, 3);
+
+    result = await discoverSitemapUrls([`${origin}/sitemap.xml`], { maxSitemaps: 2 });
+    assert.equal(result.urls.length, 3);
+    assert.equal(result.sitemapsFetched, 2);
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrice } = require('../src/checks/structuredData');
+
+test('parsePrice reads prices in common formats', () => {
+    assert.equal(parsePrice('$1,299.00'), 1299);
+    assert.equal(parsePrice('1.299,00 €'), 1299);
+    assert.equal(parsePrice('19,99'), 19.99);
+    assert.equal(parsePrice('1,299'), 1299);
+    assert.equal(parsePrice('CHF 1 299.50'), 1299.5);
+    assert.equal(parsePrice('20'), 20);
+    assert.equal(parsePrice(12.5), 12.5);
+});
+
+test('parsePrice returns null without a number', () => {
+    assert.equal(parsePrice(''), null);
+    assert.equal(parsePrice('Free'), null);
+    assert.equal(parsePrice(null), null);
+    assert.equal(parsePrice(undefined), null);
+});
@@ -0,0 +1,68 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { loadLogo, resolveTheme, themeCss } = require('../src/reporters/themes');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+let server;
+let origin;
+let directory;
+
+before(async () => {
+    // The warnings are expected here
+    mock.method(console, 'log', () => {});
+    server = http.createServer((request, response) => {
+        if (request.url === '/logo.png') {
+            response.writeHead(200, { 'content-type': 'image/png' });
+            return response.end(PNG);
+        }
+        if (request.url === '/about.html') {
+            response.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+            return response.end('<html></html>');
+        }
+        response.writeHead(404);
+        response.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-logo-'));
+});
+
+after(async () => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    await new Promise(resolve => server.close(resolve));
+});
+
+const dataUrl = `data:image/png;base64,${PNG.toString('base64')}`;
+
+test('local logos are inlined and data URLs kept', async () => {
+    const file = path.join(directory, 'logo.png');
+    fs.writeFileSync(file, PNG);
+    assert.equal(await loadLogo({ logo: file }), dataUrl);
+    assert.equal(await loadLogo({ logo: dataUrl }, { inlineRemote: true }), dataUrl);
+    assert.equal(await loadLogo({}), null);
+    assert.equal(await loadLogo({ logo: path.join(directory, 'logo.bmp') }), null);
+    assert.equal(await loadLogo({ logo: path.join(directory, 'missing.png') }), null);
+});
+
+test('remote logos are linked unless inlineRemote is set', async () => {
+    assert.equal(await loadLogo({ logo: `${origin}/logo.png` }), `${origin}/logo.png`);
+    assert.equal(await loadLogo({ logo: `${origin}/logo.png` }, { inlineRemote: true }), dataUrl);
+});
+
+test('a remote logo that can\'t be inlined is linked instead', async () => {
+    assert.equal(await loadLogo({ logo: `${origin}/missing.png` }, { inlineRemote: true }), `${origin}/missing.png`);
+    assert.equal(await loadLogo({ logo: `${origin}/about.html` }, { inlineRemote: true }), `${origin}/about.html`);
+});
+
+test('the theme becomes CSS variables with the branding accent', () => {
+    const theme = resolveTheme({ theme: 'dark', branding: { primaryColor: '#ff6600' } });
+    assert.equal(theme.accent, '#ff6600');
+    assert.equal(theme.tintedIssues, false);
+    assert.match(themeCss(theme), /^:root \{ --background: #1b1d21; .* --accent: #ff6600; \}$/);
+    assert.equal(resolveTheme({ theme: 'sepia' }).background, '#ffffff');
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { runFromAudit } = require('../src/history/historyStore');
+const { buildTrends, compareRuns, matchesFilters, summarizeTrend } = require('../src/history/trends');
+
+function audit(overrides = {}) {
+    return {
+        url: 'https://www.shop.test/',
+        siteName: 'www_shop_test',
+        name: 'Shop',
+        tags: ['client'],
+        timestamp: '2024-03-01T10:00:00.000Z',
+        success: true,
+        outputDirectory: 'audits/www_shop_test/2024-03-01',
+        scores: {
+            overall: 80,
+            categories: { seo: { score: 90 }, security: { score: 70 }, ecommerce: { score: null } }
+        },
+        metrics: {
+            performance: { loadTime: 2000, domContentLoaded: 1200 },
+            webVitals: { desktop: { lcp: 1800, cls: 0.05, inp: null }, mobile: { error: 'Timed out' } }
+        },
+        issues: [],
+        ...overrides
+    };
+}
+
+const issue = (id, url, severity = 'moderate') => ({ id, url, severity, title: id });
+
+test('runFromAudit keeps scores, metrics and issues keyed by rule and URL', () => {
+    const run = runFromAudit(audit({
+        issues: [
+            issue('seo.title-missing', 'https://www.shop.test/a', 'serious'),
+            issue('seo.title-missing', 'https://www.shop.test/a', 'serious'),
+            issue('seo.title-missing', 'https://www.shop.test/b', 'serious'),
+            issue('security.hsts', undefined, 'minor')
+        ]
+    }));
+
+    assert.equal(run.site, 'www_shop_test');
+    assert.equal(run.success, true);
+    assert.deepEqual(run.scores, { overall: 80, categories: { seo: 90, security: 70 } });
+    assert.deepEqual(run.metrics, { loadTime: 2000, domContentLoaded: 1200, webVitals: { desktop: { lcp: 1800, cls: 0.05 } } });
+    assert.equal(run.issueCount, 4);
+    assert.deepEqual(run.issueCounts, { serious: 3, minor: 1 });
+    assert.deepEqual(run.issues.map(entry => [entry.id, entry.url, entry.count]), [
+        ['seo.title-missing', 'https://www.shop.test/a', 2],
+        ['seo.title-missing', 'https://www.shop.test/b', 1],
+        ['security.hsts', null, 1]
+    ]);
+});
+
+test('runFromAudit records failed audits without scores', () => {
+    const run = runFromAudit({ url: 'https://down.test/', siteName: 'down_test', timestamp: '2024-03-01T10:00:00.000Z', success: false, error: 'net::ERR_NAME_NOT_RESOLVED' });
+    assert.equal(run.success, false);
+    assert.equal(run.error, 'net::ERR_NAME_NOT_RESOLVED');
+    assert.equal(run.scores, null);
+    assert.deepEqual(run.metrics, { loadTime: null, domContentLoaded: null, webVitals: {} });
+    assert.deepEqual(run.issues, []);
+});
+
+test('compareRuns lists introduced and resolved issues', () => {
+    const previous = runFromAudit(audit({ issues: [issue('seo.h1-missing', 'https://www.shop.test/a'), issue('security.hsts')] }));
+    const current = runFromAudit(audit({ issues: [issue('seo.h1-missing', 'https://www.shop.test/b'), issue('security.hsts')] }));
+    const { introduced, resolved } = compareRuns(previous, current);
+    // The same rule on another page counts as a new issue
+    assert.deepEqual(introduced.map(entry => entry.url), ['https://www.shop.test/b']);
+    assert.deepEqual(resolved.map(entry => entry.url), ['https://www.shop.test/a']);
+});
+
+test('matchesFilters accepts site names, hostnames and URLs', () => {
+    const run = runFromAudit(audit());
+    assert.equal(matchesFilters(run, []), true);
+    assert.equal(matchesFilters(run, ['Shop']), true);
+    assert.equal(matchesFilters(run, ['www_shop_test']), true);
+    // The hostname is turned into the site name the auditor gives the site
+    assert.equal(matchesFilters(run, ['www.shop.test']), true);
+    assert.equal(matchesFilters(run, ['https://www.shop.test/some/page']), true);
+    assert.equal(matchesFilters(run, ['HTTP://WWW.SHOP.TEST']), true);
+    assert.equal(matchesFilters(run, ['shop.test']), false);
+    assert.equal(matchesFilters(run, ['other.test', 'http://']), false);
+});
+
+test('buildTrends compares the last two successful runs per site', () => {
+    const runs = [
+        runFromAudit(audit({ issues: [issue('seo.h1-missing', 'https://www.shop.test/a')] })),
+        runFromAudit(audit({ url: 'https://blog.test/', siteName: 'blog_test', name: null })),
+        runFromAudit(audit({
+            timestamp: '2024-03-02T10:00:00.000Z',
+            scores: { overall: 86.5, categories: {} },
+            metrics: { performance: { loadTime: 1500 } },
+            issues: [issue('security.hsts'), issue('seo.title-length', 'https://www.shop.test/')]
+        })),
+        runFromAudit({ url: 'https://www.shop.test/', siteName: 'www_shop_test', timestamp: '2024-03-03T10:00:00.000Z', success: false, error: 'Timed out' })
+    ];
+
+    const trends = buildTrends(runs);
+    assert.deepEqual(trends.map(trend => trend.site), ['www_shop_test', 'blog_test']);
+
+    const [shop, blog] = trends;
+    assert.equal(shop.runs.length, 3);
+    assert.equal(shop.failedRuns, 1);
+    assert.equal(shop.latest.timestamp, '2024-03-02T10:00:00.000Z');
+    assert.deepEqual(shop.change, { overall: 6.5, loadTime: -500, issueCount: 1 });
+    assert.deepEqual(shop.introduced.map(entry => entry.id), ['security.hsts', 'seo.title-length']);
+    assert.deepEqual(shop.resolved.map(entry => entry.id), ['seo.h1-missing']);
+    assert.match(summarizeTrend(shop), /^www_shop_test: score 80 → 86.5 \(\+6.5\), load time -500ms, 2 issue\(s\) introduced, 1 resolved$/);
+
+    assert.equal(blog.previous, null);
+    assert.equal(blog.change, null);
+    assert.deepEqual(blog.introduced, []);
+    assert.equal(summarizeTrend(blog), 'blog_test: 1 run so far, score 80');
+
+    assert.deepEqual(buildTrends(runs, { sites: ['blog.test'] }).map(trend => trend.site), ['blog_test']);
+});
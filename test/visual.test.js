@@ -0,0 +1,186 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffScreenshots, findPreviousRun, resolveBaseline, compareWithBaseline, pinBaseline, visualIssues } = require('../src/checks/visual');
+
+let root;
+
+before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-visual-'));
+});
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// Just enough of Image and canvas for diffScreenshots. Images are named by
+// their src and given as rows of [r, g, b, a] pixels.
+function withCanvas(images, run) {
+    class FakeImage {
+        set src(source) {
+            const rows = images[source];
+            setImmediate(() => {
+                if (!rows) return this.onerror();
+                this.rows = rows;
+                this.naturalHeight = rows.length;
+                this.naturalWidth = rows[0].length;
+                this.onload();
+            });
+        }
+    }
+    const createElement = () => {
+        const canvas = {
+            toDataURL: () => 'data:image/png;base64,ZGlmZg==',
+            getContext: () => ({
+                drawImage: image => { canvas.image = image; },
+                getImageData: (x, y, width, height) => {
+                    const data = new Uint8ClampedArray(width * height * 4);
+                    canvas.image.rows.forEach((row, top) => row.forEach((pixel, left) => data.set(pixel, (top * width + left) * 4)));
+                    return { data };
+                },
+                createImageData: (width, height) => ({ data: new Uint8ClampedArray(width * height * 4) }),
+                putImageData: () => {}
+            })
+        };
+        return canvas;
+    };
+    global.Image = FakeImage;
+    global.document = { createElement };
+    return run().finally(() => {
+        delete global.Image;
+        delete global.document;
+    });
+}
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+const NEAR_WHITE = [240, 240, 240, 255];
+
+test('diffScreenshots counts pixels that differ by more than the tolerance', () => withCanvas({
+    before: [[WHITE, WHITE, WHITE], [WHITE, WHITE, WHITE]],
+    after: [[WHITE, NEAR_WHITE, WHITE], [WHITE, BLACK, BLACK]]
+}, async () => {
+    const strict = await diffScreenshots({ before: 'before', after: 'after', tolerance: 0 });
+    assert.equal(strict.changedPixels, 3);
+    assert.deepEqual(strict.box, { x: 1, y: 0, width: 2, height: 2 });
+    assert.equal(strict.sizeChanged, false);
+    assert.equal(strict.diff, 'data:image/png;base64,ZGlmZg==');
+
+    // 15/255 is within a 10% tolerance
+    const tolerant = await diffScreenshots({ before: 'before', after: 'after', tolerance: 0.1 });
+    assert.equal(tolerant.changedPixels, 2);
+    assert.deepEqual(tolerant.box, { x: 1, y: 1, width: 2, height: 1 });
+
+    const same = await diffScreenshots({ before: 'before', after: 'before', tolerance: 0 });
+    assert.equal(same.changedPixels, 0);
+    assert.equal(same.box, null);
+}));
+
+test('diffScreenshots counts area only one screenshot covers as changed', () => withCanvas({
+    short: [[WHITE, WHITE]],
+    tall: [[WHITE, WHITE], [WHITE, WHITE]]
+}, async () => {
+    const result = await diffScreenshots({ before: 'short', after: 'tall', tolerance: 0.1 });
+    assert.equal(result.sizeChanged, true);
+    assert.equal(result.height, 2);
+    assert.equal(result.changedPixels, 2);
+    assert.deepEqual(result.box, { x: 0, y: 1, width: 2, height: 1 });
+    await assert.rejects(diffScreenshots({ before: 'missing', after: 'tall', tolerance: 0 }), /Could not decode screenshot/);
+}));
+
+test('visualIssues only reports changes above the threshold', () => {
+    const visual = {
+        type: 'previous',
+        pages: [
+            { name: 'homepage_desktop', url: 'https://shop.test/', status: 'changed', changedRatio: 0.12, sizeChanged: true, diff: 'visual/homepage_desktop_diff.png' },
+            { name: 'homepage_mobile', url: 'https://shop.test/', status: 'changed', changedRatio: 0.05, diff: 'visual/homepage_mobile_diff.png' },
+            { name: 'collection_desktop', status: 'unchanged', changedRatio: 0 },
+            { name: 'product_1_desktop', status: 'different-page' },
+            { name: 'cart_desktop', status: 'new' }
+        ]
+    };
+    const issues = visualIssues(visual);
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].id, 'visual.changed');
+    assert.equal(issues[0].issue, 'homepage_desktop changed by 12.0% since the previous run (page size changed)');
+    assert.equal(issues[0].url, 'https://shop.test/');
+    assert.equal(issues[0].evidence, 'Diff: visual/homepage_desktop_diff.png; limit 5.0%');
+
+    const strict = visualIssues({ ...visual, type: 'baseline' }, { threshold: 0.01 });
+    assert.deepEqual(strict.map(issue => issue.issue), [
+        'homepage_desktop changed by 12.0% since the pinned baseline (page size changed)',
+        'homepage_mobile changed by 5.0% since the pinned baseline'
+    ]);
+});
+
+test('findPreviousRun picks the latest earlier run in any classification folder', async () => {
+    const baseDir = path.join(root, 'runs');
+    for (const folder of ['popup_detected/shop_test_1000', 'no_popup/shop_test_2000', 'no_popup/shop_test_3000', 'no_popup/shop_test_extra_1500', 'no_popup/other_test_2500']) {
+        fs.mkdirSync(path.join(baseDir, folder), { recursive: true });
+    }
+    assert.deepEqual(await findPreviousRun(baseDir, 'shop_test', 3000), { directory: path.join(baseDir, 'no_popup', 'shop_test_2000'), timestamp: 2000 });
+    assert.deepEqual(await findPreviousRun(baseDir, 'shop_test', 1500), { directory: path.join(baseDir, 'popup_detected', 'shop_test_1000'), timestamp: 1000 });
+    assert.equal(await findPreviousRun(baseDir, 'shop_test', 1000), null);
+    assert.equal(await findPreviousRun(path.join(root, 'nowhere'), 'shop_test', 1000), null);
+
+    assert.deepEqual(await resolveBaseline({ baseDir, siteName: 'shop_test', timestamp: 3000 }), {
+        type: 'previous',
+        directory: path.join(baseDir, 'no_popup', 'shop_test_2000'),
+        createdAt: new Date(2000).toISOString()
+    });
+});
+
+test('pins a baseline and compares the next run with it', async () => {
+    const captureDir = path.join(root, 'capture');
+    fs.mkdirSync(captureDir, { recursive: true });
+    const capture = name => {
+        const file = path.join(captureDir, `${name}.png`);
+        fs.writeFileSync(file, name);
+        return file;
+    };
+    const pages = [
+        { name: 'homepage_desktop', url: 'https://shop.test/', screenshot: capture('homepage_desktop') },
+        { name: 'product_1_desktop', url: 'https://shop.test/products/a', screenshot: capture('product_1_desktop') },
+        { name: 'failed_desktop', url: 'https://shop.test/x', screenshot: null }
+    ];
+    const baselineDir = path.join(root, 'baselines');
+    assert.deepEqual(await pinBaseline(pages, { baselineDir, siteName: 'shop_test', url: 'https://shop.test/' }), {
+        directory: path.join(baselineDir, 'shop_test'),
+        pages: 2
+    });
+    const baseline = await resolveBaseline({ compareTo: 'baseline', baselineDir, siteName: 'shop_test' });
+    assert.equal(baseline.type, 'baseline');
+    assert.ok(baseline.createdAt);
+    assert.equal(await resolveBaseline({ compareTo: 'baseline', baselineDir, siteName: 'other_test' }), null);
+
+    // The diff itself runs in the browser; the tab hands back a fixed result
+    let closed = false;
+    const tab = {
+        evaluate: async () => ({
+            width: 100,
+            height: 50,
+            sizeChanged: false,
+            changedPixels: 250,
+            box: { x: 0, y: 0, width: 10, height: 25 },
+            diff: 'data:image/png;base64,ZGlmZg=='
+        }),
+        close: async () => { closed = true; }
+    };
+    const page = { browserContext: () => ({ newPage: async () => tab }) };
+    const outputDir = path.join(root, 'output');
+    const results = await compareWithBaseline(page, [
+        { name: 'homepage_desktop', url: 'https://shop.test/', screenshot: capture('homepage_desktop') },
+        { name: 'product_1_desktop', url: 'https://shop.test/products/b', screenshot: capture('product_1_desktop') },
+        { name: 'cart_desktop', url: 'https://shop.test/cart', screenshot: capture('cart_desktop') }
+    ], baseline, { outputDir });
+
+    assert.equal(closed, true);
+    assert.deepEqual(results.map(result => result.status), ['changed', 'different-page', 'new']);
+    assert.equal(results[0].changedRatio, 0.05);
+    assert.equal(results[0].diff, path.join('visual', 'homepage_desktop_diff.png'));
+    assert.equal(fs.readFileSync(path.join(outputDir, results[0].diff), 'utf8'), 'diff');
+    assert.equal(results[1].baselineUrl, 'https://shop.test/products/a');
+    assert.equal(results[2].baseline, null);
+    // 5% is not above the default threshold
+    assert.deepEqual(visualIssues({ type: 'baseline', pages: results }), []);
+});